@@ -0,0 +1,275 @@
+/**
+ * BOLT11 Lightning Invoices for the Mock Payment API
+ *
+ * Decodes payment requests locally (no node, no network access) so payouts
+ * can target an invoice, and encodes test invoices for the test suite and
+ * POST /api/v1/test/invoices.
+ *
+ * FORMAT (bech32, see BOLT #11):
+ * - human-readable part: 'ln' + network prefix + optional amount
+ *   (e.g. lnbc2500u = 2500 micro-BTC on mainnet)
+ * - data: 35-bit timestamp, tagged fields (payment hash, description,
+ *   expiry, payee, ...), 65-byte signature, bech32 checksum
+ *
+ * LIMITS:
+ * The checksum, structure, amount and expiry are validated; the signature is
+ * not (that needs secp256k1). Encoded test invoices carry a placeholder
+ * signature, so they decode here but not in a real wallet.
+ * Tagged field lengths are 10 bits, so a description holds at most
+ * MAX_DESCRIPTION_BYTES (639) bytes of UTF-8.
+ */
+
+const crypto = require('crypto');
+
+// Network name -> BOLT11 prefix (longest prefixes are matched first when decoding)
+const NETWORKS = {
+  mainnet: 'bc',
+  testnet: 'tb',
+  signet: 'tbs',
+  regtest: 'bcrt'
+};
+const DEFAULT_EXPIRY_SECONDS = 3600; // BOLT11 default when the invoice has no 'x' field
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const MSAT_PER_BTC = 100000000000n;
+const MULTIPLIERS = { m: 1000n, u: 1000000n, n: 1000000000n, p: 1000000000000n }; // Divisors of 1 BTC
+const TIMESTAMP_WORDS = 7;
+const SIGNATURE_WORDS = 104; // 65 bytes (signature + recovery flag)
+const MAX_FIELD_WORDS = 1023; // Tagged field length is two 5-bit words
+const MAX_DESCRIPTION_BYTES = Math.floor(MAX_FIELD_WORDS * 5 / 8);
+
+// Tagged field types (5-bit values, named by their bech32 character)
+const TAGS = {
+  PAYMENT_HASH: 1,      // p
+  ROUTING: 3,           // r
+  FEATURES: 5,          // 9
+  EXPIRY: 6,            // x
+  FALLBACK: 9,          // f
+  DESCRIPTION: 13,      // d
+  PAYMENT_SECRET: 16,   // s
+  PAYEE: 19,            // n
+  DESCRIPTION_HASH: 23, // h
+  MIN_FINAL_CLTV: 24    // c
+};
+
+// Helper: bech32 checksum state over 5-bit values
+const polymod = (values) => values.reduce((chk, value) => {
+  const top = chk >>> 25;
+  let next = ((chk & 0x1ffffff) << 5) ^ value;
+  GENERATOR.forEach((g, i) => {
+    if ((top >>> i) & 1) next ^= g;
+  });
+  return next;
+}, 1);
+
+const expandHrp = (hrp) => [
+  ...Array.from(hrp, c => c.charCodeAt(0) >>> 5),
+  0,
+  ...Array.from(hrp, c => c.charCodeAt(0) & 31)
+];
+
+const createChecksum = (hrp, words) => {
+  const mod = polymod([...expandHrp(hrp), ...words, 0, 0, 0, 0, 0, 0]) ^ 1;
+  return Array.from({ length: 6 }, (_, i) => (mod >>> (5 * (5 - i))) & 31);
+};
+
+// Helper: Regroup bits (bytes <-> 5-bit words). `pad` keeps a partial last group.
+const convertBits = (data, fromBits, toBits, pad) => {
+  let acc = 0;
+  let bits = 0;
+  const result = [];
+  const maxValue = (1 << toBits) - 1;
+  data.forEach(value => {
+    acc = (acc << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      result.push((acc >>> bits) & maxValue);
+    }
+  });
+  if (pad && bits > 0) result.push((acc << (toBits - bits)) & maxValue);
+  return result;
+};
+
+const wordsToBytes = (words) => Buffer.from(convertBits(words, 5, 8, false));
+const bytesToWords = (bytes) => convertBits(Array.from(bytes), 8, 5, true);
+const wordsToInt = (words) => words.reduce((n, word) => n * 32 + word, 0);
+const minimalWordCount = (n) => {
+  let count = 1;
+  while (n >= Math.pow(32, count)) count += 1;
+  return count;
+};
+const intToWords = (n, length) => Array.from({ length }, (_, i) => Math.floor(n / Math.pow(32, length - 1 - i)) % 32);
+
+// Helper: Split a bech32 string into its hrp and data words (checksum removed)
+const decodeBech32 = (text) => {
+  if (text !== text.toLowerCase() && text !== text.toUpperCase()) throw new Error('invoice must not mix upper and lower case');
+  const lower = text.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || lower.length - separator - 1 < 6) throw new Error('invoice is not bech32 encoded');
+
+  const hrp = lower.slice(0, separator);
+  const words = Array.from(lower.slice(separator + 1), c => CHARSET.indexOf(c));
+  if (words.includes(-1)) throw new Error('invoice contains characters outside the bech32 alphabet');
+  if (polymod([...expandHrp(hrp), ...words]) !== 1) throw new Error('invoice checksum is invalid');
+  return { hrp, words: words.slice(0, -6) };
+};
+
+// Helper: Parse the human-readable part into { network, amountMsat }
+const parseHrp = (hrp) => {
+  if (!hrp.startsWith('ln')) throw new Error('invoice must start with "ln"');
+  const rest = hrp.slice(2);
+  const [network, prefix] = Object.entries(NETWORKS)
+    .sort((a, b) => b[1].length - a[1].length)
+    .find(([, p]) => rest.startsWith(p)) || [];
+  if (!network) throw new Error(`unknown invoice network prefix in "${hrp}"`);
+
+  const amountText = rest.slice(prefix.length);
+  if (amountText === '') return { network, amountMsat: null };
+
+  const match = amountText.match(/^([1-9]\d*)([munp]?)$/);
+  if (!match) throw new Error(`invalid invoice amount "${amountText}"`);
+  const [, digits, multiplier] = match;
+  const scaled = BigInt(digits) * MSAT_PER_BTC;
+  const divisor = multiplier ? MULTIPLIERS[multiplier] : 1n;
+  if (scaled % divisor !== 0n) throw new Error('invoice amount is not a whole number of millisatoshis');
+  const amountMsat = scaled / divisor;
+  if (amountMsat > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error('invoice amount is too large');
+  return { network, amountMsat: Number(amountMsat) };
+};
+
+// Helper: Shortest hrp amount for `amountMsat` (null = amountless)
+const formatAmount = (amountMsat) => {
+  if (amountMsat === null || amountMsat === undefined) return '';
+  const msat = BigInt(amountMsat);
+  if (msat % MSAT_PER_BTC === 0n) return String(msat / MSAT_PER_BTC);
+  const [multiplier, divisor] = Object.entries(MULTIPLIERS)
+    .find(([, d]) => (msat * d) % MSAT_PER_BTC === 0n);
+  return `${(msat * divisor) / MSAT_PER_BTC}${multiplier}`;
+};
+
+/**
+ * Decode a BOLT11 payment request (an optional 'lightning:' prefix is ignored)
+ *
+ * Returns { paymentRequest, network, amountMsat, amountSats, timestamp, createdAt,
+ * expirySeconds, expiresAt, paymentHash, paymentSecret, description,
+ * descriptionHash, payee, minFinalCltvExpiry }. amountMsat and amountSats are
+ * null for amountless invoices; amountSats is fractional for sub-satoshi amounts.
+ * Throws an Error describing the first problem found.
+ */
+const decodeInvoice = (paymentRequest) => {
+  if (typeof paymentRequest !== 'string' || paymentRequest.trim() === '') {
+    throw new Error('invoice must be a non-empty string');
+  }
+  const text = paymentRequest.trim().replace(/^lightning:/i, '');
+  const { hrp, words } = decodeBech32(text);
+  const { network, amountMsat } = parseHrp(hrp);
+  if (words.length < TIMESTAMP_WORDS + SIGNATURE_WORDS) throw new Error('invoice is too short');
+
+  const timestamp = wordsToInt(words.slice(0, TIMESTAMP_WORDS));
+  const fields = words.slice(TIMESTAMP_WORDS, -SIGNATURE_WORDS);
+  const invoice = {
+    paymentRequest: text.toLowerCase(),
+    network,
+    amountMsat,
+    amountSats: amountMsat === null ? null : amountMsat / 1000,
+    timestamp,
+    createdAt: new Date(timestamp * 1000).toISOString(),
+    expirySeconds: DEFAULT_EXPIRY_SECONDS,
+    expiresAt: null,
+    paymentHash: null,
+    paymentSecret: null,
+    description: null,
+    descriptionHash: null,
+    payee: null,
+    minFinalCltvExpiry: null
+  };
+
+  for (let i = 0; i < fields.length;) {
+    if (i + 3 > fields.length) throw new Error('invoice has a truncated tagged field');
+    const type = fields[i];
+    const length = fields[i + 1] * 32 + fields[i + 2];
+    const data = fields.slice(i + 3, i + 3 + length);
+    if (data.length !== length) throw new Error('invoice has a truncated tagged field');
+    i += 3 + length;
+
+    // Fields of an unexpected length are skipped, as BOLT11 requires
+    if (type === TAGS.PAYMENT_HASH && length === 52) invoice.paymentHash = wordsToBytes(data).toString('hex');
+    if (type === TAGS.PAYMENT_SECRET && length === 52) invoice.paymentSecret = wordsToBytes(data).toString('hex');
+    if (type === TAGS.DESCRIPTION_HASH && length === 52) invoice.descriptionHash = wordsToBytes(data).toString('hex');
+    if (type === TAGS.PAYEE && length === 53) invoice.payee = wordsToBytes(data).toString('hex');
+    if (type === TAGS.DESCRIPTION) invoice.description = wordsToBytes(data).toString('utf8');
+    if (type === TAGS.EXPIRY) invoice.expirySeconds = wordsToInt(data);
+    if (type === TAGS.MIN_FINAL_CLTV) invoice.minFinalCltvExpiry = wordsToInt(data);
+  }
+
+  if (!invoice.paymentHash) throw new Error('invoice has no payment hash');
+  if (invoice.description === null && invoice.descriptionHash === null) {
+    throw new Error('invoice has no description or description hash');
+  }
+  invoice.expiresAt = new Date((timestamp + invoice.expirySeconds) * 1000).toISOString();
+  return invoice;
+};
+
+/**
+ * Encode a test invoice (placeholder signature, see LIMITS above)
+ *
+ * Options:
+ * - network: 'mainnet' | 'testnet' | 'signet' | 'regtest' (default mainnet)
+ * - amountSats / amountMsat: Invoice amount (omit both for an amountless invoice)
+ * - timestamp: Creation time in epoch seconds (default now)
+ * - expirySeconds: Lifetime (default 3600)
+ * - description: Text description (default 'Mock invoice', at most MAX_DESCRIPTION_BYTES)
+ * - paymentHash: 32-byte hex (default random)
+ * - payee: 33-byte hex node public key (default none)
+ */
+const encodeInvoice = ({
+  network = 'mainnet',
+  amountSats,
+  amountMsat = amountSats === undefined || amountSats === null ? null : Math.round(amountSats * 1000),
+  timestamp = Math.floor(Date.now() / 1000),
+  expirySeconds = DEFAULT_EXPIRY_SECONDS,
+  description = 'Mock invoice',
+  paymentHash = crypto.randomBytes(32).toString('hex'),
+  payee = null
+} = {}) => {
+  if (!NETWORKS[network]) throw new Error(`network must be one of: ${Object.keys(NETWORKS).join(', ')}`);
+  if (Buffer.byteLength(description, 'utf8') > MAX_DESCRIPTION_BYTES) {
+    throw new Error(`description must be at most ${MAX_DESCRIPTION_BYTES} bytes`);
+  }
+
+  const hrp = `ln${NETWORKS[network]}${formatAmount(amountMsat)}`;
+  const tagged = (type, words) => {
+    if (words.length > MAX_FIELD_WORDS) throw new Error(`tagged field ${CHARSET[type]} exceeds ${MAX_FIELD_WORDS} words`);
+    return [type, Math.floor(words.length / 32), words.length % 32, ...words];
+  };
+
+  const words = [
+    ...intToWords(timestamp, TIMESTAMP_WORDS),
+    ...tagged(TAGS.PAYMENT_HASH, bytesToWords(Buffer.from(paymentHash, 'hex'))),
+    ...tagged(TAGS.DESCRIPTION, bytesToWords(Buffer.from(description, 'utf8'))),
+    ...tagged(TAGS.EXPIRY, intToWords(expirySeconds, minimalWordCount(expirySeconds))),
+    ...(payee ? tagged(TAGS.PAYEE, bytesToWords(Buffer.from(payee, 'hex'))) : [])
+  ];
+  const digest = crypto.createHash('sha256').update(hrp).update(Buffer.from(words)).digest();
+  const signature = bytesToWords(Buffer.concat([digest, digest, Buffer.from([0])]));
+  const data = [...words, ...signature];
+
+  return `${hrp}1${[...data, ...createChecksum(hrp, data)].map(w => CHARSET[w]).join('')}`;
+};
+
+// Lightning address (LUD-16): name@domain, name limited to a-z 0-9 - _ . +
+const LIGHTNING_ADDRESS_PATTERN = /^[a-z0-9\-_.+]+@([a-z0-9-]+\.)+[a-z]{2,}$/;
+
+const isLightningAddress = (address) =>
+  typeof address === 'string' && address.length <= 320 && LIGHTNING_ADDRESS_PATTERN.test(address.toLowerCase());
+
+module.exports = {
+  NETWORKS,
+  DEFAULT_EXPIRY_SECONDS,
+  MAX_DESCRIPTION_BYTES,
+  decodeInvoice,
+  encodeInvoice,
+  isLightningAddress
+};
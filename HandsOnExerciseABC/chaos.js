@@ -0,0 +1,217 @@
+/**
+ * Chaos Engine for the Mock Payment API
+ *
+ * Rule-based failure injection. Each rule names a fault, where it applies and
+ * when it fires; the API asks the engine at each injection point whether a
+ * fault of that kind should happen for the current request.
+ *
+ * FAULTS:
+ * - latency: delay the request by `latencyMs`, then handle it normally
+ * - error: answer `status` (500 or 503) without handling the request
+ * - drop: close the connection without handling the request
+ * - partial_write: handle the request, then send half the response body and close
+ * - response_lost: handle the request, then close without responding
+ *   ("succeeded but response lost")
+ * - gateway_timeout: POST /api/v1/payouts charges, waits `latencyMs` and answers
+ *   504; `rollback` decides whether the hold is released
+ * - webhook_failure: a callback delivery attempt fails with `status`
+ *   (null = connection error) instead of being POSTed
+ *
+ * MATCHING:
+ * - route: 'METHOD /path' or '/path' (any method), with ':param' segments and
+ *   '*' wildcards; '*' alone matches everything. Webhook rules ignore it.
+ * - projectId: only requests for this project (null = any)
+ *
+ * TRIGGERS (checked in this order):
+ * - count: stop after firing this many times (null = unlimited)
+ * - sequence: deterministic pattern cycled per matching request, e.g. [1, 0, 0]
+ * - probability: chance to fire (default 1)
+ */
+
+const FAULTS = {
+  LATENCY: 'latency',
+  ERROR: 'error',
+  DROP: 'drop',
+  PARTIAL_WRITE: 'partial_write',
+  RESPONSE_LOST: 'response_lost',
+  GATEWAY_TIMEOUT: 'gateway_timeout',
+  WEBHOOK_FAILURE: 'webhook_failure'
+};
+const VALID_FAULTS = Object.values(FAULTS);
+const ERROR_STATUSES = [500, 503];
+const DEFAULT_GATEWAY_TIMEOUT_MS = 2000;
+
+// Helper: Compile a route pattern to { method, regex }
+const compileRoute = (route) => {
+  const [first, second] = route.trim().split(/\s+/);
+  const method = second ? first.toUpperCase() : '*';
+  const path = second || first;
+  if (path === '*') return { method, regex: /^.*$/ };
+
+  const source = path
+    .split('/')
+    .map(segment => {
+      if (segment === '*') return '.*';
+      if (segment.startsWith(':')) return '[^/]+';
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return { method, regex: new RegExp(`^${source}/?$`) };
+};
+
+// Helper: Validate a rule spec. Returns a list of problems; empty when valid.
+const validateRule = (spec, index) => {
+  const at = `rules[${index}]`;
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) return [`${at} must be an object`];
+
+  const errors = [];
+  const isProbability = (v) => typeof v === 'number' && v >= 0 && v <= 1;
+  const { fault, route, projectId, probability, count, sequence, latencyMs, status, rollback } = spec;
+
+  if (!VALID_FAULTS.includes(fault)) errors.push(`${at}.fault must be one of: ${VALID_FAULTS.join(', ')}`);
+  if (route !== undefined && (typeof route !== 'string' || route.trim() === '')) errors.push(`${at}.route must be a non-empty string`);
+  if (projectId !== undefined && projectId !== null && typeof projectId !== 'string') errors.push(`${at}.projectId must be a string or null`);
+  if (probability !== undefined && !isProbability(probability)) errors.push(`${at}.probability must be a number between 0 and 1`);
+  if (count !== undefined && count !== null && !(Number.isInteger(count) && count >= 1)) errors.push(`${at}.count must be an integer >= 1 or null`);
+  if (sequence !== undefined && sequence !== null && !(Array.isArray(sequence) && sequence.length > 0)) {
+    errors.push(`${at}.sequence must be a non-empty array or null`);
+  }
+  if (latencyMs !== undefined && !(typeof latencyMs === 'number' && latencyMs >= 0)) errors.push(`${at}.latencyMs must be a number >= 0`);
+  if (fault === FAULTS.LATENCY && latencyMs === undefined) errors.push(`${at}.latencyMs is required for latency rules`);
+  if (fault === FAULTS.ERROR && status !== undefined && !ERROR_STATUSES.includes(status)) {
+    errors.push(`${at}.status must be one of: ${ERROR_STATUSES.join(', ')}`);
+  }
+  if (fault === FAULTS.WEBHOOK_FAILURE && status !== undefined && status !== null && !(Number.isInteger(status) && status >= 300 && status <= 599)) {
+    errors.push(`${at}.status must be an HTTP status between 300 and 599, or null for a connection error`);
+  }
+  if (rollback !== undefined && typeof rollback !== 'boolean') errors.push(`${at}.rollback must be a boolean`);
+  return errors;
+};
+
+// Validate a list of rule specs. Returns a list of problems; empty when valid.
+const validateRules = (specs) => {
+  if (!Array.isArray(specs)) return ['rules must be an array'];
+  const errors = specs.flatMap(validateRule);
+  const ids = specs.filter(spec => spec && spec.id).map(spec => String(spec.id));
+  if (new Set(ids).size !== ids.length) errors.push('rule ids must be unique');
+  return errors;
+};
+
+/**
+ * Create a chaos engine
+ *
+ * Options:
+ * - random: Function returning a number in [0, 1) for probability checks
+ */
+const createChaosEngine = ({ random = Math.random } = {}) => {
+  let enabled = false;
+  let rules = [];
+  let nextRuleId = 1;
+
+  // Next generated id not in `taken` (user-supplied ids may look like 'rule_1')
+  const generateRuleId = (taken) => {
+    let id;
+    do {
+      id = `rule_${nextRuleId++}`;
+    } while (taken.has(id));
+    return id;
+  };
+
+  // Normalize a validated spec into a stored rule with fresh stats.
+  // `taken`: ids already in use, so a generated id never replaces another rule.
+  const buildRule = (spec, taken) => {
+    const rule = {
+      id: spec.id ? String(spec.id) : generateRuleId(taken),
+      fault: spec.fault,
+      route: spec.route || '*',
+      projectId: spec.projectId || null,
+      probability: spec.probability !== undefined ? spec.probability : 1,
+      count: spec.count || null,
+      sequence: spec.sequence ? spec.sequence.map(Boolean) : null,
+      stats: { matched: 0, fired: 0 }
+    };
+    if (spec.fault === FAULTS.LATENCY) rule.latencyMs = spec.latencyMs;
+    if (spec.fault === FAULTS.GATEWAY_TIMEOUT) {
+      rule.latencyMs = spec.latencyMs !== undefined ? spec.latencyMs : DEFAULT_GATEWAY_TIMEOUT_MS;
+      rule.rollback = spec.rollback !== undefined ? spec.rollback : true;
+    }
+    if (spec.fault === FAULTS.ERROR) rule.status = spec.status || 500;
+    if (spec.fault === FAULTS.WEBHOOK_FAILURE) rule.status = spec.status !== undefined ? spec.status : 500;
+    return rule;
+  };
+
+  const matches = (rule, { method, path, projectId }) => {
+    if (rule.projectId && rule.projectId !== projectId) return false;
+    if (path === undefined || rule.fault === FAULTS.WEBHOOK_FAILURE) return true;
+    const { method: ruleMethod, regex } = compileRoute(rule.route);
+    return (ruleMethod === '*' || ruleMethod === method) && regex.test(path);
+  };
+
+  // Decide whether a matching rule fires now (updates its stats)
+  const fires = (rule) => {
+    rule.stats.matched += 1;
+    if (rule.count !== null && rule.stats.fired >= rule.count) return false;
+
+    const fire = rule.sequence
+      ? rule.sequence[(rule.stats.matched - 1) % rule.sequence.length]
+      : random() < rule.probability;
+    if (fire) rule.stats.fired += 1;
+    return fire;
+  };
+
+  // The first rule for `fault` that matches the context and fires, or null.
+  // Context: { method, path, projectId } (method/path omitted for webhooks).
+  const trigger = (fault, context = {}) => {
+    if (!enabled) return null;
+    return rules
+      .filter(rule => rule.fault === fault && matches(rule, context))
+      .find(fires) || null;
+  };
+
+  // Replace the rule set. Returns a list of problems (nothing changes on error).
+  const setRules = (specs) => {
+    const errors = validateRules(specs);
+    if (errors.length > 0) return errors;
+
+    const taken = new Set(specs.filter(spec => spec.id).map(spec => String(spec.id)));
+    rules = specs.map(spec => buildRule(spec, taken));
+    return [];
+  };
+
+  // Add or replace the rule with the spec's id. Returns a list of problems.
+  const upsertRule = (spec) => {
+    const errors = validateRule(spec, 0);
+    if (errors.length > 0) return errors;
+
+    const rule = buildRule(spec, new Set(rules.map(existing => existing.id)));
+    const index = rules.findIndex(existing => existing.id === rule.id);
+    if (index >= 0) rules[index] = rule;
+    else rules.push(rule);
+    return [];
+  };
+
+  const getRule = (id) => rules.find(rule => rule.id === id);
+
+  const reset = () => {
+    enabled = false;
+    rules = [];
+    nextRuleId = 1;
+  };
+
+  return {
+    trigger,
+    setRules,
+    upsertRule,
+    getRule,
+    reset,
+    setEnabled: (value) => { enabled = value; },
+    isEnabled: () => enabled,
+    rules: () => rules.map(rule => ({ ...rule, stats: { ...rule.stats } }))
+  };
+};
+
+module.exports = {
+  FAULTS,
+  createChaosEngine,
+  validateChaosRules: validateRules
+};
@@ -0,0 +1,145 @@
+/**
+ * Virtual Clock for the Mock Payment API
+ *
+ * Everything time-based in the API (timestamps, expiry, rate limit windows,
+ * idempotency TTLs, settlement and webhook retry timers) reads this clock
+ * instead of Date.now(), so tests can move time instead of sleeping.
+ *
+ * MODES:
+ * - running (default): follows the system clock, shifted by any set/advance
+ * - frozen: time stands still until it is set or advanced
+ *
+ * TIMERS:
+ * clock.setTimeout() timers are due at a virtual time. A running clock fires
+ * them on schedule; advance() and set() fire every timer they move past, in
+ * due order, with now() equal to each timer's due time while it runs (so a
+ * timer scheduled by another timer inside the jump fires too).
+ */
+
+/**
+ * Create a clock
+ *
+ * Options:
+ * - realNow: System time source in epoch milliseconds (injectable for tests)
+ */
+const createClock = ({ realNow = () => Date.now() } = {}) => {
+  let offsetMs = 0;      // Virtual minus system time while running
+  let frozenAt = null;   // Virtual time while frozen
+  let nextTimerId = 1;
+  const timers = new Map();  // timerId -> { id, dueAt, callback }
+  let wakeTimer = null;      // System timer for the earliest virtual timer
+
+  const now = () => (frozenAt !== null ? frozenAt : realNow() + offsetMs);
+  const date = () => new Date(now());
+  const iso = () => date().toISOString();
+
+  // Move virtual time without firing timers
+  const jumpTo = (time) => {
+    if (frozenAt !== null) frozenAt = time;
+    else offsetMs = time - realNow();
+  };
+
+  // Earliest pending timer (ties fire in scheduling order)
+  const nextTimer = () => Array.from(timers.values())
+    .reduce((first, timer) => (!first || timer.dueAt < first.dueAt ? timer : first), null);
+
+  // Fire every timer due at or before `until`, stepping time to each due time
+  const fireUntil = (until) => {
+    let fired = 0;
+    let timer = nextTimer();
+    while (timer && timer.dueAt <= until) {
+      timers.delete(timer.id);
+      if (timer.dueAt > now()) jumpTo(timer.dueAt);
+      timer.callback();
+      fired += 1;
+      timer = nextTimer();
+    }
+    return fired;
+  };
+
+  // (Re)arm the system timer that wakes a running clock for its next timer
+  const arm = () => {
+    if (wakeTimer) clearTimeout(wakeTimer);
+    wakeTimer = null;
+
+    const timer = nextTimer();
+    if (!timer || frozenAt !== null) return;
+    wakeTimer = setTimeout(() => {
+      wakeTimer = null;
+      fireUntil(now());
+      arm();
+    }, Math.max(0, timer.dueAt - now()));
+    wakeTimer.unref(); // Never keep the process alive just for virtual timers
+  };
+
+  // Schedule `callback` after `delayMs` of virtual time; returns a timer ID
+  const setTimeoutOnClock = (callback, delayMs = 0) => {
+    const id = nextTimerId++;
+    timers.set(id, { id, dueAt: now() + Math.max(0, delayMs), callback });
+    arm();
+    return id;
+  };
+
+  const clearTimeoutOnClock = (id) => {
+    if (timers.delete(id)) arm();
+  };
+
+  // Stop time at the current instant
+  const freeze = () => {
+    if (frozenAt === null) frozenAt = now();
+    arm();
+  };
+
+  // Let a frozen clock run again from where it stopped
+  const unfreeze = () => {
+    if (frozenAt !== null) {
+      offsetMs = frozenAt - realNow();
+      frozenAt = null;
+    }
+    arm();
+  };
+
+  // Jump to an absolute time; moving forward fires the timers passed over.
+  // Returns the number of timers fired.
+  const set = (time) => {
+    const fired = fireUntil(time);
+    jumpTo(time);
+    arm();
+    return fired;
+  };
+
+  // Move forward by `ms`; returns the number of timers fired
+  const advance = (ms) => set(now() + ms);
+
+  // Back to running on system time (pending timers are kept)
+  const reset = () => {
+    offsetMs = 0;
+    frozenAt = null;
+    arm();
+  };
+
+  const status = () => ({
+    now: iso(),
+    frozen: frozenAt !== null,
+    offsetMs: frozenAt !== null ? frozenAt - realNow() : offsetMs,
+    pendingTimers: timers.size
+  });
+
+  return {
+    now,
+    date,
+    iso,
+    setTimeout: setTimeoutOnClock,
+    clearTimeout: clearTimeoutOnClock,
+    freeze,
+    unfreeze,
+    set,
+    advance,
+    reset,
+    status
+  };
+};
+
+module.exports = {
+  createClock
+};
@@ -17,26 +17,107 @@
  * TC-F003 (0 sats)  → Catches BUG-001: Zero amount returns wrong error code
  * TC-F003 (100k)    → Catches BUG-002: Test setup issue (needs more balance)
  * TC-F006           → Catches BUG-003: Test setup issue (reset behavior)
- * TC-F008           → Catches BUG-004: Unknown project returns wrong error
- * TC-F009           → Catches BUG-005: Idempotency key not scoped to project
+ * TC-F007           → Verifies BUG-004 fix: Unknown project returns PROJECT_NOT_FOUND
+ * TC-F008           → Verifies BUG-005 fix: Idempotency keys scoped per project
+ *
+ * All requests authenticate with the 'apikey' header (see TC-F015)
  * ============================================================
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
 const {
   app,
   server,
+  API_KEY,
   PAYOUT_STATUS,
+  PAYOUT_TRANSITIONS,
+  LEDGER_ACCOUNTS,
+  LEDGER_ENTRY_TYPES,
   VALID_STATUSES,
   MAX_DESCRIPTION_LENGTH,
   DEFAULT_EXPIRY_SECONDS,
-  SERVICE_FEE_PERCENT
+  DEFAULT_PROJECT_SETTINGS,
+  EXPIRY_SWEEP_INTERVAL_MS,
+  MAX_BATCH_SIZE,
+  IDEMPOTENT_REPLAY_HEADER,
+  IDEMPOTENCY_LOCK_WAIT_MS,
+  DESTINATION_TYPES,
+  LIGHTNING_NETWORK,
+  CHARGE_STATUS,
+  MAX_CHARGE_AMOUNT,
+  CALLBACK_EVENTS,
+  SERVICE_FEE_PERCENT,
+  WEBHOOK_SIGNATURE_HEADER
 } = require('./payment-api');
+const { COLLECTIONS, createStore } = require('./storage');
+const { STRATEGIES, createRateLimiter } = require('./rate-limiter');
+const { createClock } = require('./clock');
+const { FAULTS, createChaosEngine } = require('./chaos');
+const { createRandom, validateSeed } = require('./random');
+const { MAX_DESCRIPTION_BYTES, decodeInvoice, encodeInvoice, isLightningAddress } = require('./bolt11');
+const { DEFAULT_GRAPH, HTLC_STATUS, createLightningNode } = require('./lightning-node');
+
+// The SQLite backend needs the optional better-sqlite3 dependency
+const hasSqlite = (() => {
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch (err) {
+    return false;
+  }
+})();
+
+// Authenticated agent: every request carries the wildcard test API key.
+// Bound to the listening server: an agent built from `app` listens and closes the
+// same server around each request, resetting parallel requests' connections.
+const api = request.agent(server).set('apikey', API_KEY);
+
+// Helper: Create a project (projects must exist before they can be funded)
+const createProject = (id) => api.post('/api/v1/projects').send({ id }).expect(201);
+
+// Helper: POST a payout: 1,000 sats to player_test from the test project unless
+// `fields` say otherwise. Not asserted, so tests can check rejections.
+const postPayout = (fields = {}) => api
+  .post('/api/v1/payouts')
+  .send({ gamertag: 'player_test', amount: 1000, projectId: 'project_test_001', ...fields });
+
+// Helper: Create a payout that must succeed (201)
+const createPayout = (fields = {}) => postPayout(fields).expect(201);
+
+// Helper: A project's balance view ({ balance, available, reserved, total, ... })
+const getBalance = async (projectId = 'project_test_001') => (
+  await api.get(`/api/v1/projects/${projectId}/balance`).expect(200)
+).body.data;
+
+// Helper: A project's available balance in sats
+const getAvailable = async (projectId = 'project_test_001') => (await getBalance(projectId)).available;
+
+// Helper: Fire `count` requests at once and wait for all of them.
+// Supertest requests start when awaited, so Promise.all puts them in flight together.
+const inParallel = (count, makeRequest) =>
+  Promise.all(Array.from({ length: count }, (_, i) => makeRequest(i)));
 
 // Test setup and teardown
 beforeEach(async () => {
   // Reset state before each test
-  await request(app).delete('/api/v1/test/reset');
+  await api.delete('/api/v1/test/reset');
+
+  // Keep payouts pending unless a test opts into automatic settlement (TC-F016)
+  await api.post('/api/v1/test/settlement').send({ enabled: false });
+
+  // Log callbacks without POSTing them unless a test opts in (TC-F017)
+  await api.post('/api/v1/test/webhooks').send({ enabled: false });
+
+  // Expire payouts only on read or clock changes unless a test opts into the sweeper (TC-F033)
+  await api.post('/api/v1/test/expiry-sweeper').send({ enabled: false });
+
+  // Skip the simulated 50-150ms network delay unless a test opts in (TC-F035)
+  await api.post('/api/v1/test/seed').send({ simulateDelay: false });
 });
 
 afterAll(() => {
@@ -54,7 +135,7 @@ describe('Payment API Functional Tests', () => {
       const expectedFee = Math.ceil(amount * SERVICE_FEE_PERCENT); // 20 sats
       const expectedTotalCost = amount + expectedFee; // 1020 sats
 
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_001',
@@ -67,7 +148,7 @@ describe('Payment API Functional Tests', () => {
       // Verify ZBD-style response structure
       expect(response.body.success).toBe(true);
       expect(response.body.data).toHaveProperty('id');
-      expect(response.body.data).toHaveProperty('status', 'completed');
+      expect(response.body.data).toHaveProperty('status', 'pending');
       expect(response.body.data.amount).toBe(amount);
 
       // Verify fee fields in response
@@ -75,7 +156,7 @@ describe('Payment API Functional Tests', () => {
       expect(response.body.data.totalCost).toBe(expectedTotalCost);
 
       // Verify balance deduction (amount + fee)
-      const balanceResponse = await request(app)
+      const balanceResponse = await api
         .get('/api/v1/projects/project_test_001/balance')
         .expect(200);
 
@@ -88,7 +169,7 @@ describe('Payment API Functional Tests', () => {
    */
   describe('TC-F002: Input Validation - Missing Fields', () => {
     it('should reject request with missing gamertag', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           amount: 1000,
@@ -102,7 +183,7 @@ describe('Payment API Functional Tests', () => {
     });
 
     it('should reject request with missing amount', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_001',
@@ -120,7 +201,7 @@ describe('Payment API Functional Tests', () => {
    */
   describe('TC-F003: Boundary Values - Amount Limits', () => {
     it('should accept minimum amount (1 sat)', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_001',
@@ -135,11 +216,12 @@ describe('Payment API Functional Tests', () => {
 
     it('should accept maximum amount (100,000 sats)', async () => {
       // Fund project with enough for max payout + 2% fee (100,000 + 2,000 = 102,000)
-      await request(app)
+      await createProject('project_max_test');
+      await api
         .post('/api/v1/projects/project_max_test/fund')
         .send({ amount: 110000 }); // Extra buffer
 
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_001',
@@ -166,7 +248,7 @@ describe('Payment API Functional Tests', () => {
      * - Fix would be: Change `!amount` to `amount === undefined || amount === null`
      */
     it('should reject amount below minimum (0 sats)', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_001',
@@ -181,7 +263,7 @@ describe('Payment API Functional Tests', () => {
     });
 
     it('should reject amount above maximum (100,001 sats)', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_001',
@@ -191,6 +273,24 @@ describe('Payment API Functional Tests', () => {
         .expect(400);
 
       expect(response.body.data.error).toBe('INVALID_AMOUNT');
+    })
+    it('should reject string and fractional amounts without touching the ledger', async () => {
+      for (const amount of ['100', 10.5]) {
+        const response = await api
+          .post('/api/v1/payouts')
+          .send({ gamertag: 'player_001', amount, projectId: 'project_test_001' })
+          .expect(400);
+
+        expect(response.body.data.error).toBe('INVALID_AMOUNT');
+        expect(response.body.message).toBe('Amount must be a whole number of sats');
+      }
+
+      const fund = await api.post('/api/v1/projects/project_test_001/fund').send({ amount: '500' }).expect(400);
+      expect(fund.body.data.error).toBe('INVALID_AMOUNT');
+
+      const balance = await api.get('/api/v1/projects/project_test_001/balance').expect(200);
+      expect(balance.body.data).toMatchObject({ balance: 100000, reserved: 0 });
+      expect((await api.get('/api/v1/test/invariants').expect(200)).body.data.ok).toBe(true);
     });
   });
 
@@ -211,7 +311,7 @@ describe('Payment API Functional Tests', () => {
       };
 
       // First request
-      const response1 = await request(app)
+      const response1 = await api
         .post('/api/v1/payouts')
         .send(payoutData)
         .expect(201);
@@ -219,17 +319,18 @@ describe('Payment API Functional Tests', () => {
       const originalPayoutId = response1.body.data.id;
 
       // Second request with same idempotency key
-      const response2 = await request(app)
+      const response2 = await api
         .post('/api/v1/payouts')
         .send(payoutData)
-        .expect(200);
+        .expect(201);
 
-      // Should return same payout
+      // Should replay the original response exactly
       expect(response2.body.data.id).toBe(originalPayoutId);
-      expect(response2.body.message).toContain('already processed');
+      expect(response2.body).toEqual(response1.body);
+      expect(response2.headers[IDEMPOTENT_REPLAY_HEADER.toLowerCase()]).toBe('true');
 
       // Verify balance only deducted once (amount + fee)
-      const balanceResponse = await request(app)
+      const balanceResponse = await api
         .get('/api/v1/projects/project_test_001/balance')
         .expect(200);
 
@@ -246,7 +347,7 @@ describe('Payment API Functional Tests', () => {
 
       // Create 10 successful payouts
       for (let i = 0; i < 10; i++) {
-        await request(app)
+        await api
           .post('/api/v1/payouts')
           .send({
             gamertag,
@@ -258,7 +359,7 @@ describe('Payment API Functional Tests', () => {
       }
 
       // 11th should be rate limited
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag,
@@ -270,7 +371,12 @@ describe('Payment API Functional Tests', () => {
 
       expect(response.body.data.error).toBe('RATE_LIMIT_EXCEEDED');
       expect(response.body.message).toContain('10 payouts per gamertag per hour');
-      expect(response.body.data.retryAfter).toBe(3600);
+
+      // The oldest payout was created moments ago, so a slot frees up in just under an hour
+      expect(response.body.data.retryAfter).toBeGreaterThan(3590);
+      expect(response.body.data.retryAfter).toBeLessThanOrEqual(3600);
+      expect(response.headers['retry-after']).toBe(String(response.body.data.retryAfter));
+      expect(response.headers['ratelimit-remaining']).toBe('0');
     });
   });
 
@@ -291,7 +397,8 @@ describe('Payment API Functional Tests', () => {
   describe('TC-F006: Insufficient Project Balance', () => {
     it('should reject payout when balance is insufficient (including fee)', async () => {
       // Set low balance using a new project
-      await request(app)
+      await createProject('project_low_balance');
+      await api
         .post('/api/v1/projects/project_low_balance/fund')
         .send({ amount: 500 }); // Only 500 sats
 
@@ -300,7 +407,7 @@ describe('Payment API Functional Tests', () => {
       const expectedTotalCost = amount + expectedFee; // 1020 sats
 
       // Try to payout 1000 sats (needs 1020 with fee)
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_001',
@@ -321,20 +428,13 @@ describe('Payment API Functional Tests', () => {
   /**
    * TEST 7: Unknown Project Handling
    *
-   * BUG-004: API returns wrong error for unknown projects.
-   *
-   * ACTUAL BEHAVIOR (what this test asserts):
-   * - API: `const balance = projectBalances.get(projectId) || 0;`
-   * - Unknown project defaults to balance=0
-   * - Then fails balance check and returns 402 INSUFFICIENT_BALANCE
-   *
-   * EXPECTED BEHAVIOR (ideal, but not implemented):
-   * - Should check if project exists first and return 404 PROJECT_NOT_FOUND
-   * - Fix would be: Check projectBalances.has(projectId) before balance check
+   * BUG-004 (fixed): Unknown projects used to default to balance=0 and
+   * return 402 INSUFFICIENT_BALANCE. Projects are now created explicitly
+   * (POST /api/v1/projects) and unknown IDs return 404 PROJECT_NOT_FOUND.
    */
   describe('TC-F007: Unknown Project Handling', () => {
-    it('should return INSUFFICIENT_BALANCE for unknown project (BUG-004: should be PROJECT_NOT_FOUND)', async () => {
-      const response = await request(app)
+    it('should return PROJECT_NOT_FOUND for unknown project', async () => {
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_001',
@@ -342,42 +442,43 @@ describe('Payment API Functional Tests', () => {
           projectId: 'project_unknown_xyz',
           idempotencyKey: 'unknown_project_test'
         })
-        .expect(402); // BUG-004: Should be 404
+        .expect(404);
 
-      // BUG-004: Currently returns INSUFFICIENT_BALANCE because unknown project defaults to 0 balance
-      // Ideally should return PROJECT_NOT_FOUND with 404 status
-      expect(response.body.data.error).toBe('INSUFFICIENT_BALANCE');
-      expect(response.body.data.currentBalance).toBe(0);
+      expect(response.body.data.error).toBe('PROJECT_NOT_FOUND');
+      expect(response.body.data.projectId).toBe('project_unknown_xyz');
+    });
+
+    it('should not create projects implicitly when funding (BUG-006)', async () => {
+      const response = await api
+        .post('/api/v1/projects/project_unknown_xyz/fund')
+        .send({ amount: 1000 })
+        .expect(404);
+
+      expect(response.body.data.error).toBe('PROJECT_NOT_FOUND');
+
+      await api.get('/api/v1/projects/project_unknown_xyz').expect(404);
     });
   });
 
   /**
    * TEST 8: Idempotency Key Scope
    *
-   * BUG-005: Idempotency key is globally scoped instead of per-project.
-   *
-   * ACTUAL BEHAVIOR (what this test asserts):
-   * - API searches ALL payouts for matching idempotencyKey (globally)
-   * - Project A creates payout with key "shared_key"
-   * - Project B tries to use same key "shared_key"
-   * - API finds Project A's payout and returns it with 200 (duplicate detected)
-   *
-   * EXPECTED BEHAVIOR (ideal, but not implemented):
-   * - Idempotency keys should be scoped per-project
-   * - Project B should be able to use the same key and get a new payout (201)
-   * - Fix would be: Change idempotency check to match both projectId AND idempotencyKey
+   * BUG-005 (fixed): Idempotency keys used to be global, so Project B reusing
+   * Project A's key got Project A's payout back. Keys are now indexed by
+   * (projectId, idempotencyKey), so each project gets its own payout.
    */
   describe('TC-F008: Idempotency Key Scope', () => {
-    it('should return existing payout when same idempotency key used across projects (BUG-005: should be per-project)', async () => {
+    it('should create a separate payout when another project reuses an idempotency key', async () => {
       const sharedKey = 'shared_idempotency_key';
 
       // Fund a second project
-      await request(app)
+      await createProject('project_test_002');
+      await api
         .post('/api/v1/projects/project_test_002/fund')
         .send({ amount: 10000 });
 
       // Project 1 creates payout with shared key
-      const response1 = await request(app)
+      const response1 = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_001',
@@ -387,9 +488,8 @@ describe('Payment API Functional Tests', () => {
         })
         .expect(201);
 
-      // BUG-005: Project 2 using same idempotency key gets Project 1's payout
-      // Ideally should create a new payout (201) since keys should be per-project
-      const response2 = await request(app)
+      // Project 2 using the same idempotency key gets its own payout
+      const response2 = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_002',
@@ -397,13 +497,12 @@ describe('Payment API Functional Tests', () => {
           projectId: 'project_test_002',
           idempotencyKey: sharedKey
         })
-        .expect(200); // BUG-005: Returns 200 (duplicate) instead of 201 (created)
+        .expect(201);
 
-      // BUG-005: Returns Project 1's payout instead of creating new one for Project 2
-      expect(response2.body.data.id).toBe(response1.body.data.id);
-      expect(response2.body.data.amount).toBe(100); // Project 1's amount, not 200
-      expect(response2.body.data.projectId).toBe('project_test_001'); // Wrong project!
-      expect(response2.body.message).toContain('already processed');
+      expect(response2.body.data.id).not.toBe(response1.body.data.id);
+      expect(response2.body.data.amount).toBe(200);
+      expect(response2.body.data.projectId).toBe('project_test_002');
+      expect(response2.headers[IDEMPOTENT_REPLAY_HEADER.toLowerCase()]).toBeUndefined();
     });
   });
 
@@ -415,10 +514,11 @@ describe('Payment API Functional Tests', () => {
    * - completed: Payment successfully delivered
    * - expired: Payment window expired (not claimed)
    * - error: Payment failed due to error
+   * - cancelled: Payment revoked by the project before settlement
    */
   describe('TC-F009: Payout Status Values', () => {
     it('should return all valid status values from /api/v1/statuses', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/v1/statuses')
         .expect(200);
 
@@ -428,15 +528,17 @@ describe('Payment API Functional Tests', () => {
       expect(response.body.data.statuses).toContain('completed');
       expect(response.body.data.statuses).toContain('expired');
       expect(response.body.data.statuses).toContain('error');
+      expect(response.body.data.statuses).toContain('cancelled');
+      expect(Object.keys(response.body.data.descriptions)).toEqual(VALID_STATUSES);
     });
 
-    it('should have exactly 4 valid status values', async () => {
-      expect(VALID_STATUSES).toHaveLength(4);
-      expect(VALID_STATUSES).toEqual(['pending', 'completed', 'expired', 'error']);
+    it('should have exactly 5 valid status values', async () => {
+      expect(VALID_STATUSES).toHaveLength(5);
+      expect(VALID_STATUSES).toEqual(['pending', 'completed', 'expired', 'error', 'cancelled']);
     });
 
-    it('should create payout with completed status by default', async () => {
-      const response = await request(app)
+    it('should create payout with pending status by default', async () => {
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_status_test',
@@ -446,34 +548,34 @@ describe('Payment API Functional Tests', () => {
         })
         .expect(201);
 
-      expect(response.body.data.status).toBe(PAYOUT_STATUS.COMPLETED);
+      expect(response.body.data.status).toBe(PAYOUT_STATUS.PENDING);
     });
 
-    it('should update payout status to pending', async () => {
+    it('should update payout status to completed', async () => {
       // Create payout
-      const createRes = await request(app)
+      const createRes = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_status_test',
           amount: 100,
           projectId: 'project_test_001',
-          idempotencyKey: 'status_pending_test'
+          idempotencyKey: 'status_completed_test'
         })
         .expect(201);
 
       const payoutId = createRes.body.data.id;
 
-      // Update status to pending
-      const updateRes = await request(app)
+      // Update status to completed
+      const updateRes = await api
         .patch(`/api/v1/payouts/${payoutId}/status`)
-        .send({ status: 'pending' })
+        .send({ status: 'completed' })
         .expect(200);
 
-      expect(updateRes.body.data.status).toBe('pending');
+      expect(updateRes.body.data.status).toBe('completed');
     });
 
     it('should update payout status to expired', async () => {
-      const createRes = await request(app)
+      const createRes = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_status_test',
@@ -485,7 +587,7 @@ describe('Payment API Functional Tests', () => {
 
       const payoutId = createRes.body.data.id;
 
-      const updateRes = await request(app)
+      const updateRes = await api
         .patch(`/api/v1/payouts/${payoutId}/status`)
         .send({ status: 'expired' })
         .expect(200);
@@ -494,7 +596,7 @@ describe('Payment API Functional Tests', () => {
     });
 
     it('should update payout status to error', async () => {
-      const createRes = await request(app)
+      const createRes = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_status_test',
@@ -506,7 +608,7 @@ describe('Payment API Functional Tests', () => {
 
       const payoutId = createRes.body.data.id;
 
-      const updateRes = await request(app)
+      const updateRes = await api
         .patch(`/api/v1/payouts/${payoutId}/status`)
         .send({ status: 'error' })
         .expect(200);
@@ -515,7 +617,7 @@ describe('Payment API Functional Tests', () => {
     });
 
     it('should reject invalid status value', async () => {
-      const createRes = await request(app)
+      const createRes = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_status_test',
@@ -527,7 +629,7 @@ describe('Payment API Functional Tests', () => {
 
       const payoutId = createRes.body.data.id;
 
-      const updateRes = await request(app)
+      const updateRes = await api
         .patch(`/api/v1/payouts/${payoutId}/status`)
         .send({ status: 'invalid_status' })
         .expect(400);
@@ -537,7 +639,7 @@ describe('Payment API Functional Tests', () => {
     });
 
     it('should return 404 when updating status of non-existent payout', async () => {
-      const response = await request(app)
+      const response = await api
         .patch('/api/v1/payouts/non_existent_id/status')
         .send({ status: 'completed' })
         .expect(404);
@@ -556,7 +658,7 @@ describe('Payment API Functional Tests', () => {
    */
   describe('TC-F010: Callback/Webhook Functionality', () => {
     it('should accept payout with valid callbackUrl', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_callback_test',
@@ -571,7 +673,7 @@ describe('Payment API Functional Tests', () => {
     });
 
     it('should reject invalid callbackUrl format', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_callback_test',
@@ -587,7 +689,7 @@ describe('Payment API Functional Tests', () => {
 
     it('should log callback when payout is created', async () => {
       // Create payout with callback
-      await request(app)
+      await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_callback_test',
@@ -599,7 +701,7 @@ describe('Payment API Functional Tests', () => {
         .expect(201);
 
       // Check callback log
-      const logResponse = await request(app)
+      const logResponse = await api
         .get('/api/v1/test/callbacks')
         .expect(200);
 
@@ -610,7 +712,7 @@ describe('Payment API Functional Tests', () => {
 
     it('should log callback when status is updated', async () => {
       // Create payout with callback
-      const createRes = await request(app)
+      const createRes = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_callback_test',
@@ -624,13 +726,13 @@ describe('Payment API Functional Tests', () => {
       const payoutId = createRes.body.data.id;
 
       // Update status
-      await request(app)
+      await api
         .patch(`/api/v1/payouts/${payoutId}/status`)
-        .send({ status: 'pending' })
+        .send({ status: 'completed' })
         .expect(200);
 
       // Check callback log has multiple entries
-      const logResponse = await request(app)
+      const logResponse = await api
         .get('/api/v1/test/callbacks')
         .expect(200);
 
@@ -651,7 +753,7 @@ describe('Payment API Functional Tests', () => {
    */
   describe('TC-F011: Expiration Handling', () => {
     it('should set default expiration time', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_expiry_test',
@@ -667,7 +769,7 @@ describe('Payment API Functional Tests', () => {
 
     it('should accept custom expiresIn parameter', async () => {
       const customExpiry = 600; // 10 minutes
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_expiry_test',
@@ -683,7 +785,7 @@ describe('Payment API Functional Tests', () => {
 
     it('should force expire payout via test endpoint', async () => {
       // Create payout
-      const createRes = await request(app)
+      const createRes = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_expiry_test',
@@ -696,7 +798,7 @@ describe('Payment API Functional Tests', () => {
       const payoutId = createRes.body.data.id;
 
       // Force expire
-      const expireRes = await request(app)
+      const expireRes = await api
         .post(`/api/v1/test/expire/${payoutId}`)
         .expect(200);
 
@@ -704,8 +806,8 @@ describe('Payment API Functional Tests', () => {
     });
 
     it('should return expired status when fetching expired payout', async () => {
-      // Create payout and set to pending
-      const createRes = await request(app)
+      // Create payout (starts pending; expiration only affects pending payouts)
+      const createRes = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_expiry_test',
@@ -717,17 +819,12 @@ describe('Payment API Functional Tests', () => {
 
       const payoutId = createRes.body.data.id;
 
-      // Set to pending first (expiration only affects pending payouts)
-      await request(app)
-        .patch(`/api/v1/payouts/${payoutId}/status`)
-        .send({ status: 'pending' });
-
       // Force expire
-      await request(app)
+      await api
         .post(`/api/v1/test/expire/${payoutId}`);
 
       // Fetch and verify expired
-      const getRes = await request(app)
+      const getRes = await api
         .get(`/api/v1/payouts/${payoutId}`)
         .expect(200);
 
@@ -745,7 +842,7 @@ describe('Payment API Functional Tests', () => {
   describe('TC-F012: Description Field Limits', () => {
     it('should accept valid description', async () => {
       const description = 'Payment for completing level 5';
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_desc_test',
@@ -761,7 +858,7 @@ describe('Payment API Functional Tests', () => {
 
     it('should accept description at max length (144 chars)', async () => {
       const description = 'A'.repeat(MAX_DESCRIPTION_LENGTH);
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_desc_test',
@@ -777,7 +874,7 @@ describe('Payment API Functional Tests', () => {
 
     it('should reject description over 144 characters', async () => {
       const description = 'A'.repeat(MAX_DESCRIPTION_LENGTH + 1);
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_desc_test',
@@ -793,7 +890,7 @@ describe('Payment API Functional Tests', () => {
     });
 
     it('should set description to null when not provided', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_desc_test',
@@ -818,7 +915,7 @@ describe('Payment API Functional Tests', () => {
       const amount = 1000;
       const expectedFee = 20; // 2% of 1000
 
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_fee_test',
@@ -836,7 +933,7 @@ describe('Payment API Functional Tests', () => {
       const amount = 150; // 2% = 3 sats
       const expectedFee = Math.ceil(amount * SERVICE_FEE_PERCENT); // 3 sats
 
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_fee_test',
@@ -854,7 +951,7 @@ describe('Payment API Functional Tests', () => {
       const amount = 1; // 2% of 1 = 0.02, ceiling = 1
       const expectedFee = 1;
 
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_fee_test',
@@ -870,14 +967,15 @@ describe('Payment API Functional Tests', () => {
 
     it('should calculate maximum fee on max payout (100,000 sats)', async () => {
       // Fund project with enough for max payout + 2% fee (100,000 + 2,000 = 102,000)
-      await request(app)
+      await createProject('project_fee_max');
+      await api
         .post('/api/v1/projects/project_fee_max/fund')
         .send({ amount: 110000 });
 
       const amount = 100000;
       const expectedFee = 2000; // 2% of 100,000
 
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_fee_test',
@@ -893,12 +991,13 @@ describe('Payment API Functional Tests', () => {
 
     it('should reject payout if balance covers amount but not fee', async () => {
       // Fund project with exactly 1000 sats
-      await request(app)
+      await createProject('project_exact_balance');
+      await api
         .post('/api/v1/projects/project_exact_balance/fund')
         .send({ amount: 1000 });
 
       // Try 1000 sat payout (needs 1020 with fee)
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_fee_test',
@@ -915,11 +1014,12 @@ describe('Payment API Functional Tests', () => {
     });
 
     it('should include fee in insufficient balance error message', async () => {
-      await request(app)
+      await createProject('project_fee_msg');
+      await api
         .post('/api/v1/projects/project_fee_msg/fund')
         .send({ amount: 100 });
 
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_fee_test',
@@ -946,7 +1046,7 @@ describe('Payment API Functional Tests', () => {
   describe('TC-F013: Internal ID Tracking', () => {
     it('should accept and store internalId', async () => {
       const internalId = 'client_tx_12345';
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_internal_test',
@@ -964,7 +1064,7 @@ describe('Payment API Functional Tests', () => {
       const internalId = 'client_tx_lookup';
 
       // Create payout with internalId
-      const createRes = await request(app)
+      const createRes = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_internal_test',
@@ -978,7 +1078,7 @@ describe('Payment API Functional Tests', () => {
       const originalId = createRes.body.data.id;
 
       // Lookup by internalId
-      const lookupRes = await request(app)
+      const lookupRes = await api
         .get(`/api/v1/payouts/by-internal-id/${internalId}`)
         .expect(200);
 
@@ -987,7 +1087,7 @@ describe('Payment API Functional Tests', () => {
     });
 
     it('should return 404 for unknown internalId', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/v1/payouts/by-internal-id/nonexistent_internal_id')
         .expect(404);
 
@@ -995,7 +1095,7 @@ describe('Payment API Functional Tests', () => {
     });
 
     it('should set internalId to null when not provided', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/v1/payouts')
         .send({
           gamertag: 'player_internal_test',
@@ -1009,4 +1109,3623 @@ describe('Payment API Functional Tests', () => {
     });
   });
 
+  /**
+   * TEST 15: Authentication & Project Scoping
+   *
+   * Tests API key enforcement and per-project authorization:
+   * - Missing or unknown API keys rejected with 401
+   * - Keys scoped to one project cannot touch another (403)
+   * - Test endpoints need a key scoped to all projects
+   * - /health stays public
+   */
+  describe('TC-F015: API Key Authentication & Project Scoping', () => {
+    const scopedKey = 'scoped_key_project_001';
+
+    beforeEach(async () => {
+      await createProject('project_test_002');
+      await api
+        .post('/api/v1/projects/project_test_002/fund')
+        .send({ amount: 10000 })
+        .expect(200);
+
+      await api
+        .post('/api/v1/test/api-keys')
+        .send({ apiKey: scopedKey, projectIds: ['project_test_001'] })
+        .expect(201);
+    });
+
+    it('should reject requests without an API key', async () => {
+      const response = await request(app)
+        .get('/api/v1/projects/project_test_001/balance')
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('API key');
+    });
+
+    it('should reject requests with an unknown API key', async () => {
+      await request(app)
+        .delete('/api/v1/test/reset')
+        .set('apikey', 'not_a_real_key')
+        .expect(401);
+    });
+
+    it('should keep /health public', async () => {
+      await request(app).get('/health').expect(200);
+    });
+
+    it('should allow a scoped key to access its own project', async () => {
+      const response = await request(app)
+        .post('/api/v1/payouts')
+        .set('apikey', scopedKey)
+        .send({
+          gamertag: 'player_scope_test',
+          amount: 100,
+          projectId: 'project_test_001',
+          idempotencyKey: 'scope_own_project'
+        })
+        .expect(201);
+
+      expect(response.body.data.projectId).toBe('project_test_001');
+    });
+
+    it('should deny payouts, balance reads and funding for another project', async () => {
+      const payoutRes = await request(app)
+        .post('/api/v1/payouts')
+        .set('apikey', scopedKey)
+        .send({
+          gamertag: 'player_scope_test',
+          amount: 100,
+          projectId: 'project_test_002',
+          idempotencyKey: 'scope_other_project'
+        })
+        .expect(403);
+
+      expect(payoutRes.body.data.error).toBe('PROJECT_ACCESS_DENIED');
+
+      await request(app)
+        .get('/api/v1/projects/project_test_002/balance')
+        .set('apikey', scopedKey)
+        .expect(403);
+
+      await request(app)
+        .post('/api/v1/projects/project_test_002/fund')
+        .set('apikey', scopedKey)
+        .send({ amount: 1000 })
+        .expect(403);
+
+      // Project 2 balance untouched
+      const balanceRes = await api
+        .get('/api/v1/projects/project_test_002/balance')
+        .expect(200);
+
+      expect(balanceRes.body.data.balance).toBe(10000);
+    });
+
+    it('should deny reading another project\'s payout', async () => {
+      const createRes = await api
+        .post('/api/v1/payouts')
+        .send({
+          gamertag: 'player_scope_test',
+          amount: 100,
+          projectId: 'project_test_002',
+          idempotencyKey: 'scope_read_test',
+          internalId: 'scope_internal_002'
+        })
+        .expect(201);
+
+      await request(app)
+        .get(`/api/v1/payouts/${createRes.body.data.id}`)
+        .set('apikey', scopedKey)
+        .expect(403);
+
+      await request(app)
+        .get('/api/v1/payouts/by-internal-id/scope_internal_002')
+        .set('apikey', scopedKey)
+        .expect(404);
+    });
+
+    it('should reserve test endpoints for keys scoped to all projects', async () => {
+      const reset = await request(app)
+        .delete('/api/v1/test/reset')
+        .set('apikey', scopedKey)
+        .expect(403);
+      expect(reset.body.data.error).toBe('TEST_ACCESS_DENIED');
+
+      await request(app)
+        .post('/api/v1/test/api-keys')
+        .set('apikey', scopedKey)
+        .send({ apiKey: 'escalated_key', projectIds: ['*'] })
+        .expect(403);
+
+      // Nothing was wiped or registered
+      await request(app).get('/api/v1/projects/project_test_002').set('apikey', 'escalated_key').expect(401);
+      await api.get('/api/v1/projects/project_test_002').expect(200);
+    });
+  });
+
+  /**
+   * TEST 16: Payout Lifecycle State Machine
+   *
+   * Tests asynchronous settlement and legal status transitions:
+   * - Payouts start pending and settle to completed after the simulated delay
+   * - Only pending -> completed/expired/error is allowed
+   * - Illegal transitions rejected with INVALID_TRANSITION (409)
+   */
+  describe('TC-F016: Payout Lifecycle & Asynchronous Settlement', () => {
+    const waitForStatus = async (payoutId, status, timeoutMs = 2000) => {
+      const deadline = Date.now() + timeoutMs;
+      let payout;
+      while (Date.now() < deadline) {
+        payout = (await api.get(`/api/v1/payouts/${payoutId}`)).body.data;
+        if (payout.status === status) return payout;
+        await new Promise(resolve => setTimeout(resolve, 25));
+      }
+      return payout;
+    };
+
+    it('should only allow transitions out of pending', () => {
+      expect(PAYOUT_TRANSITIONS.pending).toEqual(['completed', 'expired', 'error', 'cancelled']);
+      expect(PAYOUT_TRANSITIONS.completed).toEqual([]);
+      expect(PAYOUT_TRANSITIONS.expired).toEqual([]);
+      expect(PAYOUT_TRANSITIONS.error).toEqual([]);
+      expect(PAYOUT_TRANSITIONS.cancelled).toEqual([]);
+    });
+
+    it('should settle a pending payout to completed after the configured delay', async () => {
+      await api
+        .post('/api/v1/test/settlement')
+        .send({ enabled: true, delayMs: 50 })
+        .expect(200);
+
+      const createRes = await createPayout({
+        idempotencyKey: 'lifecycle_settle_test',
+        callbackUrl: 'https://example.com/lifecycle'
+      });
+      expect(createRes.body.data.status).toBe('pending');
+
+      const settled = await waitForStatus(createRes.body.data.id, 'completed');
+      expect(settled.status).toBe('completed');
+      expect(settled.updatedAt).toBeDefined();
+
+      // Callback fired for creation (pending) and settlement (completed)
+      const logRes = await api.get('/api/v1/test/callbacks').expect(200);
+      const statuses = logRes.body.data.callbacks
+        .filter(c => c.url === 'https://example.com/lifecycle')
+        .map(c => c.payload.data.status);
+      expect(statuses).toContain('completed');
+    });
+
+    it('should stay pending while settlement is disabled', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'lifecycle_no_settle_test' });
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const getRes = await api
+        .get(`/api/v1/payouts/${createRes.body.data.id}`)
+        .expect(200);
+      expect(getRes.body.data.status).toBe('pending');
+    });
+
+    it('should reject transitions out of a terminal status', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'lifecycle_terminal_test' });
+      const payoutId = createRes.body.data.id;
+
+      await api
+        .patch(`/api/v1/payouts/${payoutId}/status`)
+        .send({ status: 'completed' })
+        .expect(200);
+
+      const response = await api
+        .patch(`/api/v1/payouts/${payoutId}/status`)
+        .send({ status: 'error' })
+        .expect(409);
+
+      expect(response.body.data.error).toBe('INVALID_TRANSITION');
+      expect(response.body.data.from).toBe('completed');
+      expect(response.body.data.to).toBe('error');
+      expect(response.body.data.allowedTransitions).toEqual([]);
+    });
+
+    it('should reject moving a payout back to pending', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'lifecycle_repending_test' });
+
+      const response = await api
+        .patch(`/api/v1/payouts/${createRes.body.data.id}/status`)
+        .send({ status: 'pending' })
+        .expect(409);
+
+      expect(response.body.data.error).toBe('INVALID_TRANSITION');
+    });
+
+    it('should not force expire a completed payout', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'lifecycle_expire_completed_test' });
+      const payoutId = createRes.body.data.id;
+
+      await api
+        .patch(`/api/v1/payouts/${payoutId}/status`)
+        .send({ status: 'completed' })
+        .expect(200);
+
+      const response = await api
+        .post(`/api/v1/test/expire/${payoutId}`)
+        .expect(409);
+
+      expect(response.body.data.error).toBe('INVALID_TRANSITION');
+    });
+  });
+
+  /**
+   * TEST 17: Webhook Delivery
+   *
+   * Tests real HTTP delivery of callbacks to a local receiver:
+   * - payout.status_changed POSTed to callbackUrl
+   * - HMAC-SHA256 signature from the project's webhook secret
+   * - Exponential-backoff retries with per-attempt records
+   */
+  describe('TC-F017: Webhook Delivery, Retries & Signatures', () => {
+    let receiver;
+    let receiverUrl;
+    let received;
+    let responseCodes; // Status codes the receiver returns, in order (last one repeats)
+
+    beforeAll(async () => {
+      receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body });
+          const code = responseCodes.length > 1 ? responseCodes.shift() : responseCodes[0];
+          res.writeHead(code);
+          res.end();
+        });
+      });
+      await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+      receiverUrl = `http://127.0.0.1:${receiver.address().port}/webhook`;
+    });
+
+    afterAll(() => new Promise(resolve => receiver.close(resolve)));
+
+    beforeEach(async () => {
+      received = [];
+      responseCodes = [200];
+      await api
+        .post('/api/v1/test/webhooks')
+        .send({ enabled: true, baseDelayMs: 10, maxAttempts: 3 })
+        .expect(200);
+    });
+
+    const waitForCallback = async (status, timeoutMs = 2000) => {
+      const deadline = Date.now() + timeoutMs;
+      let callback;
+      while (Date.now() < deadline) {
+        const logRes = await api.get('/api/v1/test/callbacks');
+        callback = logRes.body.data.callbacks[0];
+        if (callback && callback.status === status) return callback;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      return callback;
+    };
+
+    it('should POST a signed payout.status_changed payload to callbackUrl', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'webhook_deliver_test', callbackUrl: receiverUrl });
+
+      const callback = await waitForCallback('delivered');
+      expect(callback.status).toBe('delivered');
+      expect(received).toHaveLength(1);
+
+      const { headers, body } = received[0];
+      const payload = JSON.parse(body);
+      expect(payload.event).toBe('payout.status_changed');
+      expect(payload.data.id).toBe(createRes.body.data.id);
+
+      // Receiver-side verification with the project's secret
+      const secretRes = await api
+        .get('/api/v1/projects/project_test_001/webhook-secret')
+        .expect(200);
+      const expected = `sha256=${crypto.createHmac('sha256', secretRes.body.data.secret).update(body).digest('hex')}`;
+      expect(headers[WEBHOOK_SIGNATURE_HEADER]).toBe(expected);
+      expect(callback.signature).toBe(expected);
+    });
+
+    it('should retry failed deliveries and record every attempt', async () => {
+      responseCodes = [500, 503, 200];
+      await createPayout({ idempotencyKey: 'webhook_retry_test', callbackUrl: receiverUrl });
+
+      const callback = await waitForCallback('delivered');
+      expect(callback.status).toBe('delivered');
+      expect(callback.attempts.map(a => a.attempt)).toEqual([1, 2, 3]);
+      expect(callback.attempts.map(a => a.statusCode)).toEqual([500, 503, 200]);
+      callback.attempts.forEach(a => expect(a.latencyMs).toBeGreaterThanOrEqual(0));
+      expect(received.map(r => r.headers['x-zbd-attempt'])).toEqual(['1', '2', '3']);
+    });
+
+    it('should mark a callback failed after maxAttempts', async () => {
+      responseCodes = [500];
+      await createPayout({ idempotencyKey: 'webhook_fail_test', callbackUrl: receiverUrl });
+
+      const callback = await waitForCallback('failed');
+      expect(callback.status).toBe('failed');
+      expect(callback.attempts).toHaveLength(3);
+
+      const logRes = await api.get('/api/v1/test/callbacks').expect(200);
+      expect(logRes.body.data.failed).toBe(1);
+    });
+
+    it('should record connection errors as failed attempts', async () => {
+      await api
+        .post('/api/v1/test/webhooks')
+        .send({ maxAttempts: 1 })
+        .expect(200);
+
+      await api
+        .post('/api/v1/payouts')
+        .send({
+          gamertag: 'player_webhook_test',
+          amount: 100,
+          projectId: 'project_test_001',
+          idempotencyKey: 'webhook_refused_test',
+          callbackUrl: 'http://127.0.0.1:1/unreachable'
+        })
+        .expect(201);
+
+      const callback = await waitForCallback('failed');
+      expect(callback.attempts[0].statusCode).toBeNull();
+      expect(callback.attempts[0].error).toBeTruthy();
+    });
+
+    it('should sign with the new secret after rotation', async () => {
+      const before = await api.get('/api/v1/projects/project_test_001/webhook-secret');
+      const rotated = await api
+        .post('/api/v1/projects/project_test_001/webhook-secret/rotate')
+        .expect(200);
+
+      expect(rotated.body.data.secret).not.toBe(before.body.data.secret);
+
+      await createPayout({ idempotencyKey: 'webhook_rotate_test', callbackUrl: receiverUrl });
+      await waitForCallback('delivered');
+
+      const { headers, body } = received[0];
+      const expected = `sha256=${crypto.createHmac('sha256', rotated.body.data.secret).update(body).digest('hex')}`;
+      expect(headers[WEBHOOK_SIGNATURE_HEADER]).toBe(expected);
+    });
+
+    it('should not create secrets for unknown projects', async () => {
+      const storedSecrets = async () => (await api.get('/api/v1/test/storage').expect(200)).body.data.collections.webhookSecrets;
+      const before = await storedSecrets();
+
+      const read = await api.get('/api/v1/projects/project_missing/webhook-secret').expect(404);
+      expect(read.body.data.error).toBe('PROJECT_NOT_FOUND');
+      await api.post('/api/v1/projects/project_missing/webhook-secret/rotate').expect(404);
+      await api.get('/api/v1/projects/project_missing/refunds').expect(404);
+
+      expect(await storedSecrets()).toBe(before);
+    });
+  });
+
+  /**
+   * TEST 18: Automatic Refunds
+   *
+   * Tests that expired and failed payouts return totalCost to the project:
+   * - Balance is conserved (funded = balance + settled/pending payouts)
+   * - Refund entry linked to the payout
+   * - Refund included in the callback payload
+   */
+  describe('TC-F018: Refunds for Expired & Failed Payouts', () => {
+    const amount = 1000;
+    const totalCost = amount + Math.ceil(amount * SERVICE_FEE_PERCENT); // 1020 sats
+
+    it('should refund amount and fee when a payout is force expired', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'refund_expire_test' });
+      expect(await getAvailable()).toBe(100000 - totalCost);
+
+      const expireRes = await api
+        .post(`/api/v1/test/expire/${createRes.body.data.id}`)
+        .expect(200);
+
+      expect(expireRes.body.data.refundId).toBeDefined();
+      expect(await getAvailable()).toBe(100000);
+
+      const refundsRes = await api
+        .get('/api/v1/projects/project_test_001/refunds')
+        .expect(200);
+
+      expect(refundsRes.body.data.count).toBe(1);
+      expect(refundsRes.body.data.refunds[0]).toMatchObject({
+        id: expireRes.body.data.refundId,
+        payoutId: createRes.body.data.id,
+        amount,
+        fee: totalCost - amount,
+        totalCost,
+        reason: 'expired'
+      });
+    });
+
+    it('should refund when a payout moves to error', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'refund_error_test' });
+
+      await api
+        .patch(`/api/v1/payouts/${createRes.body.data.id}/status`)
+        .send({ status: 'error' })
+        .expect(200);
+
+      expect(await getAvailable()).toBe(100000);
+    });
+
+    it('should not refund completed payouts', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'refund_completed_test' });
+
+      await api
+        .patch(`/api/v1/payouts/${createRes.body.data.id}/status`)
+        .send({ status: 'completed' })
+        .expect(200);
+
+      expect(await getAvailable()).toBe(100000 - totalCost);
+    });
+
+    it('should refund only once when an expired payout is fetched again', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'refund_once_test' });
+      const payoutId = createRes.body.data.id;
+
+      await api.post(`/api/v1/test/expire/${payoutId}`).expect(200);
+      await api.get(`/api/v1/payouts/${payoutId}`).expect(200);
+      await api.get(`/api/v1/payouts/${payoutId}`).expect(200);
+
+      expect(await getAvailable()).toBe(100000);
+    });
+
+    it('should include the refund in the expiry callback payload', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'refund_callback_test', callbackUrl: 'https://example.com/refund-hook' });
+
+      await api.post(`/api/v1/test/expire/${createRes.body.data.id}`).expect(200);
+
+      const logRes = await api.get('/api/v1/test/callbacks').expect(200);
+      const [created, expired] = logRes.body.data.callbacks;
+
+      expect(created.payload.refund).toBeNull();
+      expect(expired.payload.data.status).toBe('expired');
+      expect(expired.payload.refund).toMatchObject({
+        payoutId: createRes.body.data.id,
+        totalCost
+      });
+    });
+  });
+
+  /**
+   * TEST 19: Ledger-Based Accounting
+   *
+   * Tests that every balance change is an auditable ledger entry:
+   * - fund, reserve, payout_debit, fee, rollback and refund entries
+   * - Balance equals the sum of the project's entries
+   * - Pagination and type/time filters
+   */
+  describe('TC-F019: Project Ledger', () => {
+    const getLedger = (query = '') => api
+      .get(`/api/v1/projects/project_test_001/ledger${query}`)
+      .expect(200);
+
+    it('should record the initial funding as a fund entry', async () => {
+      const response = await getLedger();
+
+      expect(response.body.data.total).toBe(1);
+      expect(response.body.data.entries[0]).toMatchObject({
+        type: 'fund',
+        amount: 100000,
+        from: LEDGER_ACCOUNTS.FUNDING,
+        to: 'project:project_test_001',
+        balanceAfter: 100000
+      });
+    });
+
+    it('should record a reserve entry when a payout is created', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'ledger_reserve_test' });
+
+      const response = await getLedger('?type=reserve');
+      const [entry] = response.body.data.entries;
+
+      expect(response.body.data.entries).toHaveLength(1);
+      expect(entry).toMatchObject({
+        payoutId: createRes.body.data.id,
+        amount: 1020,
+        from: 'project:project_test_001',
+        to: 'reserved:project_test_001',
+        balanceAfter: 100000 - 1020,
+        reservedAfter: 1020
+      });
+    });
+
+    it('should record payout debit and fee entries linked to the payout on settlement', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'ledger_payout_test' });
+      const payoutId = createRes.body.data.id;
+
+      await api
+        .patch(`/api/v1/payouts/${payoutId}/status`)
+        .send({ status: 'completed' })
+        .expect(200);
+
+      const response = await getLedger('?type=payout_debit,fee');
+      const entries = response.body.data.entries;
+
+      expect(entries).toHaveLength(2);
+      expect(entries.map(e => e.type)).toEqual(['payout_debit', 'fee']);
+      expect(entries.map(e => e.amount)).toEqual([1000, 20]);
+      entries.forEach(e => expect(e.payoutId).toBe(payoutId));
+      entries.forEach(e => expect(e.from).toBe('reserved:project_test_001'));
+      expect(entries[0].to).toBe(LEDGER_ACCOUNTS.LIGHTNING);
+      expect(entries[1].to).toBe(LEDGER_ACCOUNTS.FEES);
+      expect(entries[1].balanceAfter).toBe(100000 - 1020);
+      expect(entries[1].reservedAfter).toBe(0);
+    });
+
+    it('should record a refund entry when a payout expires', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'ledger_refund_test' });
+      const expireRes = await api
+        .post(`/api/v1/test/expire/${createRes.body.data.id}`)
+        .expect(200);
+
+      const response = await getLedger(`?type=${LEDGER_ENTRY_TYPES.REFUND}`);
+      const entries = response.body.data.entries;
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0].amount).toBe(1020);
+      expect(entries[0].to).toBe('project:project_test_001');
+      expect(entries[0].refundId).toBe(expireRes.body.data.refundId);
+    });
+
+    it('should record rollback entries when a gateway timeout reverses a charge', async () => {
+      await api
+        .post('/api/v1/test/failure-injection')
+        .send({ enabled: true, timeoutRate: 1, rollbackOnTimeout: true })
+        .expect(200);
+
+      try {
+        await api
+          .post('/api/v1/payouts')
+          .send({
+            gamertag: 'player_ledger_test',
+            amount: 1000,
+            projectId: 'project_test_001',
+            idempotencyKey: 'ledger_rollback_test'
+          })
+          .expect(504);
+      } finally {
+        await api.post('/api/v1/test/failure-injection').send({ enabled: false });
+      }
+
+      const response = await getLedger('?type=rollback');
+      expect(response.body.data.entries).toHaveLength(1);
+      expect(response.body.data.entries[0].amount).toBe(1020);
+      expect(response.body.data.balance).toBe(100000);
+    });
+
+    it('should derive the balance from the sum of ledger entries', async () => {
+      await createPayout({ idempotencyKey: 'ledger_sum_1', amount: 500 });
+      await createPayout({ idempotencyKey: 'ledger_sum_2', amount: 700 });
+      await api
+        .post('/api/v1/projects/project_test_001/fund')
+        .send({ amount: 2500 })
+        .expect(200);
+
+      const ledgerRes = await getLedger('?limit=500');
+      const account = 'project:project_test_001';
+      const sum = ledgerRes.body.data.entries.reduce((total, e) => {
+        if (e.to === account) return total + e.amount;
+        if (e.from === account) return total - e.amount;
+        return total;
+      }, 0);
+
+      const balanceRes = await api
+        .get('/api/v1/projects/project_test_001/balance')
+        .expect(200);
+
+      expect(balanceRes.body.data.balance).toBe(sum);
+      expect(sum).toBe(100000 - 510 - 714 + 2500);
+    });
+
+    it('should paginate with limit and offset', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'ledger_page_1', amount: 100 });
+      await createPayout({ idempotencyKey: 'ledger_page_2', amount: 100 });
+      await api
+        .patch(`/api/v1/payouts/${createRes.body.data.id}/status`)
+        .send({ status: 'completed' })
+        .expect(200);
+
+      // fund + 2 reserves + payout_debit + fee
+      const page1 = await getLedger('?limit=2&offset=0');
+      const page2 = await getLedger('?limit=2&offset=2');
+      const page3 = await getLedger('?limit=2&offset=4');
+
+      expect(page1.body.data.total).toBe(5);
+      expect(page1.body.data.entries).toHaveLength(2);
+      expect(page1.body.data.hasMore).toBe(true);
+      expect(page3.body.data.entries).toHaveLength(1);
+      expect(page3.body.data.hasMore).toBe(false);
+
+      const ids = [page1, page2, page3].flatMap(p => p.body.data.entries.map(e => e.id));
+      expect(new Set(ids).size).toBe(5);
+    });
+
+    it('should filter by time window', async () => {
+      const future = new Date(Date.now() + 60000).toISOString();
+      const response = await getLedger(`?from=${future}`);
+
+      expect(response.body.data.total).toBe(0);
+    });
+
+    it('should reject unknown entry types', async () => {
+      const response = await api
+        .get('/api/v1/projects/project_test_001/ledger?type=bogus')
+        .expect(400);
+
+      expect(response.body.data.error).toBe('INVALID_LEDGER_TYPE');
+    });
+
+    it('should return 404 for a project without a ledger', async () => {
+      await api
+        .get('/api/v1/projects/project_unknown_xyz/ledger')
+        .expect(404);
+    });
+  });
+
+  /**
+   * TEST 20: Balance Invariant Checks
+   *
+   * Tests the reconciliation endpoint used by Jest and k6:
+   * - Ledger balance matches funded - charged payouts + refunds
+   * - Orphaned charges from 504 timeouts are reported
+   * - Idempotency replays counted per project
+   */
+  describe('TC-F020: Balance Invariants', () => {
+    const getInvariants = async () => (
+      await api.get('/api/v1/test/invariants').expect(200)
+    ).body.data;
+
+    const projectReport = (data, projectId = 'project_test_001') =>
+      data.projects.find(p => p.projectId === projectId);
+
+    it('should hold after payouts, settlement, refunds and funding', async () => {
+      const first = await createPayout({ idempotencyKey: 'invariant_ok_1' });
+      const second = await createPayout({ idempotencyKey: 'invariant_ok_2', amount: 500 });
+      await createPayout({ idempotencyKey: 'invariant_ok_3', amount: 250 });
+
+      await api.patch(`/api/v1/payouts/${first.body.data.id}/status`).send({ status: 'completed' }).expect(200);
+      await api.post(`/api/v1/test/expire/${second.body.data.id}`).expect(200);
+      await createProject('project_test_002');
+      await api.post('/api/v1/projects/project_test_002/fund').send({ amount: 5000 }).expect(200);
+
+      const data = await getInvariants();
+      const report = projectReport(data);
+
+      expect(data.ok).toBe(true);
+      expect(data.ledger.balanced).toBe(true);
+      expect(data.violations).toEqual([]);
+      expect(report.drift).toBe(0);
+      expect(report.totals).toMatchObject({
+        funded: 100000,
+        completed: 1020,
+        pending: 255,
+        expired: 510,
+        refunded: 510
+      });
+      expect(report.actualBalance).toBe(100000 - 1020 - 255);
+      expect(projectReport(data, 'project_test_002').ok).toBe(true);
+    });
+
+    it('should count idempotency replays without flagging them', async () => {
+      await createPayout({ idempotencyKey: 'invariant_replay' });
+      await createPayout({ idempotencyKey: 'invariant_replay' });
+      await createPayout({ idempotencyKey: 'invariant_replay' });
+
+      const data = await getInvariants();
+      const report = projectReport(data);
+
+      expect(data.ok).toBe(true);
+      expect(report.idempotencyReplays).toBe(2);
+      expect(report.duplicatePayouts).toEqual([]);
+    });
+
+    it('should report orphaned charges when a timeout is not rolled back', async () => {
+      await api
+        .post('/api/v1/test/failure-injection')
+        .send({ enabled: true, timeoutRate: 1, rollbackOnTimeout: false })
+        .expect(200);
+
+      let timeoutRes;
+      try {
+        timeoutRes = await postPayout({ idempotencyKey: 'invariant_orphan_test' }).expect(504);
+      } finally {
+        await api
+          .post('/api/v1/test/failure-injection')
+          .send({ enabled: false, rollbackOnTimeout: true });
+      }
+
+      const data = await getInvariants();
+      const report = projectReport(data);
+
+      expect(data.ok).toBe(false);
+      expect(report.violations).toEqual(expect.arrayContaining(['BALANCE_DRIFT', 'ORPHANED_CHARGES']));
+      expect(report.drift).toBe(-timeoutRes.body.data.chargedAmount);
+      expect(report.orphanedCharges).toHaveLength(1);
+      expect(report.orphanedCharges[0].amount).toBe(1020);
+      expect(data.ledger.balanced).toBe(true); // Books still balance; the money is just unaccounted for
+    });
+  });
+
+  /**
+   * TEST 21: Pluggable Persistence
+   *
+   * Tests the storage layer behind the API's state:
+   * - In-memory store is the default
+   * - SQLite store persists collections across restarts (close + reopen)
+   */
+  describe('TC-F021: Storage Backends', () => {
+    it('should run the API on the in-memory store by default', async () => {
+      const response = await api.get('/api/v1/test/storage').expect(200);
+
+      expect(response.body.data.type).toBe('memory');
+      expect(Object.keys(response.body.data.collections)).toEqual(COLLECTIONS);
+      expect(response.body.data.collections.ledger).toBe(1); // Seeded test project funding
+    });
+
+    it('should reject an unknown store type', () => {
+      expect(() => createStore({ type: 'redis' })).toThrow('Unknown PAYMENT_API_STORE');
+    });
+
+    (hasSqlite ? describe : describe.skip)('SQLite store', () => {
+      let dir;
+      let filePath;
+
+      beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'payment-api-'));
+        filePath = path.join(dir, 'state.db');
+      });
+
+      afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+      });
+
+      it('should persist collections across a restart', () => {
+        const first = createStore({ type: 'sqlite', filePath });
+        const payout = { id: 'payout_persist', status: 'pending', amount: 100 };
+        first.collections.payouts.set(payout.id, payout);
+
+        // In-place mutation is persisted by setting the object again
+        payout.status = 'completed';
+        first.collections.payouts.set(payout.id, payout);
+        first.collections.rateLimits.set('rate_player', [1, 2, 3]);
+        first.close();
+
+        const second = createStore({ type: 'sqlite', filePath });
+        expect(second.collections.payouts.get('payout_persist')).toEqual({
+          id: 'payout_persist',
+          status: 'completed',
+          amount: 100
+        });
+        expect(second.collections.rateLimits.get('rate_player')).toEqual([1, 2, 3]);
+        second.close();
+      });
+
+      it('should keep insertion order when entries are updated', () => {
+        const first = createStore({ type: 'sqlite', filePath });
+        const { ledger } = first.collections;
+        ledger.set('a', { n: 1 });
+        ledger.set('b', { n: 2 });
+        ledger.set('a', { n: 3 });
+        first.close();
+
+        const second = createStore({ type: 'sqlite', filePath });
+        expect(Array.from(second.collections.ledger.entries())).toEqual([
+          ['a', { n: 3 }],
+          ['b', { n: 2 }]
+        ]);
+        second.close();
+      });
+
+      it('should delete and clear persistently', () => {
+        const first = createStore({ type: 'sqlite', filePath });
+        first.collections.refunds.set('r1', { id: 'r1' });
+        first.collections.refunds.set('r2', { id: 'r2' });
+        first.collections.refunds.delete('r1');
+        first.collections.payouts.set('p1', { id: 'p1' });
+        first.close();
+
+        const second = createStore({ type: 'sqlite', filePath });
+        expect(Array.from(second.collections.refunds.keys())).toEqual(['r2']);
+        second.clear();
+        second.close();
+
+        const third = createStore({ type: 'sqlite', filePath });
+        COLLECTIONS.forEach(name => expect(third.collections[name].size).toBe(0));
+        third.close();
+      });
+    });
+  });
+
+  /**
+   * TEST 22: Reserve / Commit / Release
+   *
+   * Tests that pending payouts hold funds in a reserved bucket:
+   * - Balance reads expose available vs reserved
+   * - Settlement commits the hold, expiry and timeouts release it
+   * - Concurrent reads during a gateway timeout see the hold, not a lost charge
+   */
+  describe('TC-F022: Reserved Balance Holds', () => {
+    it('should move totalCost from available to reserved on creation', async () => {
+      await createPayout({ idempotencyKey: 'reserve_hold_test' });
+
+      expect(await getBalance()).toMatchObject({
+        balance: 98980,
+        available: 98980,
+        reserved: 1020,
+        total: 100000
+      });
+    });
+
+    it('should commit the hold on settlement', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'reserve_commit_test' });
+
+      await api
+        .patch(`/api/v1/payouts/${createRes.body.data.id}/status`)
+        .send({ status: 'completed' })
+        .expect(200);
+
+      expect(await getBalance()).toMatchObject({ available: 98980, reserved: 0, total: 98980 });
+    });
+
+    it('should release the hold on expiry', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'reserve_release_test' });
+
+      await api.post(`/api/v1/test/expire/${createRes.body.data.id}`).expect(200);
+
+      expect(await getBalance()).toMatchObject({ available: 100000, reserved: 0 });
+    });
+
+    it('should expose the hold while a timeout is in flight and release it afterwards', async () => {
+      await api
+        .post('/api/v1/test/failure-injection')
+        .send({ enabled: true, timeoutRate: 1, rollbackOnTimeout: true })
+        .expect(200);
+
+      try {
+        // .then() starts the request without waiting for it
+        const inFlight = postPayout({ idempotencyKey: 'reserve_timeout_test' }).then(res => res);
+
+        // Read while the gateway is "hanging"
+        await new Promise(resolve => setTimeout(resolve, 500));
+        const during = await getBalance();
+        const invariantsDuring = (await api.get('/api/v1/test/invariants').expect(200)).body.data;
+
+        const timeoutRes = await inFlight;
+        const after = await getBalance();
+
+        expect(timeoutRes.status).toBe(504);
+        expect(during).toMatchObject({ available: 98980, reserved: 1020, total: 100000 });
+        expect(invariantsDuring.ok).toBe(true);
+        expect(after).toMatchObject({ available: 100000, reserved: 0, total: 100000 });
+      } finally {
+        await api.post('/api/v1/test/failure-injection').send({ enabled: false });
+      }
+    });
+  });
+
+  /**
+   * TEST 23: Project Management
+   *
+   * Tests explicit project lifecycle:
+   * - Create, list and read projects
+   * - Suspended projects cannot create payouts
+   * - Deleted projects are kept as records but behave as unknown
+   */
+  describe('TC-F023: Project Management', () => {
+    it('should create a project with a zero balance', async () => {
+      const response = await api
+        .post('/api/v1/projects')
+        .send({ id: 'project_new', name: 'New Game' })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        id: 'project_new',
+        name: 'New Game',
+        status: 'active',
+        balance: { available: 0, reserved: 0, total: 0 }
+      });
+
+      await api.post('/api/v1/projects/project_new/fund').send({ amount: 5000 }).expect(200);
+      const getRes = await api.get('/api/v1/projects/project_new').expect(200);
+      expect(getRes.body.data.balance.available).toBe(5000);
+    });
+
+    it('should generate an ID when none is given', async () => {
+      const response = await api.post('/api/v1/projects').send({}).expect(201);
+
+      expect(response.body.data.id).toMatch(/^project_/);
+      expect(response.body.data.name).toBe(response.body.data.id);
+    });
+
+    it('should reject duplicate and malformed project IDs', async () => {
+      const duplicate = await api
+        .post('/api/v1/projects')
+        .send({ id: 'project_test_001' })
+        .expect(409);
+      expect(duplicate.body.data.error).toBe('PROJECT_EXISTS');
+
+      const malformed = await api
+        .post('/api/v1/projects')
+        .send({ id: 'bad id!' })
+        .expect(400);
+      expect(malformed.body.data.error).toBe('VALIDATION_ERROR');
+    });
+
+    it('should list projects and filter by status', async () => {
+      await createProject('project_listed');
+      await api.post('/api/v1/projects/project_listed/suspend').expect(200);
+
+      const all = await api.get('/api/v1/projects').expect(200);
+      expect(all.body.data.projects.map(p => p.id)).toEqual(['project_test_001', 'project_listed']);
+
+      const suspended = await api.get('/api/v1/projects?status=suspended').expect(200);
+      expect(suspended.body.data.projects.map(p => p.id)).toEqual(['project_listed']);
+
+      const invalid = await api.get('/api/v1/projects?status=archived').expect(400);
+      expect(invalid.body.data.error).toBe('INVALID_STATUS');
+    });
+
+    it('should reject payouts for suspended projects until reactivated', async () => {
+      await api.post('/api/v1/projects/project_test_001/suspend').expect(200);
+
+      const rejected = await postPayout({ idempotencyKey: 'suspended_payout' }).expect(403);
+      expect(rejected.body.data.error).toBe('PROJECT_SUSPENDED');
+
+      // Funding is still allowed while suspended
+      await api.post('/api/v1/projects/project_test_001/fund').send({ amount: 100 }).expect(200);
+
+      const reactivated = await api.post('/api/v1/projects/project_test_001/reactivate').expect(200);
+      expect(reactivated.body.data.status).toBe('active');
+      expect(reactivated.body.data.suspendedAt).toBeNull();
+
+      await createPayout({ idempotencyKey: 'reactivated_payout' });
+    });
+
+    it('should soft-delete a project', async () => {
+      await createProject('project_deleted');
+      await api.post('/api/v1/projects/project_deleted/fund').send({ amount: 1000 }).expect(200);
+
+      const deleteRes = await api.delete('/api/v1/projects/project_deleted').expect(200);
+      expect(deleteRes.body.data.status).toBe('deleted');
+      expect(deleteRes.body.data.deletedAt).toBeDefined();
+
+      await api.get('/api/v1/projects/project_deleted').expect(404);
+      await api.get('/api/v1/projects/project_deleted/balance').expect(404);
+      await api.post('/api/v1/projects/project_deleted/fund').send({ amount: 1000 }).expect(404);
+      const payoutRes = await postPayout({ projectId: 'project_deleted', idempotencyKey: 'deleted_payout' }).expect(404);
+      expect(payoutRes.body.data.error).toBe('PROJECT_NOT_FOUND');
+
+      // Hidden from the default listing, kept as a record
+      const listRes = await api.get('/api/v1/projects').expect(200);
+      expect(listRes.body.data.projects.map(p => p.id)).not.toContain('project_deleted');
+      const withDeleted = await api.get('/api/v1/projects?includeDeleted=true').expect(200);
+      expect(withDeleted.body.data.projects.find(p => p.id === 'project_deleted')).toMatchObject({
+        status: 'deleted',
+        balance: { available: 1000 }
+      });
+
+      // The ID cannot be reused
+      const recreate = await api.post('/api/v1/projects').send({ id: 'project_deleted' }).expect(409);
+      expect(recreate.body.data.status).toBe('deleted');
+    });
+
+    it('should not delete a project with pending payouts', async () => {
+      await createPayout({ amount: 100, idempotencyKey: 'pending_before_delete' });
+
+      const response = await api.delete('/api/v1/projects/project_test_001').expect(409);
+
+      expect(response.body.data.error).toBe('PROJECT_HAS_PENDING_PAYOUTS');
+      expect(response.body.data.reserved).toBe(102);
+    });
+
+    it('should grant a scoped API key access to the projects it creates', async () => {
+      const scopedKey = 'scoped_key_creator';
+      await api
+        .post('/api/v1/test/api-keys')
+        .send({ apiKey: scopedKey, projectIds: ['project_scoped_a'] })
+        .expect(201);
+      const scoped = request.agent(app).set('apikey', scopedKey);
+
+      await scoped.post('/api/v1/projects').send({ id: 'project_scoped_b' }).expect(201);
+      await scoped.post('/api/v1/projects/project_scoped_b/fund').send({ amount: 1000 }).expect(200);
+
+      const listRes = await scoped.get('/api/v1/projects').expect(200);
+      expect(listRes.body.data.projects.map(p => p.id)).toEqual(['project_scoped_b']);
+      await scoped.get('/api/v1/projects/project_test_001').expect(403);
+    });
+  });
+
+  /**
+   * TEST 24: Per-Project Settings
+   *
+   * Tests that limits and fees come from each project's settings:
+   * - Flat and tiered fees, including the INSUFFICIENT_BALANCE breakdown
+   * - Min/max amount, rate limit, default expiry, description length
+   * - Invalid settings rejected without changing anything
+   */
+  describe('TC-F024: Per-Project Settings', () => {
+    const updateSettings = (settings, projectId = 'project_test_001') => api
+      .patch(`/api/v1/projects/${projectId}/settings`)
+      .send(settings);
+
+    it('should start projects with the default settings', async () => {
+      const response = await api.get('/api/v1/projects/project_test_001/settings').expect(200);
+
+      expect(response.body.data.settings).toEqual(DEFAULT_PROJECT_SETTINGS);
+    });
+
+    it('should charge the project fee percent', async () => {
+      await updateSettings({ feePercent: 0.05 }).expect(200);
+
+      const response = await createPayout({ idempotencyKey: 'settings_fee' });
+
+      expect(response.body.data).toMatchObject({ fee: 50, feePercent: 0.05, totalCost: 1050 });
+    });
+
+    it('should apply a tiered fee schedule', async () => {
+      await updateSettings({
+        feeSchedule: [
+          { upTo: 1000, feePercent: 0.03 },
+          { upTo: null, feePercent: 0.01 }
+        ]
+      }).expect(200);
+
+      const small = await createPayout({ amount: 500, idempotencyKey: 'tier_small' });
+      const large = await createPayout({ amount: 5000, idempotencyKey: 'tier_large' });
+
+      expect(small.body.data).toMatchObject({ fee: 15, feePercent: 0.03 });
+      expect(large.body.data).toMatchObject({ fee: 50, feePercent: 0.01 });
+
+      // Clearing the schedule returns to the flat fee
+      await updateSettings({ feeSchedule: null }).expect(200);
+      const flat = await createPayout({ amount: 500, idempotencyKey: 'tier_cleared' });
+      expect(flat.body.data.fee).toBe(10);
+    });
+
+    it('should use the project fee in the INSUFFICIENT_BALANCE breakdown', async () => {
+      await api
+        .post('/api/v1/projects')
+        .send({ id: 'project_high_fee', settings: { feePercent: 0.1 } })
+        .expect(201);
+      await api.post('/api/v1/projects/project_high_fee/fund').send({ amount: 1050 }).expect(200);
+
+      const response = await postPayout({ projectId: 'project_high_fee' }).expect(402);
+
+      expect(response.body.data).toMatchObject({
+        error: 'INSUFFICIENT_BALANCE',
+        requiredAmount: 1000,
+        fee: 100,
+        feePercent: 0.1,
+        totalCost: 1100,
+        currentBalance: 1050
+      });
+      expect(response.body.message).toContain('1000 sats + 100 sats fee = 1100 sats total');
+    });
+
+    it('should enforce the project amount bounds', async () => {
+      await updateSettings({ minPayoutAmount: 100, maxPayoutAmount: 5000 }).expect(200);
+
+      const tooSmall = await postPayout({ amount: 50 }).expect(400);
+      const tooLarge = await postPayout({ amount: 5001 }).expect(400);
+
+      expect(tooSmall.body.data).toMatchObject({ error: 'INVALID_AMOUNT', minAmount: 100, maxAmount: 5000 });
+      expect(tooLarge.body.message).toBe('Amount must be between 100 and 5,000 sats');
+      await createPayout({ amount: 5000 });
+    });
+
+    it('should enforce the project rate limit per gamertag', async () => {
+      await updateSettings({ rateLimitPerHour: 2 }).expect(200);
+      await createProject('project_other_limit');
+      await api.post('/api/v1/projects/project_other_limit/fund').send({ amount: 10000 }).expect(200);
+
+      await createPayout({ amount: 10 });
+      await createPayout({ amount: 10 });
+      const limited = await postPayout({ amount: 10 }).expect(429);
+
+      expect(limited.body.message).toBe('Maximum 2 payouts per gamertag per hour');
+
+      // Another project counts the same gamertag against its own limit
+      await createPayout({ amount: 10, projectId: 'project_other_limit' });
+    });
+
+    it('should apply the project default expiry and description length', async () => {
+      await updateSettings({ defaultExpirySeconds: 60, maxDescriptionLength: 10 }).expect(200);
+
+      const created = await createPayout({ description: 'short' });
+      const tooLong = await postPayout({ description: 'A'.repeat(11) }).expect(400);
+
+      expect(created.body.data.expiresIn).toBe(60);
+      expect(tooLong.body.data).toMatchObject({ error: 'DESCRIPTION_TOO_LONG', maxLength: 10 });
+    });
+
+    it('should reject invalid settings without applying any of them', async () => {
+      const unknown = await updateSettings({ feePercent: 0.05, surcharge: 5 }).expect(400);
+      const inverted = await updateSettings({ minPayoutAmount: 500, maxPayoutAmount: 100 }).expect(400);
+      const unordered = await updateSettings({
+        feeSchedule: [{ upTo: 5000, feePercent: 0.01 }, { upTo: 1000, feePercent: 0.02 }]
+      }).expect(400);
+
+      expect(unknown.body.data.error).toBe('INVALID_SETTINGS');
+      expect(unknown.body.data.details).toContain('Unknown setting: surcharge');
+      expect(inverted.body.data.details).toContain('maxPayoutAmount must be >= minPayoutAmount');
+      expect(unordered.body.data.details).toContain('feeSchedule tiers must be in ascending upTo order');
+
+      const current = await api.get('/api/v1/projects/project_test_001/settings').expect(200);
+      expect(current.body.data.settings).toEqual(DEFAULT_PROJECT_SETTINGS);
+    });
+  });
+
+  /**
+   * TEST 25: Payout Listing & Search
+   *
+   * Tests GET /api/v1/payouts:
+   * - Filters by project, gamertag, status, internalId, amount and time
+   * - Cursor pagination visits every payout exactly once in a stable order
+   * - Results are limited to the API key's projects
+   */
+  describe('TC-F025: Payout Listing & Search', () => {
+    const listPayouts = async (query = '') => (
+      await api.get(`/api/v1/payouts${query}`).expect(200)
+    ).body.data;
+
+    let created;
+
+    beforeEach(async () => {
+      await createProject('project_test_002');
+      await api.post('/api/v1/projects/project_test_002/fund').send({ amount: 10000 }).expect(200);
+
+      created = [];
+      const specs = [
+        { gamertag: 'player_alice', amount: 100, internalId: 'order_1' },
+        { gamertag: 'player_bob', amount: 200, internalId: 'order_2' },
+        { gamertag: 'player_alice', amount: 300, internalId: 'order_3' },
+        { gamertag: 'player_alice', amount: 400, internalId: 'shared_order', projectId: 'project_test_002' },
+        { gamertag: 'player_bob', amount: 500, internalId: 'shared_order' }
+      ];
+      for (const spec of specs) {
+        created.push((await createPayout(spec)).body.data);
+      }
+    });
+
+    it('should list all payouts newest first', async () => {
+      const data = await listPayouts();
+
+      expect(data.payouts.map(p => p.id)).toEqual(created.map(p => p.id).reverse());
+      expect(data).toMatchObject({ count: 5, order: 'desc', hasMore: false, nextCursor: null });
+    });
+
+    it('should filter by project, gamertag and internalId', async () => {
+      const byProject = await listPayouts('?projectId=project_test_002');
+      const byGamertag = await listPayouts('?gamertag=player_alice&projectId=project_test_001');
+      const byInternalId = await listPayouts('?internalId=shared_order&order=asc');
+
+      expect(byProject.payouts.map(p => p.amount)).toEqual([400]);
+      expect(byGamertag.payouts.map(p => p.amount)).toEqual([300, 100]);
+      expect(byInternalId.payouts.map(p => p.amount)).toEqual([400, 500]);
+    });
+
+    it('should filter by status after transitions', async () => {
+      await api.patch(`/api/v1/payouts/${created[0].id}/status`).send({ status: 'completed' }).expect(200);
+      await api.post(`/api/v1/test/expire/${created[1].id}`).expect(200);
+
+      const completed = await listPayouts('?status=completed');
+      const settled = await listPayouts('?status=completed,expired&order=asc');
+      const pending = await listPayouts('?status=pending');
+
+      expect(completed.payouts.map(p => p.id)).toEqual([created[0].id]);
+      expect(settled.payouts.map(p => p.id)).toEqual([created[0].id, created[1].id]);
+      expect(pending.count).toBe(3);
+    });
+
+    it('should filter by amount range and creation window', async () => {
+      const byAmount = await listPayouts('?minAmount=200&maxAmount=400&order=asc');
+      const future = new Date(Date.now() + 60000).toISOString();
+      const byTime = await listPayouts(`?createdFrom=${created[2].createdAt}&createdTo=${future}&order=asc`);
+      const none = await listPayouts(`?createdFrom=${future}`);
+
+      expect(byAmount.payouts.map(p => p.amount)).toEqual([200, 300, 400]);
+      expect(byTime.payouts[0].createdAt >= created[2].createdAt).toBe(true);
+      expect(byTime.payouts.map(p => p.id)).toContain(created[4].id);
+      expect(none.count).toBe(0);
+    });
+
+    it('should paginate with a cursor without skipping or repeating payouts', async () => {
+      const seen = [];
+      let data = await listPayouts('?limit=2&order=asc');
+      seen.push(...data.payouts.map(p => p.id));
+
+      // A payout created mid-pagination lands at the end (asc) and does not shift pages
+      const late = (await createPayout({ gamertag: 'player_late', amount: 50 })).body.data;
+
+      while (data.hasMore) {
+        data = await listPayouts(`?limit=2&order=asc&cursor=${data.nextCursor}`);
+        seen.push(...data.payouts.map(p => p.id));
+      }
+
+      expect(seen).toEqual([...created.map(p => p.id), late.id]);
+    });
+
+    it('should only list payouts of projects the API key can access', async () => {
+      const scopedKey = 'scoped_key_listing';
+      await api
+        .post('/api/v1/test/api-keys')
+        .send({ apiKey: scopedKey, projectIds: ['project_test_002'] })
+        .expect(201);
+
+      const listRes = await request(app).get('/api/v1/payouts').set('apikey', scopedKey).expect(200);
+      const deniedRes = await request(app)
+        .get('/api/v1/payouts?projectId=project_test_001')
+        .set('apikey', scopedKey)
+        .expect(403);
+
+      expect(listRes.body.data.payouts.map(p => p.projectId)).toEqual(['project_test_002']);
+      expect(deniedRes.body.data.error).toBe('PROJECT_ACCESS_DENIED');
+    });
+
+    it('should reject invalid filters and cursors', async () => {
+      const badStatus = await api.get('/api/v1/payouts?status=settled').expect(400);
+      const badRange = await api.get('/api/v1/payouts?minAmount=500&maxAmount=100').expect(400);
+      const badTime = await api.get('/api/v1/payouts?createdFrom=yesterday').expect(400);
+      const badCursor = await api.get('/api/v1/payouts?cursor=not-a-cursor').expect(400);
+
+      expect(badStatus.body.data.error).toBe('INVALID_STATUS');
+      expect(badRange.body.data.error).toBe('INVALID_AMOUNT_RANGE');
+      expect(badTime.body.data.error).toBe('INVALID_TIME_RANGE');
+      expect(badCursor.body.data.error).toBe('INVALID_CURSOR');
+    });
+
+    it('should look up by internalId through the index', async () => {
+      const response = await api.get('/api/v1/payouts/by-internal-id/shared_order').expect(200);
+
+      expect(response.body.data.id).toBe(created[3].id);
+    });
+  });
+
+  /**
+   * TEST 26: Batch Payouts
+   *
+   * Tests POST /api/v1/payouts/batch:
+   * - Atomic batches create everything or nothing
+   * - Best-effort batches report per-item results
+   * - Aggregate balance check with the INSUFFICIENT_BALANCE breakdown
+   * - Batches can be polled by ID
+   */
+  describe('TC-F026: Batch Payouts', () => {
+    const item = (n, overrides = {}) => ({
+      gamertag: `player_batch_${n}`,
+      amount: 1000,
+      projectId: 'project_test_001',
+      idempotencyKey: `batch_item_${n}`,
+      ...overrides
+    });
+
+    const postBatch = (items, mode) => api
+      .post('/api/v1/payouts/batch')
+      .send(mode ? { items, mode } : { items });
+
+    it('should create every item of an atomic batch', async () => {
+      const response = await postBatch([item(1), item(2), item(3, { amount: 500 })]).expect(201);
+      const batch = response.body.data;
+
+      expect(batch).toMatchObject({
+        mode: 'atomic',
+        result: 'accepted',
+        status: 'processing',
+        statusCounts: { pending: 3 },
+        summary: { requested: 3, created: 3, duplicates: 0, rejected: 0, amount: 2500, fees: 50, totalCost: 2550 }
+      });
+      expect(batch.items.map(i => i.status)).toEqual(['created', 'created', 'created']);
+      expect(await getAvailable()).toBe(100000 - 2550);
+
+      const payoutRes = await api.get(`/api/v1/payouts/${batch.items[0].payoutId}`).expect(200);
+      expect(payoutRes.body.data.batchId).toBe(batch.id);
+    });
+
+    it('should be pollable until every payout settles', async () => {
+      const { body } = await postBatch([item(1), item(2)]).expect(201);
+      const batchId = body.data.id;
+
+      for (const { payoutId } of body.data.items) {
+        await api.patch(`/api/v1/payouts/${payoutId}/status`).send({ status: 'completed' }).expect(200);
+      }
+
+      const pollRes = await api.get(`/api/v1/payouts/batch/${batchId}`).expect(200);
+      expect(pollRes.body.data).toMatchObject({ status: 'settled', statusCounts: { completed: 2 } });
+      expect(pollRes.body.data.items.map(i => i.payoutStatus)).toEqual(['completed', 'completed']);
+    });
+
+    it('should create nothing when any atomic item is invalid', async () => {
+      const response = await postBatch([item(1), item(2, { amount: 0 }), item(3, { amount: 200000 })]).expect(400);
+      const data = response.body.data;
+
+      expect(data).toMatchObject({ error: 'BATCH_VALIDATION_FAILED', result: 'rejected', status: 'rejected' });
+      expect(data.items.map(i => i.status)).toEqual(['skipped', 'rejected', 'rejected']);
+      expect(data.items[1]).toMatchObject({ statusCode: 400, error: 'VALIDATION_ERROR' });
+      expect(data.items[2]).toMatchObject({ statusCode: 400, error: 'INVALID_AMOUNT' });
+      expect(await getAvailable()).toBe(100000);
+      expect((await api.get('/api/v1/payouts').expect(200)).body.data.count).toBe(0);
+
+      await api.get(`/api/v1/payouts/batch/${data.id}`).expect(200);
+    });
+
+    it('should report the aggregate INSUFFICIENT_BALANCE breakdown for atomic batches', async () => {
+      await createProject('project_batch_low');
+      await api.post('/api/v1/projects/project_batch_low/fund').send({ amount: 2500 }).expect(200);
+
+      // Each item fits on its own; together they need 3060 sats
+      const items = [1, 2, 3].map(n => item(n, { projectId: 'project_batch_low' }));
+      const response = await postBatch(items).expect(402);
+
+      expect(response.body.data).toMatchObject({
+        error: 'INSUFFICIENT_BALANCE',
+        requiredAmount: 3000,
+        fee: 60,
+        totalCost: 3060,
+        currentBalance: 2500,
+        projectId: 'project_batch_low',
+        itemCount: 3
+      });
+      expect(response.body.data.batchId).toMatch(/^batch_/);
+      expect(await getAvailable('project_batch_low')).toBe(2500);
+    });
+
+    it('should create the valid items of a best-effort batch', async () => {
+      await createProject('project_batch_low');
+      await api.post('/api/v1/projects/project_batch_low/fund').send({ amount: 2500 }).expect(200);
+
+      const response = await postBatch([
+        item(1, { projectId: 'project_batch_low' }),
+        item(2, { projectId: 'project_batch_low', callbackUrl: 'not-a-url' }),
+        item(3, { projectId: 'project_batch_low' }),
+        item(4, { projectId: 'project_batch_low' })
+      ], 'best_effort').expect(201);
+      const batch = response.body.data;
+
+      expect(batch.result).toBe('partial');
+      expect(batch.items.map(i => [i.status, i.statusCode, i.error])).toEqual([
+        ['created', 201, undefined],
+        ['rejected', 400, 'INVALID_CALLBACK_URL'],
+        ['created', 201, undefined],
+        ['rejected', 402, 'INSUFFICIENT_BALANCE']
+      ]);
+      expect(batch.summary).toMatchObject({ created: 2, rejected: 2, totalCost: 2040 });
+      expect(await getAvailable('project_batch_low')).toBe(2500 - 2040);
+    });
+
+    it('should reject a non-string callbackUrl without failing the rest of the batch', async () => {
+      const single = await api.post('/api/v1/payouts').send(item(1, { callbackUrl: 123 })).expect(400);
+      expect(single.body.data.error).toBe('INVALID_CALLBACK_URL');
+
+      const response = await postBatch([
+        item(2),
+        item(3, { callbackUrl: { url: 'https://example.com' } }),
+        item(4)
+      ], 'best_effort').expect(201);
+
+      expect(response.body.data.items.map(i => [i.status, i.error])).toEqual([
+        ['created', undefined],
+        ['rejected', 'INVALID_CALLBACK_URL'],
+        ['created', undefined]
+      ]);
+      await api.get('/health').expect(200);
+    });
+
+    it('should reject an out-of-range expiresIn on a single payout', async () => {
+      for (const expiresIn of [1e20, 'abc', 0, 1.5]) {
+        const response = await postPayout({ expiresIn }).expect(400);
+        expect(response.body.data.error).toBe('VALIDATION_ERROR');
+      }
+
+      expect(await getAvailable()).toBe(100000);
+      await api.get('/health').expect(200);
+    });
+
+    it('should charge nothing when an atomic item has an out-of-range expiresIn', async () => {
+      const response = await postBatch([item(1), item(2, { expiresIn: 1e20 })]).expect(400);
+      const data = response.body.data;
+
+      expect(data.items.map(i => [i.status, i.error])).toEqual([
+        ['skipped', undefined],
+        ['rejected', 'VALIDATION_ERROR']
+      ]);
+      expect(await getAvailable()).toBe(100000);
+      expect((await api.get('/api/v1/payouts').expect(200)).body.data.count).toBe(0);
+      await api.get(`/api/v1/payouts/batch/${data.id}`).expect(200);
+    });
+
+    it('should apply the rate limit across items of the same batch', async () => {
+      const items = Array.from({ length: 11 }, (_, n) => item(n, { gamertag: 'player_batch_rate', amount: 10 }));
+
+      const response = await postBatch(items, 'best_effort').expect(201);
+      const statuses = response.body.data.items.map(i => i.status);
+
+      expect(statuses.filter(s => s === 'created')).toHaveLength(10);
+      expect(response.body.data.items[10]).toMatchObject({ status: 'rejected', statusCode: 429, error: 'RATE_LIMIT_EXCEEDED' });
+    });
+
+    it('should answer known idempotency keys and reject keys repeated within a batch', async () => {
+      const single = await api.post('/api/v1/payouts').send(item(1)).expect(201);
+
+      const response = await postBatch([item(1), item(2), item(2)], 'best_effort').expect(201);
+      const items = response.body.data.items;
+
+      expect(items[0]).toMatchObject({ status: 'duplicate', statusCode: 201, payoutId: single.body.data.id });
+      expect(items[1].status).toBe('created');
+      expect(items[2]).toMatchObject({ status: 'rejected', error: 'DUPLICATE_IN_BATCH' });
+      expect(await getAvailable()).toBe(100000 - 2040);
+    });
+
+    it('should validate the batch itself', async () => {
+      const empty = await postBatch([]).expect(400);
+      const badMode = await postBatch([item(1)], 'sometimes').expect(400);
+      const tooLarge = await postBatch(
+        Array.from({ length: MAX_BATCH_SIZE + 1 }, (_, n) => ({ gamertag: `g${n}`, amount: 1, projectId: 'project_test_001' }))
+      ).expect(400);
+
+      expect(empty.body.data.error).toBe('VALIDATION_ERROR');
+      expect(badMode.body.data.validModes).toEqual(['atomic', 'best_effort']);
+      expect(tooLarge.body.data).toMatchObject({ error: 'BATCH_TOO_LARGE', maxItems: MAX_BATCH_SIZE });
+    });
+
+    it('should return 404 for unknown batches and 403 for other projects\' batches', async () => {
+      const { body } = await postBatch([item(1)]).expect(201);
+      await api
+        .post('/api/v1/test/api-keys')
+        .send({ apiKey: 'scoped_key_batch', projectIds: ['project_other'] })
+        .expect(201);
+
+      await api.get('/api/v1/payouts/batch/batch_unknown').expect(404);
+      const denied = await request(app)
+        .get(`/api/v1/payouts/batch/${body.data.id}`)
+        .set('apikey', 'scoped_key_batch')
+        .expect(403);
+      expect(denied.body.data.error).toBe('PROJECT_ACCESS_DENIED');
+    });
+  });
+
+  /**
+   * TEST 27: Payout Cancellation
+   *
+   * Tests POST /api/v1/payouts/:id/cancel:
+   * - Pending payouts are cancelled and refunded in full
+   * - The callback fires with the cancelled status
+   * - Settled payouts cannot be cancelled
+   */
+  describe('TC-F027: Payout Cancellation', () => {
+    it('should cancel a pending payout and refund its totalCost', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'cancel_pending' });
+      const payoutId = createRes.body.data.id;
+
+      const response = await api
+        .post(`/api/v1/payouts/${payoutId}/cancel`)
+        .send({ reason: 'Player banned' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        status: 'cancelled',
+        cancelReason: 'Player banned',
+        refund: { payoutId, totalCost: 1020, reason: 'cancelled' }
+      });
+      expect(response.body.data.cancelledAt).toBeDefined();
+      expect(await getBalance()).toMatchObject({ available: 100000, reserved: 0 });
+
+      const invariants = await api.get('/api/v1/test/invariants').expect(200);
+      expect(invariants.body.data.ok).toBe(true);
+    });
+
+    it('should fire the callback with the cancelled status', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'cancel_callback', callbackUrl: 'https://example.com/webhook' });
+
+      await api.post(`/api/v1/payouts/${createRes.body.data.id}/cancel`).send({}).expect(200);
+
+      const logRes = await api.get('/api/v1/test/callbacks').expect(200);
+      const last = logRes.body.data.callbacks[logRes.body.data.callbacks.length - 1];
+      expect(last.payload.data).toMatchObject({ id: createRes.body.data.id, status: 'cancelled' });
+      expect(last.payload.refund.reason).toBe('cancelled');
+    });
+
+    it('should not cancel a completed payout', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'cancel_completed' });
+      const payoutId = createRes.body.data.id;
+      await api.patch(`/api/v1/payouts/${payoutId}/status`).send({ status: 'completed' }).expect(200);
+
+      const response = await api.post(`/api/v1/payouts/${payoutId}/cancel`).send({}).expect(409);
+
+      expect(response.body.data).toMatchObject({ error: 'PAYOUT_ALREADY_SETTLED', status: 'completed' });
+      expect(await getBalance()).toMatchObject({ available: 100000 - 1020, reserved: 0 });
+    });
+
+    it('should not cancel twice or refund twice', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'cancel_twice' });
+      const payoutId = createRes.body.data.id;
+      await api.post(`/api/v1/payouts/${payoutId}/cancel`).send({}).expect(200);
+
+      const response = await api.post(`/api/v1/payouts/${payoutId}/cancel`).send({}).expect(409);
+      const refundsRes = await api.get('/api/v1/projects/project_test_001/refunds').expect(200);
+
+      expect(response.body.data.error).toBe('PAYOUT_ALREADY_CANCELLED');
+      expect(refundsRes.body.data.count).toBe(1);
+    });
+
+    it('should report expired payouts as not cancellable', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'cancel_expired' });
+      const payoutId = createRes.body.data.id;
+      await api.post(`/api/v1/test/expire/${payoutId}`).expect(200);
+
+      const response = await api.post(`/api/v1/payouts/${payoutId}/cancel`).send({}).expect(409);
+
+      expect(response.body.data).toMatchObject({ error: 'PAYOUT_NOT_CANCELLABLE', status: 'expired' });
+      expect(response.body.data.refundId).toBeTruthy();
+    });
+
+    it('should return 404 for unknown payouts and 403 for other projects', async () => {
+      const createRes = await createPayout({ idempotencyKey: 'cancel_scope' });
+      await api
+        .post('/api/v1/test/api-keys')
+        .send({ apiKey: 'scoped_key_cancel', projectIds: ['project_other'] })
+        .expect(201);
+
+      await api.post('/api/v1/payouts/payout_unknown/cancel').send({}).expect(404);
+      await request(app)
+        .post(`/api/v1/payouts/${createRes.body.data.id}/cancel`)
+        .set('apikey', 'scoped_key_cancel')
+        .send({})
+        .expect(403);
+    });
+  });
+
+  /**
+   * TEST 28: Idempotency Records
+   *
+   * Tests per-project idempotency with request fingerprints and TTL:
+   * - Same key + same body replays the original status and body
+   * - Same key + different body returns 422 IDEMPOTENCY_KEY_MISMATCH
+   * - Failed attempts (402, 504) replay too; validation errors do not
+   * - Records expire after the TTL
+   */
+  describe('TC-F028: Idempotency Records', () => {
+    const payoutBody = (overrides = {}) => ({
+      gamertag: 'player_idempotency',
+      amount: 1000,
+      projectId: 'project_test_001',
+      idempotencyKey: 'idem_key_1',
+      ...overrides
+    });
+
+    const post = (body) => api.post('/api/v1/payouts').send(body);
+    const replayed = (res) => res.headers[IDEMPOTENT_REPLAY_HEADER.toLowerCase()] === 'true';
+
+    it('should reject a reused key with a different body', async () => {
+      await post(payoutBody()).expect(201);
+
+      const response = await post(payoutBody({ amount: 2000 })).expect(422);
+
+      expect(response.body.data).toMatchObject({ error: 'IDEMPOTENCY_KEY_MISMATCH', idempotencyKey: 'idem_key_1' });
+      expect((await api.get('/api/v1/payouts').expect(200)).body.data.count).toBe(1);
+    });
+
+    it('should fingerprint bodies independently of key order', async () => {
+      const first = await post(payoutBody()).expect(201);
+
+      const reordered = {
+        idempotencyKey: 'idem_key_1',
+        projectId: 'project_test_001',
+        amount: 1000,
+        gamertag: 'player_idempotency'
+      };
+      const response = await post(reordered).expect(201);
+
+      expect(replayed(response)).toBe(true);
+      expect(response.body).toEqual(first.body);
+    });
+
+    it('should replay the original snapshot after the payout changes', async () => {
+      const first = await post(payoutBody()).expect(201);
+      await api.patch(`/api/v1/payouts/${first.body.data.id}/status`).send({ status: 'completed' }).expect(200);
+
+      const response = await post(payoutBody()).expect(201);
+
+      expect(response.body.data.status).toBe('pending');
+      expect(response.body).toEqual(first.body);
+    });
+
+    it('should replay a failed INSUFFICIENT_BALANCE attempt', async () => {
+      await createProject('project_idem_low');
+      const body = payoutBody({ projectId: 'project_idem_low' });
+
+      const first = await post(body).expect(402);
+      await api.post('/api/v1/projects/project_idem_low/fund').send({ amount: 5000 }).expect(200);
+      const retry = await post(body).expect(402);
+
+      expect(replayed(retry)).toBe(true);
+      expect(retry.body).toEqual(first.body);
+
+      // A new key is a new request
+      await post({ ...body, idempotencyKey: 'idem_key_2' }).expect(201);
+    });
+
+    it('should replay a gateway timeout instead of paying again', async () => {
+      await api
+        .post('/api/v1/test/failure-injection')
+        .send({ enabled: true, timeoutRate: 1, rollbackOnTimeout: true })
+        .expect(200);
+
+      let first;
+      try {
+        first = await post(payoutBody()).expect(504);
+      } finally {
+        await api.post('/api/v1/test/failure-injection').send({ enabled: false });
+      }
+
+      const retry = await post(payoutBody()).expect(504);
+
+      expect(replayed(retry)).toBe(true);
+      expect(retry.body).toEqual(first.body);
+      expect((await api.get('/api/v1/payouts').expect(200)).body.data.count).toBe(0);
+    });
+
+    it('should replay validation errors and rate limiting', async () => {
+      const invalid = await post(payoutBody({ amount: 200000 })).expect(400);
+      const retry = await post(payoutBody({ amount: 200000 })).expect(400);
+
+      expect(replayed(retry)).toBe(true);
+      expect(retry.body).toEqual(invalid.body);
+      // A corrected request needs a new key
+      await post(payoutBody()).expect(422);
+
+      await api.post('/api/v1/test/rate-limits/player_idempotency').send({ projectId: 'project_test_001', count: 10 }).expect(200);
+      const limited = await post(payoutBody({ idempotencyKey: 'idem_key_limited' })).expect(429);
+      await api.delete('/api/v1/test/rate-limits/player_idempotency').expect(200);
+      const limitedRetry = await post(payoutBody({ idempotencyKey: 'idem_key_limited' })).expect(429);
+
+      expect(replayed(limitedRetry)).toBe(true);
+      expect(limitedRetry.body).toEqual(limited.body);
+    });
+
+    it('should not record requests for projects the key cannot access', async () => {
+      await api
+        .post('/api/v1/test/api-keys')
+        .send({ apiKey: 'scoped_key_idem', projectIds: ['project_other'] })
+        .expect(201);
+
+      await request(server)
+        .post('/api/v1/payouts')
+        .set('apikey', 'scoped_key_idem')
+        .send(payoutBody())
+        .expect(403);
+
+      const response = await post(payoutBody()).expect(201);
+      expect(replayed(response)).toBe(false);
+    });
+
+    it('should forget keys after the TTL', async () => {
+      await api.post('/api/v1/test/idempotency').send({ ttlSeconds: 0.2 }).expect(200);
+      const first = await post(payoutBody()).expect(201);
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const second = await post(payoutBody()).expect(201);
+
+      expect(replayed(second)).toBe(false);
+      expect(second.body.data.id).not.toBe(first.body.data.id);
+
+      const invariants = await api.get('/api/v1/test/invariants').expect(200);
+      expect(invariants.body.data.ok).toBe(true);
+    });
+
+    it('should restore the default TTL on reset', async () => {
+      await api.post('/api/v1/test/idempotency').send({ ttlSeconds: 5 }).expect(200);
+      await api.delete('/api/v1/test/reset').expect(200);
+
+      const response = await api.get('/api/v1/test/idempotency').expect(200);
+
+      expect(response.body.data).toEqual({ ttlSeconds: 86400, lockWaitMs: IDEMPOTENCY_LOCK_WAIT_MS, records: 0, inFlight: 0 });
+    });
+  });
+
+  /**
+   * TEST 29: Concurrent Duplicate Requests
+   *
+   * Fires requests with the same idempotency key in parallel:
+   * - Exactly one payout is created, the duplicates replay its response
+   * - Duplicates of a slow request (gateway timeout) never pay twice
+   * - With lockWaitMs 0 duplicates get 409 REQUEST_IN_PROGRESS instead of waiting
+   */
+  describe('TC-F029: Concurrent Duplicate Requests', () => {
+    const payoutBody = (overrides = {}) => ({
+      gamertag: 'player_parallel',
+      amount: 1000,
+      projectId: 'project_test_001',
+      idempotencyKey: 'parallel_key',
+      ...overrides
+    });
+
+    const post = (body) => api.post('/api/v1/payouts').send(body);
+    const replayed = (res) => res.headers[IDEMPOTENT_REPLAY_HEADER.toLowerCase()] === 'true';
+
+    const enableTimeouts = () => api
+      .post('/api/v1/test/failure-injection')
+      .send({ enabled: true, timeoutRate: 1, rollbackOnTimeout: true })
+      .expect(200);
+
+    afterEach(async () => {
+      await api.post('/api/v1/test/failure-injection').send({ enabled: false });
+    });
+
+    it('should create exactly one payout for parallel duplicates', async () => {
+      const balanceBefore = (await api.get('/api/v1/projects/project_test_001/balance')).body.data.balance;
+
+      const responses = await inParallel(5, () => post(payoutBody()));
+
+      responses.forEach(res => expect(res.status).toBe(201));
+      expect(new Set(responses.map(res => res.body.data.id)).size).toBe(1);
+      expect(responses.filter(res => !replayed(res))).toHaveLength(1);
+
+      const balance = (await api.get('/api/v1/projects/project_test_001/balance')).body.data.balance;
+      expect(balanceBefore - balance).toBe(1020);
+      expect((await api.get('/api/v1/payouts').expect(200)).body.data.count).toBe(1);
+
+      const invariants = await api.get('/api/v1/test/invariants').expect(200);
+      expect(invariants.body.data.ok).toBe(true);
+    });
+
+    it('should hold duplicates until a slow request times out', async () => {
+      await enableTimeouts();
+
+      const responses = await inParallel(3, () => post(payoutBody()));
+
+      responses.forEach(res => expect(res.status).toBe(504));
+      expect(responses.filter(res => !replayed(res))).toHaveLength(1);
+      expect((await api.get('/api/v1/payouts').expect(200)).body.data.count).toBe(0);
+
+      const invariants = await api.get('/api/v1/test/invariants').expect(200);
+      expect(invariants.body.data.ok).toBe(true);
+    }, 15000);
+
+    it('should return 409 REQUEST_IN_PROGRESS when duplicates may not wait', async () => {
+      await api.post('/api/v1/test/idempotency').send({ lockWaitMs: 0 }).expect(200);
+      await enableTimeouts();
+
+      const [first, second] = await inParallel(2, () => post(payoutBody()));
+
+      expect([first.status, second.status].sort()).toEqual([409, 504]);
+      const conflict = first.status === 409 ? first : second;
+      expect(conflict.body.data).toEqual({ error: 'REQUEST_IN_PROGRESS', idempotencyKey: 'parallel_key' });
+
+      // Once the first request has finished, a retry replays its outcome
+      const retry = await post(payoutBody()).expect(504);
+      expect(replayed(retry)).toBe(true);
+    }, 15000);
+
+    it('should check a concurrent body mismatch after the first request finishes', async () => {
+      const [first, second] = await inParallel(2, (i) => post(payoutBody({ amount: 1000 + i })));
+
+      const statuses = [first.status, second.status].sort();
+      expect(statuses).toEqual([201, 422]);
+      expect((await api.get('/api/v1/payouts').expect(200)).body.data.count).toBe(1);
+    });
+
+    it('should reject batch items whose key is still in flight', async () => {
+      await enableTimeouts();
+
+      const single = post(payoutBody()).then(res => res);
+      await new Promise(resolve => setTimeout(resolve, 500));
+
+      const batch = await api
+        .post('/api/v1/payouts/batch')
+        .send({ mode: 'best_effort', items: [payoutBody(), payoutBody({ gamertag: 'player_other', idempotencyKey: 'other_key' })] })
+        .expect(201);
+
+      expect(batch.body.data.items[0]).toMatchObject({ status: 'rejected', statusCode: 409 });
+      expect(batch.body.data.items[0].error).toBe('REQUEST_IN_PROGRESS');
+      expect(batch.body.data.items[1].status).toBe('created');
+
+      expect((await single).status).toBe(504);
+    }, 15000);
+
+    it('should release every lock once requests finish', async () => {
+      await inParallel(4, (i) => post(payoutBody({ idempotencyKey: `parallel_key_${i % 2}` })));
+
+      const response = await api.get('/api/v1/test/idempotency').expect(200);
+
+      expect(response.body.data.inFlight).toBe(0);
+    });
+  });
+
+  /**
+   * TEST 30: Rate Limiter Strategies and Scopes
+   *
+   * Unit tests drive rate-limiter.js with a fake clock; API tests cover the
+   * RateLimit-* headers and the project and API key scopes.
+   */
+  describe('TC-F030: Rate Limiter', () => {
+    const HOUR = 3600000;
+
+    describe('rate-limiter.js', () => {
+      let clock;
+      let limiter;
+      const rule = (strategy, limit = 3) => ({ strategy, limit, windowMs: HOUR });
+
+      beforeEach(() => {
+        clock = 1000000;
+        limiter = createRateLimiter({ now: () => clock });
+      });
+
+      it('should compute retryAfter from the oldest hit in a sliding window', () => {
+        const window = rule(STRATEGIES.SLIDING_WINDOW);
+        limiter.consume('k', window);
+        clock += 60000;
+        limiter.consume('k', window);
+        limiter.consume('k', window);
+
+        const blocked = limiter.check('k', window);
+        expect(blocked).toMatchObject({ allowed: false, remaining: 0, retryAfterMs: HOUR - 60000 });
+
+        clock += HOUR - 60000;
+        expect(limiter.check('k', window)).toMatchObject({ allowed: true, remaining: 1, retryAfterMs: 0 });
+      });
+
+      it('should allow a burst and then refill a token bucket gradually', () => {
+        const bucket = rule(STRATEGIES.TOKEN_BUCKET);
+        [1, 2, 3].forEach(() => limiter.consume('k', bucket));
+
+        expect(limiter.check('k', bucket)).toMatchObject({ allowed: false, retryAfterMs: HOUR / 3 });
+
+        clock += HOUR / 3;
+        expect(limiter.check('k', bucket)).toMatchObject({ allowed: true, remaining: 1 });
+        expect(limiter.check('k', bucket, 2)).toMatchObject({ allowed: false, retryAfterMs: HOUR / 3 });
+      });
+
+      it('should read timestamp arrays stored by earlier versions', () => {
+        const store = new Map([['k', [clock - 1000, clock - 500, clock - 100]]]);
+        limiter = createRateLimiter({ store, now: () => clock });
+
+        expect(limiter.check('k', rule(STRATEGIES.SLIDING_WINDOW))).toMatchObject({ allowed: false, retryAfterMs: HOUR - 1000 });
+      });
+
+      it('should reject unknown strategies', () => {
+        expect(() => limiter.check('k', rule('fixed_window'))).toThrow('Unknown rate limit strategy');
+      });
+    });
+
+    describe('API', () => {
+      const payout = (overrides = {}, agent = api) => agent
+        .post('/api/v1/payouts')
+        .send({ gamertag: 'player_limits', amount: 100, projectId: 'project_test_001', ...overrides });
+
+      const updateSettings = (settings) => api
+        .patch('/api/v1/projects/project_test_001/settings')
+        .send(settings);
+
+      it('should send RateLimit headers with each created payout', async () => {
+        const first = await payout().expect(201);
+        const second = await payout().expect(201);
+
+        expect(first.headers['ratelimit-limit']).toBe('10');
+        expect(first.headers['ratelimit-remaining']).toBe('9');
+        expect(first.headers['ratelimit-policy']).toBe('10;w=3600');
+        expect(Number(first.headers['ratelimit-reset'])).toBeGreaterThan(3590);
+        expect(second.headers['ratelimit-remaining']).toBe('8');
+      });
+
+      it('should limit payouts per project across gamertags', async () => {
+        await updateSettings({ projectRateLimitPerHour: 2 }).expect(200);
+
+        await payout({ gamertag: 'player_a' }).expect(201);
+        const second = await payout({ gamertag: 'player_b' }).expect(201);
+        const limited = await payout({ gamertag: 'player_c' }).expect(429);
+
+        // The tighter project limit drives the headers
+        expect(second.headers['ratelimit-limit']).toBe('2');
+        expect(limited.body.message).toBe('Maximum 2 payouts per project per hour');
+        expect(limited.body.data).toMatchObject({ error: 'RATE_LIMIT_EXCEEDED', scope: 'project', limit: 2 });
+      });
+
+      it('should limit payouts per API key across projects', async () => {
+        await createProject('project_key_limit');
+        await api.post('/api/v1/projects/project_key_limit/fund').send({ amount: 10000 }).expect(200);
+        await api
+          .post('/api/v1/test/api-keys')
+          .send({ apiKey: 'key_limited', projectIds: ['*'], rateLimitPerHour: 1 })
+          .expect(201);
+        const limitedAgent = request.agent(app).set('apikey', 'key_limited');
+
+        await payout({}, limitedAgent).expect(201);
+        const limited = await payout({ projectId: 'project_key_limit' }, limitedAgent).expect(429);
+
+        expect(limited.body.data).toMatchObject({ scope: 'apiKey', limit: 1 });
+        expect(limited.body.message).toBe('Maximum 1 payouts per API key per hour');
+
+        // Other keys are unaffected
+        await payout({ projectId: 'project_key_limit' }).expect(201);
+      });
+
+      it('should use a token bucket when the project selects it', async () => {
+        await updateSettings({ rateLimitStrategy: 'token_bucket', rateLimitPerHour: 2 }).expect(200);
+
+        await payout().expect(201);
+        await payout().expect(201);
+        const limited = await payout().expect(429);
+
+        // One token refills every 30 minutes
+        expect(limited.body.data.retryAfter).toBeGreaterThan(1790);
+        expect(limited.body.data.retryAfter).toBeLessThanOrEqual(1800);
+        expect(limited.headers['retry-after']).toBe(String(limited.body.data.retryAfter));
+      });
+
+      it('should count earlier batch items against every scope', async () => {
+        await updateSettings({ projectRateLimitPerHour: 3 }).expect(200);
+
+        const response = await api
+          .post('/api/v1/payouts/batch')
+          .send({
+            mode: 'best_effort',
+            items: ['a', 'b', 'c', 'd'].map(tag => ({ gamertag: `player_${tag}`, amount: 100, projectId: 'project_test_001' }))
+          })
+          .expect(201);
+
+        expect(response.body.data.items.map(item => item.status)).toEqual(['created', 'created', 'created', 'rejected']);
+        expect(response.body.data.items[3]).toMatchObject({ statusCode: 429, error: 'RATE_LIMIT_EXCEEDED' });
+      });
+
+      it('should validate rate limit settings', async () => {
+        const response = await updateSettings({ rateLimitStrategy: 'fixed_window', projectRateLimitPerHour: 0 }).expect(400);
+
+        expect(response.body.data.details).toEqual(expect.arrayContaining([
+          'projectRateLimitPerHour must be an integer >= 1 or null',
+          'rateLimitStrategy must be one of: sliding_window, token_bucket'
+        ]));
+      });
+    });
+  });
+
+  /**
+   * TEST 31: Rate Limit Test Endpoints
+   *
+   * Seeds, inspects and clears rate limit usage directly, so limit tests do
+   * not need to create real payouts first.
+   */
+  describe('TC-F031: Rate Limit Test Endpoints', () => {
+    const gamertag = 'player_seeded';
+    const payout = (overrides = {}) => api
+      .post('/api/v1/payouts')
+      .send({ gamertag, amount: 100, projectId: 'project_test_001', ...overrides });
+    const seed = (body) => api.post(`/api/v1/test/rate-limits/${gamertag}`).send({ projectId: 'project_test_001', ...body });
+
+    it('should seed a gamertag up to its limit', async () => {
+      const seeded = await seed({ count: 10 }).expect(200);
+
+      expect(seeded.body.data).toMatchObject({ gamertag, projectId: 'project_test_001', limit: 10, used: 10, remaining: 0 });
+      expect(seeded.body.data.hits).toHaveLength(10);
+
+      const limited = await payout().expect(429);
+      expect(limited.body.data.scope).toBe('gamertag');
+    });
+
+    it('should compute retryAfter from seeded history', async () => {
+      await seed({ count: 10, ageSeconds: 3000 }).expect(200);
+
+      const limited = await payout().expect(429);
+
+      expect(limited.body.data.retryAfter).toBeGreaterThan(590);
+      expect(limited.body.data.retryAfter).toBeLessThanOrEqual(600);
+    });
+
+    it('should drop seeded payouts older than the window', async () => {
+      const seeded = await seed({ count: 10, ageSeconds: 3600 }).expect(200);
+
+      expect(seeded.body.data).toMatchObject({ used: 0, remaining: 10 });
+      await payout().expect(201);
+    });
+
+    it('should report usage per project', async () => {
+      await createProject('project_usage');
+      await payout().expect(201);
+
+      const all = await api.get(`/api/v1/test/rate-limits/${gamertag}`).expect(200);
+      const scoped = await api.get(`/api/v1/test/rate-limits/${gamertag}?projectId=project_usage`).expect(200);
+
+      expect(all.body.data.projects).toHaveLength(1);
+      expect(all.body.data.projects[0]).toMatchObject({
+        projectId: 'project_test_001',
+        strategy: 'sliding_window',
+        windowSeconds: 3600,
+        used: 1,
+        remaining: 9,
+        retryAfter: 0
+      });
+      expect(scoped.body.data.projects[0]).toMatchObject({ projectId: 'project_usage', used: 0, hits: [] });
+    });
+
+    it('should report tokens for token bucket projects', async () => {
+      await api
+        .patch('/api/v1/projects/project_test_001/settings')
+        .send({ rateLimitStrategy: 'token_bucket', rateLimitPerHour: 4 })
+        .expect(200);
+
+      const seeded = await seed({ count: 4 }).expect(200);
+
+      expect(seeded.body.data).toMatchObject({ strategy: 'token_bucket', used: 4, remaining: 0 });
+      expect(seeded.body.data.tokens).toBeLessThan(0.01);
+      await payout().expect(429);
+    });
+
+    it('should clear one gamertag', async () => {
+      await seed({ count: 10 }).expect(200);
+
+      const cleared = await api.delete(`/api/v1/test/rate-limits/${gamertag}?projectId=project_test_001`).expect(200);
+
+      expect(cleared.body.data.cleared).toBe(1);
+      await payout().expect(201);
+    });
+
+    it('should seed, inspect and clear a project-wide limit', async () => {
+      await api
+        .patch('/api/v1/projects/project_test_001/settings')
+        .send({ projectRateLimitPerHour: 5 })
+        .expect(200);
+
+      await api.post('/api/v1/test/rate-limits/projects/project_test_001').send({ count: 5 }).expect(200);
+      await seed({ count: 2 }).expect(200);
+
+      const limited = await payout({ gamertag: 'player_fresh' }).expect(429);
+      expect(limited.body.data.scope).toBe('project');
+
+      const usage = await api.get('/api/v1/test/rate-limits/projects/project_test_001').expect(200);
+      expect(usage.body.data.project).toMatchObject({ scope: 'project', limit: 5, used: 5 });
+      expect(usage.body.data.gamertags).toEqual([expect.objectContaining({ gamertag, used: 2 })]);
+
+      const cleared = await api.delete('/api/v1/test/rate-limits/projects/project_test_001').expect(200);
+      expect(cleared.body.data.cleared).toBe(2);
+      await payout({ gamertag: 'player_fresh' }).expect(201);
+    });
+
+    it('should validate seed requests', async () => {
+      await seed({ count: 0 }).expect(400);
+      await seed({ count: 1, ageSeconds: -5 }).expect(400);
+      await api.post(`/api/v1/test/rate-limits/${gamertag}`).send({ count: 1 }).expect(400);
+      await seed({ count: 1, projectId: 'project_missing' }).expect(404);
+
+      // No project-wide limit configured
+      const response = await api.post('/api/v1/test/rate-limits/projects/project_test_001').send({ count: 1 }).expect(400);
+      expect(response.body.message).toContain('projectRateLimitPerHour');
+    });
+  });
+
+  /**
+   * TEST 32: Virtual Clock
+   *
+   * Unit tests drive clock.js with a fake system time; API tests freeze and
+   * advance time via POST /api/v1/test/clock instead of sleeping.
+   */
+  describe('TC-F032: Virtual Clock', () => {
+    describe('clock.js', () => {
+      let systemTime;
+      let clock;
+
+      beforeEach(() => {
+        systemTime = Date.parse('2026-01-01T00:00:00.000Z');
+        clock = createClock({ realNow: () => systemTime });
+      });
+
+      it('should stand still while frozen and move on advance', () => {
+        clock.freeze();
+        systemTime += 5000;
+        expect(clock.iso()).toBe('2026-01-01T00:00:00.000Z');
+
+        clock.advance(60000);
+        expect(clock.iso()).toBe('2026-01-01T00:01:00.000Z');
+
+        clock.unfreeze();
+        systemTime += 1000;
+        expect(clock.iso()).toBe('2026-01-01T00:01:01.000Z');
+      });
+
+      it('should fire timers in due order at their due time', () => {
+        clock.freeze();
+        const fired = [];
+        clock.setTimeout(() => fired.push(['b', clock.now()]), 2000);
+        clock.setTimeout(() => {
+          fired.push(['a', clock.now()]);
+          // Scheduled inside the jump and due before its end
+          clock.setTimeout(() => fired.push(['c', clock.now()]), 1500);
+        }, 1000);
+        const cancelled = clock.setTimeout(() => fired.push(['x', clock.now()]), 500);
+        clock.clearTimeout(cancelled);
+
+        const count = clock.advance(3000);
+
+        const start = Date.parse('2026-01-01T00:00:00.000Z');
+        expect(fired).toEqual([['a', start + 1000], ['b', start + 2000], ['c', start + 2500]]);
+        expect(count).toBe(3);
+        expect(clock.now()).toBe(start + 3000);
+        expect(clock.status().pendingTimers).toBe(0);
+      });
+
+      it('should not fire timers when set backwards', () => {
+        const callback = jest.fn();
+        clock.setTimeout(callback, 1000);
+
+        expect(clock.set(Date.parse('2025-12-31T00:00:00.000Z'))).toBe(0);
+        expect(callback).not.toHaveBeenCalled();
+        expect(clock.status()).toMatchObject({ frozen: false, offsetMs: -86400000, pendingTimers: 1 });
+      });
+
+      it('should fire timers on a running clock in real time', async () => {
+        const realClock = createClock();
+        const fired = await new Promise(resolve => realClock.setTimeout(() => resolve(true), 20));
+
+        expect(fired).toBe(true);
+      });
+    });
+
+    describe('API', () => {
+      const setClock = (body) => api.post('/api/v1/test/clock').send(body);
+
+      it('should freeze and set the time used for timestamps', async () => {
+        await setClock({ frozen: true, time: '2026-03-01T12:00:00.000Z' }).expect(200);
+
+        const created = await createPayout({ expiresIn: 60 });
+
+        expect(created.body.data.createdAt).toBe('2026-03-01T12:00:00.000Z');
+        expect(created.body.data.expiresAt).toBe('2026-03-01T12:01:00.000Z');
+        expect((await api.get('/api/v1/test/clock')).body.data).toMatchObject({
+          now: '2026-03-01T12:00:00.000Z',
+          frozen: true
+        });
+      });
+
+      it('should expire and refund payouts when time passes their expiry', async () => {
+        await setClock({ frozen: true }).expect(200);
+        const before = await getAvailable();
+        const created = await createPayout({ expiresIn: 60, callbackUrl: 'https://example.com/hook' });
+
+        const early = await setClock({ advanceSeconds: 59 }).expect(200);
+        expect(early.body.data.expiredPayouts).toEqual([]);
+
+        const advanced = await setClock({ advanceSeconds: 2 }).expect(200);
+        expect(advanced.body.data.expiredPayouts).toEqual([created.body.data.id]);
+
+        const payout = await api.get(`/api/v1/payouts/${created.body.data.id}`).expect(200);
+        expect(payout.body.data.status).toBe('expired');
+        expect(await getAvailable()).toBe(before);
+
+        const callbacks = (await api.get('/api/v1/test/callbacks')).body.data.callbacks;
+        expect(callbacks.map(c => c.payload.data.status)).toEqual(['pending', 'expired']);
+      });
+
+      it('should settle payouts when time passes the settlement delay', async () => {
+        await setClock({ frozen: true }).expect(200);
+        await api.post('/api/v1/test/settlement').send({ enabled: true, delayMs: 30000 }).expect(200);
+        const created = await createPayout();
+
+        const advanced = await setClock({ advanceSeconds: 30 }).expect(200);
+
+        expect(advanced.body.data.timersFired).toBe(1);
+        const payout = await api.get(`/api/v1/payouts/${created.body.data.id}`).expect(200);
+        expect(payout.body.data.status).toBe('completed');
+        expect(payout.body.data.updatedAt).toBe(advanced.body.data.now);
+      });
+
+      it('should fire webhook retries when time passes their backoff', async () => {
+        await setClock({ frozen: true }).expect(200);
+        await api.post('/api/v1/test/webhooks').send({ enabled: true, maxAttempts: 2, baseDelayMs: 600000 }).expect(200);
+        await createPayout({ callbackUrl: 'http://127.0.0.1:1/unreachable' });
+
+        const attempts = async (count) => {
+          for (let i = 0; i < 100; i++) {
+            const callback = (await api.get('/api/v1/test/callbacks')).body.data.callbacks[0];
+            if (callback.attempts.length >= count) return callback;
+            await new Promise(resolve => setTimeout(resolve, 20));
+          }
+          throw new Error(`callback never reached ${count} attempts`);
+        };
+
+        const first = await attempts(1);
+        expect(first.status).toBe('pending');
+
+        await setClock({ advanceSeconds: 600 }).expect(200);
+        const second = await attempts(2);
+
+        expect(second.status).toBe('failed');
+        expect(second.attempts[1].attemptedAt).toBe(first.nextAttemptAt);
+      });
+
+      it('should move rate limit windows and idempotency TTLs', async () => {
+        await setClock({ frozen: true }).expect(200);
+        await api.post('/api/v1/test/rate-limits/player_test').send({ projectId: 'project_test_001', count: 9 }).expect(200);
+        const first = await createPayout({ idempotencyKey: 'clock_key' });
+        await postPayout().expect(429);
+
+        await setClock({ advanceSeconds: 86400 }).expect(200);
+        const second = await createPayout({ idempotencyKey: 'clock_key' });
+
+        expect(second.body.data.id).not.toBe(first.body.data.id);
+      });
+
+      it('should validate clock changes', async () => {
+        await setClock({ time: 'not a date' }).expect(400);
+        await setClock({ advanceMs: -1 }).expect(400);
+        await setClock({ frozen: 'yes' }).expect(400);
+      });
+
+      it('should return to real time on reset', async () => {
+        await setClock({ frozen: true, time: '2020-01-01T00:00:00.000Z' }).expect(200);
+
+        await api.delete('/api/v1/test/reset').expect(200);
+
+        const status = (await api.get('/api/v1/test/clock')).body.data;
+        expect(status.frozen).toBe(false);
+        expect(Math.abs(Date.parse(status.now) - Date.now())).toBeLessThan(5000);
+      });
+    });
+  });
+
+  /**
+   * TEST 33: Background Expiry Sweeper
+   *
+   * Pending payouts expire (refund + callback) without anyone reading them:
+   * on the sweeper's interval and whenever the virtual clock moves.
+   */
+  describe('TC-F033: Expiry Sweeper', () => {
+    const sweeper = () => api.get('/api/v1/test/expiry-sweeper').expect(200).then(res => res.body.data);
+
+    it('should expire unread payouts on its interval', async () => {
+      const before = (await api.get('/api/v1/projects/project_test_001/balance')).body.data.balance;
+      await api.post('/api/v1/test/expiry-sweeper').send({ enabled: true, intervalMs: 50 }).expect(200);
+      const created = await createPayout({ expiresIn: 1, callbackUrl: 'https://example.com/hook' });
+
+      let stats;
+      for (let i = 0; i < 60 && !(stats && stats.expired === 1); i++) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        ({ stats } = await sweeper());
+      }
+
+      expect(stats.expired).toBe(1);
+      expect(stats.lastRun.trigger).toBe('interval');
+
+      // Observed through the listing, which never expires payouts itself
+      const listed = await api.get('/api/v1/payouts?status=expired').expect(200);
+      expect(listed.body.data.payouts.map(p => p.id)).toEqual([created.body.data.id]);
+      expect((await api.get('/api/v1/projects/project_test_001/balance')).body.data.balance).toBe(before);
+
+      const callbacks = (await api.get('/api/v1/test/callbacks')).body.data.callbacks;
+      expect(callbacks.map(c => c.payload.data.status)).toEqual(['pending', 'expired']);
+    }, 10000);
+
+    it('should sweep when the virtual clock moves', async () => {
+      await api.post('/api/v1/test/clock').send({ frozen: true }).expect(200);
+      const created = await createPayout({ expiresIn: 120 });
+      await createPayout({ expiresIn: 600 });
+
+      await api.post('/api/v1/test/clock').send({ advanceSeconds: 300 }).expect(200);
+
+      const { stats } = await sweeper();
+      expect(stats.lastRun).toMatchObject({ trigger: 'clock', scanned: 2, expired: [created.body.data.id], errors: 0 });
+    });
+
+    it('should only scan pending charges', async () => {
+      await api.post('/api/v1/test/clock').send({ frozen: true }).expect(200);
+      const createCharge = async (expiresIn) => (
+        await api.post('/api/v1/charges').send({ projectId: 'project_test_001', amount: 500, expiresIn }).expect(201)
+      ).body.data;
+      const paid = await createCharge(60);
+      const due = await createCharge(60);
+      await createCharge(600);
+      await api.post(`/api/v1/test/charges/${paid.id}/pay`).expect(200);
+
+      await api.post('/api/v1/test/clock').send({ advanceSeconds: 300 }).expect(200);
+
+      const { stats } = await sweeper();
+      expect(stats.lastRun).toMatchObject({ trigger: 'clock', scannedCharges: 2, expiredCharges: [due.id], errors: 0 });
+    });
+
+    it('should run on demand and report its settings', async () => {
+      const response = await api
+        .post('/api/v1/test/expiry-sweeper')
+        .send({ intervalMs: 250, runNow: true })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        enabled: false,
+        intervalMs: 250,
+        stats: { runs: 1, expired: 0, errors: 0, lastError: null, lastRun: { trigger: 'manual', scanned: 0, expired: [], failures: [] } }
+      });
+    });
+
+    it('should not sweep on an interval while disabled', async () => {
+      await createPayout({ expiresIn: 1, callbackUrl: 'https://example.com/hook' });
+      await new Promise(resolve => setTimeout(resolve, 1100));
+
+      const { stats } = await sweeper();
+      const listed = await api.get('/api/v1/payouts?status=pending').expect(200);
+
+      expect(stats.runs).toBe(0);
+      expect(listed.body.data.count).toBe(1);
+    });
+
+    it('should restore defaults and clear stats on reset', async () => {
+      await api.post('/api/v1/test/expiry-sweeper').send({ intervalMs: 5, runNow: true }).expect(200);
+
+      await api.delete('/api/v1/test/reset').expect(200);
+      const state = await sweeper();
+
+      expect(state).toMatchObject({ enabled: true, intervalMs: EXPIRY_SWEEP_INTERVAL_MS, stats: { runs: 0, lastRun: null } });
+    });
+  });
+
+  /**
+   * TEST 34: Chaos Engine
+   *
+   * Rule-based failure injection (see chaos.js):
+   * - Faults: latency, 500/503 errors, dropped connections, partial writes,
+   *   lost responses, gateway timeouts and webhook delivery failures
+   * - Matching by route and project
+   * - Probability, count-limited and deterministic-sequence triggers
+   */
+  describe('TC-F034: Chaos Engine', () => {
+    describe('Rule engine', () => {
+      const payoutContext = { method: 'POST', path: '/api/v1/payouts', projectId: 'project_a' };
+
+      const engineWith = (rules, random) => {
+        const engine = createChaosEngine({ random });
+        expect(engine.setRules(rules)).toEqual([]);
+        engine.setEnabled(true);
+        return engine;
+      };
+
+      it('should fire deterministic sequences in a cycle', () => {
+        const engine = engineWith([{ fault: FAULTS.ERROR, sequence: [1, 0, 0] }]);
+
+        const fired = Array.from({ length: 6 }, () => Boolean(engine.trigger(FAULTS.ERROR, payoutContext)));
+
+        expect(fired).toEqual([true, false, false, true, false, false]);
+        expect(engine.rules()[0].stats).toEqual({ matched: 6, fired: 2 });
+      });
+
+      it('should stop firing once the count is used up', () => {
+        const engine = engineWith([{ fault: FAULTS.DROP, count: 2 }]);
+
+        const fired = Array.from({ length: 4 }, () => Boolean(engine.trigger(FAULTS.DROP, payoutContext)));
+
+        expect(fired).toEqual([true, true, false, false]);
+      });
+
+      it('should fire by probability using the injected random source', () => {
+        const draws = [0.1, 0.6, 0.4, 0.9];
+        const engine = engineWith([{ fault: FAULTS.ERROR, probability: 0.5 }], () => draws.shift());
+
+        const fired = Array.from({ length: 4 }, () => Boolean(engine.trigger(FAULTS.ERROR, payoutContext)));
+
+        expect(fired).toEqual([true, false, true, false]);
+      });
+
+      it('should match routes, methods and projects', () => {
+        const engine = engineWith([
+          { id: 'status', fault: FAULTS.ERROR, route: 'GET /api/v1/payouts/:id' },
+          { id: 'project', fault: FAULTS.ERROR, route: '/api/v1/projects/*', projectId: 'project_b' }
+        ]);
+        const fired = (context) => (engine.trigger(FAULTS.ERROR, context) || {}).id;
+
+        expect(fired({ method: 'GET', path: '/api/v1/payouts/payout_1' })).toBe('status');
+        expect(fired({ method: 'DELETE', path: '/api/v1/payouts/payout_1' })).toBeUndefined();
+        expect(fired({ method: 'GET', path: '/api/v1/payouts' })).toBeUndefined();
+        expect(fired({ method: 'GET', path: '/api/v1/projects/project_b/balance', projectId: 'project_b' })).toBe('project');
+        expect(fired({ method: 'GET', path: '/api/v1/projects/project_a/balance', projectId: 'project_a' })).toBeUndefined();
+      });
+
+      it('should not fire while disabled', () => {
+        const engine = engineWith([{ fault: FAULTS.ERROR }]);
+        engine.setEnabled(false);
+
+        expect(engine.trigger(FAULTS.ERROR, payoutContext)).toBeNull();
+      });
+
+      it('should reject invalid rules without changing the rule set', () => {
+        const engine = engineWith([{ id: 'keep', fault: FAULTS.DROP }]);
+
+        const errors = engine.setRules([
+          { fault: 'meltdown' },
+          { fault: FAULTS.LATENCY },
+          { fault: FAULTS.ERROR, status: 418, probability: 2 }
+        ]);
+
+        expect(errors).toEqual([
+          expect.stringContaining('rules[0].fault'),
+          expect.stringContaining('rules[1].latencyMs'),
+          expect.stringContaining('rules[2].probability'),
+          expect.stringContaining('rules[2].status')
+        ]);
+        expect(engine.rules().map(rule => rule.id)).toEqual(['keep']);
+      });
+
+      it('should never generate an id another rule already uses', () => {
+        const engine = engineWith([{ id: 'rule_1', fault: FAULTS.DROP }, { fault: FAULTS.ERROR }]);
+        expect(engine.upsertRule({ id: 'rule_3', fault: FAULTS.LATENCY, latencyMs: 10 })).toEqual([]);
+        expect(engine.upsertRule({ fault: FAULTS.ERROR, status: 503 })).toEqual([]);
+
+        const rules = engine.rules();
+        expect(rules.map(rule => [rule.id, rule.fault])).toEqual([
+          ['rule_1', FAULTS.DROP],
+          ['rule_2', FAULTS.ERROR],
+          ['rule_3', FAULTS.LATENCY],
+          ['rule_4', FAULTS.ERROR]
+        ]);
+        expect(engine.getRule('rule_1').fault).toBe(FAULTS.DROP);
+      });
+    });
+
+    describe('API', () => {
+      const payoutBody = (overrides = {}) => ({
+        gamertag: 'player_chaos',
+        amount: 1000,
+        projectId: 'project_test_001',
+        ...overrides
+      });
+      const setRules = (rules) => api
+        .post('/api/v1/test/failure-injection')
+        .send({ enabled: true, timeoutRate: 0, rules })
+        .expect(200);
+      const ruleStats = async (id) => (await api.get('/api/v1/test/failure-injection')).body.data.rules
+        .find(rule => rule.id === id).stats;
+
+      it('should delay requests matching a latency rule', async () => {
+        await setRules([{ fault: 'latency', route: 'GET /api/v1/payouts', latencyMs: 300 }]);
+
+        const startedAt = Date.now();
+        await api.get('/api/v1/payouts').expect(200);
+
+        expect(Date.now() - startedAt).toBeGreaterThanOrEqual(290);
+      });
+
+      it('should answer 503 without handling the request', async () => {
+        await setRules([{ id: 'unavailable', fault: 'error', status: 503, route: 'POST /api/v1/payouts', count: 1 }]);
+
+        const failed = await api.post('/api/v1/payouts').send(payoutBody({ idempotencyKey: 'chaos_503' })).expect(503);
+        expect(failed.body.data).toEqual({ error: 'SERVICE_UNAVAILABLE', injected: true, ruleId: 'unavailable' });
+        expect((await api.get('/api/v1/payouts')).body.data.count).toBe(0);
+
+        // Count used up: the retry goes through
+        await api.post('/api/v1/payouts').send(payoutBody({ idempotencyKey: 'chaos_503' })).expect(201);
+      });
+
+      it('should drop connections', async () => {
+        await setRules([{ fault: 'drop', route: 'GET /api/v1/payouts', count: 1 }]);
+
+        await expect(api.get('/api/v1/payouts')).rejects.toThrow();
+        await api.get('/api/v1/payouts').expect(200);
+      });
+
+      it('should apply a payout whose response is lost, then replay it', async () => {
+        await setRules([{ fault: 'response_lost', route: 'POST /api/v1/payouts', count: 1 }]);
+        const body = payoutBody({ idempotencyKey: 'chaos_lost' });
+
+        await expect(api.post('/api/v1/payouts').send(body)).rejects.toThrow();
+
+        const retry = await api.post('/api/v1/payouts').send(body).expect(201);
+        expect(retry.headers[IDEMPOTENT_REPLAY_HEADER.toLowerCase()]).toBe('true');
+        expect((await api.get('/api/v1/payouts')).body.data.count).toBe(1);
+      });
+
+      it('should cut responses short with partial writes', async () => {
+        await setRules([{ fault: 'partial_write', route: 'POST /api/v1/payouts', count: 1 }]);
+
+        await expect(api.post('/api/v1/payouts').send(payoutBody({ idempotencyKey: 'chaos_partial' }))).rejects.toThrow();
+
+        expect((await api.get('/api/v1/payouts')).body.data.count).toBe(1);
+      });
+
+      it('should only hit the rule\'s project', async () => {
+        await createProject('project_chaos');
+        await setRules([{ fault: 'error', projectId: 'project_chaos' }]);
+
+        await api.post('/api/v1/payouts').send(payoutBody({ projectId: 'project_chaos' })).expect(500);
+        await api.get('/api/v1/projects/project_chaos/balance').expect(500);
+        await api.post('/api/v1/payouts').send(payoutBody()).expect(201);
+      });
+
+      it('should follow a deterministic sequence across requests', async () => {
+        await setRules([{ id: 'every_other', fault: 'error', route: 'GET /api/v1/payouts', sequence: [0, 1] }]);
+
+        const statuses = [];
+        for (let i = 0; i < 4; i++) {
+          statuses.push((await api.get('/api/v1/payouts')).status);
+        }
+
+        expect(statuses).toEqual([200, 500, 200, 500]);
+        expect(await ruleStats('every_other')).toEqual({ matched: 4, fired: 2 });
+      });
+
+      it('should fail webhook deliveries with the injected status', async () => {
+        await api.post('/api/v1/test/webhooks').send({ enabled: true, maxAttempts: 1 }).expect(200);
+        await setRules([{ fault: 'webhook_failure', status: 503 }]);
+
+        await api
+          .post('/api/v1/payouts')
+          .send(payoutBody({ callbackUrl: 'https://example.com/hook' }))
+          .expect(201);
+
+        const callback = (await api.get('/api/v1/test/callbacks')).body.data.callbacks[0];
+        expect(callback.status).toBe('failed');
+        expect(callback.attempts[0]).toMatchObject({ statusCode: 503, error: null });
+      });
+
+      it('should record injected webhook connection errors', async () => {
+        await api.post('/api/v1/test/webhooks').send({ enabled: true, maxAttempts: 1 }).expect(200);
+        await setRules([{ fault: 'webhook_failure', status: null }]);
+
+        await api
+          .post('/api/v1/payouts')
+          .send(payoutBody({ callbackUrl: 'https://example.com/hook' }))
+          .expect(201);
+
+        const callback = (await api.get('/api/v1/test/callbacks')).body.data.callbacks[0];
+        expect(callback.attempts[0].statusCode).toBeNull();
+        expect(callback.attempts[0].error).toMatch(/Injected connection failure/);
+      });
+
+      it('should keep the legacy timeoutRate shorthand as a gateway timeout rule', async () => {
+        const response = await api
+          .post('/api/v1/test/failure-injection')
+          .send({ enabled: true, timeoutRate: 1, rollbackOnTimeout: false })
+          .expect(200);
+
+        expect(response.body.data.rules).toEqual([
+          expect.objectContaining({ id: 'legacy_timeout', fault: 'gateway_timeout', probability: 1, rollback: false })
+        ]);
+      });
+
+      it('should time out with a custom gateway_timeout rule', async () => {
+        await setRules([{ fault: 'gateway_timeout', latencyMs: 10, rollback: true, count: 1 }]);
+
+        const response = await api.post('/api/v1/payouts').send(payoutBody()).expect(504);
+
+        expect(response.body.data.balanceRolledBack).toBe(true);
+        expect((await api.get('/api/v1/projects/project_test_001/balance')).body.data.balance).toBe(100000);
+      });
+
+      it('should never inject faults into test endpoints', async () => {
+        await setRules([{ fault: 'error', route: '*' }]);
+
+        await api.get('/api/v1/test/failure-injection').expect(200);
+        await api.get('/api/v1/payouts').expect(500);
+      });
+
+      it('should reject invalid rules', async () => {
+        const response = await api
+          .post('/api/v1/test/failure-injection')
+          .send({ rules: [{ fault: 'error', status: 404 }, { id: 'legacy_timeout', fault: 'drop' }] })
+          .expect(400);
+
+        expect(response.body.data.error).toBe('INVALID_CHAOS_RULES');
+        expect(response.body.data.details).toEqual([
+          expect.stringContaining('rules[0].status'),
+          expect.stringContaining('legacy_timeout is reserved')
+        ]);
+      });
+
+      it('should clear custom rules on DELETE and on reset', async () => {
+        await setRules([{ fault: 'error' }]);
+
+        const cleared = await api.delete('/api/v1/test/failure-injection').expect(200);
+        expect(cleared.body.data).toMatchObject({ enabled: false, timeoutRate: 0.05, rules: [{ id: 'legacy_timeout' }] });
+
+        await setRules([{ fault: 'error' }]);
+        await api.delete('/api/v1/test/reset').expect(200);
+        await api.get('/api/v1/payouts').expect(200);
+      });
+    });
+  });
+
+  /**
+   * TEST 35: Seeded Randomness
+   *
+   * IDs, simulated delays and chaos decisions draw from one seeded generator
+   * (see random.js), so the same seed replays the same run.
+   */
+  describe('TC-F035: Seeded Randomness', () => {
+    describe('Generator', () => {
+      const draw = (random, count) => Array.from({ length: count }, () => random.next());
+
+      it('should repeat the sequence for the same seed', () => {
+        expect(draw(createRandom({ seed: 42 }), 5)).toEqual(draw(createRandom({ seed: 42 }), 5));
+        expect(draw(createRandom({ seed: 'ci-run-1887' }), 5)).toEqual(draw(createRandom({ seed: 'ci-run-1887' }), 5));
+        expect(draw(createRandom({ seed: 42 }), 5)).not.toEqual(draw(createRandom({ seed: 43 }), 5));
+      });
+
+      it('should draw numbers in [0, 1)', () => {
+        draw(createRandom({ seed: 7 }), 1000).forEach(n => {
+          expect(n).toBeGreaterThanOrEqual(0);
+          expect(n).toBeLessThan(1);
+        });
+      });
+
+      it('should restart the sequence when reseeded and count draws', () => {
+        const random = createRandom({ seed: 1 });
+        const first = draw(random, 3);
+
+        random.seed(1);
+
+        expect(draw(random, 3)).toEqual(first);
+        expect(random.status()).toEqual({ seed: 1, draws: 3 });
+      });
+
+      it('should pick and report a seed when none is given', () => {
+        const { seed } = createRandom().status();
+
+        expect(Number.isInteger(seed)).toBe(true);
+        expect(validateSeed(seed)).toBeNull();
+      });
+
+      it('should validate seeds', () => {
+        expect(validateSeed('abc')).toBeNull();
+        expect(validateSeed(-1)).toMatch(/seed must be/);
+        expect(validateSeed(1.5)).toMatch(/seed must be/);
+        expect(validateSeed('')).toMatch(/seed must be/);
+        expect(validateSeed(null)).toMatch(/seed must be/);
+      });
+    });
+
+    describe('API', () => {
+      const seed = (body) => api.post('/api/v1/test/seed').send(body);
+
+      it('should generate the same IDs for the same seed and time', async () => {
+        const run = async () => {
+          await api.post('/api/v1/test/clock').send({ frozen: true, time: '2026-05-01T00:00:00.000Z' }).expect(200);
+          await seed({ seed: 'replay', simulateDelay: false }).expect(200);
+          const ids = [];
+          for (const key of ['seeded_1', 'seeded_2']) {
+            ids.push((await createPayout({ idempotencyKey: key })).body.data.id);
+          }
+          return ids;
+        };
+
+        const first = await run();
+        await api.delete('/api/v1/test/reset').expect(200);
+        const second = await run();
+
+        expect(second).toEqual(first);
+        expect(first[0]).not.toBe(first[1]);
+      });
+
+      it('should keep IDs unique when reseeded with the clock frozen', async () => {
+        await api.post('/api/v1/test/clock').send({ frozen: true }).expect(200);
+        await seed({ seed: 'again' }).expect(200);
+        const first = (await createPayout({ idempotencyKey: 'reseed_1' })).body.data;
+        await seed({ seed: 'again' }).expect(200);
+        const second = (await createPayout({ idempotencyKey: 'reseed_2' })).body.data;
+
+        expect(second.id).not.toBe(first.id);
+        expect((await api.get(`/api/v1/payouts/${first.id}`).expect(200)).body.data.idempotencyKey).toBe('reseed_1');
+        expect((await api.get('/api/v1/payouts').expect(200)).body.data.count).toBe(2);
+      });
+
+      it('should replay chaos decisions for the same seed', async () => {
+        await api
+          .post('/api/v1/test/failure-injection')
+          .send({ enabled: true, timeoutRate: 0, rules: [{ id: 'coin_flip', fault: 'error', route: 'GET /api/v1/payouts', probability: 0.5 }] })
+          .expect(200);
+        const run = async () => {
+          await seed({ seed: 2024 }).expect(200);
+          const statuses = [];
+          for (let i = 0; i < 12; i++) {
+            statuses.push((await api.get('/api/v1/payouts')).status);
+          }
+          return statuses;
+        };
+
+        const first = await run();
+        const second = await run();
+
+        expect(second).toEqual(first);
+        expect(first).toContain(200);
+        expect(first).toContain(500);
+      });
+
+      it('should skip simulated delays when disabled', async () => {
+        const drawsFor = async () => {
+          const before = (await api.get('/api/v1/test/seed')).body.data.draws;
+          await api.get('/api/v1/projects/project_test_001/balance').expect(200);
+          return (await api.get('/api/v1/test/seed')).body.data.draws - before;
+        };
+
+        await seed({ simulateDelay: true }).expect(200);
+        expect(await drawsFor()).toBe(1);
+
+        const response = await seed({ simulateDelay: false }).expect(200);
+        expect(response.body.data.simulateDelay).toBe(false);
+        expect(await drawsFor()).toBe(0);
+      });
+
+      it('should validate the seed and simulateDelay', async () => {
+        const response = await seed({ seed: -5, simulateDelay: 'no' }).expect(400);
+
+        expect(response.body.data.error).toBe('VALIDATION_ERROR');
+        expect(response.body.message).toMatch(/seed must be/);
+        expect(response.body.message).toMatch(/simulateDelay must be a boolean/);
+      });
+
+      it('should return to the startup seed on reset', async () => {
+        const startup = (await api.get('/api/v1/test/seed')).body.data.seed;
+        await seed({ seed: 'temporary', simulateDelay: false }).expect(200);
+
+        await api.delete('/api/v1/test/reset').expect(200);
+
+        expect((await api.get('/api/v1/test/seed')).body.data).toMatchObject({ seed: startup, simulateDelay: true });
+      });
+    });
+  });
+
+  /**
+   * TEST 36: Lightning Invoice & Lightning Address Destinations
+   *
+   * Payouts to a BOLT11 invoice (decoded locally, see bolt11.js) or a
+   * Lightning address instead of a gamertag:
+   * - Amount from the invoice, or checked against it
+   * - Expired, wrong-network and malformed invoices rejected
+   * - An invoice is paid at most once
+   */
+  describe('TC-F036: Lightning Invoice Destinations', () => {
+    describe('bolt11.js', () => {
+      // First example from the BOLT #11 specification
+      const SPEC_INVOICE = 'lnbc1pvjluezsp5zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zygspp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqdpl2pkx2ctnv5sxxmmwwd5kgetjypeh2ursdae8g6twvus8g6rfwvs8qun0dfjkxaq9qrsgq357wnc5r2ueh7ck6q93dj32dlqnls087fxdwk8qakdyafkq3yap9us6v52vjjsrvywa6rt52cm9r9zqt8r2t7mlcwspyetp5h2tztugp9lfyql';
+
+      it('should decode the BOLT11 specification example', () => {
+        expect(decodeInvoice(SPEC_INVOICE)).toMatchObject({
+          network: 'mainnet',
+          amountMsat: null,
+          timestamp: 1496314658,
+          expirySeconds: 3600,
+          paymentHash: '0001020304050607080900010203040506070809000102030405060708090102',
+          description: 'Please consider supporting this project'
+        });
+      });
+
+      it('should round-trip encoded invoices', () => {
+        const payee = `02${'ab'.repeat(32)}`;
+        const invoice = encodeInvoice({ amountSats: 2500, timestamp: 1700000000, expirySeconds: 600, description: 'coffee', payee });
+
+        expect(invoice.startsWith('lnbc25u1')).toBe(true);
+        expect(decodeInvoice(`lightning:${invoice.toUpperCase()}`)).toMatchObject({
+          paymentRequest: invoice,
+          amountMsat: 2500000,
+          amountSats: 2500,
+          expiresAt: '2023-11-14T22:23:20.000Z',
+          description: 'coffee',
+          payee
+        });
+      });
+
+      it('should parse amount multipliers and networks', () => {
+        const cases = [
+          [{ amountSats: 100000000 }, 'lnbc1', 100000000],
+          [{ amountSats: 1 }, 'lnbc10n', 1],
+          [{ amountSats: 0.5, network: 'testnet' }, 'lntb5n', 0.5],
+          [{ amountSats: 0.001, network: 'signet' }, 'lntbs10p', 0.001],
+          [{ amountSats: 42, network: 'regtest' }, 'lnbcrt420n', 42]
+        ];
+        cases.forEach(([options, prefix, amountSats]) => {
+          const invoice = encodeInvoice(options);
+          expect(invoice.startsWith(`${prefix}1`)).toBe(true);
+          expect(decodeInvoice(invoice)).toMatchObject({ network: options.network || 'mainnet', amountSats });
+        });
+      });
+
+      it('should reject malformed invoices', () => {
+        const invoice = encodeInvoice({ amountSats: 10 });
+        const corrupted = `${invoice.slice(0, -1)}${invoice.endsWith('q') ? 'p' : 'q'}`;
+
+        expect(() => decodeInvoice(corrupted)).toThrow(/checksum/);
+        expect(() => decodeInvoice('not an invoice')).toThrow();
+        expect(() => decodeInvoice(`${invoice.slice(0, 10)}${invoice.slice(10).toUpperCase()}`)).toThrow(/case/);
+        expect(() => decodeInvoice('')).toThrow(/non-empty/);
+      });
+
+      it('should encode descriptions up to the tagged field limit and refuse longer ones', () => {
+        const longest = 'x'.repeat(MAX_DESCRIPTION_BYTES);
+        expect(decodeInvoice(encodeInvoice({ description: longest })).description).toBe(longest);
+
+        expect(() => encodeInvoice({ description: `${longest}x` })).toThrow(/description must be at most 639 bytes/);
+        expect(() => encodeInvoice({ description: 'é'.repeat(320) })).toThrow(/at most 639 bytes/);
+      });
+
+      it('should validate Lightning addresses', () => {
+        expect(isLightningAddress('player_01@zbd.gg')).toBe(true);
+        expect(isLightningAddress('Satoshi@Example.COM')).toBe(true);
+        expect(isLightningAddress('player_01')).toBe(false);
+        expect(isLightningAddress('a@b')).toBe(false);
+        expect(isLightningAddress('two@@zbd.gg')).toBe(false);
+      });
+    });
+
+    describe('API', () => {
+      const createInvoice = async (body = {}) => (await api.post('/api/v1/test/invoices').send(body).expect(201)).body.data;
+      const pay = (fields) => api.post('/api/v1/payouts').send({ projectId: 'project_test_001', ...fields });
+
+      it('should pay an invoice for its own amount', async () => {
+        const invoice = await createInvoice({ amountSats: 1000, payee: `03${'cd'.repeat(32)}` });
+        const before = await getAvailable();
+
+        const response = await pay({ invoice: invoice.paymentRequest }).expect(201);
+
+        expect(response.body.data).toMatchObject({
+          destinationType: DESTINATION_TYPES.INVOICE,
+          gamertag: null,
+          invoice: invoice.paymentRequest,
+          paymentHash: invoice.paymentHash,
+          amount: 1000,
+          fee: 20,
+          routingFee: 1,
+          totalCost: 1021
+        });
+        expect(before - await getAvailable()).toBe(1021);
+      });
+
+      it('should accept a matching amount and reject a different one', async () => {
+        const invoice = await createInvoice({ amountSats: 500 });
+
+        const mismatch = await pay({ invoice: invoice.paymentRequest, amount: 400 }).expect(400);
+        expect(mismatch.body.data).toEqual({ error: 'INVOICE_AMOUNT_MISMATCH', amount: 400, invoiceAmount: 500 });
+
+        await pay({ invoice: invoice.paymentRequest, amount: 500 }).expect(201);
+      });
+
+      it('should require an amount for amountless invoices', async () => {
+        const invoice = await createInvoice();
+
+        const missing = await pay({ invoice: invoice.paymentRequest }).expect(400);
+        expect(missing.body.message).toBe('Missing required fields: invoice, amount, projectId');
+
+        const paid = await pay({ invoice: invoice.paymentRequest, amount: 750 }).expect(201);
+        expect(paid.body.data.amount).toBe(750);
+      });
+
+      it('should reject expired invoices', async () => {
+        await api.post('/api/v1/test/clock').send({ frozen: true }).expect(200);
+        const invoice = await createInvoice({ amountSats: 100, expirySeconds: 60 });
+        await api.post('/api/v1/test/clock').send({ advanceSeconds: 60 }).expect(200);
+
+        const response = await pay({ invoice: invoice.paymentRequest }).expect(400);
+
+        expect(response.body.data).toEqual({ error: 'INVOICE_EXPIRED', expiresAt: invoice.expiresAt });
+      });
+
+      it('should not let the payout outlive its invoice', async () => {
+        await api.post('/api/v1/test/clock').send({ frozen: true }).expect(200);
+        const invoice = await createInvoice({ amountSats: 100, expirySeconds: 90 });
+
+        const response = await pay({ invoice: invoice.paymentRequest, expiresIn: 600 }).expect(201);
+
+        expect(response.body.data.expiresIn).toBe(90);
+        expect(response.body.data.expiresAt).toBe(invoice.expiresAt);
+      });
+
+      it('should reject invoices for another network', async () => {
+        const invoice = await createInvoice({ amountSats: 100, network: 'testnet' });
+
+        const response = await pay({ invoice: invoice.paymentRequest }).expect(400);
+
+        expect(response.body.data).toEqual({ error: 'INVOICE_NETWORK_MISMATCH', invoiceNetwork: 'testnet', network: LIGHTNING_NETWORK });
+      });
+
+      it('should reject malformed invoices and sub-satoshi amounts', async () => {
+        const garbled = await pay({ invoice: 'lnbc1notarealinvoice', amount: 100 }).expect(400);
+        expect(garbled.body.data.error).toBe('INVALID_INVOICE');
+        expect(garbled.body.message).toMatch(/^Invalid invoice: /);
+
+        const fractional = await createInvoice({ amountSats: 10.5 });
+        const response = await pay({ invoice: fractional.paymentRequest }).expect(400);
+        expect(response.body.data.error).toBe('INVALID_INVOICE');
+      });
+
+      it('should pay each invoice at most once', async () => {
+        const invoice = await createInvoice({ amountSats: 100 });
+        const first = await pay({ invoice: invoice.paymentRequest, idempotencyKey: 'invoice_once_1' }).expect(201);
+
+        const again = await pay({ invoice: invoice.paymentRequest, idempotencyKey: 'invoice_once_2' }).expect(409);
+        expect(again.body.data).toEqual({ error: 'INVOICE_ALREADY_PAID', paymentHash: invoice.paymentHash, payoutId: first.body.data.id });
+
+        // Retrying with the same key replays the payout instead
+        await pay({ invoice: invoice.paymentRequest, idempotencyKey: 'invoice_once_1' }).expect(201);
+
+        // A failed payout never paid the invoice
+        await api.post(`/api/v1/test/lightning/htlcs/${first.body.data.htlcId}`).send({ action: 'fail' }).expect(200);
+        await pay({ invoice: invoice.paymentRequest, idempotencyKey: 'invoice_once_3' }).expect(201);
+      });
+
+      it('should pay Lightning addresses', async () => {
+        const response = await pay({ lightningAddress: 'Player_01@ZBD.gg', amount: 300 }).expect(201);
+
+        expect(response.body.data).toMatchObject({
+          destinationType: DESTINATION_TYPES.LIGHTNING_ADDRESS,
+          lightningAddress: 'player_01@zbd.gg',
+          gamertag: null,
+          invoice: null,
+          amount: 300
+        });
+
+        const invalid = await pay({ lightningAddress: 'player_01', amount: 300 }).expect(400);
+        expect(invalid.body.data.error).toBe('INVALID_LIGHTNING_ADDRESS');
+      });
+
+      it('should require exactly one destination', async () => {
+        const invoice = await createInvoice({ amountSats: 100 });
+
+        const response = await pay({ gamertag: 'player_both', invoice: invoice.paymentRequest }).expect(400);
+
+        expect(response.body.data).toEqual({ error: 'VALIDATION_ERROR', destinations: ['gamertag', 'invoice'] });
+      });
+
+      it('should rate limit per Lightning address', async () => {
+        await api.post('/api/v1/test/rate-limits/limited@zbd.gg').send({ projectId: 'project_test_001', count: 10 }).expect(200);
+
+        await pay({ lightningAddress: 'limited@zbd.gg', amount: 100 }).expect(429);
+        await pay({ lightningAddress: 'other@zbd.gg', amount: 100 }).expect(201);
+      });
+
+      it('should pay invoices in batches, once per invoice', async () => {
+        const invoice = await createInvoice({ amountSats: 200 });
+        const item = (idempotencyKey) => ({ invoice: invoice.paymentRequest, projectId: 'project_test_001', idempotencyKey });
+
+        const response = await api
+          .post('/api/v1/payouts/batch')
+          .send({ mode: 'best_effort', items: [item('batch_invoice_1'), item('batch_invoice_2')] })
+          .expect(201);
+
+        expect(response.body.data.items.map(i => [i.status, i.error])).toEqual([
+          ['created', undefined],
+          ['rejected', 'DUPLICATE_IN_BATCH']
+        ]);
+        expect(response.body.data.summary.amount).toBe(200);
+      });
+
+      it('should create invoices on the test endpoint', async () => {
+        await api.post('/api/v1/test/clock').send({ frozen: true, time: '2026-06-01T00:00:00.000Z' }).expect(200);
+
+        const invoice = await createInvoice({ amountSats: 21, expirySeconds: 120, description: 'bounty' });
+
+        expect(invoice).toMatchObject({
+          network: LIGHTNING_NETWORK,
+          amountSats: 21,
+          createdAt: '2026-06-01T00:00:00.000Z',
+          expiresAt: '2026-06-01T00:02:00.000Z',
+          description: 'bounty'
+        });
+        expect(invoice.paymentHash).toMatch(/^[0-9a-f]{64}$/);
+
+        const invalid = await api.post('/api/v1/test/invoices').send({ network: 'dogecoin', paymentHash: 'xyz' }).expect(400);
+        expect(invalid.body.message).toMatch(/network must be one of/);
+        expect(invalid.body.message).toMatch(/paymentHash must be 32 bytes of hex/);
+
+        const tooLong = await api.post('/api/v1/test/invoices').send({ description: 'x'.repeat(700) }).expect(400);
+        expect(tooLong.body.data.error).toBe('VALIDATION_ERROR');
+        expect(tooLong.body.message).toMatch(/description must be at most 639 bytes/);
+      });
+    });
+  });
+
+  /**
+   * TEST 37: Simulated Lightning Node
+   *
+   * Invoice and Lightning address payouts are routed over a simulated channel
+   * graph (see lightning-node.js):
+   * - Cheapest route and its routing fee, charged on top of the service fee
+   * - NO_ROUTE and INSUFFICIENT_LIQUIDITY before anything is charged
+   * - HTLCs settle or fail the payout; failed payments are refunded
+   * - Stuck HTLCs keep the payout pending until they time out
+   */
+  describe('TC-F037: Simulated Lightning Node', () => {
+    describe('lightning-node.js', () => {
+      const createNode = (options = {}) => {
+        const clock = createClock({ realNow: () => Date.parse('2026-01-01T00:00:00.000Z') });
+        clock.freeze();
+        const resolved = [];
+        const node = createLightningNode({ clock, onResolved: htlc => resolved.push(htlc), ...options });
+        return { clock, node, resolved };
+      };
+      const channel = (node, id) => node.status().graph.channels.find(c => c.id === id);
+
+      it('should pick the cheapest route and price each hop', () => {
+        const { node } = createNode();
+
+        // 1000 sats: hub B charges 500 ppm, cheaper than hub A's 1000 msat + 100 ppm
+        const small = node.findRoute('wallet', 1000000);
+        expect(small.route.feeMsat).toBe(500);
+        expect(small.route.hops).toEqual([
+          { channelId: 'zbd-hub_b', from: 'zbd', to: 'hub_b', amountMsat: 1000500 },
+          { channelId: 'hub_b-wallet', from: 'hub_b', to: 'wallet', amountMsat: 1000000 }
+        ]);
+
+        // 100,000 sats: hub A's flat base fee wins
+        const large = node.findRoute('wallet', 100000000);
+        expect(large.route.feeMsat).toBe(11000);
+        expect(large.route.hops.map(hop => hop.channelId)).toEqual(['zbd-hub_a', 'hub_a-wallet']);
+      });
+
+      it('should tell a missing route from missing liquidity', () => {
+        const { node } = createNode();
+
+        expect(node.findRoute('wallet', 3000000000).error).toBe('INSUFFICIENT_LIQUIDITY');
+        expect(node.findRoute('nowhere', 1000).error).toBe('NO_ROUTE');
+
+        node.updateNode('wallet', { online: false });
+        expect(node.findRoute('wallet', 1000).error).toBe('NO_ROUTE');
+
+        node.updateNode('wallet', { online: true });
+        node.updateChannel('hub_a-wallet', { enabled: false });
+        node.updateChannel('hub_b-wallet', { enabled: false });
+        expect(node.findRoute('wallet', 1000).error).toBe('NO_ROUTE');
+      });
+
+      it('should never reuse HTLC ids across nodes or resets', () => {
+        const send = (node) => node.sendPayment({ paymentId: 'payout_1', destination: 'wallet', amountMsat: 1000, maxFeeMsat: 1000 }).htlc.id;
+        const { node } = createNode();
+        const first = send(node);
+        node.reset();
+        const afterReset = send(node);
+        const otherNode = send(createNode().node);
+
+        expect(first).toMatch(/^htlc_[0-9a-f]{8}_1$/);
+        expect(new Set([first, afterReset, otherNode]).size).toBe(3);
+      });
+
+      it('should resolve destinations by payee, address domain or default', () => {
+        const { node } = createNode();
+        node.setGraph({
+          nodes: [{ id: 'merchant', domains: ['Shop.example'] }, { id: 'wallet' }],
+          channels: [{ from: 'zbd', to: 'merchant', capacity: 1000 }, { from: 'zbd', to: 'wallet', capacity: 1000 }],
+          defaultDestination: 'wallet'
+        });
+
+        expect(node.resolveDestination({ pubkey: 'merchant' })).toBe('merchant');
+        expect(node.resolveDestination({ domain: 'shop.example' })).toBe('merchant');
+        expect(node.resolveDestination({ pubkey: 'unknown', domain: 'zbd.gg' })).toBe('wallet');
+      });
+
+      it('should lock balances while in flight and move them on settlement', () => {
+        const { node, resolved } = createNode();
+
+        const { htlc } = node.sendPayment({ paymentId: 'payout_1', destination: 'wallet', amountMsat: 1000000, maxFeeMsat: 1000 });
+        expect(htlc).toMatchObject({ status: HTLC_STATUS.IN_FLIGHT, feeMsat: 500, stuck: false });
+        expect(channel(node, 'zbd-hub_b')).toMatchObject({ fromBalanceMsat: 1500000000 - 1000500, inFlightMsat: 1000500 });
+
+        expect(node.resolveHtlc(htlc.id).status).toBe(HTLC_STATUS.SETTLED);
+        expect(channel(node, 'zbd-hub_b')).toMatchObject({ fromBalanceMsat: 1500000000 - 1000500, toBalanceMsat: 500000000 + 1000500, inFlightMsat: 0 });
+        expect(channel(node, 'hub_b-wallet').toBalanceMsat).toBe(500000000 + 1000000);
+        expect(resolved.map(h => [h.id, h.status])).toEqual([[htlc.id, HTLC_STATUS.SETTLED]]);
+      });
+
+      it('should return locked balances when a payment fails', () => {
+        const random = createRandom({ seed: 7 });
+        const { node } = createNode({ random: random.next });
+        node.updateChannel('hub_b-wallet', { failRate: 1 });
+
+        const { htlc } = node.sendPayment({ paymentId: 'payout_1', destination: 'wallet', amountMsat: 1000000, maxFeeMsat: 1000 });
+        const failed = node.resolveHtlc(htlc.id);
+
+        expect(failed).toMatchObject({ status: HTLC_STATUS.FAILED, failureReason: 'TEMPORARY_CHANNEL_FAILURE', failedChannel: 'hub_b-wallet' });
+        expect(channel(node, 'zbd-hub_b')).toMatchObject({ fromBalanceMsat: 1500000000, inFlightMsat: 0 });
+      });
+
+      it('should respect the fee limit', () => {
+        const { node } = createNode();
+
+        const sent = node.sendPayment({ paymentId: 'payout_1', destination: 'wallet', amountMsat: 1000000, maxFeeMsat: 100 });
+
+        expect(sent.error).toBe('FEE_LIMIT_EXCEEDED');
+        expect(node.inFlightCount()).toBe(0);
+      });
+
+      it('should hold stuck HTLCs until they time out', () => {
+        const { clock, node, resolved } = createNode();
+        node.setHtlcTimeoutMs(60000);
+        node.updateNode('hub_b', { holdHtlcs: true });
+
+        const { htlc } = node.sendPayment({ paymentId: 'payout_1', destination: 'wallet', amountMsat: 1000000, maxFeeMsat: 1000 });
+        expect(htlc.stuck).toBe(true);
+        expect(node.resolveHtlc(htlc.id).status).toBe(HTLC_STATUS.IN_FLIGHT);
+
+        clock.advance(59999);
+        expect(node.isInFlight(htlc.id)).toBe(true);
+        clock.advance(1);
+        expect(node.getHtlc(htlc.id)).toMatchObject({ status: HTLC_STATUS.FAILED, failureReason: 'HTLC_TIMEOUT' });
+        expect(resolved).toHaveLength(1);
+        expect(channel(node, 'zbd-hub_b').inFlightMsat).toBe(0);
+      });
+
+      it('should validate graphs', () => {
+        const { node } = createNode();
+
+        const errors = node.setGraph({
+          nodes: [{ id: 'a' }, { id: 'a' }, { id: 'b', online: 'yes' }],
+          channels: [{ from: 'zbd', to: 'missing', capacity: 10 }, { from: 'zbd', to: 'a', capacity: 0 }, { from: 'zbd', to: 'a', capacity: 10, fromBalance: 11 }],
+          defaultDestination: 'nowhere'
+        });
+
+        expect(errors).toEqual([
+          'nodes[1].id a is used twice',
+          'nodes[2].online must be a boolean',
+          'channels[0] must connect two nodes of the graph',
+          'channels[1].capacity must be an integer > 0',
+          'channels[2].fromBalance must be an integer between 0 and capacity',
+          'graph.defaultDestination must be a node of the graph or null'
+        ]);
+        expect(node.status().graph.channels.map(c => c.id)).toEqual(DEFAULT_GRAPH.channels.map(c => c.id));
+      });
+    });
+
+    describe('API', () => {
+      const createInvoice = async (body = {}) => (await api.post('/api/v1/test/invoices').send(body).expect(201)).body.data;
+      const pay = (fields) => api.post('/api/v1/payouts').send({ projectId: 'project_test_001', ...fields });
+      const getPayout = async (id) => (await api.get(`/api/v1/payouts/${id}`).expect(200)).body.data;
+      const getHtlc = async (id) => (await api.get(`/api/v1/test/lightning/htlcs/${id}`).expect(200)).body.data;
+      const lightning = (body) => api.post('/api/v1/test/lightning').send(body);
+      const advance = (advanceMs) => api.post('/api/v1/test/clock').send({ advanceMs }).expect(200);
+
+      beforeEach(async () => {
+        await api.post('/api/v1/test/clock').send({ frozen: true }).expect(200);
+      });
+
+      it('should charge the routing fee and send the payment', async () => {
+        const invoice = await createInvoice({ amountSats: 1000 });
+        const before = await getAvailable();
+
+        const response = await pay({ invoice: invoice.paymentRequest }).expect(201);
+
+        expect(response.body.data).toMatchObject({ status: PAYOUT_STATUS.PENDING, fee: 20, routingFee: 1, totalCost: 1021, failureReason: null });
+        expect(before - await getAvailable()).toBe(1021);
+
+        const htlc = await getHtlc(response.body.data.htlcId);
+        expect(htlc).toMatchObject({ paymentId: response.body.data.id, destination: 'wallet', amountMsat: 1000000, feeMsat: 500, status: HTLC_STATUS.IN_FLIGHT });
+        expect(htlc.route.map(hop => hop.channelId)).toEqual(['zbd-hub_b', 'hub_b-wallet']);
+      });
+
+      it('should keep gamertag payouts off the Lightning node', async () => {
+        const response = await pay({ gamertag: 'player_lightning', amount: 1000 }).expect(201);
+
+        expect(response.body.data).toMatchObject({ routingFee: 0, totalCost: 1020, htlcId: null });
+        expect((await api.get('/api/v1/test/lightning')).body.data.htlcs.in_flight).toBe(0);
+      });
+
+      it('should complete the payout when its HTLC settles', async () => {
+        await api.post('/api/v1/test/settlement').send({ enabled: true, delayMs: 1000 }).expect(200);
+        const response = await pay({ lightningAddress: 'player@zbd.gg', amount: 5000 }).expect(201);
+
+        await advance(1000);
+
+        expect((await getPayout(response.body.data.id)).status).toBe(PAYOUT_STATUS.COMPLETED);
+        expect((await getHtlc(response.body.data.htlcId)).status).toBe(HTLC_STATUS.SETTLED);
+
+        // The routing fee is spent with the rest of the hold
+        const ledger = await api.get(`/api/v1/projects/project_test_001/ledger?type=${LEDGER_ENTRY_TYPES.ROUTING_FEE}`).expect(200);
+        expect(ledger.body.data.entries).toMatchObject([{ payoutId: response.body.data.id, amount: response.body.data.routingFee }]);
+        expect((await api.get('/api/v1/test/invariants')).body.data.ok).toBe(true);
+      });
+
+      it('should fail and refund the payout when a hop fails', async () => {
+        await api.post('/api/v1/test/settlement').send({ enabled: true, delayMs: 1000 }).expect(200);
+        await api.post('/api/v1/test/lightning/channels/hub_b-wallet').send({ failRate: 1 }).expect(200);
+        const before = await getAvailable();
+        const response = await pay({ lightningAddress: 'player@zbd.gg', amount: 1000 }).expect(201);
+
+        await advance(1000);
+
+        const payout = await getPayout(response.body.data.id);
+        expect(payout).toMatchObject({ status: PAYOUT_STATUS.ERROR, failureReason: 'TEMPORARY_CHANNEL_FAILURE' });
+        expect(payout.refundId).toMatch(/^refund_/);
+        expect(await getAvailable()).toBe(before);
+      });
+
+      it('should reject unroutable payouts without charging', async () => {
+        const before = await getAvailable();
+
+        await api.post('/api/v1/test/lightning/nodes/wallet').send({ online: false }).expect(200);
+        const noRoute = await pay({ lightningAddress: 'player@zbd.gg', amount: 1000 }).expect(422);
+        expect(noRoute.body.data).toEqual({ error: 'NO_ROUTE', destination: 'wallet', amount: 1000 });
+
+        await lightning({
+          graph: {
+            nodes: [{ id: 'wallet' }],
+            channels: [{ from: 'zbd', to: 'wallet', capacity: 2000, fromBalance: 500 }],
+            defaultDestination: 'wallet'
+          }
+        }).expect(200);
+        const illiquid = await pay({ lightningAddress: 'player@zbd.gg', amount: 1000 }).expect(503);
+        expect(illiquid.body.data.error).toBe('INSUFFICIENT_LIQUIDITY');
+
+        expect(await getAvailable()).toBe(before);
+      });
+
+      it('should keep stuck payouts pending until the HTLC times out', async () => {
+        await api.post('/api/v1/test/settlement').send({ enabled: true, delayMs: 1000 }).expect(200);
+        await lightning({ htlcTimeoutMs: 600000 }).expect(200);
+        await api.post('/api/v1/test/lightning/nodes/hub_b').send({ holdHtlcs: true }).expect(200);
+        const before = await getAvailable();
+        const response = await pay({ lightningAddress: 'player@zbd.gg', amount: 1000, expiresIn: 60 }).expect(201);
+        const { id, htlcId } = response.body.data;
+
+        // Past settlement and expiry: the payment is still in flight
+        await advance(120000);
+        expect((await getPayout(id)).status).toBe(PAYOUT_STATUS.PENDING);
+        expect((await getHtlc(htlcId)).stuck).toBe(true);
+
+        const cancel = await api.post(`/api/v1/payouts/${id}/cancel`).expect(409);
+        expect(cancel.body.data).toEqual({ error: 'PAYMENT_IN_FLIGHT', payoutId: id, htlcId });
+
+        await advance(480000);
+        expect(await getPayout(id)).toMatchObject({ status: PAYOUT_STATUS.ERROR, failureReason: 'HTLC_TIMEOUT' });
+        expect(await getAvailable()).toBe(before);
+      });
+
+      it('should resolve HTLCs by hand', async () => {
+        const response = await pay({ lightningAddress: 'player@zbd.gg', amount: 1000 }).expect(201);
+        const { id, htlcId } = response.body.data;
+
+        const settled = await api.post(`/api/v1/test/lightning/htlcs/${htlcId}`).send({ action: 'settle' }).expect(200);
+        expect(settled.body.data).toMatchObject({ status: HTLC_STATUS.SETTLED, payout: { id, status: PAYOUT_STATUS.COMPLETED } });
+
+        const again = await api.post(`/api/v1/test/lightning/htlcs/${htlcId}`).send({ action: 'fail' }).expect(409);
+        expect(again.body.data.error).toBe('HTLC_ALREADY_RESOLVED');
+
+        await api.post(`/api/v1/test/lightning/htlcs/${htlcId}`).send({ action: 'retry' }).expect(400);
+        await api.get('/api/v1/test/lightning/htlcs/htlc_missing').expect(404);
+      });
+
+      it('should fail the HTLC when the payout is changed by hand', async () => {
+        const response = await pay({ lightningAddress: 'player@zbd.gg', amount: 1000 }).expect(201);
+
+        await api.post(`/api/v1/test/expire/${response.body.data.id}`).expect(200);
+
+        expect(await getHtlc(response.body.data.htlcId)).toMatchObject({ status: HTLC_STATUS.FAILED, failureReason: 'PAYOUT_EXPIRED' });
+        const { channels } = (await api.get('/api/v1/test/lightning')).body.data.graph;
+        expect(channels.every(c => c.inFlightMsat === 0)).toBe(true);
+      });
+
+      it('should route Lightning addresses to the node hosting their domain', async () => {
+        await lightning({
+          graph: {
+            nodes: [{ id: 'merchant', domains: ['shop.example'] }, { id: 'wallet' }],
+            channels: [
+              { id: 'direct', from: 'zbd', to: 'merchant', capacity: 100000, fromBalance: 100000, feeBaseMsat: 0, feeRatePpm: 0 },
+              { id: 'to-wallet', from: 'zbd', to: 'wallet', capacity: 100000, fromBalance: 100000 }
+            ],
+            defaultDestination: null
+          }
+        }).expect(200);
+
+        const direct = await pay({ lightningAddress: 'alice@shop.example', amount: 1000 }).expect(201);
+        expect(direct.body.data.routingFee).toBe(0);
+        expect((await getHtlc(direct.body.data.htlcId)).destination).toBe('merchant');
+
+        // No default destination: other domains are unreachable
+        const unknown = await pay({ lightningAddress: 'bob@elsewhere.example', amount: 1000 }).expect(422);
+        expect(unknown.body.data).toEqual({ error: 'NO_ROUTE', destination: null, amount: 1000 });
+      });
+
+      it('should estimate fees without creating a payout', async () => {
+        const estimate = await api
+          .post('/api/v1/payouts/estimate')
+          .send({ projectId: 'project_test_001', lightningAddress: 'player@zbd.gg', amount: 100000 })
+          .expect(200);
+
+        expect(estimate.body.data).toMatchObject({
+          destinationType: DESTINATION_TYPES.LIGHTNING_ADDRESS,
+          amount: 100000,
+          fee: 2000,
+          routingFee: 11,
+          totalCost: 102011,
+          route: { destination: 'wallet', feeMsat: 11000 }
+        });
+        expect(estimate.body.data.route.hops).toHaveLength(2);
+
+        const gamertag = await api
+          .post('/api/v1/payouts/estimate')
+          .send({ projectId: 'project_test_001', gamertag: 'player_estimate', amount: 1000 })
+          .expect(200);
+        expect(gamertag.body.data).toMatchObject({ routingFee: 0, totalCost: 1020, route: null });
+
+        expect((await api.get('/api/v1/payouts?projectId=project_test_001')).body.data.payouts).toHaveLength(0);
+      });
+
+      it('should add routing fees to batch totals', async () => {
+        const response = await api
+          .post('/api/v1/payouts/batch')
+          .send({
+            items: [
+              { projectId: 'project_test_001', lightningAddress: 'a@zbd.gg', amount: 1000, idempotencyKey: 'ln_batch_1' },
+              { projectId: 'project_test_001', gamertag: 'player_batch', amount: 1000, idempotencyKey: 'ln_batch_2' }
+            ]
+          })
+          .expect(201);
+
+        expect(response.body.data.summary).toMatchObject({ amount: 2000, fees: 40, routingFees: 1, totalCost: 2041 });
+      });
+
+      it('should only replace the graph while no payment is in flight', async () => {
+        await pay({ lightningAddress: 'player@zbd.gg', amount: 1000 }).expect(201);
+
+        const busy = await lightning({ graph: DEFAULT_GRAPH }).expect(409);
+        expect(busy.body.data).toEqual({ error: 'HTLCS_IN_FLIGHT', inFlight: 1 });
+
+        const invalid = await lightning({ htlcTimeoutMs: -1 }).expect(400);
+        expect(invalid.body.data.error).toBe('VALIDATION_ERROR');
+        await api.post('/api/v1/test/lightning/channels/missing').send({ enabled: false }).expect(404);
+        await api.post('/api/v1/test/lightning/nodes/hub_a').send({ online: 'no' }).expect(400);
+      });
+
+      it('should restore the default graph on reset', async () => {
+        await api.post('/api/v1/test/lightning/channels/zbd-hub_a').send({ enabled: false, feeRatePpm: 9 }).expect(200);
+        await lightning({ htlcTimeoutMs: 1000 }).expect(200);
+
+        await api.delete('/api/v1/test/reset').expect(200);
+
+        const { data } = (await api.get('/api/v1/test/lightning')).body;
+        expect(data.htlcTimeoutMs).toBe(3600000);
+        expect(data.graph.channels.find(c => c.id === 'zbd-hub_a')).toMatchObject({ enabled: true, feeRatePpm: 100 });
+      });
+    });
+  });
+
+  /**
+   * TEST 38: Charges (Incoming Payments)
+   *
+   * Players pay into a project through charges:
+   * - POST /api/v1/charges returns a BOLT11 invoice for the amount
+   * - Paying (test endpoint) credits the project balance once
+   * - Unpaid charges expire
+   * - charge.status_changed callbacks through the webhook pipeline
+   */
+  describe('TC-F038: Charges', () => {
+    const createCharge = (fields = {}) => api
+      .post('/api/v1/charges')
+      .send({ projectId: 'project_test_001', amount: 500, description: 'Sword of Sats', ...fields });
+    const payCharge = (id) => api.post(`/api/v1/test/charges/${id}/pay`);
+
+    beforeEach(async () => {
+      await api.post('/api/v1/test/clock').send({ frozen: true }).expect(200);
+    });
+
+    it('should create a pending charge with an invoice for its amount', async () => {
+      const response = await createCharge({ expiresIn: 120, internalId: 'order_42' }).expect(201);
+      const charge = response.body.data;
+
+      expect(charge).toMatchObject({
+        projectId: 'project_test_001',
+        amount: 500,
+        description: 'Sword of Sats',
+        internalId: 'order_42',
+        status: CHARGE_STATUS.PENDING,
+        expiresIn: 120,
+        paidAt: null
+      });
+      expect(charge.id).toMatch(/^charge_/);
+      expect(decodeInvoice(charge.invoice)).toMatchObject({
+        network: LIGHTNING_NETWORK,
+        amountSats: 500,
+        description: 'Sword of Sats',
+        paymentHash: charge.paymentHash,
+        expiresAt: charge.expiresAt
+      });
+
+      const fetched = await api.get(`/api/v1/charges/${charge.id}`).expect(200);
+      expect(fetched.body.data).toEqual(charge);
+    });
+
+    it('should validate charge requests', async () => {
+      const missing = await api.post('/api/v1/charges').send({ projectId: 'project_test_001' }).expect(400);
+      expect(missing.body.data.error).toBe('VALIDATION_ERROR');
+
+      for (const amount of [0, 1.5, MAX_CHARGE_AMOUNT + 1]) {
+        const invalid = await createCharge({ amount }).expect(400);
+        expect(invalid.body.data.error).toBe('INVALID_AMOUNT');
+      }
+
+      expect((await createCharge({ expiresIn: -5 }).expect(400)).body.data.error).toBe('VALIDATION_ERROR');
+      expect((await createCharge({ callbackUrl: 'ftp://example.com' }).expect(400)).body.data.error).toBe('INVALID_CALLBACK_URL');
+      expect((await createCharge({ description: 'x'.repeat(MAX_DESCRIPTION_LENGTH + 1) }).expect(400)).body.data.error).toBe('DESCRIPTION_TOO_LONG');
+      expect((await createCharge({ projectId: 'project_missing' }).expect(404)).body.data.error).toBe('PROJECT_NOT_FOUND');
+
+      await api.post('/api/v1/projects/project_test_001/suspend').expect(200);
+      expect((await createCharge().expect(403)).body.data.error).toBe('PROJECT_SUSPENDED');
+    });
+
+    it('should reject malformed charge fields instead of crashing', async () => {
+      expect((await createCharge({ callbackUrl: 123 }).expect(400)).body.data.error).toBe('INVALID_CALLBACK_URL');
+      expect((await createCharge({ description: 42 }).expect(400)).body.data.error).toBe('VALIDATION_ERROR');
+      expect((await createCharge({ expiresIn: 1e20 }).expect(400)).body.data.error).toBe('VALIDATION_ERROR');
+      // Payouts check their description the same way
+      expect((await postPayout({ description: { text: 'hi' } }).expect(400)).body.data.error).toBe('VALIDATION_ERROR');
+
+      const tooLong = await api
+        .patch('/api/v1/projects/project_test_001/settings')
+        .send({ maxDescriptionLength: 5000 })
+        .expect(400);
+      expect(tooLong.body.message).toContain('maxDescriptionLength must be an integer from 0 to 639');
+
+      // Within the character limit but over BOLT11's 639 bytes of UTF-8
+      await api.patch('/api/v1/projects/project_test_001/settings').send({ maxDescriptionLength: 639 }).expect(200);
+      const oversized = await createCharge({ description: '€'.repeat(300) }).expect(400);
+      expect(oversized.body.data.error).toBe('VALIDATION_ERROR');
+      expect(oversized.body.message).toMatch(/description must be at most 639 bytes/);
+
+      await createCharge({ description: 'x'.repeat(639) }).expect(201);
+      await api.get('/health').expect(200);
+    });
+
+    it('should credit the project once when the charge is paid', async () => {
+      const charge = (await createCharge().expect(201)).body.data;
+      const before = await getAvailable();
+
+      const paid = await payCharge(charge.id).expect(200);
+
+      expect(paid.body.data).toMatchObject({ status: CHARGE_STATUS.COMPLETED, balance: before + 500 });
+      expect(paid.body.data.paidAt).toBe(paid.body.data.updatedAt);
+      expect(await getAvailable()).toBe(before + 500);
+
+      const ledger = await api.get(`/api/v1/projects/project_test_001/ledger?type=${LEDGER_ENTRY_TYPES.CHARGE}`).expect(200);
+      expect(ledger.body.data.entries).toMatchObject([
+        { from: LEDGER_ACCOUNTS.CHARGES, to: 'project:project_test_001', amount: 500, chargeId: charge.id }
+      ]);
+      expect((await api.get('/api/v1/test/invariants')).body.data.ok).toBe(true);
+
+      const again = await payCharge(charge.id).expect(409);
+      expect(again.body.data).toEqual({ error: 'CHARGE_ALREADY_PAID', chargeId: charge.id, status: CHARGE_STATUS.COMPLETED });
+      expect(await getAvailable()).toBe(before + 500);
+    });
+
+    it('should expire unpaid charges', async () => {
+      const charge = (await createCharge({ expiresIn: 60 }).expect(201)).body.data;
+      const other = (await createCharge({ expiresIn: 600 }).expect(201)).body.data;
+      const before = await getAvailable();
+
+      const advanced = await api.post('/api/v1/test/clock').send({ advanceSeconds: 61 }).expect(200);
+      expect(advanced.body.data.expiredCharges).toEqual([charge.id]);
+
+      expect((await api.get(`/api/v1/charges/${charge.id}`)).body.data.status).toBe(CHARGE_STATUS.EXPIRED);
+      expect((await api.get(`/api/v1/charges/${other.id}`)).body.data.status).toBe(CHARGE_STATUS.PENDING);
+
+      const late = await payCharge(charge.id).expect(409);
+      expect(late.body.data.error).toBe('CHARGE_EXPIRED');
+      expect(await getAvailable()).toBe(before);
+    });
+
+    it('should send charge.status_changed callbacks', async () => {
+      const charge = (await createCharge({ callbackUrl: 'https://example.com/charges' }).expect(201)).body.data;
+      await payCharge(charge.id).expect(200);
+
+      const { callbacks } = (await api.get('/api/v1/test/callbacks')).body.data;
+
+      expect(callbacks.map(c => [c.payload.event, c.payload.data.status])).toEqual([
+        [CALLBACK_EVENTS.CHARGE_STATUS_CHANGED, CHARGE_STATUS.PENDING],
+        [CALLBACK_EVENTS.CHARGE_STATUS_CHANGED, CHARGE_STATUS.COMPLETED]
+      ]);
+      expect(callbacks[1]).toMatchObject({ url: 'https://example.com/charges', projectId: 'project_test_001' });
+      expect(callbacks[1].payload).not.toHaveProperty('refund');
+      expect(callbacks[1].signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+    });
+
+    it('should hide charges from keys scoped to other projects', async () => {
+      await createProject('project_charges_other');
+      await api.post('/api/v1/test/api-keys').send({ apiKey: 'charges_scoped_key', projectIds: ['project_charges_other'] }).expect(201);
+      const charge = (await createCharge().expect(201)).body.data;
+
+      await request(server).get(`/api/v1/charges/${charge.id}`).set('apikey', 'charges_scoped_key').expect(403);
+      await api.get('/api/v1/charges/charge_missing').expect(404);
+      await payCharge('charge_missing').expect(404);
+    });
+  });
+
+  /**
+   * TEST 39: Gamertag Registry
+   *
+   * Tests the gamertag registry:
+   * - GET /api/v1/gamertags/:gamertag reports whether a gamertag exists and its user id
+   * - Seeding and unregistering via the test endpoints
+   * - Projects with requireRegisteredGamertags reject unknown gamertags (GAMERTAG_NOT_FOUND)
+   * - The check is off by default, so unregistered gamertags still work
+   */
+  describe('TC-F039: Gamertag Registry', () => {
+    const seedGamertags = (entries) => api.post('/api/v1/test/gamertags').send({ gamertags: entries });
+    const requireRegistered = (value = true) => api
+      .patch('/api/v1/projects/project_test_001/settings')
+      .send({ requireRegisteredGamertags: value })
+      .expect(200);
+
+    it('should look up registered gamertags case-insensitively', async () => {
+      const seeded = await seedGamertags([
+        { gamertag: 'Satoshi', userId: 'user_satoshi' },
+        { gamertag: 'hal_finney' }
+      ]).expect(201);
+      expect(seeded.body.data.gamertags[1].userId).toMatch(/^user_/);
+
+      const found = await api.get('/api/v1/gamertags/satoshi').expect(200);
+      expect(found.body.data).toEqual({ gamertag: 'Satoshi', exists: true, userId: 'user_satoshi' });
+
+      const missing = await api.get('/api/v1/gamertags/satoshii').expect(200);
+      expect(missing.body.data).toEqual({ gamertag: 'satoshii', exists: false, userId: null });
+    });
+
+    it('should validate seeded gamertags', async () => {
+      const empty = await seedGamertags([]).expect(400);
+      expect(empty.body.data.error).toBe('VALIDATION_ERROR');
+
+      const invalid = await seedGamertags([{ gamertag: '' }, { gamertag: 'ok', userId: 42 }]).expect(400);
+      expect(invalid.body.message).toContain('gamertags[0].gamertag');
+      expect(invalid.body.message).toContain('gamertags[1].userId');
+      expect((await api.get('/api/v1/test/gamertags').expect(200)).body.data.gamertags).toEqual([]);
+    });
+
+    it('should replace and unregister gamertags', async () => {
+      await seedGamertags([{ gamertag: 'player_one', userId: 'user_a' }]).expect(201);
+      await seedGamertags([{ gamertag: 'PLAYER_ONE', userId: 'user_b' }]).expect(201);
+
+      const list = await api.get('/api/v1/test/gamertags').expect(200);
+      expect(list.body.data.gamertags).toEqual([expect.objectContaining({ gamertag: 'PLAYER_ONE', userId: 'user_b' })]);
+
+      await api.delete('/api/v1/test/gamertags/player_one').expect(200);
+      expect((await api.get('/api/v1/gamertags/player_one').expect(200)).body.data.exists).toBe(false);
+
+      const again = await api.delete('/api/v1/test/gamertags/player_one').expect(404);
+      expect(again.body.data.error).toBe('GAMERTAG_NOT_FOUND');
+    });
+
+    it('should accept unregistered gamertags unless the project requires registration', async () => {
+      const settings = await api.get('/api/v1/projects/project_test_001/settings').expect(200);
+      expect(settings.body.data.settings.requireRegisteredGamertags).toBe(false);
+
+      await createPayout({ gamertag: 'player_typo' });
+    });
+
+    it('should reject unknown gamertags when the project requires registration', async () => {
+      await seedGamertags([{ gamertag: 'player_real' }]).expect(201);
+      await requireRegistered();
+
+      const rejected = await postPayout({ gamertag: 'player_reel' }).expect(404);
+      expect(rejected.body.data).toEqual({ error: 'GAMERTAG_NOT_FOUND', gamertag: 'player_reel' });
+      expect((await api.get('/api/v1/projects/project_test_001/balance').expect(200)).body.data.available).toBe(100000);
+
+      await createPayout({ gamertag: 'Player_Real' });
+    });
+
+    it('should reject unknown gamertags per batch item', async () => {
+      await seedGamertags([{ gamertag: 'player_real' }]).expect(201);
+      await requireRegistered();
+
+      const response = await api
+        .post('/api/v1/payouts/batch')
+        .send({
+          mode: 'best_effort',
+          items: [
+            { gamertag: 'player_real', amount: 1000, projectId: 'project_test_001' },
+            { gamertag: 'player_ghost', amount: 1000, projectId: 'project_test_001' }
+          ]
+        })
+        .expect(201);
+
+      expect(response.body.data.items.map(i => i.status)).toEqual(['created', 'rejected']);
+      expect(response.body.data.items[1]).toMatchObject({ statusCode: 404, error: 'GAMERTAG_NOT_FOUND' });
+    });
+
+    it('should reject a non-string gamertag', async () => {
+      for (const gamertag of [{ x: 1 }, ['player_real'], 42]) {
+        const response = await postPayout({ gamertag }).expect(400);
+        expect(response.body).toMatchObject({ message: 'gamertag must be a string', data: { error: 'VALIDATION_ERROR' } });
+      }
+
+      expect((await api.get('/api/v1/payouts').expect(200)).body.data.count).toBe(0);
+    });
+
+    it('should validate the requireRegisteredGamertags setting', async () => {
+      const response = await api
+        .patch('/api/v1/projects/project_test_001/settings')
+        .send({ requireRegisteredGamertags: 'yes' })
+        .expect(400);
+
+      expect(response.body.message).toContain('requireRegisteredGamertags must be a boolean');
+    });
+  });
 });
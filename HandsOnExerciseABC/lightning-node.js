@@ -0,0 +1,466 @@
+/**
+ * Simulated Lightning Node for the Mock Payment API
+ *
+ * Payouts to invoices and Lightning addresses are paid from our node over a
+ * small in-memory channel graph, so they can fail the way real payments do
+ * (no route, not enough liquidity, a hop failing, an HTLC stuck in flight)
+ * instead of always succeeding. Gamertag payouts are internal transfers and
+ * never touch the node.
+ *
+ * GRAPH:
+ * - nodes: { id, alias, domains, online, holdHtlcs }
+ *   domains: Lightning address domains the node hosts
+ *   online: offline nodes can't route or receive
+ *   holdHtlcs: the node accepts HTLCs but never resolves them (stuck payments)
+ * - channels: { id, from, to, capacity, fromBalance, feeBaseMsat, feeRatePpm, failRate, enabled }
+ *   Capacity and the starting balance on `from`'s side are in sats. Payments
+ *   flow both ways; each side can only send what it holds.
+ *   failRate: chance that a payment over the channel fails when it resolves
+ * - defaultDestination: the node that receives payments whose destination
+ *   names no node in the graph (null = such payments have no route)
+ *
+ * ROUTING:
+ * The cheapest path by fee (fewest hops on ties) of at most MAX_HOPS channels.
+ * Each forwarding node charges feeBaseMsat + amount * feeRatePpm / 1e6 for the
+ * channel it forwards over; our own first hop is free.
+ * - NO_ROUTE: no path at all (unknown or offline destination, disabled channels)
+ * - INSUFFICIENT_LIQUIDITY: paths exist, but none has the balance for the amount
+ * - FEE_LIMIT_EXCEEDED: every path with the balance costs more than the fee limit
+ *
+ * HTLCS:
+ * sendPayment locks the amount on every hop of the route (in_flight).
+ * resolveHtlc is the network answering: a hop fails with its channel's
+ * failRate (TEMPORARY_CHANNEL_FAILURE), otherwise the payment settles and the
+ * balances move to the receiving sides. A route through a holdHtlcs node is
+ * stuck and ignores resolveHtlc. Every HTLC still in flight after
+ * htlcTimeoutMs fails with HTLC_TIMEOUT and its locked balances return.
+ *
+ * State lives in memory only: a restart brings back the default graph.
+ * HTLC ids carry a random prefix picked on creation and reset, so an htlcId
+ * persisted by an earlier process never names one of this process's HTLCs.
+ */
+
+const crypto = require('crypto');
+
+const SELF_NODE_ID = 'zbd';
+const MAX_HOPS = 6;
+const DEFAULT_HTLC_TIMEOUT_MS = 60 * 60 * 1000; // 1 hour
+
+const HTLC_STATUS = {
+  IN_FLIGHT: 'in_flight',
+  SETTLED: 'settled',
+  FAILED: 'failed'
+};
+
+const FAILURE_CODES = {
+  NO_ROUTE: 'NO_ROUTE',
+  INSUFFICIENT_LIQUIDITY: 'INSUFFICIENT_LIQUIDITY',
+  FEE_LIMIT_EXCEEDED: 'FEE_LIMIT_EXCEEDED',
+  TEMPORARY_CHANNEL_FAILURE: 'TEMPORARY_CHANNEL_FAILURE',
+  HTLC_TIMEOUT: 'HTLC_TIMEOUT'
+};
+
+// Our node, two routing hubs and a consumer wallet that receives payments to
+// unknown destinations. Hub B is cheaper for small amounts, hub A for large ones.
+const DEFAULT_GRAPH = {
+  nodes: [
+    { id: SELF_NODE_ID, alias: 'ZBD' },
+    { id: 'hub_a', alias: 'Routing hub A' },
+    { id: 'hub_b', alias: 'Routing hub B' },
+    { id: 'wallet', alias: 'Consumer wallet' }
+  ],
+  channels: [
+    { id: 'zbd-hub_a', from: SELF_NODE_ID, to: 'hub_a', capacity: 5000000, fromBalance: 4000000, feeBaseMsat: 1000, feeRatePpm: 100 },
+    { id: 'zbd-hub_b', from: SELF_NODE_ID, to: 'hub_b', capacity: 2000000, fromBalance: 1500000, feeBaseMsat: 0, feeRatePpm: 500 },
+    { id: 'hub_a-wallet', from: 'hub_a', to: 'wallet', capacity: 3000000, fromBalance: 2000000, feeBaseMsat: 1000, feeRatePpm: 100 },
+    { id: 'hub_b-wallet', from: 'hub_b', to: 'wallet', capacity: 1000000, fromBalance: 500000, feeBaseMsat: 0, feeRatePpm: 500 }
+  ],
+  defaultDestination: 'wallet'
+};
+
+// Helper: Whole non-negative number (sats, msat, ppm)
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+
+// Helper: Validate the adjustable channel fields. Returns a list of problems.
+const validateChannelChanges = (changes, at = 'channel') => {
+  const errors = [];
+  if (changes.feeBaseMsat !== undefined && !isCount(changes.feeBaseMsat)) errors.push(`${at}.feeBaseMsat must be an integer >= 0`);
+  if (changes.feeRatePpm !== undefined && !isCount(changes.feeRatePpm)) errors.push(`${at}.feeRatePpm must be an integer >= 0`);
+  if (changes.failRate !== undefined && !(typeof changes.failRate === 'number' && changes.failRate >= 0 && changes.failRate <= 1)) {
+    errors.push(`${at}.failRate must be a number between 0 and 1`);
+  }
+  if (changes.enabled !== undefined && typeof changes.enabled !== 'boolean') errors.push(`${at}.enabled must be a boolean`);
+  return errors;
+};
+
+// Helper: Validate a graph spec. Returns a list of problems; empty when valid.
+const validateGraph = (spec) => {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) return ['graph must be an object'];
+
+  const errors = [];
+  const { nodes, channels = [], defaultDestination = null } = spec;
+
+  if (!Array.isArray(nodes)) return ['graph.nodes must be an array'];
+  const nodeIds = new Set([SELF_NODE_ID]);
+  nodes.forEach((node, index) => {
+    const at = `nodes[${index}]`;
+    if (!node || typeof node !== 'object') return errors.push(`${at} must be an object`);
+    if (typeof node.id !== 'string' || node.id.trim() === '') return errors.push(`${at}.id must be a non-empty string`);
+    if (node.id !== SELF_NODE_ID && nodeIds.has(node.id)) errors.push(`${at}.id ${node.id} is used twice`);
+    nodeIds.add(node.id);
+    if (node.domains !== undefined && !(Array.isArray(node.domains) && node.domains.every(d => typeof d === 'string'))) {
+      errors.push(`${at}.domains must be an array of strings`);
+    }
+    ['online', 'holdHtlcs'].forEach(flag => {
+      if (node[flag] !== undefined && typeof node[flag] !== 'boolean') errors.push(`${at}.${flag} must be a boolean`);
+    });
+  });
+
+  if (!Array.isArray(channels)) return [...errors, 'graph.channels must be an array'];
+  const channelIds = new Set();
+  channels.forEach((channel, index) => {
+    const at = `channels[${index}]`;
+    if (!channel || typeof channel !== 'object') return errors.push(`${at} must be an object`);
+    const id = channel.id !== undefined ? String(channel.id) : `chan_${index + 1}`;
+    if (channelIds.has(id)) errors.push(`${at}.id ${id} is used twice`);
+    channelIds.add(id);
+    if (!nodeIds.has(channel.from) || !nodeIds.has(channel.to)) errors.push(`${at} must connect two nodes of the graph`);
+    if (channel.from === channel.to) errors.push(`${at} must connect two different nodes`);
+    if (!(Number.isInteger(channel.capacity) && channel.capacity > 0)) return errors.push(`${at}.capacity must be an integer > 0`);
+    if (channel.fromBalance !== undefined && !(isCount(channel.fromBalance) && channel.fromBalance <= channel.capacity)) {
+      errors.push(`${at}.fromBalance must be an integer between 0 and capacity`);
+    }
+    errors.push(...validateChannelChanges(channel, at));
+  });
+
+  if (defaultDestination !== null && !nodeIds.has(defaultDestination)) {
+    errors.push('graph.defaultDestination must be a node of the graph or null');
+  }
+  return errors;
+};
+
+// Helper: Fee a node charges to forward `amountMsat` over `channel`
+const forwardingFee = (channel, amountMsat) =>
+  channel.feeBaseMsat + Math.ceil(amountMsat * channel.feeRatePpm / 1000000);
+
+/**
+ * Create a simulated Lightning node
+ *
+ * Options:
+ * - random: Function returning a number in [0, 1) for channel failures
+ * - clock: Clock for timestamps and HTLC timeouts (see clock.js)
+ * - onResolved: Called with each HTLC when it settles or fails
+ */
+const createLightningNode = ({ random = Math.random, clock, onResolved = () => {} }) => {
+  let nodes = new Map();     // nodeId -> node
+  let channels = new Map();  // channelId -> channel (balances in msat)
+  let defaultDestination = null;
+  let htlcTimeoutMs = DEFAULT_HTLC_TIMEOUT_MS;
+  const htlcs = new Map();        // htlcId -> HTLC
+  const htlcTimers = new Map();   // htlcId -> timeout timer
+  let htlcIdPrefix = null;
+  let nextHtlcId = 1;
+
+  // Build the graph from a validated spec (our node is added if missing)
+  const loadGraph = (spec) => {
+    nodes = new Map([[SELF_NODE_ID, { id: SELF_NODE_ID, alias: SELF_NODE_ID, domains: [], online: true, holdHtlcs: false }]]);
+    spec.nodes.forEach(node => nodes.set(node.id, {
+      id: node.id,
+      alias: node.alias || node.id,
+      domains: (node.domains || []).map(domain => domain.toLowerCase()),
+      online: node.online !== undefined ? node.online : true,
+      holdHtlcs: node.holdHtlcs || false
+    }));
+
+    channels = new Map();
+    (spec.channels || []).forEach((channel, index) => {
+      const id = channel.id !== undefined ? String(channel.id) : `chan_${index + 1}`;
+      const fromBalance = channel.fromBalance !== undefined ? channel.fromBalance : Math.floor(channel.capacity / 2);
+      channels.set(id, {
+        id,
+        from: channel.from,
+        to: channel.to,
+        capacity: channel.capacity,
+        balanceMsat: { [channel.from]: fromBalance * 1000, [channel.to]: (channel.capacity - fromBalance) * 1000 },
+        inFlightMsat: 0,
+        feeBaseMsat: channel.feeBaseMsat !== undefined ? channel.feeBaseMsat : 1000,
+        feeRatePpm: channel.feeRatePpm !== undefined ? channel.feeRatePpm : 1,
+        failRate: channel.failRate || 0,
+        enabled: channel.enabled !== undefined ? channel.enabled : true
+      });
+    });
+    defaultDestination = spec.defaultDestination !== undefined ? spec.defaultDestination : null;
+  };
+
+  // The node that receives a payment: the invoice's payee or the node hosting a
+  // Lightning address domain if the graph has one, else defaultDestination
+  const resolveDestination = ({ pubkey = null, domain = null } = {}) => {
+    if (pubkey && nodes.has(pubkey)) return pubkey;
+    if (domain) {
+      const host = Array.from(nodes.values()).find(node => node.domains.includes(domain.toLowerCase()));
+      if (host) return host.id;
+    }
+    return defaultDestination;
+  };
+
+  // Every simple path from our node to `destination` over usable channels, as
+  // lists of { channel, from, to } hops
+  const findPaths = (destination) => {
+    const usable = (node) => node && node.online;
+    if (!usable(nodes.get(destination))) return [];
+    if (destination === SELF_NODE_ID) return [[]];
+
+    const paths = [];
+    const walk = (at, hops, visited) => {
+      if (at === destination) return paths.push(hops);
+      if (hops.length === MAX_HOPS) return null;
+      channels.forEach(channel => {
+        if (!channel.enabled || (channel.from !== at && channel.to !== at)) return;
+        const next = channel.from === at ? channel.to : channel.from;
+        if (visited.has(next) || !usable(nodes.get(next))) return;
+        walk(next, [...hops, { channel, from: at, to: next }], new Set([...visited, next]));
+      });
+      return null;
+    };
+    walk(SELF_NODE_ID, [], new Set([SELF_NODE_ID]));
+    return paths;
+  };
+
+  // Price a path for `amountMsat`: amounts each hop carries, from the last hop back
+  const pricePath = (path, amountMsat) => {
+    const amounts = new Array(path.length);
+    let carried = amountMsat;
+    for (let i = path.length - 1; i >= 0; i -= 1) {
+      amounts[i] = carried;
+      if (i > 0) carried += forwardingFee(path[i].channel, carried);
+    }
+    return {
+      hops: path.map((hop, i) => ({ ...hop, amountMsat: amounts[i] })),
+      feeMsat: carried - amountMsat
+    };
+  };
+
+  const hasLiquidity = (priced) => priced.hops.every(hop => hop.channel.balanceMsat[hop.from] >= hop.amountMsat);
+
+  const routeView = (priced) => ({
+    hops: priced.hops.map(({ channel, from, to, amountMsat }) => ({ channelId: channel.id, from, to, amountMsat })),
+    feeMsat: priced.feeMsat
+  });
+
+  // Cheapest route able to carry `amountMsat` to `destination` within maxFeeMsat.
+  // Returns { route } or { error, message } (error is a FAILURE_CODES value).
+  const findPricedRoute = (destination, amountMsat, maxFeeMsat = Infinity) => {
+    const priced = findPaths(destination).map(path => pricePath(path, amountMsat));
+    if (priced.length === 0) {
+      return {
+        error: FAILURE_CODES.NO_ROUTE,
+        message: destination ? `No route to ${destination}` : 'Destination is not a node of the graph'
+      };
+    }
+
+    const liquid = priced.filter(hasLiquidity);
+    if (liquid.length === 0) {
+      return { error: FAILURE_CODES.INSUFFICIENT_LIQUIDITY, message: `No route to ${destination} can carry ${amountMsat} msat` };
+    }
+
+    const affordable = liquid.filter(route => route.feeMsat <= maxFeeMsat);
+    if (affordable.length === 0) {
+      return { error: FAILURE_CODES.FEE_LIMIT_EXCEEDED, message: `Every route to ${destination} costs more than ${maxFeeMsat} msat in fees` };
+    }
+
+    const [best] = affordable.sort((a, b) => a.feeMsat - b.feeMsat || a.hops.length - b.hops.length);
+    return { route: best };
+  };
+
+  const findRoute = (destination, amountMsat, maxFeeMsat) => {
+    const found = findPricedRoute(destination, amountMsat, maxFeeMsat);
+    return found.error ? found : { route: routeView(found.route) };
+  };
+
+  const htlcView = (htlc) => ({ ...htlc, route: htlc.route.map(hop => ({ ...hop })) });
+
+  // Settle or fail an in-flight HTLC: move (or return) the locked balances,
+  // stop its timeout and report it. Returns the HTLC.
+  const finish = (htlc, status, failureReason = null, failedChannel = null) => {
+    htlc.route.forEach(hop => {
+      const channel = channels.get(hop.channelId);
+      channel.inFlightMsat -= hop.amountMsat;
+      channel.balanceMsat[status === HTLC_STATUS.SETTLED ? hop.to : hop.from] += hop.amountMsat;
+    });
+    htlc.status = status;
+    htlc.failureReason = failureReason;
+    htlc.failedChannel = failedChannel;
+    htlc.resolvedAt = clock.iso();
+
+    clock.clearTimeout(htlcTimers.get(htlc.id));
+    htlcTimers.delete(htlc.id);
+    onResolved(htlcView(htlc));
+    return htlcView(htlc);
+  };
+
+  // Send `amountMsat` to `destination` for `paymentId`, paying at most maxFeeMsat
+  // in routing fees. Returns { htlc } (in flight) or { error, message }.
+  const sendPayment = ({ paymentId, destination, amountMsat, maxFeeMsat }) => {
+    const found = findPricedRoute(destination, amountMsat, maxFeeMsat);
+    if (found.error) return found;
+
+    const { hops, feeMsat } = found.route;
+    hops.forEach(hop => {
+      hop.channel.balanceMsat[hop.from] -= hop.amountMsat;
+      hop.channel.inFlightMsat += hop.amountMsat;
+    });
+
+    const htlc = {
+      id: `htlc_${htlcIdPrefix}_${nextHtlcId++}`,
+      paymentId,
+      destination,
+      amountMsat,
+      feeMsat,
+      route: routeView(found.route).hops,
+      status: HTLC_STATUS.IN_FLIGHT,
+      stuck: hops.some(hop => nodes.get(hop.to).holdHtlcs),
+      failureReason: null,
+      failedChannel: null,
+      createdAt: clock.iso(),
+      expiresAt: new Date(clock.now() + htlcTimeoutMs).toISOString(),
+      resolvedAt: null
+    };
+    htlcs.set(htlc.id, htlc);
+    htlcTimers.set(htlc.id, clock.setTimeout(() => {
+      htlcTimers.delete(htlc.id);
+      if (htlc.status === HTLC_STATUS.IN_FLIGHT) finish(htlc, HTLC_STATUS.FAILED, FAILURE_CODES.HTLC_TIMEOUT);
+    }, htlcTimeoutMs));
+    return { htlc: htlcView(htlc) };
+  };
+
+  // The network's answer for an in-flight HTLC: settled, failed at a hop, or
+  // (stuck) nothing yet. Returns the HTLC, or null if unknown.
+  const resolveHtlc = (htlcId) => {
+    const htlc = htlcs.get(htlcId);
+    if (!htlc) return null;
+    if (htlc.status !== HTLC_STATUS.IN_FLIGHT || htlc.stuck) return htlcView(htlc);
+
+    const failedHop = htlc.route.find(hop => {
+      const { failRate } = channels.get(hop.channelId);
+      return failRate > 0 && random() < failRate;
+    });
+    return failedHop
+      ? finish(htlc, HTLC_STATUS.FAILED, FAILURE_CODES.TEMPORARY_CHANNEL_FAILURE, failedHop.channelId)
+      : finish(htlc, HTLC_STATUS.SETTLED);
+  };
+
+  // Force an in-flight HTLC to settle or fail (stuck ones included).
+  // Return the HTLC, or null if it is unknown or already resolved.
+  const settleHtlc = (htlcId) => {
+    const htlc = htlcs.get(htlcId);
+    if (!htlc || htlc.status !== HTLC_STATUS.IN_FLIGHT) return null;
+    return finish(htlc, HTLC_STATUS.SETTLED);
+  };
+  const failHtlc = (htlcId, reason = FAILURE_CODES.TEMPORARY_CHANNEL_FAILURE) => {
+    const htlc = htlcs.get(htlcId);
+    if (!htlc || htlc.status !== HTLC_STATUS.IN_FLIGHT) return null;
+    return finish(htlc, HTLC_STATUS.FAILED, reason);
+  };
+
+  const getHtlc = (htlcId) => (htlcs.has(htlcId) ? htlcView(htlcs.get(htlcId)) : null);
+  const isInFlight = (htlcId) => htlcs.has(htlcId) && htlcs.get(htlcId).status === HTLC_STATUS.IN_FLIGHT;
+  const inFlightCount = () => Array.from(htlcs.values()).filter(htlc => htlc.status === HTLC_STATUS.IN_FLIGHT).length;
+
+  // Replace the graph. Returns a list of problems (nothing changes on error).
+  // Only allowed while no HTLC is in flight, since their balances are locked in it.
+  const setGraph = (spec) => {
+    const errors = validateGraph(spec);
+    if (errors.length === 0 && inFlightCount() > 0) errors.push('graph cannot be replaced while HTLCs are in flight');
+    if (errors.length > 0) return errors;
+
+    loadGraph(spec);
+    return [];
+  };
+
+  // Change a node's online / holdHtlcs flags. Returns a list of problems, or
+  // null if there is no such node.
+  const updateNode = (id, changes) => {
+    const node = nodes.get(id);
+    if (!node) return null;
+    const errors = ['online', 'holdHtlcs']
+      .filter(flag => changes[flag] !== undefined && typeof changes[flag] !== 'boolean')
+      .map(flag => `${flag} must be a boolean`);
+    if (errors.length > 0) return errors;
+
+    if (changes.online !== undefined) node.online = changes.online;
+    if (changes.holdHtlcs !== undefined) node.holdHtlcs = changes.holdHtlcs;
+    return [];
+  };
+
+  // Change a channel's fees, failRate or enabled flag. Returns a list of
+  // problems, or null if there is no such channel.
+  const updateChannel = (id, changes) => {
+    const channel = channels.get(id);
+    if (!channel) return null;
+    const errors = validateChannelChanges(changes);
+    if (errors.length > 0) return errors;
+
+    ['feeBaseMsat', 'feeRatePpm', 'failRate', 'enabled']
+      .filter(field => changes[field] !== undefined)
+      .forEach(field => { channel[field] = changes[field]; });
+    return [];
+  };
+
+  const setHtlcTimeoutMs = (ms) => { htlcTimeoutMs = ms; };
+
+  const graph = () => ({
+    self: SELF_NODE_ID,
+    nodes: Array.from(nodes.values(), node => ({ ...node, domains: [...node.domains] })),
+    channels: Array.from(channels.values(), ({ balanceMsat, ...channel }) => ({
+      ...channel,
+      fromBalanceMsat: balanceMsat[channel.from],
+      toBalanceMsat: balanceMsat[channel.to]
+    })),
+    defaultDestination
+  });
+
+  const status = () => {
+    const counts = { [HTLC_STATUS.IN_FLIGHT]: 0, [HTLC_STATUS.SETTLED]: 0, [HTLC_STATUS.FAILED]: 0 };
+    htlcs.forEach(htlc => { counts[htlc.status] += 1; });
+    return { htlcTimeoutMs, htlcs: counts, graph: graph() };
+  };
+
+  // Back to the default graph with no HTLCs
+  const reset = () => {
+    htlcTimers.forEach(timer => clock.clearTimeout(timer));
+    htlcTimers.clear();
+    htlcs.clear();
+    htlcIdPrefix = crypto.randomBytes(4).toString('hex');
+    nextHtlcId = 1;
+    htlcTimeoutMs = DEFAULT_HTLC_TIMEOUT_MS;
+    loadGraph(DEFAULT_GRAPH);
+  };
+  reset();
+
+  return {
+    resolveDestination,
+    findRoute,
+    sendPayment,
+    resolveHtlc,
+    settleHtlc,
+    failHtlc,
+    getHtlc,
+    isInFlight,
+    inFlightCount,
+    setGraph,
+    updateNode,
+    updateChannel,
+    setHtlcTimeoutMs,
+    status,
+    reset
+  };
+};
+
+module.exports = {
+  SELF_NODE_ID,
+  HTLC_STATUS,
+  FAILURE_CODES,
+  DEFAULT_GRAPH,
+  DEFAULT_HTLC_TIMEOUT_MS,
+  createLightningNode
+};
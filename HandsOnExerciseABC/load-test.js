@@ -34,6 +34,8 @@ const duplicateRequests = new Counter('duplicate_requests');
 const totalFeesCollected = new Counter('total_fees_collected');
 const timeoutErrors = new Counter('timeout_errors');
 const balanceRollbackFailures = new Counter('balance_rollback_failures');
+const injectedFaults = new Counter('injected_faults');
+const chargeMismatches = new Counter('charge_mismatches');
 
 // Service fee constant (must match payment-api.js)
 const SERVICE_FEE_PERCENT = 0.02; // 2% service fee
@@ -111,7 +113,9 @@ if (selectedScenario === 'timeout_recovery') {
   activeScenarios = chaosScenarios;
   activeThresholds = {
     'balance_rollback_failures': ['count==0'],  // Zero tolerance - balance MUST be restored on timeout
+    'charge_mismatches': ['count==0'],          // Zero tolerance - retries after any fault charge at most once
     'timeout_errors': ['count>0'],              // Ensure chaos injection is working
+    'injected_faults': ['count>0'],             // Ensure the rest of the failure matrix is hit too
     'http_req_failed': ['rate<0.6'],            // Higher tolerance for chaos testing (50% timeouts expected)
   };
 } else {
@@ -133,6 +137,10 @@ export const options = {
 };
 
 const BASE_URL = __ENV.API_URL || 'http://localhost:3000';
+const API_KEY = __ENV.API_KEY || 'test_api_key_12345';
+
+// All /api routes require the 'apikey' header
+const HEADERS = { 'Content-Type': 'application/json', apikey: API_KEY };
 
 // Generate unique IDs
 function generateId() {
@@ -169,9 +177,22 @@ export function setup() {
   console.log('✓ API health check passed');
 
   // Reset state
-  http.del(`${BASE_URL}/api/v1/test/reset`);
+  http.del(`${BASE_URL}/api/v1/test/reset`, null, { headers: HEADERS });
+
+  // Seed IDs, delays and chaos decisions (SEED=<value> replays an earlier run)
+  if (__ENV.SEED) {
+    const seed = /^\d+$/.test(__ENV.SEED) ? Number(__ENV.SEED) : __ENV.SEED;
+    http.post(`${BASE_URL}/api/v1/test/seed`, JSON.stringify({ seed }), { headers: HEADERS });
+  }
+  const seedResponse = http.get(`${BASE_URL}/api/v1/test/seed`, { headers: HEADERS });
+  if (seedResponse.status === 200) {
+    console.log(`✓ Random seed: ${JSON.stringify(JSON.parse(seedResponse.body).data.seed)} (replay with --env SEED=...)`);
+  }
+
+  // Log callbacks without POSTing them: the example.com receivers don't exist
+  http.post(`${BASE_URL}/api/v1/test/webhooks`, JSON.stringify({ enabled: false }), { headers: HEADERS });
 
-  // Fund multiple ZBD project accounts
+  // Create and fund multiple ZBD project accounts
   const projectIds = [];
   const gameProjects = [
     'project_arcade_games',
@@ -188,10 +209,18 @@ export function setup() {
 
   gameProjects.forEach(projectId => {
     projectIds.push(projectId);
+
+    // Projects must exist before they can be funded
+    http.post(
+      `${BASE_URL}/api/v1/projects`,
+      JSON.stringify({ id: projectId, name: projectId }),
+      { headers: HEADERS }
+    );
+
     const response = http.post(
       `${BASE_URL}/api/v1/projects/${projectId}/fund`,
       JSON.stringify({ amount: 1000000 }), // 1M sats per project
-      { headers: { 'Content-Type': 'application/json' } }
+      { headers: HEADERS }
     );
 
     if (response.status === 200) {
@@ -229,7 +258,7 @@ export default function(data) {
     });
 
     const params = {
-      headers: { 'Content-Type': 'application/json' },
+      headers: HEADERS,
     };
 
     const startTime = Date.now();
@@ -240,8 +269,8 @@ export default function(data) {
 
     // Check response is valid (one of expected statuses)
     const isExpectedStatus = check(response, {
-      'response status is expected (201, 200, 429, or 402)': (r) =>
-        [201, 200, 429, 402].includes(r.status),
+      'response status is expected (201, 429, or 402)': (r) =>
+        [201, 429, 402].includes(r.status),
       'no server errors (5xx)': (r) => r.status < 500,
       'response has success field': (r) => {
         try {
@@ -312,11 +341,11 @@ export default function(data) {
     switch (response.status) {
       case 201:
         payoutSuccessRate.add(1);
-        callbacksTriggered.add(1); // Callback sent on create
-        break;
-      case 200:
-        payoutSuccessRate.add(1);
-        duplicateRequests.add(1);
+        if (response.headers['Idempotent-Replayed'] === 'true') {
+          duplicateRequests.add(1);
+        } else {
+          callbacksTriggered.add(1); // Callback sent on create
+        }
         break;
       case 429:
         payoutSuccessRate.add(0);
@@ -355,7 +384,7 @@ export function teardown(data) {
   let inconsistencies = 0;
 
   data.projectIds.forEach(projectId => {
-    const response = http.get(`${BASE_URL}/api/v1/projects/${projectId}/balance`);
+    const response = http.get(`${BASE_URL}/api/v1/projects/${projectId}/balance`, { headers: HEADERS });
     if (response.status === 200) {
       const body = JSON.parse(response.body);
       const balance = body.data.balance;
@@ -383,8 +412,25 @@ export function teardown(data) {
     console.error(`\n✗ Found ${inconsistencies} balance inconsistencies!`);
   }
 
+  // Reconcile ledger balances against payouts and refunds
+  const invariantResponse = http.get(`${BASE_URL}/api/v1/test/invariants`, { headers: HEADERS });
+  if (invariantResponse.status === 200) {
+    const invariants = JSON.parse(invariantResponse.body).data;
+    check(invariants, {
+      'balance invariants hold': (i) => i.ok === true,
+    });
+
+    if (invariants.ok) {
+      console.log('\n✓ Balance invariants hold (no drift, orphaned charges or duplicate payouts)');
+    } else {
+      invariants.violations.forEach(v => {
+        console.error(`✗ ${v.projectId}: ${v.violations.join(', ')}`);
+      });
+    }
+  }
+
   // Check callback log
-  const callbackResponse = http.get(`${BASE_URL}/api/v1/test/callbacks`);
+  const callbackResponse = http.get(`${BASE_URL}/api/v1/test/callbacks`, { headers: HEADERS });
   if (callbackResponse.status === 200) {
     const body = JSON.parse(callbackResponse.body);
     console.log(`\n✓ Total callbacks logged: ${body.data.count}`);
@@ -409,13 +455,13 @@ export function concurrentDuplicateTest() {
   });
 
   const params = {
-    headers: { 'Content-Type': 'application/json' },
+    headers: HEADERS,
   };
 
   const response = http.post(`${BASE_URL}/api/v1/payouts`, payload, params);
 
   check(response, {
-    'status is 201 or 200': (r) => r.status === 201 || r.status === 200,
+    'status is 201': (r) => r.status === 201,
     'response indicates success': (r) => {
       try {
         const body = JSON.parse(r.body);
@@ -425,15 +471,14 @@ export function concurrentDuplicateTest() {
       }
     },
     'duplicate returns same payout id': (r) => {
-      if (r.status === 200) {
-        try {
-          const body = JSON.parse(r.body);
-          return body.message.includes('duplicate') || body.message.includes('already processed');
-        } catch (e) {
-          return false;
-        }
+      if (r.headers['Idempotent-Replayed'] === 'true') {
+        duplicateRequests.add(1);
+      }
+      try {
+        return JSON.parse(r.body).data.idempotencyKey === sharedIdempotencyKey;
+      } catch (e) {
+        return false;
       }
-      return true;
     },
   });
 
@@ -464,7 +509,7 @@ export function rateLimitStressTest() {
     });
 
     const response = http.post(`${BASE_URL}/api/v1/payouts`, payload, {
-      headers: { 'Content-Type': 'application/json' },
+      headers: HEADERS,
     });
 
     if (response.status === 201) {
@@ -521,7 +566,7 @@ export function expirationFlowTest() {
     });
 
     const response = http.post(`${BASE_URL}/api/v1/payouts`, payload, {
-      headers: { 'Content-Type': 'application/json' },
+      headers: HEADERS,
     });
 
     check(response, {
@@ -549,7 +594,7 @@ export function expirationFlowTest() {
       const payoutId = body.data.id;
 
       // Force expire for testing
-      const expireResponse = http.post(`${BASE_URL}/api/v1/test/expire/${payoutId}`);
+      const expireResponse = http.post(`${BASE_URL}/api/v1/test/expire/${payoutId}`, null, { headers: HEADERS });
 
       check(expireResponse, {
         'payout expired successfully': (r) => r.status === 200,
@@ -592,7 +637,7 @@ export function callbackVerificationTest() {
     });
 
     const response = http.post(`${BASE_URL}/api/v1/payouts`, payload, {
-      headers: { 'Content-Type': 'application/json' },
+      headers: HEADERS,
     });
 
     check(response, {
@@ -611,7 +656,7 @@ export function callbackVerificationTest() {
       // Verify callback was logged
       sleep(0.1); // Small delay for callback processing
 
-      const callbackLogResponse = http.get(`${BASE_URL}/api/v1/test/callbacks`);
+      const callbackLogResponse = http.get(`${BASE_URL}/api/v1/test/callbacks`, { headers: HEADERS });
       check(callbackLogResponse, {
         'callback log accessible': (r) => r.status === 200,
         'callbacks logged': (r) => {
@@ -629,15 +674,54 @@ export function callbackVerificationTest() {
   sleep(0.5);
 }
 
+// Failure matrix for the timeout recovery scenario (chaos engine rules, see chaos.js).
+// Gateway timeouts come from the legacy timeoutRate shorthand.
+const PAYOUT_ROUTE = 'POST /api/v1/payouts';
+const CHAOS_RULES = [
+  { id: 'payout_latency', fault: 'latency', route: PAYOUT_ROUTE, latencyMs: 300, probability: 0.2 },
+  { id: 'payout_drop', fault: 'drop', route: PAYOUT_ROUTE, probability: 0.1 },
+  { id: 'payout_error_500', fault: 'error', status: 500, route: PAYOUT_ROUTE, probability: 0.1 },
+  { id: 'payout_error_503', fault: 'error', status: 503, route: PAYOUT_ROUTE, probability: 0.1 },
+  { id: 'payout_response_lost', fault: 'response_lost', route: PAYOUT_ROUTE, probability: 0.15 },
+  { id: 'payout_partial_write', fault: 'partial_write', route: PAYOUT_ROUTE, probability: 0.1 },
+  { id: 'webhook_failure', fault: 'webhook_failure', status: 503 }, // Every attempt: the receiver doesn't exist
+];
+const MAX_PAYOUT_ATTEMPTS = 3;
+
+// Helper: Name the fault a client saw, or null for a clean response
+function observedFault(response) {
+  if (response.status === 0) return 'connection'; // Dropped, lost or cut short
+  if (response.status === 500 || response.status === 503) {
+    try {
+      if (JSON.parse(response.body).data.injected) return `error_${response.status}`;
+    } catch (e) {
+      return 'partial_write';
+    }
+  }
+  if (response.status === 201) {
+    try {
+      JSON.parse(response.body);
+    } catch (e) {
+      return 'partial_write';
+    }
+  }
+  return null;
+}
+
 /**
  * Scenario: Timeout Recovery Test (Chaos Testing)
- * Tests balance rollback when Lightning Network times out after charge
+ * Tests balance rollback when Lightning Network times out after charge, and
+ * safe retries across the rest of the failure matrix (CHAOS_RULES)
  *
  * This validates the FIX for the critical bug scenario:
  * - User is charged (balance deducted)
  * - Lightning payment times out
  * - Verify balance is properly rolled back (FIX MUST BE WORKING)
  *
+ * Injected errors, dropped connections, partial writes and lost responses
+ * are retried with the same idempotency key; whatever happened in between,
+ * the project must end up charged once for a 201 and not at all otherwise.
+ *
  * NOTE: rollbackOnTimeout is set to TRUE to verify the fix works.
  * To expose the bug, set rollbackOnTimeout to false.
  */
@@ -651,18 +735,26 @@ export function timeoutRecoveryTest() {
       `${BASE_URL}/api/v1/test/failure-injection`,
       JSON.stringify({
         enabled: true,
-        timeoutRate: 0.5,          // 50% timeout rate for testing
-        rollbackOnTimeout: true    // Enable rollback - verifies the fix works
+        timeoutRate: 0.3,          // 30% timeout rate for testing
+        rollbackOnTimeout: true,   // Enable rollback - verifies the fix works
+        rules: CHAOS_RULES
       }),
-      { headers: { 'Content-Type': 'application/json' } }
+      { headers: HEADERS }
     );
 
     check(enableResponse, {
       'failure injection enabled': (r) => r.status === 200,
     });
 
+    // Deliver callbacks (setup only logs them) so webhook_failure retries run
+    http.post(
+      `${BASE_URL}/api/v1/test/webhooks`,
+      JSON.stringify({ enabled: true, maxAttempts: 3, baseDelayMs: 100 }),
+      { headers: HEADERS }
+    );
+
     // Step 2: Get initial balance (atomic read before the payout attempt)
-    const balanceBefore = http.get(`${BASE_URL}/api/v1/projects/${projectId}/balance`);
+    const balanceBefore = http.get(`${BASE_URL}/api/v1/projects/${projectId}/balance`, { headers: HEADERS });
     let initialBalance = 0;
     if (balanceBefore.status === 200) {
       try {
@@ -676,7 +768,7 @@ export function timeoutRecoveryTest() {
       return;
     }
 
-    // Step 3: Attempt payout (may timeout due to 50% failure injection)
+    // Step 3: Attempt payout (may timeout or hit any fault in CHAOS_RULES)
     const gamertag = `timeout_test_player_${__VU}_${__ITER}`;
     const amount = 500;
     const fee = Math.ceil(amount * SERVICE_FEE_PERCENT);
@@ -688,15 +780,23 @@ export function timeoutRecoveryTest() {
       projectId,
       idempotencyKey: `timeout_test_${generateId()}`,
       description: 'Timeout recovery test',
+      callbackUrl: 'https://game-server.example.com/chaos-webhook', // Exercises webhook_failure retries
     });
 
-    const payoutResponse = http.post(`${BASE_URL}/api/v1/payouts`, payload, {
-      headers: { 'Content-Type': 'application/json' },
-      timeout: '10s',
-    });
+    // Retry faults the client can't tell apart from a real outage, with the same key
+    let payoutResponse;
+    for (let attempt = 1; attempt <= MAX_PAYOUT_ATTEMPTS; attempt++) {
+      payoutResponse = http.post(`${BASE_URL}/api/v1/payouts`, payload, {
+        headers: HEADERS,
+        timeout: '10s',
+      });
+      const fault = observedFault(payoutResponse);
+      if (!fault) break;
+      injectedFaults.add(1, { fault });
+    }
 
     // Step 4: Immediately get balance after the payout attempt
-    const balanceAfter = http.get(`${BASE_URL}/api/v1/projects/${projectId}/balance`);
+    const balanceAfter = http.get(`${BASE_URL}/api/v1/projects/${projectId}/balance`, { headers: HEADERS });
     let finalBalance = 0;
     if (balanceAfter.status === 200) {
       try {
@@ -707,6 +807,19 @@ export function timeoutRecoveryTest() {
     }
 
     // Step 5: Analyze the result based on response status
+    // Single VU: the balance only moves for this payout, so a 201 costs exactly
+    // totalCost and anything else nothing (unless every retry failed too)
+    if (observedFault(payoutResponse) === null) {
+      const expectedCharge = payoutResponse.status === 201 ? totalCost : 0;
+      const chargedOnce = check(null, {
+        'charged at most once across retries': () => initialBalance - finalBalance === expectedCharge,
+      });
+      if (!chargedOnce) {
+        chargeMismatches.add(1);
+        console.log(`BUG DETECTED [VU${__VU}]: Status ${payoutResponse.status} charged ${initialBalance - finalBalance} sats, expected ${expectedCharge}`);
+      }
+    }
+
     if (payoutResponse.status === 504) {
       // TIMEOUT occurred - balance MUST be restored
       timeoutErrors.add(1);
@@ -733,6 +846,9 @@ export function timeoutRecoveryTest() {
     } else if (payoutResponse.status === 429) {
       // Rate limited - expected during concurrent testing
       rateLimitHits.add(1);
+    } else if (observedFault(payoutResponse)) {
+      // Still faulted after MAX_PAYOUT_ATTEMPTS - outcome unknown to the client
+      console.log(`VU${__VU}: Payout unresolved after ${MAX_PAYOUT_ATTEMPTS} attempts (${observedFault(payoutResponse)})`);
     } else {
       // Unexpected status
       serverErrors.add(1);
@@ -741,14 +857,16 @@ export function timeoutRecoveryTest() {
 
   });
 
-  // Disable failure injection after last iteration (iter 19 for 20 iterations)
+  // Disable failure injection after last iteration (iter 19 for 20 iterations),
+  // once the last callback's retries (100ms, 200ms) have failed
   if (__ITER === 19) {
-    sleep(0.3);
+    sleep(0.5);
     http.post(
       `${BASE_URL}/api/v1/test/failure-injection`,
       JSON.stringify({ enabled: false }),
-      { headers: { 'Content-Type': 'application/json' } }
+      { headers: HEADERS }
     );
+    http.post(`${BASE_URL}/api/v1/test/webhooks`, JSON.stringify({ enabled: false }), { headers: HEADERS });
   }
 
   sleep(0.2);
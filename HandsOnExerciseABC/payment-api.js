@@ -5,7 +5,8 @@
  * API FORMAT:
  * - All responses use: { success: boolean, data: {...}, message: string }
  * - Amounts in satoshis (sats)
- * - Authentication via 'apikey' header
+ * - Authentication via 'apikey' header, each key scoped to its projects
+ * - Webhooks signed with HMAC-SHA256 in the 'x-zbd-signature' header
  *
  * ZBD TERMINOLOGY:
  * - projectId: The ZBD project identifier (API key scope)
@@ -15,58 +16,273 @@
  * KNOWN BUGS (Intentionally included to demonstrate testing)
  * ============================================================
  *
- * BUG-001: Line ~95 - Zero amount validation
+ * BUG-001: preparePayout() - Zero amount validation
  *   - `!amount` treats 0 as falsy, returning VALIDATION_ERROR
  *   - Should return INVALID_AMOUNT for amount=0
- *
- * BUG-004: Line ~130 - Unknown project handling
- *   - Unknown projectId defaults to balance=0, returns INSUFFICIENT_BALANCE
- *   - Should return PROJECT_NOT_FOUND for unknown projects
- *
- * BUG-005: Lines ~110 - Idempotency key scope
- *   - Idempotency key is global, not scoped to projectId
- *   - Project A and Project B using same key would conflict
- *
- * BUG-006: Line ~230 - Implicit project creation
- *   - Fund endpoint creates new projects implicitly
- *   - Should validate project exists first
  * ============================================================
  */
 
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
 const express = require('express');
+const { createStore } = require('./storage');
+const { STRATEGIES: RATE_LIMIT_STRATEGIES, createRateLimiter } = require('./rate-limiter');
+const { createClock } = require('./clock');
+const { FAULTS, createChaosEngine, validateChaosRules } = require('./chaos');
+const { createRandom, validateSeed } = require('./random');
+const {
+  NETWORKS: LIGHTNING_NETWORKS,
+  MAX_DESCRIPTION_BYTES: MAX_INVOICE_DESCRIPTION_BYTES,
+  decodeInvoice,
+  encodeInvoice,
+  isLightningAddress
+} = require('./bolt11');
+const { HTLC_STATUS, FAILURE_CODES: LIGHTNING_FAILURES, createLightningNode } = require('./lightning-node');
 const app = express();
 app.use(express.json());
 
-// Simple API key auth middleware
+// Storage: in-memory by default, SQLite with PAYMENT_API_STORE=sqlite (see storage.js).
+// After mutating a stored object, set() it again so file-backed stores persist the change.
+const store = createStore();
+const {
+  apiKeys,        // apiKey -> { key, projectIds }
+  projects,       // projectId -> { id, name, status, createdAt, ... } (soft-deleted records are kept)
+  payouts,        // payoutId -> payout
+  batches,        // batchId -> batch payout request and per-item results
+  rateLimits,     // rate limit key -> limiter state (see rate-limiter.js)
+  idempotencyKeys, // <projectId>:<idempotencyKey> -> { fingerprint, statusCode, body, expiresAt }
+  ledger,         // Append-only double-entry journal (all projects)
+  refunds,        // refundId -> refund linked to an expired/failed/cancelled payout
+  charges,        // chargeId -> charge (incoming payment request)
+  gamertags,      // lowercased gamertag -> { gamertag, userId, registeredAt }
+  callbackLog,    // Stores callback attempts for testing
+  webhookSecrets  // projectId -> HMAC signing secret
+} = store.collections;
+
+// Virtual clock: every timestamp, expiry check and business timer reads it, so
+// tests can freeze or advance time via POST /api/v1/test/clock (see clock.js).
+// Simulated network latency keeps using real timers.
+const clock = createClock();
+
+// Seeded randomness: IDs, simulated delays and chaos decisions all draw from it,
+// so a run is replayable with PAYMENT_API_SEED or POST /api/v1/test/seed (see random.js).
+// Unseeded runs pick a seed at startup and report it.
+const RANDOM_SEED = (() => {
+  const seed = process.env.PAYMENT_API_SEED;
+  if (seed === undefined || seed === '') return createRandom().status().seed;
+  return /^\d+$/.test(seed) ? Number(seed) : seed;
+})();
+const random = createRandom({ seed: RANDOM_SEED });
+const createRandomnessConfig = () => ({
+  simulateDelay: process.env.SIMULATE_DELAY !== 'false' // 50-150ms per request unless disabled
+});
+let randomnessConfig = createRandomnessConfig();
+
+// Simulated Lightning node: invoice and Lightning address payouts are routed
+// over its channel graph and settle or fail with their HTLC (see lightning-node.js).
+// Gamertag payouts are internal transfers and skip it.
+const lightning = createLightningNode({
+  random: random.next,
+  clock,
+  onResolved: (htlc) => settleLightningPayout(htlc)
+});
+
+// API key registry: each key is scoped to one or more projectIds.
+// '*' grants access to every project (used by the test suite and load tests).
 const API_KEY = 'test_api_key_12345';
+const WILDCARD_PROJECT = '*';
+
+// Helper: Seed the default API keys (called on startup and reset)
+const seedApiKeys = () => {
+  apiKeys.set(API_KEY, { key: API_KEY, projectIds: [WILDCARD_PROJECT] });
+};
+
+// Simple API key auth middleware
 const requireAuth = (req, res, next) => {
   const apiKey = req.headers['apikey'];
-  if (!apiKey || apiKey !== API_KEY) {
+  if (!apiKey || !apiKeys.has(apiKey)) {
     return res.status(401).json({
       success: false,
       message: 'Invalid or missing API key'
     });
   }
+  req.apiKey = apiKeys.get(apiKey);
   next();
 };
 
-// In-memory storage
-const payouts = new Map();
-const rateLimits = new Map();
-const projectBalances = new Map();
-const callbackLog = []; // Stores callback attempts for testing
+// Helper: Check whether the authenticated API key owns a project
+const canAccessProject = (req, projectId) => {
+  const { projectIds } = req.apiKey;
+  return projectIds.includes(WILDCARD_PROJECT) || projectIds.includes(projectId);
+};
+
+// Helper: Build the PROJECT_ACCESS_DENIED error response body
+const projectAccessDeniedBody = (projectId) => ({
+  success: false,
+  message: `API key is not authorized for project ${projectId}`,
+  data: { error: 'PROJECT_ACCESS_DENIED', projectId }
+});
+
+// Helper: Reject with 403 if the API key does not own the project.
+// Returns true when the response has been sent.
+const denyProjectAccess = (req, res, projectId) => {
+  if (canAccessProject(req, projectId)) return false;
+  res.status(403).json(projectAccessDeniedBody(projectId));
+  return true;
+};
+
+// Every /api route requires a valid API key; /health stays public for probes
+app.use('/api', requireAuth);
 
-// Failure injection for chaos testing
-let failureInjection = {
-  enabled: false,
+// Test endpoints reset, seed and reshape every project's state, so only keys
+// scoped to all projects may call them
+const requireWildcardKey = (req, res, next) => {
+  if (canAccessProject(req, WILDCARD_PROJECT)) return next();
+  res.status(403).json({
+    success: false,
+    message: `Test endpoints require an API key scoped to all projects ('${WILDCARD_PROJECT}')`,
+    data: { error: 'TEST_ACCESS_DENIED' }
+  });
+};
+app.use('/api/v1/test', requireWildcardKey);
+
+// Failure injection for chaos testing: a rule engine (see chaos.js) plus the
+// legacy shorthand { timeoutRate, rollbackOnTimeout }, kept as the built-in
+// 'legacy_timeout' gateway_timeout rule on POST /api/v1/payouts
+const chaos = createChaosEngine({ random: random.next });
+const LEGACY_TIMEOUT_RULE_ID = 'legacy_timeout';
+const createFailureInjectionConfig = () => ({
   timeoutRate: 0.05,      // 5% of requests timeout after charge
   rollbackOnTimeout: true // If false, exposes the "charged but not paid" bug
+});
+let failureInjection = createFailureInjectionConfig();
+
+// Helper: The legacy shorthand as a chaos rule spec
+const legacyTimeoutRule = () => ({
+  id: LEGACY_TIMEOUT_RULE_ID,
+  fault: FAULTS.GATEWAY_TIMEOUT,
+  route: 'POST /api/v1/payouts',
+  probability: failureInjection.timeoutRate,
+  rollback: failureInjection.rollbackOnTimeout
+});
+
+// Helper: Back to defaults: disabled, only the legacy rule
+const resetFailureInjection = () => {
+  failureInjection = createFailureInjectionConfig();
+  chaos.reset();
+  chaos.upsertRule(legacyTimeoutRule());
+};
+resetFailureInjection();
+
+// Helper: Where a request is going, for matching chaos rules. The project is
+// taken from the body, the query or a /projects/:id path.
+const faultContext = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  const projectPath = path.match(/^\/api\/v1\/projects\/([^/]+)/);
+  return {
+    method: req.method,
+    path,
+    projectId: (req.body && req.body.projectId) || req.query.projectId || (projectPath && projectPath[1]) || null
+  };
+};
+
+// Apply latency, error, drop, partial_write and response_lost rules to /api
+// requests. Test endpoints are exempt so injection can always be switched off.
+const injectFaults = async (req, res, next) => {
+  if (!chaos.isEnabled() || req.path.startsWith('/v1/test/')) return next();
+  const context = faultContext(req);
+
+  const latency = chaos.trigger(FAULTS.LATENCY, context);
+  if (latency) await new Promise(resolve => setTimeout(resolve, latency.latencyMs));
+
+  if (chaos.trigger(FAULTS.DROP, context)) return req.socket.destroy();
+
+  const error = chaos.trigger(FAULTS.ERROR, context);
+  if (error) {
+    const unavailable = error.status === 503;
+    return res.status(error.status).json({
+      success: false,
+      message: unavailable ? 'Service temporarily unavailable' : 'Internal server error',
+      data: { error: unavailable ? 'SERVICE_UNAVAILABLE' : 'INTERNAL_ERROR', injected: true, ruleId: error.id }
+    });
+  }
+
+  // The request is handled (its effects apply) but its response never arrives intact
+  const lost = chaos.trigger(FAULTS.RESPONSE_LOST, context);
+  const partial = !lost && chaos.trigger(FAULTS.PARTIAL_WRITE, context);
+  if (lost || partial) {
+    res.json = (body) => {
+      if (lost) {
+        req.socket.destroy();
+        return res;
+      }
+      const text = JSON.stringify(body);
+      res.writeHead(res.statusCode, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(text)
+      });
+      res.write(text.slice(0, Math.floor(text.length / 2)), () => req.socket.destroy());
+      return res;
+    };
+  }
+  next();
+};
+app.use('/api', injectFaults);
+
+// In-memory indexes and counters (rebuilt or reset on startup, not persisted)
+const ledgerByProject = new Map(); // projectId -> that project's ledger entries
+const accountBalances = new Map(); // ledger account -> running balance of every entry posted so far
+const payoutIndexes = {             // Secondary payout indexes: field value -> Set<payoutId>
+  projectId: new Map(),
+  gamertag: new Map(),
+  status: new Map(),
+  internalId: new Map(),
+  paymentHash: new Map()
 };
+const indexedPayoutValues = new Map(); // payoutId -> field values currently in payoutIndexes
+const pendingChargeIds = new Set();    // Charges still waiting for payment (the sweeper's work list)
+const idempotencyReplays = new Map(); // projectId -> duplicate requests answered from an existing payout
 
 // Constants
 const MAX_DESCRIPTION_LENGTH = 144;
 const DEFAULT_EXPIRY_SECONDS = 300; // 5 minutes
+const MAX_EXPIRY_SECONDS = 31536000; // 1 year: longer expiries are refused
 const SERVICE_FEE_PERCENT = 0.02; // 2% service fee on each payout
+const MIN_PAYOUT_AMOUNT = 1;
+const MAX_PAYOUT_AMOUNT = 100000;
+const RATE_LIMIT_PER_HOUR = 10; // Payouts per gamertag per hour
+const RATE_LIMIT_WINDOW_MS = 3600000; // Rate limits count payouts per rolling hour
+const MAX_BATCH_SIZE = 500; // Items per POST /api/v1/payouts/batch
+const IDEMPOTENCY_TTL_SECONDS = process.env.IDEMPOTENCY_TTL_SECONDS !== undefined
+  ? Number(process.env.IDEMPOTENCY_TTL_SECONDS)
+  : 86400; // How long a recorded response is replayed (24 hours)
+const IDEMPOTENCY_LOCK_WAIT_MS = 5000; // How long a concurrent duplicate waits for the first request
+const DEFAULT_SETTLEMENT_DELAY_MS = process.env.SETTLEMENT_DELAY_MS !== undefined
+  ? Number(process.env.SETTLEMENT_DELAY_MS)
+  : 1000; // Simulated Lightning confirmation time
+const EXPIRY_SWEEP_INTERVAL_MS = process.env.EXPIRY_SWEEP_INTERVAL_MS !== undefined
+  ? Number(process.env.EXPIRY_SWEEP_INTERVAL_MS)
+  : 1000; // How often pending payouts are checked for expiry
+const LIGHTNING_NETWORK = process.env.LIGHTNING_NETWORK || 'mainnet'; // Invoices for other networks are rejected
+if (!LIGHTNING_NETWORKS[LIGHTNING_NETWORK]) {
+  throw new Error(`Unknown LIGHTNING_NETWORK "${LIGHTNING_NETWORK}". Must be one of: ${Object.keys(LIGHTNING_NETWORKS).join(', ')}`);
+}
+
+/**
+ * PAYOUT DESTINATIONS
+ * Each payout pays exactly one of these request fields
+ */
+const DESTINATION_TYPES = {
+  GAMERTAG: 'gamertag',                   // A ZBD gamertag
+  INVOICE: 'invoice',                     // A BOLT11 payment request (see bolt11.js)
+  LIGHTNING_ADDRESS: 'lightning_address'  // name@domain (LUD-16)
+};
+const DESTINATION_FIELDS = {
+  [DESTINATION_TYPES.GAMERTAG]: 'gamertag',
+  [DESTINATION_TYPES.INVOICE]: 'invoice',
+  [DESTINATION_TYPES.LIGHTNING_ADDRESS]: 'lightningAddress'
+};
 
 /**
  * PAYOUT STATUS VALUES
@@ -76,518 +292,3918 @@ const PAYOUT_STATUS = {
   PENDING: 'pending',       // Payment initiated, awaiting confirmation
   COMPLETED: 'completed',   // Payment successfully delivered
   EXPIRED: 'expired',       // Payment window expired (not claimed)
-  ERROR: 'error'            // Payment failed due to error
+  ERROR: 'error',           // Payment failed due to error
+  CANCELLED: 'cancelled'    // Payment revoked by the project before settlement
 };
 
 // Export for tests
 const VALID_STATUSES = Object.values(PAYOUT_STATUS);
 
-// Initialize test project
-projectBalances.set('project_test_001', 100000); // 100k sats
+/**
+ * PAYOUT STATUS TRANSITIONS
+ * Legal moves between statuses. Only pending payouts can change;
+ * completed, expired, error and cancelled are terminal.
+ */
+const PAYOUT_TRANSITIONS = {
+  [PAYOUT_STATUS.PENDING]: [PAYOUT_STATUS.COMPLETED, PAYOUT_STATUS.EXPIRED, PAYOUT_STATUS.ERROR, PAYOUT_STATUS.CANCELLED],
+  [PAYOUT_STATUS.COMPLETED]: [],
+  [PAYOUT_STATUS.EXPIRED]: [],
+  [PAYOUT_STATUS.ERROR]: [],
+  [PAYOUT_STATUS.CANCELLED]: []
+};
+
+/**
+ * CHARGE STATUS VALUES
+ * Charges are payable requests players pay into a project (e.g. in-game items).
+ * Only pending charges change; completed and expired are terminal.
+ */
+const CHARGE_STATUS = {
+  PENDING: 'pending',       // Waiting for the player to pay
+  COMPLETED: 'completed',   // Paid, amount credited to the project
+  EXPIRED: 'expired'        // Not paid before expiresAt
+};
+const MIN_CHARGE_AMOUNT = 1;
+const MAX_CHARGE_AMOUNT = 1000000;
 
-// Helper: Generate unique ID
-const generateId = () => `payout_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+// Callback events (payload.event and the x-zbd-event header)
+const CALLBACK_EVENTS = {
+  PAYOUT_STATUS_CHANGED: 'payout.status_changed',
+  CHARGE_STATUS_CHANGED: 'charge.status_changed'
+};
 
-// Helper: Check rate limit (10 per hour per gamertag)
-const checkRateLimit = (gamertag) => {
-  const key = `rate_${gamertag}`;
-  const now = Date.now();
-  const windowStart = now - 3600000; // 1 hour ago
+/**
+ * PROJECT STATUS VALUES
+ * Projects are created explicitly via POST /api/v1/projects.
+ * Suspended projects can be read and funded but cannot create payouts;
+ * deleted projects are soft-deleted (record kept, treated as not found).
+ */
+const PROJECT_STATUS = {
+  ACTIVE: 'active',
+  SUSPENDED: 'suspended',
+  DELETED: 'deleted'
+};
+const PROJECT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
 
-  if (!rateLimits.has(key)) {
-    rateLimits.set(key, []);
-  }
+/**
+ * BATCH MODES
+ * atomic: every item must pass validation and the balance check, or nothing is created
+ * best_effort: valid items are created, the others are reported per item
+ */
+const BATCH_MODES = {
+  ATOMIC: 'atomic',
+  BEST_EFFORT: 'best_effort'
+};
 
-  const timestamps = rateLimits.get(key).filter(t => t > windowStart);
-  rateLimits.set(key, timestamps);
+/**
+ * PROJECT SETTINGS
+ * Each project carries its own limits and fees, editable via
+ * PATCH /api/v1/projects/:id/settings. New projects start from these defaults.
+ *
+ * feeSchedule (optional) overrides feePercent by amount tier:
+ *   [{ upTo: 1000, feePercent: 0.03 }, { upTo: null, feePercent: 0.01 }]
+ * The first tier with amount <= upTo applies (upTo: null = no upper bound);
+ * amounts above every tier fall back to feePercent.
+ */
+const DEFAULT_PROJECT_SETTINGS = {
+  feePercent: SERVICE_FEE_PERCENT,         // Fraction of the amount (0.02 = 2%)
+  feeSchedule: null,                       // Tiered fees, or null for a flat feePercent
+  minPayoutAmount: MIN_PAYOUT_AMOUNT,      // sats
+  maxPayoutAmount: MAX_PAYOUT_AMOUNT,      // sats
+  rateLimitPerHour: RATE_LIMIT_PER_HOUR,   // Payouts per gamertag per hour
+  projectRateLimitPerHour: null,           // Payouts per project per hour, or null for no limit
+  rateLimitStrategy: RATE_LIMIT_STRATEGIES.SLIDING_WINDOW, // sliding_window or token_bucket
+  defaultExpirySeconds: DEFAULT_EXPIRY_SECONDS,
+  maxDescriptionLength: MAX_DESCRIPTION_LENGTH,
+  requireRegisteredGamertags: false        // Reject payouts to gamertags missing from the registry
+};
 
-  return timestamps.length;
+/**
+ * LEDGER
+ * Every balance change is an entry moving `amount` sats from one account to
+ * another, so the books always balance. Project balances are the sum of the
+ * project account's entries - there is no separately stored balance number.
+ *
+ * Payouts use reserve/commit/release: creating a payout moves its totalCost
+ * from the project's available account into its reserved account (a hold).
+ * Settlement commits the hold (payout debit + fee); expiry, failure and
+ * gateway timeouts release it back to available.
+ */
+const LEDGER_ACCOUNTS = {
+  FUNDING: 'external:funding',    // Sats deposited into projects
+  CHARGES: 'external:charges',    // Sats paid in by players for charges
+  LIGHTNING: 'external:lightning', // Sats paid out to recipients
+  FEES: 'revenue:fees'             // Service fees earned
 };
+const projectAccount = (projectId) => `project:${projectId}`;   // Available balance
+const reservedAccount = (projectId) => `reserved:${projectId}`; // Held for pending payouts
 
-// Helper: Add rate limit entry
-const addRateLimit = (gamertag) => {
-  const key = `rate_${gamertag}`;
-  if (!rateLimits.has(key)) {
-    rateLimits.set(key, []);
-  }
-  rateLimits.get(key).push(Date.now());
+const LEDGER_ENTRY_TYPES = {
+  FUND: 'fund',                 // funding -> project
+  CHARGE: 'charge',             // charges -> project (a player paid a charge)
+  RESERVE: 'reserve',           // project -> reserved (hold for a new payout)
+  PAYOUT_DEBIT: 'payout_debit', // reserved -> lightning (commit: payout amount)
+  FEE: 'fee',                   // reserved -> fees (commit: service fee)
+  ROUTING_FEE: 'routing_fee',   // reserved -> lightning (commit: Lightning routing fee, if any)
+  ROLLBACK: 'rollback',         // reserved -> project (hold released after a gateway timeout)
+  REFUND: 'refund'              // reserved -> project (hold released for an expired, failed or cancelled payout)
 };
+const VALID_LEDGER_ENTRY_TYPES = Object.values(LEDGER_ENTRY_TYPES);
 
-// Helper: Simulate network delay
-const simulateDelay = () => {
-  const delay = Math.random() * 100 + 50; // 50-150ms
-  return new Promise(resolve => setTimeout(resolve, delay));
+// Statuses that return the payout's totalCost to the project balance
+const REFUNDABLE_STATUSES = [PAYOUT_STATUS.EXPIRED, PAYOUT_STATUS.ERROR, PAYOUT_STATUS.CANCELLED];
+
+// Asynchronous settlement simulation
+const createSettlementConfig = () => ({
+  enabled: true,                          // If false, payouts stay pending until changed manually
+  delayMs: DEFAULT_SETTLEMENT_DELAY_MS    // Time from creation until the Lightning payment settles
+});
+let settlement = createSettlementConfig();
+const settlementTimers = new Map(); // payoutId -> pending settlement timer
+
+// Expiry sweeper: expires pending payouts in the background so expiry
+// callbacks fire even for payouts nobody reads. Runs every intervalMs (real
+// time) while enabled, and whenever the virtual clock moves.
+const createSweeperConfig = () => ({
+  enabled: true,
+  intervalMs: EXPIRY_SWEEP_INTERVAL_MS
+});
+const createSweeperStats = () => ({
+  runs: 0,        // Sweeps since start (or reset)
+  expired: 0,     // Payouts expired by sweeps
+  expiredCharges: 0, // Charges expired by sweeps
+  errors: 0,      // Payouts and charges a sweep failed to expire
+  lastError: null, // Most recent failure: { payoutId or chargeId, error, at }
+  lastRun: null   // { trigger, at, scanned, scannedCharges, expired: [payoutId], expiredCharges: [chargeId], errors, failures: [{ payoutId or chargeId, error }], durationMs }
+});
+let sweeperConfig = createSweeperConfig();
+let sweeperStats = createSweeperStats();
+let sweeperTimer = null;
+
+// Webhook delivery for callbackUrl (real HTTP POST with retries)
+const createWebhookConfig = () => ({
+  enabled: true,     // If false, callbacks are only logged (no HTTP request)
+  maxAttempts: 5,    // Total attempts including the first
+  baseDelayMs: 500,  // Exponential backoff: baseDelayMs * 2^(attempt - 1)
+  timeoutMs: 5000    // Per-attempt request timeout
+});
+let webhookConfig = createWebhookConfig();
+const webhookRetryTimers = new Set();  // Pending retry timers (cleared on reset)
+const WEBHOOK_SIGNATURE_HEADER = 'x-zbd-signature';
+
+// Idempotency: responses recorded per (projectId, idempotencyKey) and replayed
+// verbatim until they expire. Replays carry the Idempotent-Replayed header.
+// While a request holds a key, duplicates wait up to lockWaitMs for its outcome.
+const createIdempotencyConfig = () => ({
+  ttlSeconds: IDEMPOTENCY_TTL_SECONDS,
+  lockWaitMs: IDEMPOTENCY_LOCK_WAIT_MS
+});
+let idempotencyConfig = createIdempotencyConfig();
+const idempotencyLocks = new Map();  // projectId:key -> in-flight request (released when it responds)
+const IDEMPOTENT_REPLAY_HEADER = 'Idempotent-Replayed';
+
+// Helper: Generate unique ID. The sequence number keeps IDs unique when the
+// seed is reset while the clock stands still (same time, same random suffix).
+let idSequence = 0;
+const generateId = (prefix = 'payout') => `${prefix}_${clock.now()}_${(++idSequence).toString(36)}_${random.next().toString(36).substr(2, 9)}`;
+
+// Helper: `bytes` random bytes as hex, from the seeded random source
+const randomHex = (bytes) => Array.from({ length: bytes }, () => Math.floor(random.next() * 256).toString(16).padStart(2, '0')).join('');
+
+// Helper: An account's balance (0 if no entry touched it)
+const accountBalance = (account) => accountBalances.get(account) || 0;
+
+// Helper: Available balance (what new payouts can spend)
+const getProjectBalance = (projectId) => accountBalance(projectAccount(projectId));
+
+// Helper: Reserved balance (held for pending payouts)
+const getReservedBalance = (projectId) => accountBalance(reservedAccount(projectId));
+
+// Helper: Add a ledger entry to the per-project index and apply it to the
+// running account balances
+const indexLedgerEntry = (entry) => {
+  if (!ledgerByProject.has(entry.projectId)) {
+    ledgerByProject.set(entry.projectId, []);
+  }
+  ledgerByProject.get(entry.projectId).push(entry);
+  accountBalances.set(entry.from, accountBalance(entry.from) - entry.amount);
+  accountBalances.set(entry.to, accountBalance(entry.to) + entry.amount);
 };
 
-// Helper: Send callback (mock - logs instead of actual HTTP call)
-const sendCallback = (url, payout) => {
-  const callbackPayload = {
-    event: 'payout.status_changed',
-    timestamp: new Date().toISOString(),
-    data: payout
+// Helper: Append an entry to the ledger.
+// `balanceAfter` / `reservedAfter` record the project's available and
+// reserved balances once the entry is applied. Amounts are whole sats;
+// callers validate input first, so anything else is a bug and throws.
+const postLedgerEntry = ({ type, from, to, amount, projectId, payoutId = null, refundId = null, chargeId = null }) => {
+  if (!Number.isInteger(amount) || amount < 0) {
+    throw new Error(`Ledger amount must be a whole number of sats >= 0, got ${JSON.stringify(amount)}`);
+  }
+
+  const entry = {
+    id: generateId('ledger'),
+    type,
+    from,
+    to,
+    amount,
+    projectId,
+    payoutId,
+    refundId,
+    chargeId,
+    createdAt: clock.iso()
   };
-  callbackLog.push({
-    url,
-    payload: callbackPayload,
-    sentAt: new Date().toISOString()
+
+  indexLedgerEntry(entry);
+  entry.balanceAfter = getProjectBalance(projectId);
+  entry.reservedAfter = getReservedBalance(projectId);
+  ledger.set(entry.id, entry);
+  return entry;
+};
+
+// Helper: Deposit funds into a project
+const fundProject = (projectId, amount) => postLedgerEntry({
+  type: LEDGER_ENTRY_TYPES.FUND,
+  from: LEDGER_ACCOUNTS.FUNDING,
+  to: projectAccount(projectId),
+  amount,
+  projectId
+});
+
+// Helper: Add a payout to the secondary indexes, moving it between
+// buckets when an indexed field (e.g. status) changed since the last save
+const indexPayout = (payout) => {
+  const previous = indexedPayoutValues.get(payout.id) || {};
+  const current = {};
+
+  Object.keys(payoutIndexes).forEach(field => {
+    const index = payoutIndexes[field];
+    const value = payout[field];
+    current[field] = value;
+    if (previous[field] === value) return;
+
+    if (index.has(previous[field])) {
+      index.get(previous[field]).delete(payout.id);
+      if (index.get(previous[field]).size === 0) index.delete(previous[field]);
+    }
+    if (value !== null && value !== undefined) {
+      if (!index.has(value)) index.set(value, new Set());
+      index.get(value).add(payout.id);
+    }
   });
-  // In real implementation, would do: fetch(url, { method: 'POST', body: JSON.stringify(callbackPayload) })
+
+  indexedPayoutValues.set(payout.id, current);
 };
 
-// Helper: Check if payout is expired
-const isExpired = (payout) => {
-  if (!payout.expiresAt) return false;
-  return new Date(payout.expiresAt) < new Date();
+// Helper: Store a payout and keep the secondary indexes in sync
+const savePayout = (payout) => {
+  payouts.set(payout.id, payout);
+  indexPayout(payout);
 };
 
-/**
- * POST /api/v1/payouts
- * Create a new payout (ZBD-style response format)
- *
- * Supports:
- * - callbackUrl: URL to receive status updates
- * - expiresIn: Seconds until payout expires (default 300)
- * - description: Optional description (max 144 chars)
- * - internalId: Client-provided tracking ID
- */
-app.post('/api/v1/payouts', async (req, res) => {
-  await simulateDelay();
+// Helper: Track whether a charge is still pending
+const indexCharge = (charge) => {
+  if (charge.status === CHARGE_STATUS.PENDING) pendingChargeIds.add(charge.id);
+  else pendingChargeIds.delete(charge.id);
+};
 
-  const {
-    gamertag,
-    amount,
-    projectId,
-    idempotencyKey,
-    callbackUrl,
-    expiresIn,
-    description,
-    internalId
-  } = req.body;
+// Helper: Store a charge and keep the pending charge index in sync
+const saveCharge = (charge) => {
+  charges.set(charge.id, charge);
+  indexCharge(charge);
+};
 
-  // Validation (BUG-001: !amount treats 0 as falsy)
-  if (!gamertag || !amount || !projectId) {
-    return res.status(400).json({
-      success: false,
-      message: 'Missing required fields: gamertag, amount, projectId',
-      data: { error: 'VALIDATION_ERROR' }
-    });
+// Helper: IDs of payouts whose indexed field equals value (insertion order)
+const payoutIdsBy = (field, value) => payoutIndexes[field].get(value) || new Set();
+
+// Helper: A project's payouts, via the projectId index
+const payoutsForProject = (projectId) => Array.from(payoutIdsBy('projectId', projectId), id => payouts.get(id));
+
+// Helper: Hold a payout's totalCost (available -> reserved)
+const reserveHold = (payout) => postLedgerEntry({
+  type: LEDGER_ENTRY_TYPES.RESERVE,
+  from: projectAccount(payout.projectId),
+  to: reservedAccount(payout.projectId),
+  amount: payout.totalCost,
+  projectId: payout.projectId,
+  payoutId: payout.id
+});
+
+// Helper: Spend a payout's hold (reserved -> lightning + fees)
+const commitHold = (payout) => {
+  const reserved = reservedAccount(payout.projectId);
+  const common = { projectId: payout.projectId, payoutId: payout.id };
+  postLedgerEntry({ ...common, type: LEDGER_ENTRY_TYPES.PAYOUT_DEBIT, from: reserved, to: LEDGER_ACCOUNTS.LIGHTNING, amount: payout.amount });
+  postLedgerEntry({ ...common, type: LEDGER_ENTRY_TYPES.FEE, from: reserved, to: LEDGER_ACCOUNTS.FEES, amount: payout.fee });
+  if (payout.routingFee) {
+    postLedgerEntry({ ...common, type: LEDGER_ENTRY_TYPES.ROUTING_FEE, from: reserved, to: LEDGER_ACCOUNTS.LIGHTNING, amount: payout.routingFee });
   }
+};
 
-  if (amount < 1 || amount > 100000) {
-    return res.status(400).json({
-      success: false,
-      message: 'Amount must be between 1 and 100,000 sats',
-      data: { error: 'INVALID_AMOUNT' }
-    });
+// Helper: Return a payout's hold to the available balance (reserved -> project)
+const releaseHold = (payout, type, refundId = null) => postLedgerEntry({
+  type,
+  from: reservedAccount(payout.projectId),
+  to: projectAccount(payout.projectId),
+  amount: payout.totalCost,
+  projectId: payout.projectId,
+  payoutId: payout.id,
+  refundId
+});
+
+// Helper: Store a new active project record
+const createProjectRecord = (id, name = id, settings = {}) => {
+  const now = clock.iso();
+  const project = {
+    id,
+    name,
+    status: PROJECT_STATUS.ACTIVE,
+    createdAt: now,
+    updatedAt: now,
+    suspendedAt: null,
+    deletedAt: null,
+    settings: { ...DEFAULT_PROJECT_SETTINGS, ...settings }
+  };
+  projects.set(id, project);
+  return project;
+};
+
+// Helper: Look up a project (undefined if unknown or soft-deleted)
+const findProject = (projectId) => {
+  const project = projects.get(projectId);
+  return project && project.status !== PROJECT_STATUS.DELETED ? project : undefined;
+};
+
+// Helper: Build the PROJECT_NOT_FOUND error response body
+const projectNotFoundBody = (projectId) => ({
+  success: false,
+  message: 'Project not found',
+  data: { error: 'PROJECT_NOT_FOUND', projectId }
+});
+
+// Helper: Reject with 404 PROJECT_NOT_FOUND if the project does not exist.
+// Returns the project, or undefined when the response has been sent.
+const requireProject = (res, projectId) => {
+  const project = findProject(projectId);
+  if (!project) {
+    res.status(404).json(projectNotFoundBody(projectId));
   }
+  return project;
+};
 
-  // Validate description length
-  if (description && description.length > MAX_DESCRIPTION_LENGTH) {
-    return res.status(400).json({
-      success: false,
-      message: `Description exceeds maximum length of ${MAX_DESCRIPTION_LENGTH} characters`,
-      data: { error: 'DESCRIPTION_TOO_LONG', maxLength: MAX_DESCRIPTION_LENGTH }
-    });
+// Helper: A project's effective settings (defaults fill in anything unset)
+const projectSettings = (project) => ({ ...DEFAULT_PROJECT_SETTINGS, ...project.settings });
+
+// Helper: Validate a (partial) settings object merged over `current`.
+// Returns a list of problems; empty when the result is valid.
+const validateProjectSettings = (changes, current = DEFAULT_PROJECT_SETTINGS) => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return ['settings must be an object'];
   }
 
-  // Validate callbackUrl format
-  if (callbackUrl && !callbackUrl.match(/^https?:\/\/.+/)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Invalid callback URL format. Must start with http:// or https://',
-      data: { error: 'INVALID_CALLBACK_URL' }
-    });
+  const errors = Object.keys(changes)
+    .filter(key => !(key in DEFAULT_PROJECT_SETTINGS))
+    .map(key => `Unknown setting: ${key}`);
+  const next = { ...current, ...changes };
+  const isFraction = (v) => typeof v === 'number' && v >= 0 && v <= 1;
+  const isInteger = (v, min) => Number.isInteger(v) && v >= min;
+
+  if (!isFraction(next.feePercent)) errors.push('feePercent must be a number between 0 and 1');
+  if (!isInteger(next.minPayoutAmount, 1)) errors.push('minPayoutAmount must be an integer >= 1');
+  if (!isInteger(next.maxPayoutAmount, 1)) errors.push('maxPayoutAmount must be an integer >= 1');
+  if (next.maxPayoutAmount < next.minPayoutAmount) errors.push('maxPayoutAmount must be >= minPayoutAmount');
+  if (!isInteger(next.rateLimitPerHour, 1)) errors.push('rateLimitPerHour must be an integer >= 1');
+  if (next.projectRateLimitPerHour !== null && !isInteger(next.projectRateLimitPerHour, 1)) {
+    errors.push('projectRateLimitPerHour must be an integer >= 1 or null');
+  }
+  if (!Object.values(RATE_LIMIT_STRATEGIES).includes(next.rateLimitStrategy)) {
+    errors.push(`rateLimitStrategy must be one of: ${Object.values(RATE_LIMIT_STRATEGIES).join(', ')}`);
+  }
+  if (!isExpirySeconds(next.defaultExpirySeconds)) {
+    errors.push(`defaultExpirySeconds must be an integer from 1 to ${MAX_EXPIRY_SECONDS}`);
   }
+  if (!isInteger(next.maxDescriptionLength, 0) || next.maxDescriptionLength > MAX_INVOICE_DESCRIPTION_BYTES) {
+    errors.push(`maxDescriptionLength must be an integer from 0 to ${MAX_INVOICE_DESCRIPTION_BYTES} (BOLT11 description limit)`);
+  }
+  if (typeof next.requireRegisteredGamertags !== 'boolean') errors.push('requireRegisteredGamertags must be a boolean');
 
-  // Check idempotency (BUG-005: not scoped to projectId)
-  if (idempotencyKey) {
-    const existing = Array.from(payouts.values()).find(
-      p => p.idempotencyKey === idempotencyKey
-    );
-    if (existing) {
-      return res.status(200).json({
-        success: true,
-        message: 'Payout already processed (duplicate request)',
-        data: existing
+  if (next.feeSchedule !== null) {
+    if (!Array.isArray(next.feeSchedule) || next.feeSchedule.length === 0) {
+      errors.push('feeSchedule must be a non-empty array of tiers or null');
+    } else {
+      next.feeSchedule.forEach((tier, i) => {
+        const last = i === next.feeSchedule.length - 1;
+        if (!tier || !isFraction(tier.feePercent)) {
+          errors.push(`feeSchedule[${i}].feePercent must be a number between 0 and 1`);
+        }
+        if (tier && tier.upTo === null && !last) {
+          errors.push(`feeSchedule[${i}].upTo may only be null on the last tier`);
+        } else if (tier && tier.upTo !== null && !isInteger(tier.upTo, 1)) {
+          errors.push(`feeSchedule[${i}].upTo must be an integer >= 1 or null`);
+        } else if (i > 0 && tier && next.feeSchedule[i - 1] && tier.upTo !== null
+          && tier.upTo <= next.feeSchedule[i - 1].upTo) {
+          errors.push('feeSchedule tiers must be in ascending upTo order');
+        }
       });
     }
   }
 
-  // Check rate limit
-  const currentCount = checkRateLimit(gamertag);
-  if (currentCount >= 10) {
-    return res.status(429).json({
-      success: false,
-      message: 'Maximum 10 payouts per gamertag per hour',
-      data: { error: 'RATE_LIMIT_EXCEEDED', retryAfter: 3600 }
-    });
+  return errors;
+};
+
+// Helper: Respond 400 INVALID_SETTINGS. Returns true when the response has been sent.
+const rejectInvalidSettings = (res, errors) => {
+  if (errors.length === 0) return false;
+  res.status(400).json({
+    success: false,
+    message: `Invalid project settings: ${errors.join('; ')}`,
+    data: { error: 'INVALID_SETTINGS', details: errors }
+  });
+  return true;
+};
+
+// Helper: Fee for a payout amount under a project's settings
+const calculateFee = (amount, settings) => {
+  const tier = (settings.feeSchedule || []).find(t => t.upTo === null || amount <= t.upTo);
+  const feePercent = tier ? tier.feePercent : settings.feePercent;
+  return { fee: Math.ceil(amount * feePercent), feePercent };
+};
+
+// Helper: Project record with its current balances
+const projectView = (project) => {
+  const available = getProjectBalance(project.id);
+  const reserved = getReservedBalance(project.id);
+  return {
+    ...project,
+    settings: projectSettings(project),
+    balance: { available, reserved, total: available + reserved }
+  };
+};
+
+// Helper: Seed default API keys and the test project (startup and reset)
+const seedDefaults = () => {
+  seedApiKeys();
+  if (!projects.has('project_test_001')) {
+    createProjectRecord('project_test_001', 'Test Project');
+  }
+  if (!ledgerByProject.has('project_test_001')) {
+    fundProject('project_test_001', 100000); // 100k sats
   }
+};
 
-  // Check project balance (BUG-004: unknown project defaults to 0)
-  const balance = projectBalances.get(projectId) || 0;
+// Rate limits: every created payout counts against its gamertag (per project),
+// its project and the API key that created it (see rate-limiter.js)
+const rateLimiter = createRateLimiter({ store: rateLimits, now: clock.now });
 
-  // Calculate 2% service fee
-  const fee = Math.ceil(amount * SERVICE_FEE_PERCENT);
-  const totalCost = amount + fee;
+// Helpers: One rate limit rule per scope. Gamertag keys contain the only ':'
+// (project IDs cannot), so keys of different scopes never collide.
+const gamertagRateLimitRule = (projectId, gamertag, settings) => ({
+  scope: 'gamertag',
+  key: `rate_${projectId}:${gamertag}`,
+  limit: settings.rateLimitPerHour,
+  strategy: settings.rateLimitStrategy,
+  windowMs: RATE_LIMIT_WINDOW_MS
+});
+const projectRateLimitRule = (projectId, settings) => ({
+  scope: 'project',
+  key: `rate_project/${projectId}`,
+  limit: settings.projectRateLimitPerHour,
+  strategy: settings.rateLimitStrategy,
+  windowMs: RATE_LIMIT_WINDOW_MS
+});
+const apiKeyRateLimitRule = (apiKey) => ({
+  scope: 'apiKey',
+  key: `rate_apikey/${apiKey.key}`,
+  limit: apiKey.rateLimitPerHour,
+  strategy: RATE_LIMIT_STRATEGIES.SLIDING_WINDOW,
+  windowMs: RATE_LIMIT_WINDOW_MS
+});
 
-  if (balance < totalCost) {
-    return res.status(402).json({
-      success: false,
-      message: `Project balance (${balance} sats) insufficient for payout (${amount} sats + ${fee} sats fee = ${totalCost} sats total)`,
-      data: {
-        error: 'INSUFFICIENT_BALANCE',
-        requiredAmount: amount,
-        fee: fee,
-        totalCost: totalCost,
-        currentBalance: balance
-      }
+// Helper: Rate limit rules a payout counts against. Scopes without a limit
+// (projectRateLimitPerHour or the API key's rateLimitPerHour unset) are left out.
+const rateLimitRules = (apiKey, projectId, gamertag, settings) => [
+  gamertagRateLimitRule(projectId, gamertag, settings),
+  projectRateLimitRule(projectId, settings),
+  apiKeyRateLimitRule(apiKey)
+].filter(rule => Number.isInteger(rule.limit));
+
+// Helper: The rule that blocks one more payout, or undefined if all allow it.
+// `pending` maps rule keys to hits not recorded yet (earlier items of a batch).
+// When several rules block, the one that frees up last is reported.
+const exceededRateLimit = (rules, pending = new Map()) => rules
+  .map(rule => ({ scope: rule.scope, ...rateLimiter.check(rule.key, rule, 1 + (pending.get(rule.key) || 0)) }))
+  .filter(status => !status.allowed)
+  .sort((a, b) => b.retryAfterMs - a.retryAfterMs)[0];
+
+// Helper: Count a created payout against its rules.
+// Returns the status with the fewest remaining payouts (for the RateLimit headers).
+const consumeRateLimits = (rules) => rules
+  .map(rule => ({ scope: rule.scope, ...rateLimiter.consume(rule.key, rule) }))
+  .reduce((tightest, status) => (!tightest || status.remaining < tightest.remaining ? status : tightest), null);
+
+// Helper: Standard RateLimit-* response headers for a rate limit status
+const setRateLimitHeaders = (res, status) => {
+  if (!status) return;
+  res.set({
+    'RateLimit-Limit': String(status.limit),
+    'RateLimit-Remaining': String(status.remaining),
+    'RateLimit-Reset': String(Math.ceil(status.resetMs / 1000)),
+    'RateLimit-Policy': `${status.limit};w=${status.windowMs / 1000}`
+  });
+};
+
+// Helper: Simulate network delay (skipped when simulateDelay is off)
+const simulateDelay = () => {
+  if (!randomnessConfig.simulateDelay) return Promise.resolve();
+  const delay = random.next() * 100 + 50; // 50-150ms
+  return new Promise(resolve => setTimeout(resolve, delay));
+};
+
+// Helper: Get (or lazily create) the webhook signing secret for a project
+const getWebhookSecret = (projectId) => {
+  if (!webhookSecrets.has(projectId)) {
+    webhookSecrets.set(projectId, `whsec_${crypto.randomBytes(24).toString('hex')}`);
+  }
+  return webhookSecrets.get(projectId);
+};
+
+// Helper: HMAC-SHA256 signature of a raw webhook body
+const signWebhook = (secret, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// Helper: POST a JSON body, resolving with the response status code
+const postWebhook = (url, body, headers) => new Promise((resolve, reject) => {
+  const transport = url.startsWith('https:') ? https : http;
+  const req = transport.request(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      ...headers
+    },
+    timeout: webhookConfig.timeoutMs
+  }, (res) => {
+    res.resume(); // Body is ignored; drain it so 'end' fires
+    res.on('end', () => resolve(res.statusCode));
+  });
+  req.on('timeout', () => req.destroy(new Error(`Timed out after ${webhookConfig.timeoutMs}ms`)));
+  req.on('error', reject);
+  req.end(body);
+});
+
+// Helper: Attempt delivery of a logged callback, retrying with exponential backoff.
+// Every attempt is recorded on the callback log entry.
+const deliverCallback = async (entry, attempt = 1) => {
+  const startedAt = Date.now();
+  const record = { attempt, attemptedAt: clock.iso(), statusCode: null, latencyMs: null, error: null };
+
+  // FAILURE INJECTION: webhook_failure rules fail the attempt without POSTing
+  const injected = chaos.trigger(FAULTS.WEBHOOK_FAILURE, { projectId: entry.projectId });
+
+  try {
+    if (injected && injected.status === null) {
+      throw new Error(`Injected connection failure (${injected.id})`);
+    }
+    record.statusCode = injected ? injected.status : await postWebhook(entry.url, entry.body, {
+      [WEBHOOK_SIGNATURE_HEADER]: entry.signature,
+      'x-zbd-event': entry.payload.event,
+      'x-zbd-delivery': entry.id,
+      'x-zbd-attempt': String(attempt)
     });
+  } catch (err) {
+    record.error = err.message;
   }
+  record.latencyMs = Date.now() - startedAt;
 
-  // Calculate expiration
-  const expirySeconds = expiresIn || DEFAULT_EXPIRY_SECONDS;
-  const expiresAt = new Date(Date.now() + expirySeconds * 1000).toISOString();
+  // Log was reset while the request was in flight
+  if (callbackLog.get(entry.id) !== entry) return;
 
-  // Create payout
-  const payoutId = generateId();
-  const payout = {
-    id: payoutId,
-    internalId: internalId || null,
-    gamertag,
-    amount,
-    fee,
-    totalCost,
-    projectId,
-    idempotencyKey,
-    description: description || null,
-    callbackUrl: callbackUrl || null,
-    status: 'completed',
-    expiresIn: expirySeconds,
-    expiresAt,
-    createdAt: new Date().toISOString()
+  entry.attempts.push(record);
+  if (record.statusCode >= 200 && record.statusCode < 300) {
+    entry.status = 'delivered';
+  } else if (attempt >= webhookConfig.maxAttempts) {
+    entry.status = 'failed';
+  }
+  if (entry.status !== 'pending') {
+    callbackLog.set(entry.id, entry);
+    return;
+  }
+
+  const backoffMs = webhookConfig.baseDelayMs * Math.pow(2, attempt - 1);
+  entry.nextAttemptAt = new Date(clock.now() + backoffMs).toISOString();
+  callbackLog.set(entry.id, entry);
+  const timer = clock.setTimeout(() => {
+    webhookRetryTimers.delete(timer);
+    deliverCallback(entry, attempt + 1);
+  }, backoffMs);
+  webhookRetryTimers.add(timer);
+};
+
+// Helper: Send callback - logs it, signs it with the project's secret and
+// POSTs it to the callback URL (unless webhook delivery is disabled).
+// `record` is the payout or charge whose status changed; payout callbacks
+// also carry the payout's refund.
+const sendCallback = (url, event, record) => {
+  const callbackPayload = {
+    event,
+    timestamp: clock.iso(),
+    data: { ...record } // Snapshot: later status changes send their own callback
+  };
+  if (event === CALLBACK_EVENTS.PAYOUT_STATUS_CHANGED) {
+    callbackPayload.refund = record.refundId ? refunds.get(record.refundId) : null;
+  }
+  const body = JSON.stringify(callbackPayload);
+  const entry = {
+    id: generateId('callback'),
+    url,
+    projectId: record.projectId,
+    payload: callbackPayload,
+    body,
+    signature: signWebhook(getWebhookSecret(record.projectId), body),
+    sentAt: clock.iso(),
+    status: webhookConfig.enabled ? 'pending' : 'skipped',
+    attempts: []
+  };
+  callbackLog.set(entry.id, entry);
+
+  if (webhookConfig.enabled) {
+    deliverCallback(entry);
+  }
+};
+
+// Helper: Check whether a payout's Lightning payment is still in flight
+const paymentInFlight = (payout) => Boolean(payout.htlcId) && lightning.isInFlight(payout.htlcId);
+
+// Helper: Check if payout is expired. A payout whose Lightning payment is in
+// flight can't expire: its HTLC settles, fails or times out instead.
+const isExpired = (payout) => {
+  if (!payout.expiresAt || paymentInFlight(payout)) return false;
+  return new Date(payout.expiresAt) < clock.date();
+};
+
+// Helper: Check whether a status change is allowed by the state machine
+const canTransition = (from, to) => (PAYOUT_TRANSITIONS[from] || []).includes(to);
+
+// Helper: Cancel a scheduled settlement (payout changed status some other way)
+const cancelSettlement = (payoutId) => {
+  const timer = settlementTimers.get(payoutId);
+  if (timer) {
+    clock.clearTimeout(timer);
+    settlementTimers.delete(payoutId);
+  }
+};
+
+// Helper: Release a payout's hold back to its project and record the refund.
+// Runs synchronously, so no request can observe a half-applied refund.
+const refundPayout = (payout) => {
+  if (payout.refundId) return refunds.get(payout.refundId);
+
+  const refund = {
+    id: generateId('refund'),
+    payoutId: payout.id,
+    projectId: payout.projectId,
+    amount: payout.amount,
+    fee: payout.fee,
+    totalCost: payout.totalCost,
+    reason: payout.status,
+    createdAt: clock.iso()
   };
 
-  // Deduct balance (amount + fee)
-  projectBalances.set(projectId, balance - totalCost);
+  releaseHold(payout, LEDGER_ENTRY_TYPES.REFUND, refund.id);
+  refunds.set(refund.id, refund);
+  payout.refundId = refund.id;
+  return refund;
+};
 
-  // FAILURE INJECTION: Simulate Lightning Network timeout after charge
-  if (failureInjection.enabled && Math.random() < failureInjection.timeoutRate) {
-    // Simulate network delay before timeout
-    await new Promise(resolve => setTimeout(resolve, 2000));
+// Helper: Move a payout to a new status and notify its callback.
+// Completed payouts commit their hold; expired, failed and cancelled payouts
+// are refunded before the callback fires.
+// Returns false (and changes nothing) if the transition is illegal.
+const transitionPayout = (payout, status) => {
+  if (!canTransition(payout.status, status)) return false;
 
-    if (failureInjection.rollbackOnTimeout) {
-      // Proper behavior: rollback the charge
-      projectBalances.set(projectId, balance);
+  payout.status = status;
+  payout.updatedAt = clock.iso();
+  cancelSettlement(payout.id);
+
+  // A payment still in flight follows the payout (its HTLC reports back, but
+  // the payout is no longer pending by then)
+  if (paymentInFlight(payout)) {
+    if (status === PAYOUT_STATUS.COMPLETED) lightning.settleHtlc(payout.htlcId);
+    else lightning.failHtlc(payout.htlcId, `PAYOUT_${status.toUpperCase()}`);
+  }
+
+  if (status === PAYOUT_STATUS.COMPLETED) {
+    commitHold(payout);
+  }
+  if (status === PAYOUT_STATUS.CANCELLED) {
+    payout.cancelledAt = payout.updatedAt;
+  }
+  if (REFUNDABLE_STATUSES.includes(status)) {
+    refundPayout(payout);
+  }
+  savePayout(payout);
+
+  if (payout.callbackUrl) {
+    sendCallback(payout.callbackUrl, CALLBACK_EVENTS.PAYOUT_STATUS_CHANGED, payout);
+  }
+  return true;
+};
+
+// Helper: Settle a pending payout after the simulated Lightning delay.
+// A payout whose window ran out before settlement expires instead.
+// Lightning payouts ask the node to resolve their HTLC, which settles or fails
+// the payout through settleLightningPayout (stuck HTLCs leave it pending).
+const scheduleSettlement = (payout) => {
+  if (!settlement.enabled) return;
+
+  const timer = clock.setTimeout(() => {
+    settlementTimers.delete(payout.id);
+    if (payout.status !== PAYOUT_STATUS.PENDING) return;
+    if (paymentInFlight(payout)) {
+      lightning.resolveHtlc(payout.htlcId);
+      return;
     }
-    // If rollbackOnTimeout is false, balance remains deducted (the bug!)
+    transitionPayout(payout, isExpired(payout) ? PAYOUT_STATUS.EXPIRED : PAYOUT_STATUS.COMPLETED);
+  }, settlement.delayMs);
+  settlementTimers.set(payout.id, timer);
+};
+
+// Helper: Complete or fail a pending payout when its HTLC resolves.
+// Failed payments are refunded and record the node's failure code.
+const settleLightningPayout = (htlc) => {
+  const payout = payouts.get(htlc.paymentId);
+  if (!payout || payout.status !== PAYOUT_STATUS.PENDING) return;
+
+  if (htlc.status === HTLC_STATUS.SETTLED) {
+    transitionPayout(payout, PAYOUT_STATUS.COMPLETED);
+    return;
+  }
+  payout.failureReason = htlc.failureReason;
+  transitionPayout(payout, PAYOUT_STATUS.ERROR);
+};
+
+// Helper: Check if a pending charge's payment window has run out
+const isChargeExpired = (charge) => charge.status === CHARGE_STATUS.PENDING && new Date(charge.expiresAt) < clock.date();
+
+// Helper: Move a pending charge to a new status and notify its callback.
+// Completed charges credit their amount to the project.
+// Returns false (and changes nothing) if the charge is no longer pending.
+const transitionCharge = (charge, status) => {
+  if (charge.status !== CHARGE_STATUS.PENDING) return false;
+
+  charge.status = status;
+  charge.updatedAt = clock.iso();
+  if (status === CHARGE_STATUS.COMPLETED) {
+    charge.paidAt = charge.updatedAt;
+    postLedgerEntry({
+      type: LEDGER_ENTRY_TYPES.CHARGE,
+      from: LEDGER_ACCOUNTS.CHARGES,
+      to: projectAccount(charge.projectId),
+      amount: charge.amount,
+      projectId: charge.projectId,
+      chargeId: charge.id
+    });
+  }
+  saveCharge(charge);
+
+  if (charge.callbackUrl) {
+    sendCallback(charge.callbackUrl, CALLBACK_EVENTS.CHARGE_STATUS_CHANGED, charge);
+  }
+  return true;
+};
+
+// Helper: Expire a charge whose window ran out. Returns true if it expired now.
+const expireChargeIfDue = (charge) => isChargeExpired(charge) && transitionCharge(charge, CHARGE_STATUS.EXPIRED);
+
+// Helper: One expiry sweep: expire every pending payout whose window has run
+// out (each is refunded and notifies its callback), then every such charge,
+// and record the run. `trigger` is 'interval', 'clock' or 'manual'.
+// Returns the run's stats.
+const runExpirySweep = (trigger) => {
+  const startedAt = Date.now();
+  const pending = Array.from(payoutIdsBy('status', PAYOUT_STATUS.PENDING), id => payouts.get(id));
+  const expired = [];
+  const failures = [];
+
+  pending.filter(isExpired).forEach(payout => {
+    // One broken payout must not stop the sweep
+    try {
+      if (transitionPayout(payout, PAYOUT_STATUS.EXPIRED)) expired.push(payout.id);
+    } catch (err) {
+      failures.push({ payoutId: payout.id, error: err.message });
+    }
+  });
+
+  const pendingCharges = Array.from(pendingChargeIds, id => charges.get(id));
+  const expiredCharges = [];
+  pendingCharges.filter(isChargeExpired).forEach(charge => {
+    try {
+      if (transitionCharge(charge, CHARGE_STATUS.EXPIRED)) expiredCharges.push(charge.id);
+    } catch (err) {
+      failures.push({ chargeId: charge.id, error: err.message });
+    }
+  });
+
+  sweeperStats.runs += 1;
+  sweeperStats.expired += expired.length;
+  sweeperStats.expiredCharges += expiredCharges.length;
+  sweeperStats.errors += failures.length;
+  if (failures.length > 0) sweeperStats.lastError = { ...failures[failures.length - 1], at: clock.iso() };
+  sweeperStats.lastRun = {
+    trigger,
+    at: clock.iso(),
+    scanned: pending.length,
+    scannedCharges: pendingCharges.length,
+    expired,
+    expiredCharges,
+    errors: failures.length,
+    failures,
+    durationMs: Date.now() - startedAt
+  };
+  return sweeperStats.lastRun;
+};
+
+// Helper: (Re)start the sweep interval to match sweeperConfig
+const startExpirySweeper = () => {
+  if (sweeperTimer) clearInterval(sweeperTimer);
+  sweeperTimer = null;
+  if (!sweeperConfig.enabled) return;
+
+  sweeperTimer = setInterval(() => runExpirySweep('interval'), sweeperConfig.intervalMs);
+  sweeperTimer.unref(); // Never keep the process alive just for the sweeper
+};
+
+// Helper: Build the INVALID_TRANSITION error response body
+const invalidTransitionBody = (payout, status) => ({
+  success: false,
+  message: `Cannot change payout status from ${payout.status} to ${status}`,
+  data: {
+    error: 'INVALID_TRANSITION',
+    from: payout.status,
+    to: status,
+    allowedTransitions: PAYOUT_TRANSITIONS[payout.status]
+  }
+});
+
+// Helper: Check a callbackUrl (an http or https URL string)
+const isCallbackUrl = (url) => typeof url === 'string' && /^https?:\/\/.+/.test(url);
+
+// Helper: Check an expiry in seconds (a whole number from 1 to MAX_EXPIRY_SECONDS)
+const isExpirySeconds = (value) => Number.isInteger(value) && value >= 1 && value <= MAX_EXPIRY_SECONDS;
+
+// Helper: A payout validation failure as { error: { status, body } }
+const payoutError = (status, body) => ({ error: { status, body } });
+
+// Helper: The registry entry for a gamertag (case-insensitive), or undefined
+const findGamertag = (gamertag) => gamertags.get(String(gamertag).toLowerCase());
+
+// Helper: Work out where a payout goes: exactly one of gamertag, invoice or
+// lightningAddress. Invoices are decoded locally and checked for network and
+// expiry; their amount (if any) must match `amount`, or stands in for it.
+// Returns { error } or { destination, amount } (destination null if none given).
+// destination.recipient is the key the per-recipient rate limit counts against.
+const resolvePayoutDestination = (fields) => {
+  const { gamertag, invoice, lightningAddress, amount } = fields;
+  if (gamertag !== undefined && gamertag !== null && typeof gamertag !== 'string') {
+    return payoutError(400, {
+      success: false,
+      message: 'gamertag must be a string',
+      data: { error: 'VALIDATION_ERROR' }
+    });
+  }
+
+  const given = Object.values(DESTINATION_FIELDS).filter(field => fields[field]);
+  if (given.length > 1) {
+    return payoutError(400, {
+      success: false,
+      message: `Provide exactly one destination, not ${given.join(' and ')}`,
+      data: { error: 'VALIDATION_ERROR', destinations: given }
+    });
+  }
+
+  if (lightningAddress) {
+    if (!isLightningAddress(lightningAddress)) {
+      return payoutError(400, {
+        success: false,
+        message: 'Invalid Lightning address. Must look like name@domain.com',
+        data: { error: 'INVALID_LIGHTNING_ADDRESS' }
+      });
+    }
+    const address = lightningAddress.toLowerCase();
+    return { destination: { type: DESTINATION_TYPES.LIGHTNING_ADDRESS, lightningAddress: address, recipient: address }, amount };
+  }
+
+  if (!invoice) {
+    return { destination: gamertag ? { type: DESTINATION_TYPES.GAMERTAG, gamertag, recipient: gamertag } : null, amount };
+  }
+
+  let decoded;
+  try {
+    decoded = decodeInvoice(invoice);
+  } catch (err) {
+    return payoutError(400, {
+      success: false,
+      message: `Invalid invoice: ${err.message}`,
+      data: { error: 'INVALID_INVOICE' }
+    });
+  }
+  if (decoded.network !== LIGHTNING_NETWORK) {
+    return payoutError(400, {
+      success: false,
+      message: `Invoice is for ${decoded.network}, this API pays on ${LIGHTNING_NETWORK}`,
+      data: { error: 'INVOICE_NETWORK_MISMATCH', invoiceNetwork: decoded.network, network: LIGHTNING_NETWORK }
+    });
+  }
+  if (new Date(decoded.expiresAt) <= clock.date()) {
+    return payoutError(400, {
+      success: false,
+      message: `Invoice expired at ${decoded.expiresAt}`,
+      data: { error: 'INVOICE_EXPIRED', expiresAt: decoded.expiresAt }
+    });
+  }
+  if (decoded.amountSats !== null && !Number.isInteger(decoded.amountSats)) {
+    return payoutError(400, {
+      success: false,
+      message: `Invalid invoice: amount ${decoded.amountMsat} msat is not a whole number of sats`,
+      data: { error: 'INVALID_INVOICE' }
+    });
+  }
+  if (decoded.amountSats !== null && amount !== undefined && amount !== null && amount !== decoded.amountSats) {
+    return payoutError(400, {
+      success: false,
+      message: `Amount ${amount} sats does not match the invoice amount of ${decoded.amountSats} sats`,
+      data: { error: 'INVOICE_AMOUNT_MISMATCH', amount, invoiceAmount: decoded.amountSats }
+    });
+  }
+
+  return {
+    destination: {
+      type: DESTINATION_TYPES.INVOICE,
+      invoice: decoded,
+      paymentHash: decoded.paymentHash,
+      recipient: decoded.payee || decoded.paymentHash
+    },
+    amount: decoded.amountSats !== null ? decoded.amountSats : amount
+  };
+};
+
+// Helper: The pending or completed payout for an invoice's payment hash, if any
+// (expired, failed and cancelled payouts never paid it)
+const findPayoutPayingInvoice = (paymentHash) => Array.from(payoutIdsBy('paymentHash', paymentHash), id => payouts.get(id))
+  .find(p => p.status === PAYOUT_STATUS.PENDING || p.status === PAYOUT_STATUS.COMPLETED);
+
+// Status codes for payouts the Lightning node can't route: no path is a
+// property of the destination, missing liquidity may clear up later
+const ROUTING_ERROR_STATUS = {
+  [LIGHTNING_FAILURES.NO_ROUTE]: 422,
+  [LIGHTNING_FAILURES.INSUFFICIENT_LIQUIDITY]: 503
+};
+
+// Helper: The node a Lightning destination is paid at (the invoice's payee or
+// the node hosting the address's domain, else the graph's default destination)
+const lightningNodeFor = (destination) => {
+  if (destination.type === DESTINATION_TYPES.INVOICE) {
+    return lightning.resolveDestination({ pubkey: destination.invoice.payee });
+  }
+  return lightning.resolveDestination({ domain: destination.lightningAddress.split('@')[1] });
+};
+
+// Helper: Route a Lightning destination for `amount` sats.
+// Returns { error } or { route } ({ hops, feeMsat }, null for gamertags).
+const routePayout = (destination, amount) => {
+  if (destination.type === DESTINATION_TYPES.GAMERTAG) return { route: null };
+
+  destination.node = lightningNodeFor(destination);
+  const found = lightning.findRoute(destination.node, amount * 1000);
+  if (found.error) {
+    return payoutError(ROUTING_ERROR_STATUS[found.error], {
+      success: false,
+      message: `Lightning payment cannot be routed: ${found.message}`,
+      data: { error: found.error, destination: destination.node, amount }
+    });
+  }
+  return found;
+};
+
+// Helper: Validate a payout request against its project.
+// Returns { error } or { project, settings, destination, pricing, route } where
+// pricing is { amount, fee, feePercent, routingFee, totalCost } from the
+// project's fee settings and, for Lightning destinations, the cheapest route
+// (routingFee is its fee in msat rounded up to whole sats).
+const preparePayout = (req, fields) => {
+  const { projectId, callbackUrl, expiresIn, description } = fields;
+
+  const resolved = resolvePayoutDestination(fields);
+  if (resolved.error) return resolved;
+  const { destination, amount } = resolved;
+
+  // Validation (BUG-001: !amount treats 0 as falsy)
+  if (!destination || !amount || !projectId) {
+    const destinationField = destination ? DESTINATION_FIELDS[destination.type] : 'gamertag';
+    return payoutError(400, {
+      success: false,
+      message: `Missing required fields: ${destinationField}, amount, projectId`,
+      data: { error: 'VALIDATION_ERROR' }
+    });
+  }
+
+  if (!canAccessProject(req, projectId)) {
+    return payoutError(403, projectAccessDeniedBody(projectId));
+  }
+
+  const project = findProject(projectId);
+  if (!project) {
+    return payoutError(404, projectNotFoundBody(projectId));
+  }
+  const settings = projectSettings(project);
+
+  if (!Number.isInteger(amount) || amount < settings.minPayoutAmount || amount > settings.maxPayoutAmount) {
+    return payoutError(400, {
+      success: false,
+      message: !Number.isInteger(amount)
+        ? 'Amount must be a whole number of sats'
+        : `Amount must be between ${settings.minPayoutAmount.toLocaleString('en-US')} and ${settings.maxPayoutAmount.toLocaleString('en-US')} sats`,
+      data: {
+        error: 'INVALID_AMOUNT',
+        minAmount: settings.minPayoutAmount,
+        maxAmount: settings.maxPayoutAmount
+      }
+    });
+  }
+
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return payoutError(400, {
+      success: false,
+      message: 'description must be a string',
+      data: { error: 'VALIDATION_ERROR' }
+    });
+  }
+
+  // Validate description length
+  if (description && description.length > settings.maxDescriptionLength) {
+    return payoutError(400, {
+      success: false,
+      message: `Description exceeds maximum length of ${settings.maxDescriptionLength} characters`,
+      data: { error: 'DESCRIPTION_TOO_LONG', maxLength: settings.maxDescriptionLength }
+    });
+  }
+
+  if (expiresIn !== undefined && !isExpirySeconds(expiresIn)) {
+    return payoutError(400, {
+      success: false,
+      message: `expiresIn must be a whole number of seconds from 1 to ${MAX_EXPIRY_SECONDS}`,
+      data: { error: 'VALIDATION_ERROR' }
+    });
+  }
+
+  // Validate callbackUrl format
+  if (callbackUrl && !isCallbackUrl(callbackUrl)) {
+    return payoutError(400, {
+      success: false,
+      message: 'Invalid callback URL format. Must start with http:// or https://',
+      data: { error: 'INVALID_CALLBACK_URL' }
+    });
+  }
+
+  if (project.status === PROJECT_STATUS.SUSPENDED) {
+    return payoutError(403, {
+      success: false,
+      message: `Project ${projectId} is suspended and cannot create payouts`,
+      data: { error: 'PROJECT_SUSPENDED', projectId }
+    });
+  }
+
+  // Projects can opt in to rejecting gamertags nobody has registered (typos)
+  if (destination.type === DESTINATION_TYPES.GAMERTAG && settings.requireRegisteredGamertags && !findGamertag(destination.gamertag)) {
+    return payoutError(404, {
+      success: false,
+      message: `Gamertag ${destination.gamertag} not found`,
+      data: { error: 'GAMERTAG_NOT_FOUND', gamertag: destination.gamertag }
+    });
+  }
+
+  // An invoice can only be paid once
+  const paying = destination.paymentHash && findPayoutPayingInvoice(destination.paymentHash);
+  if (paying) {
+    return payoutError(409, {
+      success: false,
+      message: `Invoice is already being paid by payout ${paying.id}`,
+      data: { error: 'INVOICE_ALREADY_PAID', paymentHash: destination.paymentHash, payoutId: paying.id }
+    });
+  }
+
+  // Lightning destinations need a route; its fee is charged on top
+  const routed = routePayout(destination, amount);
+  if (routed.error) return routed;
+  const { route } = routed;
+  const routingFee = route ? Math.ceil(route.feeMsat / 1000) : 0;
+
+  // Calculate the service fee (flat percent or tiered schedule)
+  const { fee, feePercent } = calculateFee(amount, settings);
+  return {
+    project,
+    settings,
+    destination,
+    route,
+    pricing: { amount, fee, feePercent, routingFee, totalCost: amount + fee + routingFee }
+  };
+};
+
+// Helper: Serialize JSON with sorted object keys, so equal bodies hash equally
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Helper: SHA-256 fingerprint of a request body
+const fingerprintRequest = (body) => crypto.createHash('sha256').update(canonicalJson(body)).digest('hex');
+
+// Helper: Key of the (projectId, idempotencyKey) index
+const idempotencyIndexKey = (projectId, idempotencyKey) => `${projectId}:${idempotencyKey}`;
+
+// Helper: Recorded response for a project's idempotency key (undefined if
+// none or expired; expired records are dropped on lookup)
+const findIdempotencyRecord = (projectId, idempotencyKey) => {
+  const indexKey = idempotencyIndexKey(projectId, idempotencyKey);
+  const record = idempotencyKeys.get(indexKey);
+  if (record && new Date(record.expiresAt) <= clock.date()) {
+    idempotencyKeys.delete(indexKey);
+    return undefined;
+  }
+  return record;
+};
+
+// Helper: Record the final response to an idempotent request so retries replay it.
+// Requests naming a project the API key can't access are not recorded, so they
+// can't claim that project's keys.
+const recordIdempotentResponse = (req, fields, statusCode, body, payoutId = null) => {
+  const { projectId, idempotencyKey } = fields;
+  if (!idempotencyKey || !projectId || !canAccessProject(req, projectId)) return;
+
+  const now = clock.now();
+  idempotencyKeys.set(idempotencyIndexKey(projectId, idempotencyKey), {
+    projectId,
+    idempotencyKey,
+    fingerprint: fingerprintRequest(fields),
+    statusCode,
+    body,
+    payoutId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + idempotencyConfig.ttlSeconds * 1000).toISOString()
+  });
+};
+
+// Helper: Build the IDEMPOTENCY_KEY_MISMATCH error response body
+const idempotencyMismatchBody = (idempotencyKey) => ({
+  success: false,
+  message: `idempotencyKey ${idempotencyKey} was already used with a different request body`,
+  data: { error: 'IDEMPOTENCY_KEY_MISMATCH', idempotencyKey }
+});
+
+// Helper: Build the REQUEST_IN_PROGRESS error response body
+const requestInProgressBody = (idempotencyKey) => ({
+  success: false,
+  message: `A request with idempotencyKey ${idempotencyKey} is still in progress. Retry shortly.`,
+  data: { error: 'REQUEST_IN_PROGRESS', idempotencyKey }
+});
+
+// Helper: Wait until no request holds the lock, then take it.
+// Resolves false if the holder is still in flight after lockWaitMs.
+const acquireIdempotencyLock = async (lockKey) => {
+  const deadline = Date.now() + idempotencyConfig.lockWaitMs;
+  while (idempotencyLocks.has(lockKey)) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) return false;
+
+    let timer;
+    const timedOut = new Promise(resolve => {
+      timer = setTimeout(resolve, remaining);
+      timer.unref();
+    });
+    await Promise.race([idempotencyLocks.get(lockKey).released, timedOut]);
+    clearTimeout(timer);
+  }
+
+  let release;
+  const released = new Promise(resolve => { release = resolve; });
+  idempotencyLocks.set(lockKey, { released, release, acquiredAt: clock.iso() });
+  return true;
+};
+
+// Helper: Free a lock and wake the requests waiting on it
+const releaseIdempotencyLock = (lockKey) => {
+  const lock = idempotencyLocks.get(lockKey);
+  if (!lock) return;
+  idempotencyLocks.delete(lockKey);
+  lock.release();
+};
+
+// Serialize requests that share an idempotency key: the first one runs,
+// concurrent duplicates wait for its response (then replay it) or get
+// 409 REQUEST_IN_PROGRESS once lockWaitMs has passed
+const lockIdempotencyKey = async (req, res, next) => {
+  const { projectId, idempotencyKey } = req.body;
+  if (!idempotencyKey || !projectId || !canAccessProject(req, projectId)) return next();
+
+  const lockKey = idempotencyIndexKey(projectId, idempotencyKey);
+  if (!(await acquireIdempotencyLock(lockKey))) {
+    return res.status(409).json(requestInProgressBody(idempotencyKey));
+  }
+
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    releaseIdempotencyLock(lockKey);
+  };
+  res.on('finish', release);
+  res.on('close', release);
+  next();
+};
+
+// Helper: Count a duplicate request answered from an existing payout
+const recordIdempotencyReplay = (projectId) => {
+  idempotencyReplays.set(projectId, (idempotencyReplays.get(projectId) || 0) + 1);
+};
+
+// Helper: Build the RATE_LIMIT_EXCEEDED error response body for the blocking
+// rule; retryAfter is the seconds until its oldest counted payout frees a slot
+const RATE_LIMIT_SCOPE_LABELS = { gamertag: 'gamertag', project: 'project', apiKey: 'API key' };
+const rateLimitExceededBody = (status) => ({
+  success: false,
+  message: `Maximum ${status.limit} payouts per ${RATE_LIMIT_SCOPE_LABELS[status.scope]} per hour`,
+  data: {
+    error: 'RATE_LIMIT_EXCEEDED',
+    scope: status.scope,
+    limit: status.limit,
+    retryAfter: Math.ceil(status.retryAfterMs / 1000)
+  }
+});
+
+// Helper: Build the INSUFFICIENT_BALANCE error response body
+// (extra fields, e.g. a batch's projectId, are appended to data)
+const insufficientBalanceBody = ({ amount, fee, feePercent, routingFee = 0, totalCost, balance }, extra = {}) => ({
+  success: false,
+  message: `Project balance (${balance} sats) insufficient for payout (${amount} sats + ${fee} sats fee${routingFee ? ` + ${routingFee} sats routing fee` : ''} = ${totalCost} sats total)`,
+  data: {
+    error: 'INSUFFICIENT_BALANCE',
+    requiredAmount: amount,
+    fee: fee,
+    feePercent,
+    routingFee,
+    totalCost: totalCost,
+    currentBalance: balance,
+    ...extra
+  }
+});
+
+// Helper: Build a pending payout record (not yet held or stored)
+const buildPayout = (fields, { settings, pricing, destination }, batchId = null) => {
+  const { projectId, idempotencyKey, callbackUrl, expiresIn, description, internalId } = fields;
+  const { invoice } = destination;
+
+  // Calculate expiration (never after the invoice expires: it can't be paid then)
+  let expirySeconds = expiresIn || settings.defaultExpirySeconds;
+  let expiresAt = new Date(clock.now() + expirySeconds * 1000).toISOString();
+  if (invoice && invoice.expiresAt < expiresAt) {
+    expiresAt = invoice.expiresAt;
+    expirySeconds = Math.ceil((Date.parse(expiresAt) - clock.now()) / 1000);
+  }
+
+  return {
+    id: generateId(),
+    internalId: internalId || null,
+    gamertag: destination.gamertag || null,
+    destinationType: destination.type,
+    invoice: invoice ? invoice.paymentRequest : null,
+    paymentHash: invoice ? invoice.paymentHash : null,
+    lightningAddress: destination.lightningAddress || null,
+    amount: pricing.amount,
+    fee: pricing.fee,
+    feePercent: pricing.feePercent,
+    routingFee: pricing.routingFee,
+    totalCost: pricing.totalCost,
+    htlcId: null,         // Lightning payment carrying the payout (see lightning-node.js)
+    failureReason: null,  // Lightning failure code when the payment fails
+    projectId,
+    idempotencyKey,
+    description: description || null,
+    callbackUrl: callbackUrl || null,
+    status: PAYOUT_STATUS.PENDING,
+    expiresIn: expirySeconds,
+    expiresAt,
+    batchId,
+    createdAt: clock.iso()
+  };
+};
+
+// Helper: Build the 201 response body for a new payout (a snapshot, so
+// idempotent replays return exactly what the first request saw)
+const createdPayoutBody = (payout) => JSON.parse(JSON.stringify({
+  success: true,
+  message: 'Payout created successfully',
+  data: payout
+}));
+
+// Helper: Store a held payout, count it against its rate limit rules, send
+// its Lightning payment, notify its callback and schedule settlement.
+// A payment that can no longer be routed fails (and refunds) the payout.
+// Returns the tightest rate limit status.
+const activatePayout = (payout, { rateRules, destination }) => {
+  const payment = destination.type !== DESTINATION_TYPES.GAMERTAG
+    ? lightning.sendPayment({
+      paymentId: payout.id,
+      destination: destination.node,
+      amountMsat: payout.amount * 1000,
+      maxFeeMsat: payout.routingFee * 1000
+    })
+    : null;
+  if (payment && payment.htlc) payout.htlcId = payment.htlc.id;
+
+  savePayout(payout);
+  const rateStatus = consumeRateLimits(rateRules);
+
+  // Send callback if URL provided
+  if (payout.callbackUrl) {
+    sendCallback(payout.callbackUrl, CALLBACK_EVENTS.PAYOUT_STATUS_CHANGED, payout);
+  }
+
+  if (payment && payment.error) {
+    payout.failureReason = payment.error;
+    transitionPayout(payout, PAYOUT_STATUS.ERROR);
+    return rateStatus;
+  }
+
+  // Settle asynchronously (pending -> completed)
+  scheduleSettlement(payout);
+  return rateStatus;
+};
+
+/**
+ * POST /api/v1/payouts
+ * Create a new payout (ZBD-style response format)
+ *
+ * Destination (exactly one):
+ * - gamertag: ZBD gamertag
+ * - invoice: BOLT11 payment request on LIGHTNING_NETWORK, not expired and not
+ *   already paid; its amount (if any) must equal `amount`, which may be omitted
+ * - lightningAddress: name@domain
+ *
+ * Invoice and Lightning address payouts are routed over the simulated Lightning
+ * node: 422 NO_ROUTE or 503 INSUFFICIENT_LIQUIDITY if it has no usable route,
+ * otherwise the route's fee is added as routingFee and the payment is sent
+ * (htlcId). The payout settles or fails (status error, failureReason) with
+ * its HTLC, and can't expire or be cancelled while the HTLC is in flight.
+ *
+ * Supports:
+ * - callbackUrl: URL to receive status updates
+ * - expiresIn: Seconds until payout expires, at most MAX_EXPIRY_SECONDS
+ *   (default: project's defaultExpirySeconds)
+ * - description: Optional description (max: project's maxDescriptionLength)
+ * - internalId: Client-provided tracking ID
+ *
+ * Amount bounds, fee, rate limit and expiry come from the project's settings.
+ *
+ * Idempotency: keys are scoped to the project. A retry with the same key and
+ * body replays the original status code and body with `Idempotent-Replayed: true`,
+ * whatever the outcome (created, validation error, rate limited, INSUFFICIENT_BALANCE,
+ * GATEWAY_TIMEOUT); the same key with a different body returns 422
+ * IDEMPOTENCY_KEY_MISMATCH.
+ * Concurrent requests with the same key are serialized: duplicates wait for
+ * the first response and replay it, or get 409 REQUEST_IN_PROGRESS.
+ */
+app.post('/api/v1/payouts', lockIdempotencyKey, async (req, res) => {
+  await simulateDelay();
+
+  const { projectId, idempotencyKey } = req.body;
+
+  // Check idempotency before validation so replays survive later settings changes
+  if (idempotencyKey && projectId && canAccessProject(req, projectId)) {
+    const record = findIdempotencyRecord(projectId, idempotencyKey);
+    if (record && record.fingerprint !== fingerprintRequest(req.body)) {
+      return res.status(422).json(idempotencyMismatchBody(idempotencyKey));
+    }
+    if (record) {
+      recordIdempotencyReplay(projectId);
+      res.set(IDEMPOTENT_REPLAY_HEADER, 'true');
+      return res.status(record.statusCode).json(record.body);
+    }
+  }
+
+  const prepared = preparePayout(req, req.body);
+  if (prepared.error) {
+    recordIdempotentResponse(req, req.body, prepared.error.status, prepared.error.body);
+    return res.status(prepared.error.status).json(prepared.error.body);
+  }
+  const { settings, pricing, destination } = prepared;
+
+  // Check rate limits (recipient, project, API key)
+  const rateRules = rateLimitRules(req.apiKey, projectId, destination.recipient, settings);
+  const exceeded = exceededRateLimit(rateRules);
+  if (exceeded) {
+    const body = rateLimitExceededBody(exceeded);
+    setRateLimitHeaders(res, exceeded);
+    res.set('Retry-After', String(Math.ceil(exceeded.retryAfterMs / 1000)));
+    recordIdempotentResponse(req, req.body, 429, body);
+    return res.status(429).json(body);
+  }
+
+  // Check project balance
+  const balance = getProjectBalance(projectId);
+  if (balance < pricing.totalCost) {
+    const body = insufficientBalanceBody({ ...pricing, balance });
+    recordIdempotentResponse(req, req.body, 402, body);
+    return res.status(402).json(body);
+  }
+
+  const payout = buildPayout(req.body, prepared);
+
+  // Hold amount + fee in the reserved bucket until settlement
+  reserveHold(payout);
+
+  // FAILURE INJECTION: Simulate Lightning Network timeout after charge
+  const timeoutFault = chaos.trigger(FAULTS.GATEWAY_TIMEOUT, faultContext(req));
+  if (timeoutFault) {
+    // Simulate network delay before timeout
+    await new Promise(resolve => setTimeout(resolve, timeoutFault.latencyMs));
+
+    if (timeoutFault.rollback) {
+      // Proper behavior: release the hold
+      releaseHold(payout, LEDGER_ENTRY_TYPES.ROLLBACK);
+    } else {
+      // The bug: the hold is spent although no payout exists
+      commitHold(payout);
+    }
+
+    const body = {
+      success: false,
+      message: 'Payment gateway timeout - Lightning Network unavailable',
+      data: {
+        error: 'GATEWAY_TIMEOUT',
+        chargedAmount: pricing.totalCost,
+        balanceRolledBack: timeoutFault.rollback
+      }
+    };
+    recordIdempotentResponse(req, req.body, 504, body);
+    return res.status(504).json(body);
+  }
+
+  setRateLimitHeaders(res, activatePayout(payout, { rateRules, destination }));
+
+  const body = createdPayoutBody(payout);
+  recordIdempotentResponse(req, req.body, 201, body, payout.id);
+  res.status(201).json(body);
+});
+
+/**
+ * POST /api/v1/payouts/estimate
+ * Price a payout without creating it: service fee, routing fee and the route
+ * a Lightning payment would take right now (null for gamertags).
+ * Takes the POST /api/v1/payouts body and fails with the same validation and
+ * routing errors; balance and rate limits are not checked.
+ */
+app.post('/api/v1/payouts/estimate', async (req, res) => {
+  await simulateDelay();
+
+  const prepared = preparePayout(req, req.body);
+  if (prepared.error) {
+    return res.status(prepared.error.status).json(prepared.error.body);
+  }
+  const { destination, pricing, route } = prepared;
+
+  res.json({
+    success: true,
+    message: 'Payout estimate',
+    data: {
+      destinationType: destination.type,
+      ...pricing,
+      route: route && { destination: destination.node, ...route }
+    }
+  });
+});
+
+// Helper: Sort payouts by createdAt, then id (ties broken deterministically)
+const comparePayouts = (a, b) => {
+  if (a.createdAt !== b.createdAt) return a.createdAt < b.createdAt ? -1 : 1;
+  if (a.id !== b.id) return a.id < b.id ? -1 : 1;
+  return 0;
+};
+
+// Helper: Opaque pagination cursor pointing at a payout's sort position
+const encodePayoutCursor = (payout) => Buffer
+  .from(JSON.stringify({ createdAt: payout.createdAt, id: payout.id }))
+  .toString('base64url');
+
+// Helper: Decode a cursor (null if malformed)
+const decodePayoutCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof position.createdAt === 'string' && typeof position.id === 'string') return position;
+  } catch (err) {
+    // Fall through to null
+  }
+  return null;
+};
+
+/**
+ * GET /api/v1/payouts
+ * List payouts the API key can access, newest first
+ *
+ * Query (all optional, combined with AND):
+ * - projectId, gamertag, internalId: Exact match
+ * - status: Comma-separated statuses
+ * - minAmount / maxAmount: Amount range in sats (inclusive)
+ * - createdFrom / createdTo: ISO timestamps bounding createdAt (inclusive)
+ * - order: 'desc' (default) or 'asc' by createdAt, then id
+ * - limit: Page size (default 50, max 500)
+ * - cursor: nextCursor from the previous page
+ *
+ * Pages are stable: payouts created while paging never shift or repeat items.
+ */
+app.get('/api/v1/payouts', async (req, res) => {
+  await simulateDelay();
+
+  const { projectId, gamertag, internalId, cursor } = req.query;
+  const statuses = req.query.status ? String(req.query.status).split(',') : null;
+  const order = req.query.order || 'desc';
+
+  if (projectId && denyProjectAccess(req, res, projectId)) return;
+
+  const invalidStatuses = (statuses || []).filter(s => !VALID_STATUSES.includes(s));
+  if (invalidStatuses.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}`,
+      data: { error: 'INVALID_STATUS', validStatuses: VALID_STATUSES }
+    });
+  }
+
+  const minAmount = req.query.minAmount !== undefined ? Number(req.query.minAmount) : null;
+  const maxAmount = req.query.maxAmount !== undefined ? Number(req.query.maxAmount) : null;
+  if (Number.isNaN(minAmount) || Number.isNaN(maxAmount)
+    || (minAmount !== null && maxAmount !== null && minAmount > maxAmount)) {
+    return res.status(400).json({
+      success: false,
+      message: 'minAmount and maxAmount must be numbers with minAmount <= maxAmount',
+      data: { error: 'INVALID_AMOUNT_RANGE' }
+    });
+  }
+
+  const createdFrom = req.query.createdFrom ? new Date(req.query.createdFrom) : null;
+  const createdTo = req.query.createdTo ? new Date(req.query.createdTo) : null;
+  if ((createdFrom && isNaN(createdFrom)) || (createdTo && isNaN(createdTo))) {
+    return res.status(400).json({
+      success: false,
+      message: 'createdFrom and createdTo must be ISO 8601 timestamps',
+      data: { error: 'INVALID_TIME_RANGE' }
+    });
+  }
+
+  if (!['asc', 'desc'].includes(order)) {
+    return res.status(400).json({
+      success: false,
+      message: 'order must be asc or desc',
+      data: { error: 'VALIDATION_ERROR' }
+    });
+  }
+
+  const after = cursor ? decodePayoutCursor(cursor) : null;
+  if (cursor && !after) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid pagination cursor',
+      data: { error: 'INVALID_CURSOR' }
+    });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+  // Candidates: intersect the index buckets of every exact-match filter,
+  // starting from the smallest. Without one, read the projectId buckets of every
+  // project the key can access (all indexed projects for a wildcard key).
+  const buckets = [];
+  if (projectId) buckets.push(payoutIdsBy('projectId', projectId));
+  if (gamertag) buckets.push(payoutIdsBy('gamertag', gamertag));
+  if (internalId) buckets.push(payoutIdsBy('internalId', internalId));
+  if (statuses) {
+    buckets.push(new Set(statuses.flatMap(status => Array.from(payoutIdsBy('status', status)))));
+  }
+
+  let candidateIds;
+  if (buckets.length > 0) {
+    buckets.sort((a, b) => a.size - b.size);
+    const [smallest, ...rest] = buckets;
+    candidateIds = Array.from(smallest).filter(id => rest.every(bucket => bucket.has(id)));
+  } else {
+    const projectIds = canAccessProject(req, WILDCARD_PROJECT)
+      ? Array.from(payoutIndexes.projectId.keys())
+      : req.apiKey.projectIds;
+    candidateIds = projectIds.flatMap(id => Array.from(payoutIdsBy('projectId', id)));
+  }
+
+  const direction = order === 'asc' ? 1 : -1;
+  const matching = candidateIds
+    .map(id => payouts.get(id))
+    .filter(payout => {
+      const createdAt = new Date(payout.createdAt);
+      if (!canAccessProject(req, payout.projectId)) return false;
+      if (minAmount !== null && payout.amount < minAmount) return false;
+      if (maxAmount !== null && payout.amount > maxAmount) return false;
+      if (createdFrom && createdAt < createdFrom) return false;
+      if (createdTo && createdAt > createdTo) return false;
+      if (after && direction * comparePayouts(payout, after) <= 0) return false;
+      return true;
+    })
+    .sort((a, b) => direction * comparePayouts(a, b));
+
+  const page = matching.slice(0, limit);
+  const hasMore = matching.length > limit;
+
+  res.json({
+    success: true,
+    message: 'Payouts retrieved',
+    data: {
+      payouts: page,
+      count: page.length,
+      limit,
+      order,
+      hasMore,
+      nextCursor: hasMore ? encodePayoutCursor(page[page.length - 1]) : null
+    }
+  });
+});
+
+// Helper: Check each batch item against current state plus the items accepted
+// before it in the same batch (balance, rate limit, idempotency keys).
+// Each result has `outcome`: 'accepted' (settings, pricing, destination), 'duplicate'
+// (recorded idempotent response) or 'rejected' (error, plus pricing if it got that far).
+// Accepted items carry the rate limit rules they count against.
+const evaluateBatchItems = (req, items) => {
+  const spent = new Map();      // projectId -> totalCost accepted so far
+  const rateCounts = new Map(); // rate limit rule key -> payouts accepted so far
+  const keysSeen = new Set();   // idempotency keys used earlier in the batch
+  const invoicesSeen = new Set(); // payment hashes paid by earlier items
+
+  return items.map((fields, index) => {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      return {
+        index,
+        fields: {},
+        outcome: 'rejected',
+        error: payoutError(400, {
+          success: false,
+          message: 'Batch item must be an object',
+          data: { error: 'VALIDATION_ERROR' }
+        }).error
+      };
+    }
+
+    const { projectId, idempotencyKey } = fields;
+    const reject = (status, body, pricing) => ({ index, fields, outcome: 'rejected', pricing, error: { status, body } });
+    // Rejected for its idempotency key alone: the key's record belongs to another request
+    const keyConflict = (status, body) => ({ ...reject(status, body), keyConflict: true });
+
+    // Same idempotency rules as POST /api/v1/payouts, keys scoped per project
+    if (idempotencyKey && projectId && canAccessProject(req, projectId)) {
+      const keyInBatch = idempotencyIndexKey(projectId, idempotencyKey);
+      if (keysSeen.has(keyInBatch)) {
+        return keyConflict(400, {
+          success: false,
+          message: `idempotencyKey ${idempotencyKey} is used by an earlier item in this batch`,
+          data: { error: 'DUPLICATE_IN_BATCH', idempotencyKey }
+        });
+      }
+      keysSeen.add(keyInBatch);
+
+      if (idempotencyLocks.has(keyInBatch)) {
+        return keyConflict(409, requestInProgressBody(idempotencyKey));
+      }
+
+      const record = findIdempotencyRecord(projectId, idempotencyKey);
+      if (record && record.fingerprint !== fingerprintRequest(fields)) {
+        return keyConflict(422, idempotencyMismatchBody(idempotencyKey));
+      }
+      if (record) return { index, fields, outcome: 'duplicate', record };
+    }
+
+    const prepared = preparePayout(req, fields);
+    if (prepared.error) return { index, fields, outcome: 'rejected', error: prepared.error };
+    const { settings, pricing, destination } = prepared;
+
+    if (destination.paymentHash) {
+      if (invoicesSeen.has(destination.paymentHash)) {
+        return reject(400, {
+          success: false,
+          message: 'Invoice is paid by an earlier item in this batch',
+          data: { error: 'DUPLICATE_IN_BATCH', paymentHash: destination.paymentHash }
+        });
+      }
+      invoicesSeen.add(destination.paymentHash);
+    }
+
+    const rateRules = rateLimitRules(req.apiKey, projectId, destination.recipient, settings);
+    const exceeded = exceededRateLimit(rateRules, rateCounts);
+    if (exceeded) {
+      return reject(429, rateLimitExceededBody(exceeded), pricing);
+    }
+
+    const balance = getProjectBalance(projectId) - (spent.get(projectId) || 0);
+    if (balance < pricing.totalCost) {
+      return reject(402, insufficientBalanceBody({ ...pricing, balance }), pricing);
+    }
+
+    spent.set(projectId, (spent.get(projectId) || 0) + pricing.totalCost);
+    rateRules.forEach(rule => rateCounts.set(rule.key, (rateCounts.get(rule.key) || 0) + 1));
+    return { index, fields, outcome: 'accepted', settings, pricing, destination, rateRules };
+  });
+};
+
+// Helper: Per-project totals of every batch item that got as far as pricing
+const batchCostsByProject = (evaluated) => {
+  const totals = new Map();
+  evaluated
+    .filter(item => item.pricing)
+    .forEach(({ fields, pricing }) => {
+      const total = totals.get(fields.projectId) || { projectId: fields.projectId, amount: 0, fee: 0, routingFee: 0, totalCost: 0, itemCount: 0 };
+      total.amount += pricing.amount;
+      total.fee += pricing.fee;
+      total.routingFee += pricing.routingFee;
+      total.totalCost += pricing.totalCost;
+      total.itemCount += 1;
+      totals.set(fields.projectId, total);
+    });
+  return Array.from(totals.values());
+};
+
+// Helper: Stored per-item result
+const batchItemResult = (item, status, payout = null) => {
+  const result = {
+    index: item.index,
+    status,                                   // created | duplicate | rejected | skipped
+    statusCode: null,                         // What POST /api/v1/payouts would have returned
+    payoutId: payout ? payout.id : null,
+    idempotencyKey: item.fields.idempotencyKey || null
+  };
+  if (status === 'created') result.statusCode = 201;
+  if (status === 'duplicate') {
+    // The original request's outcome (e.g. 201 created, 402 insufficient balance)
+    result.statusCode = item.record.statusCode;
+    result.payoutId = item.record.payoutId;
+  }
+  if (status === 'rejected') {
+    result.statusCode = item.error.status;
+    result.error = item.error.body.data.error;
+    result.message = item.error.body.message;
+  }
+  return result;
+};
+
+// Helper: A batch with the live status of its payouts (for polling)
+const batchView = (batch) => {
+  const statusCounts = {};
+  const items = batch.items.map(item => {
+    const payout = item.payoutId ? payouts.get(item.payoutId) : null;
+    if (!payout) return item;
+    statusCounts[payout.status] = (statusCounts[payout.status] || 0) + 1;
+    return { ...item, payoutStatus: payout.status };
+  });
+
+  let status = 'settled';
+  if (batch.result === 'rejected') status = 'rejected';
+  else if (statusCounts[PAYOUT_STATUS.PENDING]) status = 'processing';
+
+  return { ...batch, status, statusCounts, items };
+};
+
+/**
+ * POST /api/v1/payouts/batch
+ * Create many payouts in one request (e.g. end-of-round tournament rewards)
+ *
+ * Body:
+ * - items: Array of POST /api/v1/payouts bodies (max MAX_BATCH_SIZE)
+ * - mode: 'atomic' (default, all or nothing) or 'best_effort'
+ *
+ * Items are validated one by one against the project's settings, the rate
+ * limit and the balance left after earlier items. Atomic batches that only
+ * fail on balance return one INSUFFICIENT_BALANCE breakdown for the batch's
+ * total. Failure injection applies to single payout requests only.
+ * The batch is stored and can be polled via GET /api/v1/payouts/batch/:id.
+ */
+app.post('/api/v1/payouts/batch', async (req, res) => {
+  await simulateDelay();
+
+  const { items, mode = BATCH_MODES.ATOMIC } = req.body;
+  const validModes = Object.values(BATCH_MODES);
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'items must be a non-empty array of payouts',
+      data: { error: 'VALIDATION_ERROR' }
+    });
+  }
+
+  if (items.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({
+      success: false,
+      message: `Batch exceeds maximum of ${MAX_BATCH_SIZE} items`,
+      data: { error: 'BATCH_TOO_LARGE', maxItems: MAX_BATCH_SIZE, itemCount: items.length }
+    });
+  }
+
+  if (!validModes.includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid mode. Must be one of: ${validModes.join(', ')}`,
+      data: { error: 'VALIDATION_ERROR', validModes }
+    });
+  }
+
+  const evaluated = evaluateBatchItems(req, items);
+  const rejected = evaluated.filter(item => item.outcome === 'rejected');
+  const batch = {
+    id: generateId('batch'),
+    mode,
+    result: null,  // accepted | partial | rejected
+    projectIds: Array.from(new Set(evaluated.map(item => item.fields.projectId).filter(Boolean))),
+    items: [],
+    summary: { requested: items.length, created: 0, duplicates: 0, rejected: rejected.length, amount: 0, fees: 0, routingFees: 0, totalCost: 0 },
+    createdAt: clock.iso()
+  };
+
+  // Rejected items are recorded like rejected single payouts, so retries replay them
+  rejected
+    .filter(item => !item.keyConflict)
+    .forEach(item => recordIdempotentResponse(req, item.fields, item.error.status, item.error.body));
+
+  // Atomic: one failing item rejects the whole batch, nothing is created
+  if (mode === BATCH_MODES.ATOMIC && rejected.length > 0) {
+    batch.result = 'rejected';
+    batch.items = evaluated.map(item => batchItemResult(item, item.outcome === 'rejected' ? 'rejected' : 'skipped'));
+    batches.set(batch.id, batch);
+
+    const onlyBalance = rejected.every(item => item.error.body.data.error === 'INSUFFICIENT_BALANCE');
+    if (onlyBalance) {
+      const shortfall = batchCostsByProject(evaluated)
+        .map(total => ({ ...total, balance: getProjectBalance(total.projectId) }))
+        .find(total => total.balance < total.totalCost);
+      return res.status(402).json(insufficientBalanceBody(shortfall, {
+        projectId: shortfall.projectId,
+        itemCount: shortfall.itemCount,
+        batchId: batch.id
+      }));
+    }
+
+    return res.status(400).json({
+      success: false,
+      message: `Batch rejected: ${rejected.length} of ${items.length} items failed validation`,
+      data: { error: 'BATCH_VALIDATION_FAILED', ...batchView(batch) }
+    });
+  }
+
+  // Build every payout before holding any funds, so a payout that can't be
+  // built never leaves earlier items of the batch charged
+  const built = evaluated.map(item => (
+    item.outcome === 'accepted' ? buildPayout(item.fields, item, batch.id) : null
+  ));
+
+  batch.items = evaluated.map((item, index) => {
+    if (item.outcome === 'rejected') return batchItemResult(item, 'rejected');
+
+    if (item.outcome === 'duplicate') {
+      recordIdempotencyReplay(item.fields.projectId);
+      batch.summary.duplicates += 1;
+      return batchItemResult(item, 'duplicate');
+    }
+
+    const payout = built[index];
+    reserveHold(payout);
+    activatePayout(payout, item);
+    recordIdempotentResponse(req, item.fields, 201, createdPayoutBody(payout), payout.id);
+    batch.summary.created += 1;
+    batch.summary.amount += payout.amount;
+    batch.summary.fees += payout.fee;
+    batch.summary.routingFees += payout.routingFee;
+    batch.summary.totalCost += payout.totalCost;
+    return batchItemResult(item, 'created', payout);
+  });
+
+  if (rejected.length === items.length) batch.result = 'rejected';
+  else batch.result = rejected.length > 0 ? 'partial' : 'accepted';
+  batches.set(batch.id, batch);
+
+  if (batch.result === 'rejected') {
+    return res.status(400).json({
+      success: false,
+      message: `Batch rejected: ${rejected.length} of ${items.length} items failed validation`,
+      data: { error: 'BATCH_VALIDATION_FAILED', ...batchView(batch) }
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: batch.result === 'partial'
+      ? `Batch processed: ${batch.summary.created + batch.summary.duplicates} of ${items.length} items accepted`
+      : 'Batch processed',
+    data: batchView(batch)
+  });
+});
+
+/**
+ * GET /api/v1/payouts/batch/:id
+ * Poll a batch: per-item results with each payout's current status.
+ * status is processing while any payout is pending, then settled.
+ */
+app.get('/api/v1/payouts/batch/:id', async (req, res) => {
+  await simulateDelay();
+
+  const batch = batches.get(req.params.id);
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Batch not found',
+      data: { error: 'BATCH_NOT_FOUND' }
+    });
+  }
+
+  const deniedProject = batch.projectIds.find(projectId => !canAccessProject(req, projectId));
+  if (deniedProject && denyProjectAccess(req, res, deniedProject)) return;
+
+  res.json({
+    success: true,
+    message: 'Batch retrieved',
+    data: batchView(batch)
+  });
+});
+
+/**
+ * GET /api/v1/payouts/:id
+ * Get payout by ID (checks expiration)
+ */
+app.get('/api/v1/payouts/:id', async (req, res) => {
+  await simulateDelay();
+
+  const payout = payouts.get(req.params.id);
+  if (!payout) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payout not found',
+      data: { error: 'PAYOUT_NOT_FOUND' }
+    });
+  }
+
+  if (denyProjectAccess(req, res, payout.projectId)) return;
+
+  // Check if expired and update status
+  if (isExpired(payout) && payout.status === PAYOUT_STATUS.PENDING) {
+    transitionPayout(payout, PAYOUT_STATUS.EXPIRED);
+  }
+
+  res.json({
+    success: true,
+    message: 'Payout retrieved',
+    data: payout
+  });
+});
+
+// Errors for cancelling a payout that is no longer pending
+const CANCEL_ERRORS = {
+  [PAYOUT_STATUS.COMPLETED]: { error: 'PAYOUT_ALREADY_SETTLED', message: 'Payout has already been paid out and cannot be cancelled' },
+  [PAYOUT_STATUS.CANCELLED]: { error: 'PAYOUT_ALREADY_CANCELLED', message: 'Payout has already been cancelled' },
+  [PAYOUT_STATUS.EXPIRED]: { error: 'PAYOUT_NOT_CANCELLABLE', message: 'Payout has expired and was already refunded' },
+  [PAYOUT_STATUS.ERROR]: { error: 'PAYOUT_NOT_CANCELLABLE', message: 'Payout failed and was already refunded' }
+};
+
+/**
+ * POST /api/v1/payouts/:id/cancel
+ * Revoke a pending payout before it settles.
+ * Releases the hold (refund of totalCost) and fires the callback.
+ * A Lightning payment already in flight can't be recalled (409 PAYMENT_IN_FLIGHT).
+ *
+ * Body:
+ * - reason: Optional free-text reason stored on the payout
+ */
+app.post('/api/v1/payouts/:id/cancel', async (req, res) => {
+  await simulateDelay();
+
+  const { reason } = req.body;
+  const payout = payouts.get(req.params.id);
+  if (!payout) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payout not found',
+      data: { error: 'PAYOUT_NOT_FOUND' }
+    });
+  }
+
+  if (denyProjectAccess(req, res, payout.projectId)) return;
+
+  // A payout whose window already ran out expires rather than cancels
+  if (isExpired(payout) && payout.status === PAYOUT_STATUS.PENDING) {
+    transitionPayout(payout, PAYOUT_STATUS.EXPIRED);
+  }
+
+  if (payout.status !== PAYOUT_STATUS.PENDING) {
+    const { error, message } = CANCEL_ERRORS[payout.status];
+    return res.status(409).json({
+      success: false,
+      message,
+      data: { error, payoutId: payout.id, status: payout.status, refundId: payout.refundId || null }
+    });
+  }
+
+  if (paymentInFlight(payout)) {
+    return res.status(409).json({
+      success: false,
+      message: 'Lightning payment is in flight and cannot be recalled; the payout settles or fails with it',
+      data: { error: 'PAYMENT_IN_FLIGHT', payoutId: payout.id, htlcId: payout.htlcId }
+    });
+  }
+
+  payout.cancelReason = reason || null;
+  transitionPayout(payout, PAYOUT_STATUS.CANCELLED);
+
+  res.json({
+    success: true,
+    message: 'Payout cancelled',
+    data: { ...payout, refund: refunds.get(payout.refundId) }
+  });
+});
+
+/**
+ * GET /api/v1/gamertags/:gamertag
+ * Check a gamertag before paying it: whether it is registered and the ZBD
+ * user id it belongs to (case-insensitive; seed via POST /api/v1/test/gamertags)
+ */
+app.get('/api/v1/gamertags/:gamertag', async (req, res) => {
+  await simulateDelay();
+
+  const entry = findGamertag(req.params.gamertag);
+  res.json({
+    success: true,
+    message: entry ? 'Gamertag found' : 'Gamertag not found',
+    data: {
+      gamertag: entry ? entry.gamertag : req.params.gamertag,
+      exists: Boolean(entry),
+      userId: entry ? entry.userId : null
+    }
+  });
+});
+
+/**
+ * CHARGES
+ * Incoming payments: a project creates a charge, the player pays its invoice
+ * and the amount is credited to the project's available balance.
+ */
+
+// Helper: Find a charge the request may see; responds 404/403 and returns
+// undefined otherwise
+const requireCharge = (req, res) => {
+  const charge = charges.get(req.params.id);
+  if (!charge) {
+    res.status(404).json({
+      success: false,
+      message: 'Charge not found',
+      data: { error: 'CHARGE_NOT_FOUND' }
+    });
+    return undefined;
+  }
+  if (denyProjectAccess(req, res, charge.projectId)) return undefined;
+  return charge;
+};
+
+/**
+ * POST /api/v1/charges
+ * Create a charge: a BOLT11 invoice for `amount` sats that a player pays
+ * into the project (ZBD-style response format)
+ *
+ * Body:
+ * - projectId, amount (MIN_CHARGE_AMOUNT - MAX_CHARGE_AMOUNT sats): required
+ * - description: Shown to the payer (max: project's maxDescriptionLength)
+ * - expiresIn: Seconds until the charge expires (default: project's defaultExpirySeconds)
+ * - callbackUrl: Receives charge.status_changed callbacks
+ * - internalId: Client-provided tracking ID
+ *
+ * Charges start pending and become completed (paid, amount credited) or expired.
+ * POST /api/v1/test/charges/:id/pay simulates the player paying.
+ */
+app.post('/api/v1/charges', async (req, res) => {
+  await simulateDelay();
+
+  const { projectId, amount, description, expiresIn, callbackUrl, internalId } = req.body;
+
+  if (!projectId || amount === undefined || amount === null) {
+    return res.status(400).json({
+      success: false,
+      message: 'Missing required fields: amount, projectId',
+      data: { error: 'VALIDATION_ERROR' }
+    });
+  }
+
+  if (denyProjectAccess(req, res, projectId)) return;
+  const project = requireProject(res, projectId);
+  if (!project) return;
+  const settings = projectSettings(project);
+
+  if (!Number.isInteger(amount) || amount < MIN_CHARGE_AMOUNT || amount > MAX_CHARGE_AMOUNT) {
+    return res.status(400).json({
+      success: false,
+      message: `Amount must be a whole number between ${MIN_CHARGE_AMOUNT.toLocaleString('en-US')} and ${MAX_CHARGE_AMOUNT.toLocaleString('en-US')} sats`,
+      data: { error: 'INVALID_AMOUNT', minAmount: MIN_CHARGE_AMOUNT, maxAmount: MAX_CHARGE_AMOUNT }
+    });
+  }
+
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'description must be a string',
+      data: { error: 'VALIDATION_ERROR' }
+    });
+  }
+
+  if (description && description.length > settings.maxDescriptionLength) {
+    return res.status(400).json({
+      success: false,
+      message: `Description exceeds maximum length of ${settings.maxDescriptionLength} characters`,
+      data: { error: 'DESCRIPTION_TOO_LONG', maxLength: settings.maxDescriptionLength }
+    });
+  }
+
+  if (expiresIn !== undefined && !isExpirySeconds(expiresIn)) {
+    return res.status(400).json({
+      success: false,
+      message: `expiresIn must be a whole number of seconds from 1 to ${MAX_EXPIRY_SECONDS}`,
+      data: { error: 'VALIDATION_ERROR' }
+    });
+  }
+
+  if (callbackUrl && !isCallbackUrl(callbackUrl)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid callback URL format. Must start with http:// or https://',
+      data: { error: 'INVALID_CALLBACK_URL' }
+    });
+  }
+
+  if (project.status === PROJECT_STATUS.SUSPENDED) {
+    return res.status(403).json({
+      success: false,
+      message: `Project ${projectId} is suspended and cannot create charges`,
+      data: { error: 'PROJECT_SUSPENDED', projectId }
+    });
+  }
+
+  // The invoice the player pays (expiry follows its whole-second timestamp).
+  // maxDescriptionLength counts characters; BOLT11 limits the UTF-8 bytes.
+  const expirySeconds = expiresIn || settings.defaultExpirySeconds;
+  let invoice;
+  try {
+    invoice = decodeInvoice(encodeInvoice({
+      network: LIGHTNING_NETWORK,
+      amountSats: amount,
+      timestamp: Math.floor(clock.now() / 1000),
+      expirySeconds,
+      description: description || '',
+      paymentHash: randomHex(32)
+    }));
+  } catch (err) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot create the charge invoice: ${err.message}`,
+      data: { error: 'VALIDATION_ERROR' }
+    });
+  }
+
+  const charge = {
+    id: generateId('charge'),
+    internalId: internalId || null,
+    projectId,
+    amount,
+    description: description || null,
+    callbackUrl: callbackUrl || null,
+    status: CHARGE_STATUS.PENDING,
+    invoice: invoice.paymentRequest,
+    paymentHash: invoice.paymentHash,
+    expiresIn: expirySeconds,
+    expiresAt: invoice.expiresAt,
+    createdAt: clock.iso(),
+    updatedAt: clock.iso(),
+    paidAt: null
+  };
+  saveCharge(charge);
+
+  if (charge.callbackUrl) {
+    sendCallback(charge.callbackUrl, CALLBACK_EVENTS.CHARGE_STATUS_CHANGED, charge);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Charge created successfully',
+    data: charge
+  });
+});
+
+/**
+ * GET /api/v1/charges/:id
+ * Get a charge by ID (expires it if its window ran out)
+ */
+app.get('/api/v1/charges/:id', async (req, res) => {
+  await simulateDelay();
+
+  const charge = requireCharge(req, res);
+  if (!charge) return;
+
+  expireChargeIfDue(charge);
+
+  res.json({
+    success: true,
+    message: 'Charge retrieved',
+    data: charge
+  });
+});
+
+/**
+ * GET /api/v1/projects/:id/balance
+ * Get project balance (like ZBD's /v0/wallet)
+ * available = spendable now, reserved = held for pending payouts
+ */
+app.get('/api/v1/projects/:id/balance', async (req, res) => {
+  await simulateDelay();
+
+  if (denyProjectAccess(req, res, req.params.id)) return;
+  if (!requireProject(res, req.params.id)) return;
+
+  const balance = getProjectBalance(req.params.id);
+  const reserved = getReservedBalance(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Balance retrieved',
+    data: {
+      projectId: req.params.id,
+      balance,              // Same as available (kept for existing clients)
+      available: balance,   // Spendable by new payouts
+      reserved,             // Held for pending payouts
+      total: balance + reserved,
+      currency: 'sats'
+    }
+  });
+});
+
+/**
+ * GET /api/v1/projects/:id/ledger
+ * List a project's ledger entries, oldest first
+ *
+ * Query:
+ * - type: Comma-separated entry types (fund, charge, reserve, payout_debit, fee, routing_fee, rollback, refund)
+ * - from / to: ISO timestamps bounding createdAt (inclusive)
+ * - limit: Page size (default 50, max 500)
+ * - offset: Entries to skip (default 0)
+ */
+app.get('/api/v1/projects/:id/ledger', async (req, res) => {
+  await simulateDelay();
+
+  if (denyProjectAccess(req, res, req.params.id)) return;
+  if (!requireProject(res, req.params.id)) return;
+
+  const entries = ledgerByProject.get(req.params.id) || [];
+
+  const types = req.query.type ? String(req.query.type).split(',') : null;
+  const invalidTypes = (types || []).filter(t => !VALID_LEDGER_ENTRY_TYPES.includes(t));
+  if (invalidTypes.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid ledger entry type. Must be one of: ${VALID_LEDGER_ENTRY_TYPES.join(', ')}`,
+      data: { error: 'INVALID_LEDGER_TYPE', validTypes: VALID_LEDGER_ENTRY_TYPES }
+    });
+  }
+
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return res.status(400).json({
+      success: false,
+      message: 'from and to must be ISO 8601 timestamps',
+      data: { error: 'INVALID_TIME_RANGE' }
+    });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  const matching = entries.filter(entry => {
+    const createdAt = new Date(entry.createdAt);
+    if (types && !types.includes(entry.type)) return false;
+    if (from && createdAt < from) return false;
+    if (to && createdAt > to) return false;
+    return true;
+  });
+
+  res.json({
+    success: true,
+    message: 'Ledger retrieved',
+    data: {
+      projectId: req.params.id,
+      balance: getProjectBalance(req.params.id),
+      entries: matching.slice(offset, offset + limit),
+      total: matching.length,
+      limit,
+      offset,
+      hasMore: offset + limit < matching.length
+    }
+  });
+});
+
+/**
+ * POST /api/v1/projects
+ * Create a project
+ *
+ * Body:
+ * - id: Optional project ID (letters, digits, _ and -; generated if omitted)
+ * - name: Optional display name (defaults to the ID)
+ * - settings: Optional overrides of the default project settings
+ *
+ * Scoped API keys are granted access to the projects they create.
+ */
+app.post('/api/v1/projects', async (req, res) => {
+  await simulateDelay();
+
+  const { id = generateId('project'), name, settings = {} } = req.body;
+
+  if (typeof id !== 'string' || !PROJECT_ID_PATTERN.test(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Project id must be 1-64 characters: letters, digits, _ or -',
+      data: { error: 'VALIDATION_ERROR' }
+    });
+  }
+
+  if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+    return res.status(400).json({
+      success: false,
+      message: 'Project name must be a non-empty string',
+      data: { error: 'VALIDATION_ERROR' }
+    });
+  }
+
+  if (rejectInvalidSettings(res, validateProjectSettings(settings))) return;
+
+  // IDs of deleted projects stay reserved so their ledger history remains unambiguous
+  if (projects.has(id)) {
+    return res.status(409).json({
+      success: false,
+      message: `Project ${id} already exists`,
+      data: { error: 'PROJECT_EXISTS', projectId: id, status: projects.get(id).status }
+    });
+  }
+
+  const project = createProjectRecord(id, name, settings);
+
+  if (!canAccessProject(req, id)) {
+    req.apiKey.projectIds.push(id);
+    apiKeys.set(req.apiKey.key, req.apiKey);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Project created',
+    data: projectView(project)
+  });
+});
+
+/**
+ * GET /api/v1/projects
+ * List the projects the API key can access
+ *
+ * Query:
+ * - status: Only projects with this status (active, suspended, deleted)
+ * - includeDeleted: 'true' to include soft-deleted projects
+ */
+app.get('/api/v1/projects', async (req, res) => {
+  await simulateDelay();
+
+  const { status, includeDeleted } = req.query;
+  const validStatuses = Object.values(PROJECT_STATUS);
+  if (status && !validStatuses.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`,
+      data: { error: 'INVALID_STATUS', validStatuses }
+    });
+  }
+
+  const list = Array.from(projects.values())
+    .filter(p => canAccessProject(req, p.id))
+    .filter(p => (status
+      ? p.status === status
+      : includeDeleted === 'true' || p.status !== PROJECT_STATUS.DELETED))
+    .map(projectView);
+
+  res.json({
+    success: true,
+    message: 'Projects retrieved',
+    data: { projects: list, count: list.length }
+  });
+});
+
+/**
+ * GET /api/v1/projects/:id
+ * Get a project with its balances
+ */
+app.get('/api/v1/projects/:id', async (req, res) => {
+  await simulateDelay();
+
+  if (denyProjectAccess(req, res, req.params.id)) return;
+  const project = requireProject(res, req.params.id);
+  if (!project) return;
+
+  res.json({
+    success: true,
+    message: 'Project retrieved',
+    data: projectView(project)
+  });
+});
+
+/**
+ * GET /api/v1/projects/:id/settings
+ * Get a project's effective settings
+ */
+app.get('/api/v1/projects/:id/settings', (req, res) => {
+  if (denyProjectAccess(req, res, req.params.id)) return;
+  const project = requireProject(res, req.params.id);
+  if (!project) return;
+
+  res.json({
+    success: true,
+    message: 'Project settings retrieved',
+    data: { projectId: project.id, settings: projectSettings(project) }
+  });
+});
+
+/**
+ * PATCH /api/v1/projects/:id/settings
+ * Update some of a project's settings (feePercent, feeSchedule,
+ * minPayoutAmount, maxPayoutAmount, rateLimitPerHour, defaultExpirySeconds,
+ * maxDescriptionLength, requireRegisteredGamertags). Send `feeSchedule: null`
+ * to return to a flat fee.
+ * Applies to payouts created afterwards; existing payouts keep their fee.
+ */
+app.patch('/api/v1/projects/:id/settings', (req, res) => {
+  if (denyProjectAccess(req, res, req.params.id)) return;
+  const project = requireProject(res, req.params.id);
+  if (!project) return;
+
+  const current = projectSettings(project);
+  if (rejectInvalidSettings(res, validateProjectSettings(req.body, current))) return;
+
+  project.settings = { ...current, ...req.body };
+  project.updatedAt = clock.iso();
+  projects.set(project.id, project);
+
+  res.json({
+    success: true,
+    message: 'Project settings updated',
+    data: { projectId: project.id, settings: project.settings }
+  });
+});
+
+// Helper: Change a project's status (suspend / reactivate / delete)
+const setProjectStatus = (project, status) => {
+  const now = clock.iso();
+  project.status = status;
+  project.updatedAt = now;
+  project.suspendedAt = status === PROJECT_STATUS.SUSPENDED ? now : null;
+  if (status === PROJECT_STATUS.DELETED) project.deletedAt = now;
+  projects.set(project.id, project);
+  return project;
+};
+
+/**
+ * DELETE /api/v1/projects/:id
+ * Soft-delete a project. The record and ledger history are kept, but the
+ * project behaves as unknown (PROJECT_NOT_FOUND) from then on.
+ * Projects with pending payouts cannot be deleted.
+ */
+app.delete('/api/v1/projects/:id', async (req, res) => {
+  await simulateDelay();
+
+  if (denyProjectAccess(req, res, req.params.id)) return;
+  const project = requireProject(res, req.params.id);
+  if (!project) return;
+
+  const reserved = getReservedBalance(project.id);
+  if (reserved > 0) {
+    return res.status(409).json({
+      success: false,
+      message: `Project ${project.id} has ${reserved} sats held for pending payouts`,
+      data: { error: 'PROJECT_HAS_PENDING_PAYOUTS', projectId: project.id, reserved }
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Project deleted',
+    data: projectView(setProjectStatus(project, PROJECT_STATUS.DELETED))
+  });
+});
+
+/**
+ * POST /api/v1/projects/:id/suspend
+ * Suspend a project: new payouts are rejected with 403 PROJECT_SUSPENDED.
+ * Pending payouts still settle, and the project can still be funded.
+ */
+app.post('/api/v1/projects/:id/suspend', async (req, res) => {
+  if (denyProjectAccess(req, res, req.params.id)) return;
+  const project = requireProject(res, req.params.id);
+  if (!project) return;
+
+  res.json({
+    success: true,
+    message: 'Project suspended',
+    data: projectView(setProjectStatus(project, PROJECT_STATUS.SUSPENDED))
+  });
+});
+
+/**
+ * POST /api/v1/projects/:id/reactivate
+ * Lift a suspension
+ */
+app.post('/api/v1/projects/:id/reactivate', async (req, res) => {
+  if (denyProjectAccess(req, res, req.params.id)) return;
+  const project = requireProject(res, req.params.id);
+  if (!project) return;
+
+  res.json({
+    success: true,
+    message: 'Project reactivated',
+    data: projectView(setProjectStatus(project, PROJECT_STATUS.ACTIVE))
+  });
+});
+
+/**
+ * POST /api/v1/projects/:id/fund
+ * Add funds to project account (test only)
+ * Unknown or deleted projects return 404 PROJECT_NOT_FOUND
+ */
+app.post('/api/v1/projects/:id/fund', async (req, res) => {
+  const { amount } = req.body;
+
+  if (denyProjectAccess(req, res, req.params.id)) return;
+  if (!requireProject(res, req.params.id)) return;
+
+  if (!Number.isInteger(amount) || amount < 1) {
+    return res.status(400).json({
+      success: false,
+      message: 'Amount must be a positive whole number of sats',
+      data: { error: 'INVALID_AMOUNT' }
+    });
+  }
+
+  const currentBalance = getProjectBalance(req.params.id);
+  const { balanceAfter: newBalance } = fundProject(req.params.id, amount);
+
+  res.json({
+    success: true,
+    message: 'Funds added successfully',
+    data: {
+      projectId: req.params.id,
+      previousBalance: currentBalance,
+      addedAmount: amount,
+      newBalance
+    }
+  });
+});
+
+/**
+ * GET /api/v1/projects/:id/refunds
+ * List refunds credited back to a project (expired, failed and cancelled payouts)
+ */
+app.get('/api/v1/projects/:id/refunds', (req, res) => {
+  if (denyProjectAccess(req, res, req.params.id)) return;
+  if (!requireProject(res, req.params.id)) return;
+
+  const projectRefunds = Array.from(refunds.values()).filter(r => r.projectId === req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Refunds retrieved',
+    data: {
+      projectId: req.params.id,
+      refunds: projectRefunds,
+      count: projectRefunds.length,
+      totalRefunded: projectRefunds.reduce((sum, r) => sum + r.totalCost, 0)
+    }
+  });
+});
+
+/**
+ * DELETE /api/v1/test/reset
+ * Reset all data (test endpoint)
+ */
+app.delete('/api/v1/test/reset', (req, res) => {
+  settlementTimers.forEach(timer => clock.clearTimeout(timer));
+  settlementTimers.clear();
+  settlement = createSettlementConfig();
+  webhookRetryTimers.forEach(timer => clock.clearTimeout(timer));
+  webhookRetryTimers.clear();
+  webhookConfig = createWebhookConfig();
+  resetFailureInjection();
+  lightning.reset();
+  random.seed(RANDOM_SEED);
+  randomnessConfig = createRandomnessConfig();
+  clock.reset();
+  sweeperConfig = createSweeperConfig();
+  sweeperStats = createSweeperStats();
+  startExpirySweeper();
+  idempotencyConfig = createIdempotencyConfig();
+  idSequence = 0;
+  store.clear(); // Payouts, ledger, refunds, charges, gamertags, rate limits, callbacks, API keys, secrets
+  ledgerByProject.clear();
+  accountBalances.clear();
+  Object.values(payoutIndexes).forEach(index => index.clear());
+  indexedPayoutValues.clear();
+  pendingChargeIds.clear();
+  idempotencyReplays.clear();
+  seedDefaults();
+
+  res.json({
+    success: true,
+    message: 'All data reset',
+    data: {}
+  });
+});
+
+/**
+ * GET /health
+ * Health check endpoint
+ */
+app.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    message: 'API is healthy',
+    data: { status: 'healthy', timestamp: clock.iso() }
+  });
+});
+
+/**
+ * GET /api/v1/statuses
+ * Returns all valid payout status values
+ */
+app.get('/api/v1/statuses', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Valid payout statuses',
+    data: {
+      statuses: VALID_STATUSES,
+      descriptions: {
+        pending: 'Payment initiated, awaiting confirmation',
+        completed: 'Payment successfully delivered',
+        expired: 'Payment window expired (not claimed)',
+        error: 'Payment failed due to error',
+        cancelled: 'Payment revoked by the project before settlement'
+      }
+    }
+  });
+});
+
+/**
+ * PATCH /api/v1/payouts/:id/status
+ * Update payout status (test endpoint for simulating status changes)
+ * Only legal transitions are allowed (see PAYOUT_TRANSITIONS)
+ */
+app.patch('/api/v1/payouts/:id/status', async (req, res) => {
+  const { status } = req.body;
+  const payout = payouts.get(req.params.id);
+
+  if (!payout) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payout not found',
+      data: { error: 'PAYOUT_NOT_FOUND' }
+    });
+  }
+
+  if (denyProjectAccess(req, res, payout.projectId)) return;
+
+  if (!VALID_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}`,
+      data: { error: 'INVALID_STATUS', validStatuses: VALID_STATUSES }
+    });
+  }
+
+  // Updates status and sends callback if URL provided
+  if (!transitionPayout(payout, status)) {
+    return res.status(409).json(invalidTransitionBody(payout, status));
+  }
+
+  res.json({
+    success: true,
+    message: `Payout status updated to ${status}`,
+    data: payout
+  });
+});
+
+/**
+ * GET /api/v1/projects/:id/webhook-secret
+ * Get the secret used to sign this project's webhooks
+ * Receivers verify: x-zbd-signature === 'sha256=' + HMAC_SHA256(secret, rawBody)
+ */
+app.get('/api/v1/projects/:id/webhook-secret', (req, res) => {
+  if (denyProjectAccess(req, res, req.params.id)) return;
+  if (!requireProject(res, req.params.id)) return;
+
+  res.json({
+    success: true,
+    message: 'Webhook secret retrieved',
+    data: {
+      projectId: req.params.id,
+      secret: getWebhookSecret(req.params.id),
+      signatureHeader: WEBHOOK_SIGNATURE_HEADER,
+      algorithm: 'HMAC-SHA256'
+    }
+  });
+});
+
+/**
+ * POST /api/v1/projects/:id/webhook-secret/rotate
+ * Replace the project's webhook secret (callbacks already logged keep the old signature)
+ */
+app.post('/api/v1/projects/:id/webhook-secret/rotate', (req, res) => {
+  if (denyProjectAccess(req, res, req.params.id)) return;
+  if (!requireProject(res, req.params.id)) return;
+
+  webhookSecrets.delete(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Webhook secret rotated',
+    data: {
+      projectId: req.params.id,
+      secret: getWebhookSecret(req.params.id)
+    }
+  });
+});
+
+/**
+ * GET /api/v1/test/callbacks
+ * Get callback log with per-attempt delivery records (test endpoint)
+ *
+ * Each callback has: status (pending | delivered | failed | skipped),
+ * signature, and attempts[] of { attempt, statusCode, latencyMs, error }
+ */
+app.get('/api/v1/test/callbacks', (req, res) => {
+  const callbacks = Array.from(callbackLog.values()).map(({ body, ...entry }) => entry);
+  const countByStatus = (status) => callbacks.filter(c => c.status === status).length;
+
+  res.json({
+    success: true,
+    message: 'Callback log retrieved',
+    data: {
+      callbacks,
+      count: callbacks.length,
+      delivered: countByStatus('delivered'),
+      failed: countByStatus('failed'),
+      pending: countByStatus('pending')
+    }
+  });
+});
+
+/**
+ * POST /api/v1/test/webhooks
+ * Configure webhook delivery (test endpoint)
+ *
+ * Body:
+ * - enabled: boolean - If false, callbacks are logged but not POSTed
+ * - maxAttempts: number - Total delivery attempts per callback
+ * - baseDelayMs: number - First retry delay (doubles on each retry)
+ * - timeoutMs: number - Per-attempt request timeout
+ */
+app.post('/api/v1/test/webhooks', (req, res) => {
+  const { enabled, maxAttempts, baseDelayMs, timeoutMs } = req.body;
+
+  if (typeof enabled === 'boolean') {
+    webhookConfig.enabled = enabled;
+  }
+  if (Number.isInteger(maxAttempts) && maxAttempts >= 1) {
+    webhookConfig.maxAttempts = maxAttempts;
+  }
+  if (typeof baseDelayMs === 'number' && baseDelayMs >= 0) {
+    webhookConfig.baseDelayMs = baseDelayMs;
+  }
+  if (typeof timeoutMs === 'number' && timeoutMs > 0) {
+    webhookConfig.timeoutMs = timeoutMs;
+  }
+
+  res.json({
+    success: true,
+    message: 'Webhook settings updated',
+    data: webhookConfig
+  });
+});
+
+/**
+ * POST /api/v1/test/idempotency
+ * Configure how long recorded idempotent responses are replayed
+ *
+ * Body:
+ * - ttlSeconds: Seconds a recorded response is kept (fractions allowed)
+ * - lockWaitMs: How long a concurrent duplicate waits before 409 REQUEST_IN_PROGRESS (0 = reject at once)
+ */
+app.post('/api/v1/test/idempotency', (req, res) => {
+  const { ttlSeconds, lockWaitMs } = req.body;
+
+  if (typeof ttlSeconds === 'number' && ttlSeconds > 0) {
+    idempotencyConfig.ttlSeconds = ttlSeconds;
+  }
+  if (typeof lockWaitMs === 'number' && lockWaitMs >= 0) {
+    idempotencyConfig.lockWaitMs = lockWaitMs;
+  }
+
+  res.json({
+    success: true,
+    message: 'Idempotency settings updated',
+    data: idempotencyConfig
+  });
+});
+
+/**
+ * GET /api/v1/test/idempotency
+ * Current idempotency settings, the number of recorded keys and in-flight locks
+ */
+app.get('/api/v1/test/idempotency', (req, res) => {
+  res.json({
+    success: true,
+    data: { ...idempotencyConfig, records: idempotencyKeys.size, inFlight: idempotencyLocks.size }
+  });
+});
+
+/**
+ * GET /api/v1/test/webhooks
+ * Get current webhook delivery settings
+ */
+app.get('/api/v1/test/webhooks', (req, res) => {
+  res.json({
+    success: true,
+    data: webhookConfig
+  });
+});
+
+// Helper: Per payoutId, the net amount taken from the project's available
+// balance (`amount`) and how much of it is still on hold (`held`)
+const netChargesByPayout = (projectId) => {
+  const account = projectAccount(projectId);
+  const reserved = reservedAccount(projectId);
+  const delta = (entry, acct) => (entry.from === acct ? entry.amount : entry.to === acct ? -entry.amount : 0);
+  const payoutCharges = new Map();
+  (ledgerByProject.get(projectId) || []).forEach(entry => {
+    if (!entry.payoutId) return;
+    const charge = payoutCharges.get(entry.payoutId) || { amount: 0, held: 0, chargedAt: entry.createdAt };
+    charge.amount += delta(entry, account);
+    charge.held -= delta(entry, reserved);
+    payoutCharges.set(entry.payoutId, charge);
+  });
+  return payoutCharges;
+};
+
+// Helper: Recompute one project's balance from its payouts and compare with the ledger
+const checkProjectInvariants = (projectId) => {
+  const projectPayouts = payoutsForProject(projectId);
+  const entries = ledgerByProject.get(projectId) || [];
+  const sumTotalCost = (status) => projectPayouts
+    .filter(p => p.status === status)
+    .reduce((sum, p) => sum + p.totalCost, 0);
+
+  const sumEntries = (type) => entries
+    .filter(e => e.type === type)
+    .reduce((sum, e) => sum + e.amount, 0);
+  const funded = sumEntries(LEDGER_ENTRY_TYPES.FUND);
+  const received = sumEntries(LEDGER_ENTRY_TYPES.CHARGE);
+  const refunded = Array.from(refunds.values())
+    .filter(r => r.projectId === projectId)
+    .reduce((sum, r) => sum + r.totalCost, 0);
+  const totals = {
+    funded,
+    received,
+    completed: sumTotalCost(PAYOUT_STATUS.COMPLETED),
+    pending: sumTotalCost(PAYOUT_STATUS.PENDING),
+    expired: sumTotalCost(PAYOUT_STATUS.EXPIRED),
+    error: sumTotalCost(PAYOUT_STATUS.ERROR),
+    cancelled: sumTotalCost(PAYOUT_STATUS.CANCELLED),
+    refunded
+  };
+
+  // Ledger charges with no stored payout. Still-held ones belong to requests in
+  // flight; spent ones are orphans (e.g. a 504 timeout without rollback).
+  const unmatched = Array.from(netChargesByPayout(projectId).entries())
+    .filter(([payoutId, charge]) => charge.amount > 0 && !payouts.has(payoutId));
+  const inFlightHolds = unmatched.filter(([, charge]) => charge.held > 0);
+  const orphanedCharges = unmatched
+    .filter(([, charge]) => charge.held === 0)
+    .map(([payoutId, charge]) => ({ payoutId, amount: charge.amount, chargedAt: charge.chargedAt }));
+
+  // Every stored payout is held once; expired/failed/cancelled ones are refunded.
+  // With all refunds applied this is funded + received - completed - pending.
+  const expectedBalance = funded + received
+    - totals.completed - totals.pending - totals.expired - totals.error - totals.cancelled
+    + refunded
+    - inFlightHolds.reduce((sum, [, charge]) => sum + charge.held, 0);
+  const actualBalance = getProjectBalance(projectId);
+
+  // Only pending payouts (and in-flight requests) may hold funds
+  const expectedReserved = totals.pending + inFlightHolds.reduce((sum, [, charge]) => sum + charge.held, 0);
+  const actualReserved = getReservedBalance(projectId);
+
+  const missingRefunds = projectPayouts
+    .filter(p => REFUNDABLE_STATUSES.includes(p.status) && !p.refundId)
+    .map(p => p.id);
+
+  // Idempotency keys that produced more than one payout in this project
+  // (reusing a key after its record expired legitimately creates a new payout)
+  const keyPayouts = new Map();
+  projectPayouts.filter(p => p.idempotencyKey).forEach(p => {
+    keyPayouts.set(p.idempotencyKey, (keyPayouts.get(p.idempotencyKey) || []).concat(p));
+  });
+  const ttlMs = idempotencyConfig.ttlSeconds * 1000;
+  const duplicatePayouts = Array.from(keyPayouts.entries())
+    .map(([idempotencyKey, keyed]) => ({
+      idempotencyKey,
+      payoutIds: keyed
+        .filter(p => keyed.some(q => q !== p &&
+          Math.abs(new Date(p.createdAt) - new Date(q.createdAt)) < ttlMs))
+        .map(p => p.id)
+    }))
+    .filter(({ payoutIds }) => payoutIds.length > 1);
+
+  const drift = actualBalance - expectedBalance;
+  const reservedDrift = actualReserved - expectedReserved;
+  const violations = [];
+  if (drift !== 0) violations.push('BALANCE_DRIFT');
+  if (reservedDrift !== 0) violations.push('RESERVED_DRIFT');
+  if (actualBalance < 0) violations.push('NEGATIVE_BALANCE');
+  if (orphanedCharges.length > 0) violations.push('ORPHANED_CHARGES');
+  if (missingRefunds.length > 0) violations.push('MISSING_REFUNDS');
+  if (duplicatePayouts.length > 0) violations.push('DUPLICATE_PAYOUTS');
+
+  return {
+    projectId,
+    ok: violations.length === 0,
+    violations,
+    expectedBalance,
+    actualBalance,
+    drift,
+    expectedReserved,
+    actualReserved,
+    reservedDrift,
+    totals,
+    inFlightHolds: inFlightHolds.length,
+    orphanedCharges,
+    missingRefunds,
+    duplicatePayouts,
+    idempotencyReplays: idempotencyReplays.get(projectId) || 0
+  };
+};
+
+/**
+ * GET /api/v1/test/invariants
+ * Reconcile every project's ledger balance against its payouts (test endpoint)
+ *
+ * Per project: expected = funded + paid charges - Σ(charged payouts totalCost) + refunds,
+ * reserved = Σ(pending totalCost), plus orphaned charges from 504 timeouts,
+ * expired/failed/cancelled payouts missing a refund, and idempotency keys that created
+ * duplicate payouts.
+ * Also checks the ledger as a whole sums to zero across all accounts.
+ */
+app.get('/api/v1/test/invariants', (req, res) => {
+  const projectSummaries = Array.from(ledgerByProject.keys()).map(checkProjectInvariants);
+
+  const accounts = {};
+  ledger.forEach(entry => {
+    accounts[entry.from] = (accounts[entry.from] || 0) - entry.amount;
+    accounts[entry.to] = (accounts[entry.to] || 0) + entry.amount;
+  });
+  const ledgerSum = Object.values(accounts).reduce((sum, balance) => sum + balance, 0);
+
+  const ok = ledgerSum === 0 && projectSummaries.every(p => p.ok);
+
+  res.json({
+    success: true,
+    message: ok ? 'All invariants hold' : 'Invariant violations detected',
+    data: {
+      ok,
+      checkedAt: clock.iso(),
+      ledger: { balanced: ledgerSum === 0, entries: ledger.size, accounts },
+      projects: projectSummaries,
+      violations: projectSummaries.filter(p => !p.ok).map(p => ({ projectId: p.projectId, violations: p.violations }))
+    }
+  });
+});
+
+// Helper: Problems with custom rules (the legacy timeout rule is managed by
+// timeoutRate/rollbackOnTimeout and keeps its reserved id)
+const chaosRuleErrors = (rules) => {
+  if (!Array.isArray(rules)) return ['rules must be an array'];
+  const errors = validateChaosRules(rules);
+  if (rules.some(rule => rule && rule.id === LEGACY_TIMEOUT_RULE_ID)) {
+    errors.push(`rule id ${LEGACY_TIMEOUT_RULE_ID} is reserved; use timeoutRate and rollbackOnTimeout`);
+  }
+  return errors;
+};
+
+// Helper: Failure injection settings and rules (with their stats)
+const failureInjectionView = () => ({
+  enabled: chaos.isEnabled(),
+  ...failureInjection,
+  rules: chaos.rules()
+});
+
+/**
+ * POST /api/v1/test/failure-injection
+ * Configure failure injection for chaos testing
+ *
+ * Body:
+ * - enabled: boolean - Master switch for every rule
+ * - timeoutRate: number - Share of payout requests that time out after charge (0.0-1.0)
+ * - rollbackOnTimeout: boolean - If true, balance is restored on timeout
+ *                                If false, exposes "charged but not paid" bug
+ * - rules: array - Replaces all rules except the legacy timeout rule (see chaos.js):
+ *   { id?, fault, route?, projectId?, probability?, count?, sequence?, latencyMs?, status?, rollback? }
+ */
+app.post('/api/v1/test/failure-injection', (req, res) => {
+  const { enabled, timeoutRate, rollbackOnTimeout, rules } = req.body;
+
+  if (rules !== undefined) {
+    const errors = chaosRuleErrors(rules);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid failure injection rules',
+        data: { error: 'INVALID_CHAOS_RULES', details: errors }
+      });
+    }
+    chaos.setRules([legacyTimeoutRule(), ...rules]);
+  }
+
+  if (typeof enabled === 'boolean') {
+    chaos.setEnabled(enabled);
+  }
+  if (typeof timeoutRate === 'number') {
+    failureInjection.timeoutRate = Math.max(0, Math.min(1, timeoutRate));
+  }
+  if (typeof rollbackOnTimeout === 'boolean') {
+    failureInjection.rollbackOnTimeout = rollbackOnTimeout;
+  }
+  if (typeof timeoutRate === 'number' || typeof rollbackOnTimeout === 'boolean') {
+    chaos.upsertRule(legacyTimeoutRule());
+  }
+
+  res.json({
+    success: true,
+    message: 'Failure injection settings updated',
+    data: failureInjectionView()
+  });
+});
+
+/**
+ * GET /api/v1/test/failure-injection
+ * Get current failure injection settings and per-rule stats (matched, fired)
+ */
+app.get('/api/v1/test/failure-injection', (req, res) => {
+  res.json({
+    success: true,
+    data: failureInjectionView()
+  });
+});
+
+/**
+ * DELETE /api/v1/test/failure-injection
+ * Disable failure injection and remove every custom rule
+ */
+app.delete('/api/v1/test/failure-injection', (req, res) => {
+  resetFailureInjection();
+
+  res.json({
+    success: true,
+    message: 'Failure injection reset',
+    data: failureInjectionView()
+  });
+});
+
+/**
+ * POST /api/v1/test/expire/:id
+ * Force expire a pending payout (test endpoint)
+ */
+app.post('/api/v1/test/expire/:id', (req, res) => {
+  const payout = payouts.get(req.params.id);
+
+  if (!payout) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payout not found',
+      data: { error: 'PAYOUT_NOT_FOUND' }
+    });
+  }
+
+  if (!canTransition(payout.status, PAYOUT_STATUS.EXPIRED)) {
+    return res.status(409).json(invalidTransitionBody(payout, PAYOUT_STATUS.EXPIRED));
+  }
+
+  // Set expiry to past, then expire (sends callback)
+  payout.expiresAt = new Date(clock.now() - 1000).toISOString();
+  transitionPayout(payout, PAYOUT_STATUS.EXPIRED);
+
+  res.json({
+    success: true,
+    message: 'Payout expired',
+    data: payout
+  });
+});
+
+/**
+ * POST /api/v1/test/clock
+ * Control the virtual clock (test endpoint)
+ *
+ * Body (applied in this order):
+ * - frozen: boolean - Stop time (true) or let it run again (false)
+ * - time: ISO timestamp or epoch ms - Jump to this instant
+ * - advanceMs / advanceSeconds: number - Move time forward
+ *
+ * Moving time forward fires the settlement and webhook retry timers it passes,
+ * then runs an expiry sweep (pending payouts whose expiresAt has gone by are
+ * expired, refunded and notify their callback; overdue charges expire too).
+ */
+app.post('/api/v1/test/clock', (req, res) => {
+  const { frozen, time, advanceMs, advanceSeconds } = req.body;
+  const target = time !== undefined ? new Date(time).getTime() : null;
+  const advanceBy = advanceMs !== undefined ? advanceMs : (advanceSeconds !== undefined ? advanceSeconds * 1000 : 0);
+
+  const invalid = [];
+  if (frozen !== undefined && typeof frozen !== 'boolean') invalid.push('frozen must be a boolean');
+  if (time !== undefined && (time === null || Number.isNaN(target))) invalid.push('time must be an ISO timestamp or epoch milliseconds');
+  if (typeof advanceBy !== 'number' || !(advanceBy >= 0)) invalid.push('advanceMs / advanceSeconds must be a number >= 0');
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: invalid.join('; '),
+      data: { error: 'VALIDATION_ERROR' }
+    });
+  }
+
+  if (frozen === true) clock.freeze();
+  if (frozen === false) clock.unfreeze();
+  let timersFired = 0;
+  if (target !== null) timersFired += clock.set(target);
+  if (advanceBy > 0) timersFired += clock.advance(advanceBy);
+  const sweep = runExpirySweep('clock');
+
+  res.json({
+    success: true,
+    message: 'Clock updated',
+    data: { ...clock.status(), timersFired, expiredPayouts: sweep.expired, expiredCharges: sweep.expiredCharges }
+  });
+});
+
+/**
+ * GET /api/v1/test/clock
+ * Current virtual time, whether it is frozen and its offset from real time
+ */
+app.get('/api/v1/test/clock', (req, res) => {
+  res.json({
+    success: true,
+    data: clock.status()
+  });
+});
+
+/**
+ * POST /api/v1/test/invoices
+ * Create a BOLT11 invoice to pay (test endpoint, nothing is sent anywhere)
+ *
+ * Body (all optional):
+ * - amountSats: number - Invoice amount (omit for an amountless invoice)
+ * - expirySeconds: number - Lifetime from now (default 3600)
+ * - description: string - Invoice description (at most 639 bytes, see bolt11.js)
+ * - network: 'mainnet' | 'testnet' | 'signet' | 'regtest' (default LIGHTNING_NETWORK)
+ * - paymentHash: string - 32-byte hex (default random)
+ * - payee: string - 33-byte hex node public key
+ *
+ * Times come from the virtual clock; the signature is a placeholder (see bolt11.js).
+ */
+app.post('/api/v1/test/invoices', (req, res) => {
+  const {
+    amountSats,
+    expirySeconds = 3600,
+    description = 'Mock invoice',
+    network = LIGHTNING_NETWORK,
+    paymentHash = randomHex(32),
+    payee = null
+  } = req.body;
+
+  const invalid = [];
+  if (amountSats !== undefined && amountSats !== null && !(typeof amountSats === 'number' && amountSats > 0)) {
+    invalid.push('amountSats must be a number > 0');
+  }
+  if (!(Number.isInteger(expirySeconds) && expirySeconds >= 0)) invalid.push('expirySeconds must be an integer >= 0');
+  if (typeof description !== 'string') invalid.push('description must be a string');
+  if (!LIGHTNING_NETWORKS[network]) invalid.push(`network must be one of: ${Object.keys(LIGHTNING_NETWORKS).join(', ')}`);
+  if (typeof paymentHash !== 'string' || !/^[0-9a-f]{64}$/i.test(paymentHash)) invalid.push('paymentHash must be 32 bytes of hex');
+  if (payee !== null && (typeof payee !== 'string' || !/^[0-9a-f]{66}$/i.test(payee))) invalid.push('payee must be 33 bytes of hex');
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: invalid.join('; '),
+      data: { error: 'VALIDATION_ERROR' }
+    });
+  }
+
+  let invoice;
+  try {
+    invoice = encodeInvoice({
+      network,
+      amountSats,
+      timestamp: Math.floor(clock.now() / 1000),
+      expirySeconds,
+      description,
+      paymentHash: paymentHash.toLowerCase(),
+      payee: payee && payee.toLowerCase()
+    });
+  } catch (err) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot encode invoice: ${err.message}`,
+      data: { error: 'VALIDATION_ERROR' }
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Invoice created',
+    data: decodeInvoice(invoice)
+  });
+});
+
+/**
+ * POST /api/v1/test/charges/:id/pay
+ * Simulate the player paying a charge (test endpoint).
+ * Credits the amount to the project and fires charge.status_changed.
+ * 409 CHARGE_ALREADY_PAID or CHARGE_EXPIRED if it is no longer payable.
+ */
+app.post('/api/v1/test/charges/:id/pay', (req, res) => {
+  const charge = requireCharge(req, res);
+  if (!charge) return;
+
+  expireChargeIfDue(charge);
+  if (charge.status !== CHARGE_STATUS.PENDING) {
+    const paid = charge.status === CHARGE_STATUS.COMPLETED;
+    return res.status(409).json({
+      success: false,
+      message: paid ? 'Charge has already been paid' : `Charge expired at ${charge.expiresAt}`,
+      data: { error: paid ? 'CHARGE_ALREADY_PAID' : 'CHARGE_EXPIRED', chargeId: charge.id, status: charge.status }
+    });
+  }
+
+  transitionCharge(charge, CHARGE_STATUS.COMPLETED);
+
+  res.json({
+    success: true,
+    message: 'Charge paid',
+    data: { ...charge, balance: getProjectBalance(charge.projectId) }
+  });
+});
+
+/**
+ * LIGHTNING NODE TEST ENDPOINTS
+ * Shape the simulated node's channel graph and drive its HTLCs (see
+ * lightning-node.js). DELETE /api/v1/test/reset restores the default graph.
+ */
+
+// Helper: 400 response for an invalid Lightning node change
+const rejectLightningChange = (res, errors) => res.status(400).json({
+  success: false,
+  message: `Invalid Lightning node settings: ${errors.join('; ')}`,
+  data: { error: 'VALIDATION_ERROR', details: errors }
+});
+
+/**
+ * GET /api/v1/test/lightning
+ * Channel graph (balances in msat, inFlightMsat locked in HTLCs), HTLC counts
+ * by status and the HTLC timeout
+ */
+app.get('/api/v1/test/lightning', (req, res) => {
+  res.json({
+    success: true,
+    data: lightning.status()
+  });
+});
+
+/**
+ * POST /api/v1/test/lightning
+ * Configure the simulated Lightning node (test endpoint)
+ *
+ * Body:
+ * - graph: { nodes, channels, defaultDestination } - Replace the channel graph
+ *   (409 HTLCS_IN_FLIGHT while payments are in flight)
+ * - htlcTimeoutMs: number - How long new HTLCs may stay in flight before failing
+ */
+app.post('/api/v1/test/lightning', (req, res) => {
+  const { graph, htlcTimeoutMs } = req.body;
+
+  if (htlcTimeoutMs !== undefined && !(Number.isInteger(htlcTimeoutMs) && htlcTimeoutMs > 0)) {
+    return rejectLightningChange(res, ['htlcTimeoutMs must be an integer > 0']);
+  }
+  if (graph !== undefined) {
+    const inFlight = lightning.inFlightCount();
+    if (inFlight > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot replace the graph while ${inFlight} HTLCs are in flight`,
+        data: { error: 'HTLCS_IN_FLIGHT', inFlight }
+      });
+    }
+    const errors = lightning.setGraph(graph);
+    if (errors.length > 0) return rejectLightningChange(res, errors);
+  }
+  if (htlcTimeoutMs !== undefined) lightning.setHtlcTimeoutMs(htlcTimeoutMs);
+
+  res.json({
+    success: true,
+    message: 'Lightning node updated',
+    data: lightning.status()
+  });
+});
+
+/**
+ * POST /api/v1/test/lightning/nodes/:id
+ * Change a node of the graph (test endpoint)
+ *
+ * Body:
+ * - online: boolean - Offline nodes can't route or receive payments
+ * - holdHtlcs: boolean - The node holds HTLCs routed through it (stuck payments)
+ */
+app.post('/api/v1/test/lightning/nodes/:id', (req, res) => {
+  const errors = lightning.updateNode(req.params.id, req.body);
+  if (errors === null) {
+    return res.status(404).json({
+      success: false,
+      message: `Lightning node ${req.params.id} not found`,
+      data: { error: 'NODE_NOT_FOUND', nodeId: req.params.id }
+    });
+  }
+  if (errors.length > 0) return rejectLightningChange(res, errors);
+
+  res.json({
+    success: true,
+    message: 'Lightning node updated',
+    data: lightning.status().graph.nodes.find(node => node.id === req.params.id)
+  });
+});
 
-    return res.status(504).json({
+/**
+ * POST /api/v1/test/lightning/channels/:id
+ * Change a channel of the graph (test endpoint)
+ *
+ * Body:
+ * - enabled: boolean - Disabled channels carry no payments
+ * - feeBaseMsat, feeRatePpm: number - Forwarding fee policy
+ * - failRate: number - Chance (0-1) a payment over the channel fails when it resolves
+ */
+app.post('/api/v1/test/lightning/channels/:id', (req, res) => {
+  const errors = lightning.updateChannel(req.params.id, req.body);
+  if (errors === null) {
+    return res.status(404).json({
       success: false,
-      message: 'Payment gateway timeout - Lightning Network unavailable',
-      data: {
-        error: 'GATEWAY_TIMEOUT',
-        chargedAmount: totalCost,
-        balanceRolledBack: failureInjection.rollbackOnTimeout
-      }
+      message: `Lightning channel ${req.params.id} not found`,
+      data: { error: 'CHANNEL_NOT_FOUND', channelId: req.params.id }
     });
   }
+  if (errors.length > 0) return rejectLightningChange(res, errors);
 
-  // Store payout
-  payouts.set(payoutId, payout);
+  res.json({
+    success: true,
+    message: 'Lightning channel updated',
+    data: lightning.status().graph.channels.find(channel => channel.id === req.params.id)
+  });
+});
 
-  // Add to rate limit
-  addRateLimit(gamertag);
+// Helper: 404 response for an unknown HTLC
+const htlcNotFound = (res, htlcId) => res.status(404).json({
+  success: false,
+  message: 'HTLC not found',
+  data: { error: 'HTLC_NOT_FOUND', htlcId }
+});
 
-  // Send callback if URL provided
-  if (callbackUrl) {
-    sendCallback(callbackUrl, payout);
-  }
+/**
+ * GET /api/v1/test/lightning/htlcs/:id
+ * An HTLC: route, amounts, status, stuck flag and failure details
+ */
+app.get('/api/v1/test/lightning/htlcs/:id', (req, res) => {
+  const htlc = lightning.getHtlc(req.params.id);
+  if (!htlc) return htlcNotFound(res, req.params.id);
 
-  res.status(201).json({
+  res.json({
     success: true,
-    message: 'Payout created successfully',
-    data: payout
+    data: htlc
   });
 });
 
 /**
- * GET /api/v1/payouts/:id
- * Get payout by ID (checks expiration)
+ * POST /api/v1/test/lightning/htlcs/:id
+ * Resolve an in-flight HTLC by hand, stuck ones included (test endpoint).
+ * Its payout completes, or fails and is refunded.
+ *
+ * Body:
+ * - action: 'settle' | 'fail'
+ * - reason: string - failureReason for 'fail' (default TEMPORARY_CHANNEL_FAILURE)
  */
-app.get('/api/v1/payouts/:id', async (req, res) => {
-  await simulateDelay();
+app.post('/api/v1/test/lightning/htlcs/:id', (req, res) => {
+  const { action, reason } = req.body;
+  const htlc = lightning.getHtlc(req.params.id);
+  if (!htlc) return htlcNotFound(res, req.params.id);
 
-  const payout = payouts.get(req.params.id);
-  if (!payout) {
-    return res.status(404).json({
+  if (action !== 'settle' && action !== 'fail') {
+    return rejectLightningChange(res, ["action must be 'settle' or 'fail'"]);
+  }
+  if (reason !== undefined && (typeof reason !== 'string' || reason.trim() === '')) {
+    return rejectLightningChange(res, ['reason must be a non-empty string']);
+  }
+  if (htlc.status !== HTLC_STATUS.IN_FLIGHT) {
+    return res.status(409).json({
       success: false,
-      message: 'Payout not found',
-      data: { error: 'PAYOUT_NOT_FOUND' }
+      message: `HTLC already ${htlc.status}`,
+      data: { error: 'HTLC_ALREADY_RESOLVED', htlcId: htlc.id, status: htlc.status }
     });
   }
 
-  // Check if expired and update status
-  if (isExpired(payout) && payout.status === 'pending') {
-    payout.status = 'expired';
-    payout.updatedAt = new Date().toISOString();
-    if (payout.callbackUrl) {
-      sendCallback(payout.callbackUrl, payout);
-    }
-  }
+  const resolved = action === 'settle'
+    ? lightning.settleHtlc(htlc.id)
+    : lightning.failHtlc(htlc.id, reason);
+  const payout = payouts.get(resolved.paymentId);
 
   res.json({
     success: true,
-    message: 'Payout retrieved',
-    data: payout
+    message: `HTLC ${resolved.status}`,
+    data: { ...resolved, payout: payout || null }
   });
 });
 
 /**
- * GET /api/v1/projects/:id/balance
- * Get project balance (like ZBD's /v0/wallet)
+ * POST /api/v1/test/seed
+ * Seed the random source behind IDs, simulated delays and chaos decisions (test endpoint)
+ *
+ * Body:
+ * - seed: integer or string - Restart the sequence from this seed
+ * - simulateDelay: boolean - If false, requests skip the simulated 50-150ms delay
+ *
+ * The same seed and the same requests in the same order give the same IDs,
+ * delays and injected faults (freeze the clock too for identical IDs).
+ * DELETE /api/v1/test/reset goes back to the startup seed (PAYMENT_API_SEED).
  */
-app.get('/api/v1/projects/:id/balance', async (req, res) => {
-  await simulateDelay();
+app.post('/api/v1/test/seed', (req, res) => {
+  const { seed, simulateDelay: delayEnabled } = req.body;
 
-  const balance = projectBalances.get(req.params.id);
-  if (balance === undefined) {
-    return res.status(404).json({
+  const invalid = [];
+  if (seed !== undefined && validateSeed(seed)) invalid.push(validateSeed(seed));
+  if (delayEnabled !== undefined && typeof delayEnabled !== 'boolean') invalid.push('simulateDelay must be a boolean');
+  if (invalid.length > 0) {
+    return res.status(400).json({
       success: false,
-      message: 'Project not found',
-      data: { error: 'PROJECT_NOT_FOUND' }
+      message: invalid.join('; '),
+      data: { error: 'VALIDATION_ERROR' }
     });
   }
 
+  if (seed !== undefined) random.seed(seed);
+  if (delayEnabled !== undefined) randomnessConfig.simulateDelay = delayEnabled;
+
   res.json({
     success: true,
-    message: 'Balance retrieved',
-    data: {
-      projectId: req.params.id,
-      balance,
-      currency: 'sats'
-    }
+    message: 'Random source updated',
+    data: { ...random.status(), ...randomnessConfig }
   });
 });
 
 /**
- * POST /api/v1/projects/:id/fund
- * Add funds to project account (test only)
- * BUG-006: Creates projects implicitly instead of validating
+ * GET /api/v1/test/seed
+ * Current seed, numbers drawn since it was set, and whether delays are simulated
  */
-app.post('/api/v1/projects/:id/fund', async (req, res) => {
-  const { amount } = req.body;
+app.get('/api/v1/test/seed', (req, res) => {
+  res.json({
+    success: true,
+    data: { ...random.status(), ...randomnessConfig }
+  });
+});
 
-  if (!amount || amount < 1) {
-    return res.status(400).json({
-      success: false,
-      message: 'Amount must be positive',
-      data: { error: 'INVALID_AMOUNT' }
-    });
+/**
+ * POST /api/v1/test/expiry-sweeper
+ * Configure the background expiry sweeper (test endpoint)
+ *
+ * Body:
+ * - enabled: boolean - If false, only reads and clock changes expire payouts
+ * - intervalMs: number - Time between sweeps
+ * - runNow: boolean - Sweep immediately and return the run in data.lastRun
+ */
+app.post('/api/v1/test/expiry-sweeper', (req, res) => {
+  const { enabled, intervalMs, runNow } = req.body;
+
+  if (typeof enabled === 'boolean') {
+    sweeperConfig.enabled = enabled;
+  }
+  if (typeof intervalMs === 'number' && intervalMs > 0) {
+    sweeperConfig.intervalMs = intervalMs;
+  }
+  startExpirySweeper();
+  if (runNow === true) {
+    runExpirySweep('manual');
   }
 
-  // BUG-006: Should check if project exists first
-  const currentBalance = projectBalances.get(req.params.id) || 0;
-  const newBalance = currentBalance + amount;
-  projectBalances.set(req.params.id, newBalance);
+  res.json({
+    success: true,
+    message: 'Expiry sweeper updated',
+    data: { ...sweeperConfig, stats: sweeperStats }
+  });
+});
 
+/**
+ * GET /api/v1/test/expiry-sweeper
+ * Sweeper settings and run stats (runs, payouts expired, errors, last run)
+ */
+app.get('/api/v1/test/expiry-sweeper', (req, res) => {
   res.json({
     success: true,
-    message: 'Funds added successfully',
-    data: {
-      projectId: req.params.id,
-      previousBalance: currentBalance,
-      addedAmount: amount,
-      newBalance
-    }
+    data: { ...sweeperConfig, stats: sweeperStats }
   });
 });
 
 /**
- * DELETE /api/v1/test/reset
- * Reset all data (test endpoint)
+ * POST /api/v1/test/settlement
+ * Configure simulated asynchronous settlement (test endpoint)
+ *
+ * Body:
+ * - enabled: boolean - If false, new payouts stay pending until changed manually
+ * - delayMs: number - Delay before a pending payout settles
  */
-app.delete('/api/v1/test/reset', (req, res) => {
-  payouts.clear();
-  rateLimits.clear();
-  projectBalances.clear();
-  callbackLog.length = 0; // Clear callback log
-  projectBalances.set('project_test_001', 100000);
+app.post('/api/v1/test/settlement', (req, res) => {
+  const { enabled, delayMs } = req.body;
+
+  if (typeof enabled === 'boolean') {
+    settlement.enabled = enabled;
+  }
+  if (typeof delayMs === 'number' && delayMs >= 0) {
+    settlement.delayMs = delayMs;
+  }
 
   res.json({
     success: true,
-    message: 'All data reset',
-    data: {}
+    message: 'Settlement settings updated',
+    data: settlement
   });
 });
 
 /**
- * GET /health
- * Health check endpoint
+ * GET /api/v1/test/settlement
+ * Get current settlement settings
  */
-app.get('/health', (req, res) => {
+app.get('/api/v1/test/settlement', (req, res) => {
   res.json({
     success: true,
-    message: 'API is healthy',
-    data: { status: 'healthy', timestamp: new Date().toISOString() }
+    data: { ...settlement, scheduled: settlementTimers.size }
   });
 });
 
 /**
- * GET /api/v1/statuses
- * Returns all valid payout status values
+ * RATE LIMIT TEST ENDPOINTS
+ * Inspect, seed and clear rate limit usage without firing real payouts.
+ * Usage reports: limit, used, remaining, resetsIn / retryAfter (seconds),
+ * plus `hits` (sliding window) or `tokens` (token bucket).
  */
-app.get('/api/v1/statuses', (req, res) => {
+
+// Helper: Usage of one rate limit rule, for the test endpoints
+const rateLimitUsageView = (rule) => {
+  const { key, strategy, limit, windowMs, remaining, resetMs, retryAfterMs, hits, tokens } = rateLimiter.inspect(rule.key, rule);
+  const view = {
+    scope: rule.scope,
+    key,
+    strategy,
+    limit,
+    windowSeconds: windowMs / 1000,
+    used: limit - remaining,
+    remaining,
+    resetsIn: Math.ceil(resetMs / 1000),
+    retryAfter: Math.ceil(retryAfterMs / 1000)
+  };
+  if (hits) view.hits = hits.map(t => new Date(t).toISOString());
+  if (tokens !== undefined) view.tokens = tokens;
+  return view;
+};
+
+// Helper: Validate { count, ageSeconds } for the seed endpoints.
+// Returns an error message, or null when valid.
+const rateLimitSeedError = ({ count, ageSeconds = 0 }) => {
+  if (!Number.isInteger(count) || count < 1) return 'count must be an integer >= 1';
+  if (typeof ageSeconds !== 'number' || ageSeconds < 0) return 'ageSeconds must be a number >= 0';
+  return null;
+};
+
+// Helper: Projects whose rate limits the request may touch: the one named by
+// ?projectId / body.projectId, or every active project. Sends 404 and returns
+// undefined if the named project does not exist.
+const rateLimitProjects = (res, projectId) => {
+  if (!projectId) return Array.from(projects.values()).filter(p => p.status !== PROJECT_STATUS.DELETED);
+  const project = requireProject(res, projectId);
+  return project && [project];
+};
+
+/**
+ * GET /api/v1/test/rate-limits/projects/:projectId
+ * The project-wide limit (null when projectRateLimitPerHour is unset) and
+ * every gamertag with recorded usage in the project
+ */
+app.get('/api/v1/test/rate-limits/projects/:projectId', (req, res) => {
+  const project = requireProject(res, req.params.projectId);
+  if (!project) return;
+  const settings = projectSettings(project);
+  const projectRule = projectRateLimitRule(project.id, settings);
+  const prefix = `rate_${project.id}:`;
+
+  const gamertagUsage = Array.from(rateLimits.keys())
+    .filter(key => key.startsWith(prefix))
+    .map(key => key.slice(prefix.length))
+    .map(gamertag => ({ gamertag, ...rateLimitUsageView(gamertagRateLimitRule(project.id, gamertag, settings)) }));
+
   res.json({
     success: true,
-    message: 'Valid payout statuses',
     data: {
-      statuses: VALID_STATUSES,
-      descriptions: {
-        pending: 'Payment initiated, awaiting confirmation',
-        completed: 'Payment successfully delivered',
-        expired: 'Payment window expired (not claimed)',
-        error: 'Payment failed due to error'
-      }
+      projectId: project.id,
+      project: Number.isInteger(projectRule.limit) ? rateLimitUsageView(projectRule) : null,
+      gamertags: gamertagUsage
     }
   });
 });
 
 /**
- * PATCH /api/v1/payouts/:id/status
- * Update payout status (test endpoint for simulating status changes)
+ * POST /api/v1/test/rate-limits/projects/:projectId
+ * Seed the project-wide limit (requires projectRateLimitPerHour)
+ *
+ * Body:
+ * - count: number - Payouts to record
+ * - ageSeconds: number (optional) - How long ago they were made (default 0)
  */
-app.patch('/api/v1/payouts/:id/status', async (req, res) => {
-  const { status } = req.body;
-  const payout = payouts.get(req.params.id);
+app.post('/api/v1/test/rate-limits/projects/:projectId', (req, res) => {
+  const project = requireProject(res, req.params.projectId);
+  if (!project) return;
 
-  if (!payout) {
-    return res.status(404).json({
-      success: false,
-      message: 'Payout not found',
-      data: { error: 'PAYOUT_NOT_FOUND' }
-    });
+  const projectRule = projectRateLimitRule(project.id, projectSettings(project));
+  const message = Number.isInteger(projectRule.limit)
+    ? rateLimitSeedError(req.body)
+    : 'Project has no projectRateLimitPerHour to seed';
+  if (message) {
+    return res.status(400).json({ success: false, message, data: { error: 'VALIDATION_ERROR' } });
   }
 
-  if (!VALID_STATUSES.includes(status)) {
+  const { count, ageSeconds = 0 } = req.body;
+  rateLimiter.seed(projectRule.key, projectRule, count, ageSeconds * 1000);
+
+  res.json({
+    success: true,
+    message: `Recorded ${count} payouts for project ${project.id}`,
+    data: rateLimitUsageView(projectRule)
+  });
+});
+
+/**
+ * DELETE /api/v1/test/rate-limits/projects/:projectId
+ * Clear the project-wide limit and every gamertag's usage in the project
+ */
+app.delete('/api/v1/test/rate-limits/projects/:projectId', (req, res) => {
+  const project = requireProject(res, req.params.projectId);
+  if (!project) return;
+
+  const prefix = `rate_${project.id}:`;
+  const projectKey = projectRateLimitRule(project.id, projectSettings(project)).key;
+  const cleared = Array.from(rateLimits.keys())
+    .filter(key => key.startsWith(prefix) || key === projectKey);
+  cleared.forEach(key => rateLimiter.reset(key));
+
+  res.json({
+    success: true,
+    message: `Rate limits cleared for project ${project.id}`,
+    data: { projectId: project.id, cleared: cleared.length }
+  });
+});
+
+/**
+ * GET /api/v1/test/rate-limits/:gamertag
+ * A gamertag's usage in one project (?projectId=) or in every project where
+ * it has recorded usage
+ */
+app.get('/api/v1/test/rate-limits/:gamertag', (req, res) => {
+  const { gamertag } = req.params;
+  const { projectId } = req.query;
+  const candidates = rateLimitProjects(res, projectId);
+  if (!candidates) return;
+
+  const usage = candidates
+    .map(project => ({ projectId: project.id, ...rateLimitUsageView(gamertagRateLimitRule(project.id, gamertag, projectSettings(project))) }))
+    .filter(view => projectId || rateLimits.has(view.key));
+
+  res.json({
+    success: true,
+    data: { gamertag, projects: usage }
+  });
+});
+
+/**
+ * POST /api/v1/test/rate-limits/:gamertag
+ * Record payouts against a gamertag's limit in one project
+ *
+ * Body:
+ * - projectId: string - Project whose limit to seed
+ * - count: number - Payouts to record
+ * - ageSeconds: number (optional) - How long ago they were made (default 0)
+ */
+app.post('/api/v1/test/rate-limits/:gamertag', (req, res) => {
+  const { gamertag } = req.params;
+  const { projectId, count, ageSeconds = 0 } = req.body;
+
+  if (!projectId) {
     return res.status(400).json({
       success: false,
-      message: `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}`,
-      data: { error: 'INVALID_STATUS', validStatuses: VALID_STATUSES }
+      message: 'projectId is required',
+      data: { error: 'VALIDATION_ERROR' }
     });
   }
+  const project = requireProject(res, projectId);
+  if (!project) return;
 
-  payout.status = status;
-  payout.updatedAt = new Date().toISOString();
-
-  // Send callback if URL provided
-  if (payout.callbackUrl) {
-    sendCallback(payout.callbackUrl, payout);
+  const message = rateLimitSeedError(req.body);
+  if (message) {
+    return res.status(400).json({ success: false, message, data: { error: 'VALIDATION_ERROR' } });
   }
 
+  const rule = gamertagRateLimitRule(project.id, gamertag, projectSettings(project));
+  rateLimiter.seed(rule.key, rule, count, ageSeconds * 1000);
+
   res.json({
     success: true,
-    message: `Payout status updated to ${status}`,
-    data: payout
+    message: `Recorded ${count} payouts for ${gamertag} in project ${project.id}`,
+    data: { gamertag, projectId: project.id, ...rateLimitUsageView(rule) }
   });
 });
 
 /**
- * GET /api/v1/test/callbacks
- * Get callback log (test endpoint)
+ * DELETE /api/v1/test/rate-limits/:gamertag
+ * Clear a gamertag's usage in one project (?projectId=) or in every project
  */
-app.get('/api/v1/test/callbacks', (req, res) => {
+app.delete('/api/v1/test/rate-limits/:gamertag', (req, res) => {
+  const { gamertag } = req.params;
+  const candidates = rateLimitProjects(res, req.query.projectId);
+  if (!candidates) return;
+
+  const cleared = candidates
+    .map(project => gamertagRateLimitRule(project.id, gamertag, projectSettings(project)).key)
+    .filter(key => rateLimits.has(key));
+  cleared.forEach(key => rateLimiter.reset(key));
+
   res.json({
     success: true,
-    message: 'Callback log retrieved',
-    data: {
-      callbacks: callbackLog,
-      count: callbackLog.length
-    }
+    message: `Rate limits cleared for ${gamertag}`,
+    data: { gamertag, cleared: cleared.length }
   });
 });
 
 /**
- * POST /api/v1/test/failure-injection
- * Enable/disable failure injection for chaos testing
+ * GAMERTAG REGISTRY TEST ENDPOINTS
+ * The registry starts empty; DELETE /api/v1/test/reset clears it.
+ */
+
+/**
+ * POST /api/v1/test/gamertags
+ * Register gamertags (test endpoint). Registering a gamertag again replaces its user id.
  *
  * Body:
- * - enabled: boolean - Enable/disable failure injection
- * - timeoutRate: number - Percentage of requests that timeout (0.0-1.0)
- * - rollbackOnTimeout: boolean - If true, balance is restored on timeout
- *                                If false, exposes "charged but not paid" bug
+ * - gamertags: [{ gamertag: string, userId?: string (default generated) }]
  */
-app.post('/api/v1/test/failure-injection', (req, res) => {
-  const { enabled, timeoutRate, rollbackOnTimeout } = req.body;
+app.post('/api/v1/test/gamertags', (req, res) => {
+  const { gamertags: entries } = req.body;
 
-  if (typeof enabled === 'boolean') {
-    failureInjection.enabled = enabled;
-  }
-  if (typeof timeoutRate === 'number') {
-    failureInjection.timeoutRate = Math.max(0, Math.min(1, timeoutRate));
+  const invalid = [];
+  if (!Array.isArray(entries) || entries.length === 0) {
+    invalid.push('gamertags must be a non-empty array');
+  } else {
+    entries.forEach((entry, i) => {
+      if (!entry || typeof entry.gamertag !== 'string' || entry.gamertag.trim() === '') {
+        invalid.push(`gamertags[${i}].gamertag must be a non-empty string`);
+      }
+      if (entry && entry.userId !== undefined && (typeof entry.userId !== 'string' || entry.userId === '')) {
+        invalid.push(`gamertags[${i}].userId must be a non-empty string`);
+      }
+    });
   }
-  if (typeof rollbackOnTimeout === 'boolean') {
-    failureInjection.rollbackOnTimeout = rollbackOnTimeout;
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: invalid.join('; '),
+      data: { error: 'VALIDATION_ERROR' }
+    });
   }
 
-  res.json({
+  const registered = entries.map(({ gamertag, userId }) => {
+    const record = { gamertag, userId: userId || generateId('user'), registeredAt: clock.iso() };
+    gamertags.set(gamertag.toLowerCase(), record);
+    return record;
+  });
+
+  res.status(201).json({
     success: true,
-    message: 'Failure injection settings updated',
-    data: failureInjection
+    message: `Registered ${registered.length} gamertags`,
+    data: { gamertags: registered }
   });
 });
 
 /**
- * GET /api/v1/test/failure-injection
- * Get current failure injection settings
+ * GET /api/v1/test/gamertags
+ * Every registered gamertag (test endpoint)
  */
-app.get('/api/v1/test/failure-injection', (req, res) => {
+app.get('/api/v1/test/gamertags', (req, res) => {
   res.json({
     success: true,
-    data: failureInjection
+    message: 'Registered gamertags',
+    data: { gamertags: Array.from(gamertags.values()) }
   });
 });
 
 /**
- * POST /api/v1/test/expire/:id
- * Force expire a payout (test endpoint)
+ * DELETE /api/v1/test/gamertags/:gamertag
+ * Unregister a gamertag (test endpoint)
  */
-app.post('/api/v1/test/expire/:id', (req, res) => {
-  const payout = payouts.get(req.params.id);
-
-  if (!payout) {
+app.delete('/api/v1/test/gamertags/:gamertag', (req, res) => {
+  const key = req.params.gamertag.toLowerCase();
+  if (!gamertags.has(key)) {
     return res.status(404).json({
       success: false,
-      message: 'Payout not found',
-      data: { error: 'PAYOUT_NOT_FOUND' }
+      message: `Gamertag ${req.params.gamertag} not found`,
+      data: { error: 'GAMERTAG_NOT_FOUND', gamertag: req.params.gamertag }
     });
   }
 
-  // Set expiry to past
-  payout.expiresAt = new Date(Date.now() - 1000).toISOString();
-  payout.status = 'expired';
-  payout.updatedAt = new Date().toISOString();
+  gamertags.delete(key);
+  res.json({
+    success: true,
+    message: `Gamertag ${req.params.gamertag} unregistered`,
+    data: { gamertag: req.params.gamertag }
+  });
+});
+
+/**
+ * POST /api/v1/test/api-keys
+ * Register an API key scoped to specific projects (test endpoint)
+ *
+ * Body:
+ * - apiKey: string - The key value sent in the 'apikey' header
+ * - projectIds: string[] - Projects the key may access ('*' for all)
+ * - rateLimitPerHour: number (optional) - Payouts the key may create per hour, across projects
+ */
+app.post('/api/v1/test/api-keys', (req, res) => {
+  const { apiKey, projectIds, rateLimitPerHour } = req.body;
 
-  if (payout.callbackUrl) {
-    sendCallback(payout.callbackUrl, payout);
+  if (!apiKey || typeof apiKey !== 'string' || !Array.isArray(projectIds) || projectIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'apiKey (string) and projectIds (non-empty array) are required',
+      data: { error: 'VALIDATION_ERROR' }
+    });
   }
 
-  res.json({
+  if (rateLimitPerHour !== undefined && !(Number.isInteger(rateLimitPerHour) && rateLimitPerHour >= 1)) {
+    return res.status(400).json({
+      success: false,
+      message: 'rateLimitPerHour must be an integer >= 1',
+      data: { error: 'VALIDATION_ERROR' }
+    });
+  }
+
+  const record = { key: apiKey, projectIds: projectIds.map(String) };
+  if (rateLimitPerHour !== undefined) record.rateLimitPerHour = rateLimitPerHour;
+  apiKeys.set(apiKey, record);
+
+  res.status(201).json({
     success: true,
-    message: 'Payout expired',
-    data: payout
+    message: 'API key registered',
+    data: record
   });
 });
 
 /**
- * GET /api/v1/payouts/:id/by-internal-id
- * Get payout by internalId
+ * GET /api/v1/payouts/by-internal-id/:internalId
+ * Get the first payout with an internalId (use GET /api/v1/payouts?internalId= for all)
  */
 app.get('/api/v1/payouts/by-internal-id/:internalId', async (req, res) => {
   await simulateDelay();
 
-  const payout = Array.from(payouts.values()).find(
-    p => p.internalId === req.params.internalId
-  );
+  // Only consider payouts belonging to projects this API key owns
+  const payout = Array.from(payoutIdsBy('internalId', req.params.internalId), id => payouts.get(id))
+    .find(p => canAccessProject(req, p.projectId));
 
   if (!payout) {
     return res.status(404).json({
@@ -604,18 +4220,74 @@ app.get('/api/v1/payouts/by-internal-id/:internalId', async (req, res) => {
   });
 });
 
+/**
+ * GET /api/v1/test/storage
+ * Describe the active storage backend and collection sizes (test endpoint)
+ */
+app.get('/api/v1/test/storage', (req, res) => {
+  const collections = {};
+  Object.entries(store.collections).forEach(([name, collection]) => {
+    collections[name] = collection.size;
+  });
+
+  res.json({
+    success: true,
+    message: 'Storage info retrieved',
+    data: { type: store.type, path: store.path, collections }
+  });
+});
+
+// Restore state: rebuild indexes from the store, seed defaults on a fresh
+// store, resume settlement of payouts left pending by a restart and start
+// the expiry sweeper.
+// Stores written before explicit project creation get records for their ledger projects.
+ledger.forEach(indexLedgerEntry);
+payouts.forEach(indexPayout);
+charges.forEach(indexCharge);
+ledgerByProject.forEach((entries, projectId) => {
+  if (!projects.has(projectId)) createProjectRecord(projectId);
+});
+seedDefaults();
+Array.from(payouts.values())
+  .filter(p => p.status === PAYOUT_STATUS.PENDING)
+  .forEach(scheduleSettlement);
+startExpirySweeper();
+
 // Start server
 const PORT = process.env.PORT || 3000;
 const server = app.listen(PORT, () => {
   console.log(`Payment API running on port ${PORT}`);
+  console.log(`Random seed: ${JSON.stringify(RANDOM_SEED)} (replay with PAYMENT_API_SEED)`);
 });
 
 module.exports = {
   app,
   server,
+  API_KEY,
   PAYOUT_STATUS,
+  PAYOUT_TRANSITIONS,
+  PROJECT_STATUS,
+  CHARGE_STATUS,
+  MIN_CHARGE_AMOUNT,
+  MAX_CHARGE_AMOUNT,
+  CALLBACK_EVENTS,
+  REFUNDABLE_STATUSES,
+  LEDGER_ACCOUNTS,
+  LEDGER_ENTRY_TYPES,
   VALID_STATUSES,
   MAX_DESCRIPTION_LENGTH,
   DEFAULT_EXPIRY_SECONDS,
-  SERVICE_FEE_PERCENT
+  MAX_EXPIRY_SECONDS,
+  DEFAULT_PROJECT_SETTINGS,
+  DEFAULT_SETTLEMENT_DELAY_MS,
+  EXPIRY_SWEEP_INTERVAL_MS,
+  MAX_BATCH_SIZE,
+  BATCH_MODES,
+  SERVICE_FEE_PERCENT,
+  WEBHOOK_SIGNATURE_HEADER,
+  IDEMPOTENCY_TTL_SECONDS,
+  IDEMPOTENCY_LOCK_WAIT_MS,
+  IDEMPOTENT_REPLAY_HEADER,
+  DESTINATION_TYPES,
+  LIGHTNING_NETWORK
 };
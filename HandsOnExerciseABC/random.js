@@ -0,0 +1,76 @@
+/**
+ * Seeded Randomness for the Mock Payment API
+ *
+ * Every random decision in the API (ID suffixes, simulated network delays,
+ * chaos rule probabilities) draws from one seeded generator, so a run can be
+ * replayed: start the server with the seed a failing run reported and send
+ * the same requests in the same order.
+ *
+ * GENERATOR:
+ * mulberry32 - a small 32-bit PRNG, fast and good enough for test traffic
+ * (not for secrets; webhook secrets still come from crypto.randomBytes).
+ *
+ * SEEDS:
+ * Integers or strings (strings are hashed with FNV-1a). Without a seed, one is
+ * picked at random and reported, so even unseeded runs can be replayed.
+ */
+
+// Helper: 32-bit state for a seed (integers as-is, anything else hashed with FNV-1a)
+const hashSeed = (seed) => {
+  if (Number.isInteger(seed)) return seed >>> 0;
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Helper: A fresh seed for runs that did not ask for one
+const randomSeed = () => Math.floor(Math.random() * 0x100000000);
+
+// Helper: Validate a seed. Returns an error message, or null when valid.
+const validateSeed = (seed) => {
+  if (Number.isInteger(seed) && seed >= 0) return null;
+  if (typeof seed === 'string' && seed.trim() !== '') return null;
+  return 'seed must be a non-negative integer or a non-empty string';
+};
+
+/**
+ * Create a seeded random source
+ *
+ * Options:
+ * - seed: Integer or string (default: a random seed, reported by status())
+ */
+const createRandom = ({ seed = randomSeed() } = {}) => {
+  let currentSeed;
+  let state;
+  let draws;
+
+  // Restart the sequence from `value`
+  const reseed = (value) => {
+    currentSeed = value;
+    state = hashSeed(value);
+    draws = 0;
+  };
+  reseed(seed);
+
+  // Next number in [0, 1), like Math.random()
+  const next = () => {
+    draws += 1;
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const status = () => ({ seed: currentSeed, draws });
+
+  return { next, seed: reseed, status };
+};
+
+module.exports = {
+  createRandom,
+  validateSeed
+};
@@ -0,0 +1,180 @@
+/**
+ * Rate Limiter for the Mock Payment API
+ *
+ * Counts hits per key against a rule { strategy, limit, windowMs }. State is
+ * kept in a Map-like collection (the storage layer's `rateLimits`), so limits
+ * survive restarts on the sqlite backend.
+ *
+ * STRATEGIES:
+ * - sliding_window (default): at most `limit` hits in any `windowMs`. Stores
+ *   the hit timestamps; the oldest one decides when the next hit is allowed.
+ * - token_bucket: a bucket of `limit` tokens refilled continuously at
+ *   limit / windowMs. Allows a full burst, then hits at the refill rate.
+ *
+ * Every check reports { allowed, limit, remaining, resetMs, retryAfterMs }:
+ * - remaining: hits still allowed right now
+ * - resetMs: ms until the key is back to its full limit
+ * - retryAfterMs: ms until the requested hits would be allowed (0 if allowed)
+ *
+ * A key checked under a different strategy than its stored state starts fresh.
+ *
+ * inspect() adds the raw state (sliding window `hits`, token bucket `tokens`);
+ * seed() records hits in the past so tests can start from a given usage.
+ */
+
+const STRATEGIES = {
+  SLIDING_WINDOW: 'sliding_window',
+  TOKEN_BUCKET: 'token_bucket'
+};
+
+/**
+ * Sliding window: state { strategy, hits: [timestamp, ...] }
+ */
+const slidingWindow = {
+  initial: () => ({ strategy: STRATEGIES.SLIDING_WINDOW, hits: [] }),
+
+  // Drop hits that have left the window
+  refresh: (state, rule, now) => ({
+    ...state,
+    hits: state.hits.filter(t => t > now - rule.windowMs)
+  }),
+
+  status: (state, rule, now, count) => {
+    const { hits } = state;
+    const allowed = hits.length + count <= rule.limit;
+    // The hit that has to expire before `count` more fit in the window
+    // (beyond the stored hits, the requested ones would have to expire themselves)
+    const blocking = hits[hits.length + count - rule.limit - 1];
+    let retryAfterMs = 0;
+    if (!allowed) retryAfterMs = blocking === undefined ? rule.windowMs : blocking + rule.windowMs - now;
+    return {
+      allowed,
+      remaining: Math.max(0, rule.limit - hits.length),
+      resetMs: hits.length > 0 ? hits[hits.length - 1] + rule.windowMs - now : 0,
+      retryAfterMs
+    };
+  },
+
+  consume: (state, rule, now, count) => ({
+    ...state,
+    hits: state.hits.concat(Array(count).fill(now))
+  }),
+
+  // Hits made `ageMs` ago, kept in time order (ones older than the window drop out)
+  seed: (state, rule, now, count, ageMs) => ({
+    ...state,
+    hits: state.hits.concat(Array(count).fill(now - ageMs)).sort((a, b) => a - b)
+  }),
+
+  details: (state) => ({ hits: state.hits.slice() })
+};
+
+/**
+ * Token bucket: state { strategy, tokens, updatedAt }
+ */
+const tokenBucket = {
+  initial: (rule, now) => ({ strategy: STRATEGIES.TOKEN_BUCKET, tokens: rule.limit, updatedAt: now }),
+
+  // Add the tokens earned since the last update (never above the limit)
+  refresh: (state, rule, now) => ({
+    ...state,
+    tokens: Math.min(rule.limit, state.tokens + (now - state.updatedAt) * (rule.limit / rule.windowMs)),
+    updatedAt: now
+  }),
+
+  status: (state, rule, now, count) => {
+    const perMs = rule.limit / rule.windowMs;
+    const allowed = state.tokens >= count;
+    return {
+      allowed,
+      remaining: Math.max(0, Math.floor(state.tokens)),
+      resetMs: Math.ceil((rule.limit - state.tokens) / perMs),
+      retryAfterMs: allowed ? 0 : Math.ceil((count - state.tokens) / perMs)
+    };
+  },
+
+  consume: (state, rule, now, count) => ({ ...state, tokens: state.tokens - count }),
+
+  // Tokens spent `ageMs` ago have partly refilled since
+  seed: (state, rule, now, count, ageMs) => ({
+    ...state,
+    tokens: Math.max(0, Math.min(rule.limit, state.tokens - count + ageMs * (rule.limit / rule.windowMs)))
+  }),
+
+  details: (state) => ({ tokens: state.tokens })
+};
+
+const IMPLEMENTATIONS = {
+  [STRATEGIES.SLIDING_WINDOW]: slidingWindow,
+  [STRATEGIES.TOKEN_BUCKET]: tokenBucket
+};
+
+/**
+ * Create a rate limiter over a Map-like store
+ *
+ * Options:
+ * - store: Map-like collection holding one state object per key
+ * - now: Clock function returning epoch milliseconds
+ */
+const createRateLimiter = ({ store = new Map(), now = () => Date.now() } = {}) => {
+  // Current state of a key under a rule (fresh if unknown, or stored under another strategy)
+  const load = (key, rule, at) => {
+    const impl = IMPLEMENTATIONS[rule.strategy];
+    if (!impl) {
+      throw new Error(`Unknown rate limit strategy "${rule.strategy}". Must be one of: ${Object.values(STRATEGIES).join(', ')}`);
+    }
+
+    let state = store.get(key);
+    // Plain timestamp arrays are the pre-strategy sliding window format
+    if (Array.isArray(state)) state = { strategy: STRATEGIES.SLIDING_WINDOW, hits: state };
+    if (!state || state.strategy !== rule.strategy) state = impl.initial(rule, at);
+    return { impl, state: impl.refresh(state, rule, at) };
+  };
+
+  // Check whether `count` more hits are allowed, without recording them
+  const check = (key, rule, count = 1) => {
+    const at = now();
+    const { impl, state } = load(key, rule, at);
+    return { key, limit: rule.limit, windowMs: rule.windowMs, ...impl.status(state, rule, at, count) };
+  };
+
+  // Record `count` hits (callers check first; consume never refuses)
+  const consume = (key, rule, count = 1) => {
+    const at = now();
+    const { impl, state } = load(key, rule, at);
+    const next = impl.consume(state, rule, at, count);
+    store.set(key, next);
+    return { key, limit: rule.limit, windowMs: rule.windowMs, ...impl.status(next, rule, at, 1) };
+  };
+
+  // Current status plus the raw state, without recording anything
+  const inspect = (key, rule) => {
+    const at = now();
+    const { impl, state } = load(key, rule, at);
+    return {
+      key,
+      strategy: rule.strategy,
+      limit: rule.limit,
+      windowMs: rule.windowMs,
+      ...impl.status(state, rule, at, 1),
+      ...impl.details(state)
+    };
+  };
+
+  // Record `count` hits made `ageMs` ago
+  const seed = (key, rule, count, ageMs = 0) => {
+    const at = now();
+    const { impl, state } = load(key, rule, at);
+    store.set(key, impl.refresh(impl.seed(state, rule, at, count, ageMs), rule, at));
+    return inspect(key, rule);
+  };
+
+  const reset = (key) => store.delete(key);
+
+  return { check, consume, inspect, seed, reset };
+};
+
+module.exports = {
+  STRATEGIES,
+  createRateLimiter
+};
@@ -0,0 +1,157 @@
+/**
+ * Storage Layer for the Mock Payment API
+ *
+ * All server state lives in named collections. Every collection behaves like
+ * a Map (get, set, has, delete, values, keys, entries, forEach, clear, size)
+ * and keeps insertion order, so route handlers don't care which backend is active.
+ *
+ * BACKENDS:
+ * - memory (default): plain Maps, state vanishes on restart
+ * - sqlite: file-backed via better-sqlite3, state survives restarts and can be
+ *   inspected after a crash (`sqlite3 payment-api.db "select * from records"`)
+ *
+ * SELECTION (environment variables):
+ * - PAYMENT_API_STORE: 'memory' | 'sqlite'
+ * - PAYMENT_API_DB_PATH: SQLite file path (default ./payment-api.db)
+ *
+ * PERSISTENCE RULE:
+ * Stored objects are mutated in place by the API. After mutating a stored
+ * object, call `collection.set(key, value)` again so the sqlite backend
+ * writes the change through.
+ */
+
+const path = require('path');
+
+// Collections backing the API's state
+const COLLECTIONS = [
+  'apiKeys',        // apiKey -> { key, projectIds }
+  'projects',       // projectId -> project record (status, name)
+  'payouts',        // payoutId -> payout
+  'batches',        // batchId -> batch payout request and per-item results
+  'rateLimits',     // rate limit key -> limiter state (see rate-limiter.js)
+  'idempotencyKeys', // projectId:key -> request fingerprint and recorded response
+  'ledger',         // ledgerEntryId -> ledger entry
+  'refunds',        // refundId -> refund
+  'charges',        // chargeId -> charge (payable request a player pays into a project)
+  'gamertags',      // lowercased gamertag -> registered gamertag and its user id
+  'callbackLog',    // callbackId -> callback delivery record
+  'webhookSecrets'  // projectId -> HMAC signing secret
+];
+
+const STORE_TYPES = ['memory', 'sqlite'];
+const DEFAULT_DB_PATH = path.join(__dirname, 'payment-api.db');
+
+/**
+ * In-memory store: one Map per collection
+ */
+const createMemoryStore = () => {
+  const collections = {};
+  COLLECTIONS.forEach(name => {
+    collections[name] = new Map();
+  });
+
+  return {
+    type: 'memory',
+    path: null,
+    collections,
+    clear: () => Object.values(collections).forEach(c => c.clear()),
+    close: () => {}
+  };
+};
+
+/**
+ * A Map that writes every change through to a SQLite table.
+ * Reads are served from memory (loaded once on open), so object identity
+ * matches the in-memory store.
+ */
+class SqliteCollection extends Map {
+  constructor(db, name) {
+    super();
+    this.name = name;
+    this.statements = {
+      upsert: db.prepare(
+        'INSERT INTO records (collection, key, value) VALUES (?, ?, ?) ' +
+        'ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value'
+      ),
+      remove: db.prepare('DELETE FROM records WHERE collection = ? AND key = ?'),
+      clear: db.prepare('DELETE FROM records WHERE collection = ?')
+    };
+
+    // rowid order == first insertion order (upserts keep the original rowid)
+    db.prepare('SELECT key, value FROM records WHERE collection = ? ORDER BY rowid')
+      .all(name)
+      .forEach(row => super.set(row.key, JSON.parse(row.value)));
+  }
+
+  set(key, value) {
+    this.statements.upsert.run(this.name, String(key), JSON.stringify(value));
+    return super.set(String(key), value);
+  }
+
+  delete(key) {
+    this.statements.remove.run(this.name, String(key));
+    return super.delete(String(key));
+  }
+
+  clear() {
+    this.statements.clear.run(this.name);
+    super.clear();
+  }
+}
+
+/**
+ * SQLite store: a single `records` table keyed by (collection, key)
+ */
+const createSqliteStore = (filePath = DEFAULT_DB_PATH) => {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error(
+      'PAYMENT_API_STORE=sqlite requires the optional dependency better-sqlite3 ' +
+      `(npm install better-sqlite3): ${err.message}`
+    );
+  }
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(
+    'CREATE TABLE IF NOT EXISTS records (' +
+    'collection TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL, ' +
+    'PRIMARY KEY (collection, key))'
+  );
+
+  const collections = {};
+  COLLECTIONS.forEach(name => {
+    collections[name] = new SqliteCollection(db, name);
+  });
+
+  return {
+    type: 'sqlite',
+    path: filePath,
+    collections,
+    clear: db.transaction(() => Object.values(collections).forEach(c => c.clear())),
+    close: () => db.close()
+  };
+};
+
+/**
+ * Create the store selected by options or environment variables
+ */
+const createStore = ({
+  type = process.env.PAYMENT_API_STORE || 'memory',
+  filePath = process.env.PAYMENT_API_DB_PATH || DEFAULT_DB_PATH
+} = {}) => {
+  if (!STORE_TYPES.includes(type)) {
+    throw new Error(`Unknown PAYMENT_API_STORE "${type}". Must be one of: ${STORE_TYPES.join(', ')}`);
+  }
+  return type === 'sqlite' ? createSqliteStore(filePath) : createMemoryStore();
+};
+
+module.exports = {
+  COLLECTIONS,
+  STORE_TYPES,
+  createStore,
+  createMemoryStore,
+  createSqliteStore
+};